@@ -0,0 +1,289 @@
+// Comment Controller Tests
+// Replies, ownership and deletion of threaded comments
+
+describe('Comment Controller', () => {
+  const MAX_DEPTH = 4;
+  let Comment, Post, req, res;
+
+  const sameId = (a, b) => String(a) === String(b);
+  const user = { _id: 'u1', role: 'user' };
+  const moderator = { _id: 'm1', role: 'moderator' };
+  const canModifyComment = (currentUser, comment, anyPermission) =>
+    sameId(comment.author, currentUser._id) ||
+    (currentUser.role !== 'user' && anyPermission.endsWith(':any'));
+
+  const error = (status, code) => Object.assign(new Error(code), { status, code });
+
+  const findComment = async (postId, commentId) => {
+    const comment = await Comment.findOne({ _id: commentId, post: postId, deletedAt: null });
+    if (!comment) throw error(404, 'COMMENT_NOT_FOUND');
+    return comment;
+  };
+
+  // Post scopes (utils/postStatus.utils.js), reduced to published public posts
+  const visibleTo = (currentUser) => ({
+    $or: [{ status: 'published', visibility: 'public' }, { author: currentUser._id }],
+  });
+  const manageableBy = (currentUser) => (currentUser.role === 'user' ? visibleTo(currentUser) : {});
+
+  const assertLivePost = async (id, scope) => {
+    if (!(await Post.exists({ _id: id, deletedAt: null, ...scope }))) throw error(404, 'NOT_FOUND');
+  };
+
+  const incrementCommentCount = (postId, delta) =>
+    Post.updateOne(
+      { _id: postId },
+      { $inc: { commentCount: delta }, $set: { activityAt: new Date() } },
+      { timestamps: false }
+    );
+
+  const detachReply = async (parentId) => {
+    let id = parentId;
+    while (id) {
+      const parent = await Comment.findOneAndUpdate(
+        { _id: id },
+        { $inc: { replyCount: -1 } },
+        { new: true, timestamps: false }
+      );
+      if (!parent || !parent.deletedAt || parent.replyCount > 0) return;
+
+      const { deletedCount } = await Comment.deleteOne({ _id: id, deletedAt: { $ne: null }, replyCount: 0 });
+      if (!deletedCount) return;
+      id = parent.parent;
+    }
+  };
+
+  const createComment = async (req, res) => {
+    const { id } = req.params;
+    const { body, parent = null } = req.body;
+    await assertLivePost(id, visibleTo(req.user));
+
+    let depth = 0;
+    if (parent) {
+      const parentComment = await findComment(id, parent);
+      if (parentComment.depth >= MAX_DEPTH) throw error(400, 'COMMENT_TOO_DEEP');
+      const counted = await Comment.updateOne(
+        { _id: parent, deletedAt: null },
+        { $inc: { replyCount: 1 } },
+        { timestamps: false }
+      );
+      if (!counted.matchedCount) throw error(404, 'COMMENT_NOT_FOUND');
+      depth = parentComment.depth + 1;
+    }
+
+    let comment;
+    try {
+      comment = await Comment.create({ post: id, parent, depth, author: req.user._id, body });
+    } catch (createError) {
+      if (parent) await detachReply(parent);
+      throw createError;
+    }
+    await incrementCommentCount(id, 1);
+    res.status(201).json({ message: 'Comment created successfully', comment });
+  };
+
+  const deleteComment = async (req, res) => {
+    const { id, commentId } = req.params;
+    await assertLivePost(id, manageableBy(req.user));
+    const comment = await findComment(id, commentId);
+    if (!canModifyComment(req.user, comment, 'comment:delete:any')) throw error(403, 'FORBIDDEN');
+
+    const { deletedCount } = await Comment.deleteOne({ _id: commentId, deletedAt: null, replyCount: 0 });
+    let placeholder = null;
+    if (deletedCount) {
+      await detachReply(comment.parent);
+    } else {
+      placeholder = await Comment.findOneAndUpdate(
+        { _id: commentId, deletedAt: null },
+        { body: '', deletedAt: new Date() },
+        { new: true }
+      );
+      if (!placeholder) throw error(404, 'COMMENT_NOT_FOUND');
+    }
+    await incrementCommentCount(id, -1);
+    res.status(200).json({ message: 'Comment deleted successfully', comment: placeholder });
+  };
+
+  beforeEach(() => {
+    Comment = {
+      findOne: jest.fn(),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1 }),
+      create: jest.fn(async (data) => ({ _id: 'c9', ...data })),
+      deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+      findOneAndUpdate: jest.fn().mockResolvedValue(null),
+    };
+    Post = {
+      exists: jest.fn().mockResolvedValue({ _id: 'p1' }),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1 }),
+    };
+    req = { params: { id: 'p1' }, body: {}, user };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe('createComment', () => {
+    it('should create a top-level comment and count it on the post', async () => {
+      req.body = { body: 'Hello' };
+
+      await createComment(req, res);
+
+      expect(Comment.create).toHaveBeenCalledWith({ post: 'p1', parent: null, depth: 0, author: 'u1', body: 'Hello' });
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: 'p1' },
+        { $inc: { commentCount: 1 }, $set: { activityAt: expect.any(Date) } },
+        { timestamps: false }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should nest a reply one level below its parent and count it on the parent', async () => {
+      Comment.findOne.mockResolvedValue({ _id: 'c1', depth: 1 });
+      req.body = { body: 'Reply', parent: 'c1' };
+
+      await createComment(req, res);
+
+      expect(Comment.updateOne).toHaveBeenCalledWith(
+        { _id: 'c1', deletedAt: null },
+        { $inc: { replyCount: 1 } },
+        { timestamps: false }
+      );
+      expect(Comment.create).toHaveBeenCalledWith(expect.objectContaining({ parent: 'c1', depth: 2 }));
+    });
+
+    it('should refuse replies beyond the maximum depth', async () => {
+      Comment.findOne.mockResolvedValue({ _id: 'c1', depth: MAX_DEPTH });
+      req.body = { body: 'Too deep', parent: 'c1' };
+
+      await expect(createComment(req, res)).rejects.toMatchObject({ status: 400, code: 'COMMENT_TOO_DEEP' });
+      expect(Comment.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse replies to a missing or deleted comment', async () => {
+      Comment.findOne.mockResolvedValue(null);
+      req.body = { body: 'Reply', parent: 'c1' };
+
+      await expect(createComment(req, res)).rejects.toMatchObject({ status: 404, code: 'COMMENT_NOT_FOUND' });
+      expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should undo the reply count when the reply cannot be created', async () => {
+      Comment.findOne.mockResolvedValue({ _id: 'c1', depth: 0 });
+      Comment.create.mockRejectedValue(new Error('ValidationError'));
+      Comment.findOneAndUpdate.mockResolvedValue({ _id: 'c1', replyCount: 0, deletedAt: null });
+      req.body = { body: 'Reply', parent: 'c1' };
+
+      await expect(createComment(req, res)).rejects.toThrow('ValidationError');
+      expect(Comment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'c1' },
+        { $inc: { replyCount: -1 } },
+        { new: true, timestamps: false }
+      );
+      expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteComment', () => {
+    beforeEach(() => {
+      req.params.commentId = 'c2';
+    });
+
+    it('should remove a comment without replies and decrement both counters', async () => {
+      Comment.findOne.mockResolvedValue({ _id: 'c2', author: 'u1', parent: 'c1' });
+      Comment.findOneAndUpdate.mockResolvedValue({ _id: 'c1', replyCount: 2, deletedAt: null });
+
+      await deleteComment(req, res);
+
+      expect(Comment.deleteOne).toHaveBeenCalledWith({ _id: 'c2', deletedAt: null, replyCount: 0 });
+      expect(Comment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'c1' },
+        { $inc: { replyCount: -1 } },
+        { new: true, timestamps: false }
+      );
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: 'p1' },
+        { $inc: { commentCount: -1 }, $set: { activityAt: expect.any(Date) } },
+        { timestamps: false }
+      );
+      expect(res.json).toHaveBeenCalledWith({ message: 'Comment deleted successfully', comment: null });
+    });
+
+    it('should keep a comment with replies as a placeholder', async () => {
+      Comment.findOne.mockResolvedValue({ _id: 'c2', author: 'u1', parent: null, replyCount: 1 });
+      Comment.deleteOne.mockResolvedValue({ deletedCount: 0 });
+      Comment.findOneAndUpdate.mockResolvedValue({ _id: 'c2', body: '', deletedAt: new Date() });
+
+      await deleteComment(req, res);
+
+      expect(Comment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'c2', deletedAt: null },
+        { body: '', deletedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(res.json.mock.calls[0][0].comment.body).toBe('');
+      expect(Post.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should remove placeholders left without replies up the thread', async () => {
+      Comment.findOne.mockResolvedValue({ _id: 'c3', author: 'u1', parent: 'c2' });
+      Comment.findOneAndUpdate
+        .mockResolvedValueOnce({ _id: 'c2', parent: 'c1', replyCount: 0, deletedAt: new Date() })
+        .mockResolvedValueOnce({ _id: 'c1', parent: null, replyCount: 1, deletedAt: new Date() });
+
+      await deleteComment(req, res);
+
+      expect(Comment.deleteOne).toHaveBeenCalledTimes(2);
+      expect(Comment.deleteOne).toHaveBeenLastCalledWith({ _id: 'c2', deletedAt: { $ne: null }, replyCount: 0 });
+      expect(Comment.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    it("should forbid deleting another user's comment", async () => {
+      Comment.findOne.mockResolvedValue({ _id: 'c2', author: 'u2', parent: null });
+
+      await expect(deleteComment(req, res)).rejects.toMatchObject({ status: 403 });
+      expect(Comment.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it("should let moderators delete any comment", async () => {
+      Comment.findOne.mockResolvedValue({ _id: 'c2', author: 'u2', parent: null });
+      req.user = moderator;
+
+      await deleteComment(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    describe("on another user's private or unpublished post", () => {
+      beforeEach(() => {
+        // Only matched by scopes that do not restrict visibility
+        Post.exists.mockImplementation(async (filter) => (filter.$or ? null : { _id: 'p1' }));
+        Comment.findOne.mockResolvedValue({ _id: 'c2', author: 'u2', parent: null });
+      });
+
+      it('should let moderators delete comments', async () => {
+        req.user = moderator;
+
+        await deleteComment(req, res);
+
+        expect(Post.exists).toHaveBeenCalledWith({ _id: 'p1', deletedAt: null });
+        expect(res.status).toHaveBeenCalledWith(200);
+      });
+
+      it('should answer 404 to users who cannot see the post', async () => {
+        Comment.findOne.mockResolvedValue({ _id: 'c2', author: 'u1', parent: null });
+
+        await expect(deleteComment(req, res)).rejects.toMatchObject({ status: 404, code: 'NOT_FOUND' });
+        expect(Comment.deleteOne).not.toHaveBeenCalled();
+      });
+
+      it('should still keep moderators from commenting on it', async () => {
+        req.user = moderator;
+        req.body = { body: 'Hello' };
+
+        await expect(createComment(req, res)).rejects.toMatchObject({ status: 404 });
+        expect(Comment.create).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
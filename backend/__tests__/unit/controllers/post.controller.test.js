@@ -1,6 +1,68 @@
 describe("Post Controller", () => {
   let req, res, Post, controller;
 
+  // Errors (utils/errors.js)
+  const httpError = (statusCode, defaultCode) =>
+    class extends Error {
+      constructor(message, errors = undefined, code = defaultCode) {
+        super(message);
+        this.statusCode = statusCode;
+        this.code = code;
+        this.errors = errors;
+      }
+    };
+  const ForbiddenError = httpError(403, "FORBIDDEN");
+  const NotFoundError = httpError(404, "NOT_FOUND");
+  const ConflictError = httpError(409, "CONFLICT");
+  const PreconditionFailedError = httpError(412, "PRECONDITION_FAILED");
+
+  // Permissions (config/roles.js), reduced to the ":any" ones
+  const ROLE_ANY_PERMISSIONS = {
+    user: [],
+    moderator: ["post:update:any", "post:delete:any"],
+    admin: ["post:update:any", "post:delete:any"],
+  };
+  const hasPermission = (role, permission) => (ROLE_ANY_PERMISSIONS[role] || []).includes(permission);
+
+  // Mirrors ObjectId#equals for string ids
+  const objectId = (id) => ({ equals: (other) => String(other) === id });
+
+  const canModifyPost = (user, post, anyPermission) => {
+    if (post.author && post.author.equals(user._id)) return true;
+    return hasPermission(user.role, anyPermission);
+  };
+
+  // Versions (utils/etag.utils.js)
+  const formatETag = (version) => `"${version ?? 1}"`;
+  const versionFilter = (version) => (version === 1 ? { version: { $in: [1, null] } } : { version });
+
+  const assertIfMatch = (req, version) => {
+    const header = req.get("If-Match");
+    if (!header) return false;
+    const tags = header.split(",").map((tag) => tag.trim());
+    if (header.trim() !== "*" && !tags.some((tag) => tag.match(/^"(\d+)(?:-[^"]*)?"$/)?.[1] === String(version ?? 1))) {
+      throw new PreconditionFailedError(`The resource has been modified (current ETag ${formatETag(version)})`);
+    }
+    return true;
+  };
+
+  const updateVersionedPost = async (post, scope, update, conditional) => {
+    const updatedPost = await Post.findOneAndUpdate(
+      { _id: post._id, ...scope, ...versionFilter(post.version) },
+      { ...update, version: post.version + 1 },
+      { new: true }
+    );
+    if (updatedPost) return updatedPost;
+
+    if (!(await Post.exists({ _id: post._id, ...scope }))) {
+      throw new NotFoundError("Post not found");
+    }
+    if (conditional) {
+      throw new PreconditionFailedError("The resource has been modified");
+    }
+    throw new ConflictError("Post was modified by another request, please retry", undefined, "EDIT_CONFLICT");
+  };
+
   // Setup mocks and test fixtures before each test
   beforeEach(() => {
     // Mock Post model methods
@@ -10,6 +72,10 @@ describe("Post Controller", () => {
       create: jest.fn(),
       findByIdAndUpdate: jest.fn(),
       findByIdAndDelete: jest.fn(),
+      findOne: jest.fn(),
+      findOneAndUpdate: jest.fn(),
+      deleteOne: jest.fn(),
+      exists: jest.fn(),
     };
 
     // Mock Express request and response objects
@@ -254,4 +320,424 @@ describe("Post Controller", () => {
       expect(res.status).toHaveBeenCalledWith(404);
     });
   });
+
+  // Tests for author ownership rules and versions on delete
+  describe("ownership", () => {
+    const NOT_DELETED = { deletedAt: null };
+
+    // postStatus.utils visibleTo: published public / unlisted posts, and the user's own
+    const visibleTo = (user) => ({
+      $or: [
+        { status: { $in: ["published", null] }, visibility: { $in: ["public", "unlisted", null] } },
+        { author: user._id },
+      ],
+    });
+
+    // postStatus.utils manageableBy: roles allowed to modify any post reach every post
+    const manageableBy = (user) =>
+      hasPermission(user.role, "post:update:any") || hasPermission(user.role, "post:delete:any")
+        ? {}
+        : visibleTo(user);
+
+    const findLivePost = async (id, user) => {
+      const post = await Post.findOne({ _id: id, ...NOT_DELETED, ...manageableBy(user) });
+      if (!post) {
+        throw new NotFoundError("Post not found");
+      }
+      return post;
+    };
+
+    // Soft delete: the post is moved to the trash
+    const deletePost = async (req, res) => {
+      const { id } = req.params;
+      const post = await findLivePost(id, req.user);
+      if (!canModifyPost(req.user, post, "post:delete:any")) {
+        throw new ForbiddenError("You can only delete your own posts");
+      }
+      const conditional = assertIfMatch(req, post.version);
+
+      const deletedPost = await updateVersionedPost(
+        post,
+        NOT_DELETED,
+        { deletedAt: new Date(), deletedBy: req.user._id },
+        conditional
+      );
+
+      res.set("ETag", formatETag(deletedPost.version));
+      // The shipped response adds the post's purgeAt (withPurgeDate)
+      res.status(200).json({ message: "Post moved to trash", post: deletedPost });
+    };
+
+    beforeEach(() => {
+      req.params.id = "123";
+      req.headers = {};
+      req.get = (name) => req.headers[name.toLowerCase()];
+      res.set = jest.fn().mockReturnThis();
+      Post.findOne.mockResolvedValue({ _id: "123", author: objectId("author1"), version: 2 });
+      Post.findOneAndUpdate.mockResolvedValue({ _id: "123", version: 3 });
+    });
+
+    it("should let the author delete their post", async () => {
+      req.user = { _id: "author1", role: "user" };
+
+      await deletePost(req, res);
+
+      expect(Post.findOne).toHaveBeenCalledWith({ _id: "123", ...NOT_DELETED, ...visibleTo(req.user) });
+      expect(Post.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "123", deletedAt: null, version: 2 },
+        { deletedAt: expect.any(Date), deletedBy: "author1", version: 3 },
+        { new: true }
+      );
+      expect(res.set).toHaveBeenCalledWith("ETag", '"3"');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should forbid other users from deleting the post", async () => {
+      req.user = { _id: "someone-else", role: "user" };
+
+      await expect(deletePost(req, res)).rejects.toMatchObject({
+        statusCode: 403,
+        message: "You can only delete your own posts",
+      });
+      expect(Post.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should let an admin delete any post", async () => {
+      req.user = { _id: "admin1", role: "admin" };
+
+      await deletePost(req, res);
+
+      expect(Post.findOneAndUpdate).toHaveBeenCalled();
+    });
+
+    it("should let moderators reach the drafts and private posts of others", async () => {
+      req.user = { _id: "moderator1", role: "moderator" };
+
+      await deletePost(req, res);
+
+      expect(Post.findOne).toHaveBeenCalledWith({ _id: "123", ...NOT_DELETED });
+      expect(Post.findOneAndUpdate).toHaveBeenCalled();
+    });
+
+    it("should only allow privileged roles on posts without an author", async () => {
+      Post.findOne.mockResolvedValue({ _id: "123", version: 2 });
+      req.user = { _id: "author1", role: "user" };
+
+      await expect(deletePost(req, res)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it("should return 404 before checking ownership", async () => {
+      Post.findOne.mockResolvedValue(null);
+      req.user = { _id: "author1", role: "user" };
+
+      await expect(deletePost(req, res)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it("should refuse a delete based on an outdated ETag", async () => {
+      req.user = { _id: "author1", role: "user" };
+      req.headers["if-match"] = '"1"';
+
+      await expect(deletePost(req, res)).rejects.toMatchObject({
+        statusCode: 412,
+        message: 'The resource has been modified (current ETag "2")',
+      });
+      expect(Post.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should accept the ETag of a single-post read", async () => {
+      req.user = { _id: "author1", role: "user" };
+      req.headers["if-match"] = '"2-9f86d081884c"';
+
+      await deletePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  // Tests for restoring and purging trashed posts
+  describe("trash", () => {
+    const IN_TRASH = { deletedAt: { $ne: null } };
+    let PostRevision;
+
+    const findTrashedPost = async (user, id) => {
+      const post = await Post.findOne({ _id: id, ...IN_TRASH });
+      if (!post) {
+        throw new NotFoundError("Post not found in trash");
+      }
+      const trashedByAuthor = !post.deletedBy || Boolean(post.author?.equals(post.deletedBy));
+      if (!trashedByAuthor && !hasPermission(user.role, "post:delete:any")) {
+        throw new ForbiddenError("This post was removed by a moderator", undefined, "POST_MODERATED");
+      }
+      if (!canModifyPost(user, post, "post:delete:any")) {
+        throw new ForbiddenError("You can only manage your own trashed posts");
+      }
+      return post;
+    };
+
+    const restorePost = async (req, res) => {
+      const { id } = req.params;
+      const post = await findTrashedPost(req.user, id);
+      const conditional = assertIfMatch(req, post.version);
+
+      const restoredPost = await updateVersionedPost(
+        post,
+        IN_TRASH,
+        { deletedAt: null, deletedBy: null },
+        conditional
+      );
+      res.set("ETag", formatETag(restoredPost.version));
+
+      res.status(200).json({ message: "Post restored successfully", post: restoredPost });
+    };
+
+    // Comments, reactions and attachments are removed like the revisions
+    const purgePost = async (req, res) => {
+      const { id } = req.params;
+      const post = await findTrashedPost(req.user, id);
+      const conditional = assertIfMatch(req, post.version);
+
+      const { deletedCount } = await Post.deleteOne({
+        _id: id,
+        ...IN_TRASH,
+        ...(conditional && versionFilter(post.version)),
+      });
+      if (!deletedCount) {
+        if (conditional && (await Post.exists({ _id: id, ...IN_TRASH }))) {
+          throw new PreconditionFailedError("The resource has been modified");
+        }
+        throw new NotFoundError("Post not found in trash");
+      }
+      await PostRevision.deleteMany({ post: id });
+      res.status(200).json({ message: "Post permanently deleted" });
+    };
+
+    beforeEach(() => {
+      PostRevision = { deleteMany: jest.fn() };
+      req.params.id = "123";
+      req.user = { _id: "author1", role: "user" };
+      req.headers = {};
+      req.get = (name) => req.headers[name.toLowerCase()];
+      res.set = jest.fn().mockReturnThis();
+      Post.findOne.mockResolvedValue({
+        _id: "123",
+        author: objectId("author1"),
+        deletedAt: new Date(),
+        deletedBy: "author1",
+        version: 2,
+      });
+      Post.deleteOne.mockResolvedValue({ deletedCount: 1 });
+    });
+
+    it("should restore a trashed post and bump its version", async () => {
+      Post.findOneAndUpdate.mockResolvedValue({ _id: "123", deletedAt: null, version: 3 });
+
+      await restorePost(req, res);
+
+      expect(Post.findOne).toHaveBeenCalledWith({ _id: "123", ...IN_TRASH });
+      expect(Post.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "123", ...IN_TRASH, version: 2 },
+        { deletedAt: null, deletedBy: null, version: 3 },
+        { new: true }
+      );
+      expect(res.set).toHaveBeenCalledWith("ETag", '"3"');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should return 404 when the post is not in the trash", async () => {
+      Post.findOne.mockResolvedValue(null);
+
+      await expect(restorePost(req, res)).rejects.toMatchObject({ statusCode: 404, message: "Post not found in trash" });
+      expect(Post.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should permanently delete a trashed post", async () => {
+      await purgePost(req, res);
+
+      expect(Post.deleteOne).toHaveBeenCalledWith({ _id: "123", ...IN_TRASH });
+      expect(PostRevision.deleteMany).toHaveBeenCalledWith({ post: "123" });
+      expect(res.json).toHaveBeenCalledWith({ message: "Post permanently deleted" });
+    });
+
+    it("should forbid purging someone else's post", async () => {
+      req.user = { _id: "someone-else", role: "user" };
+
+      await expect(purgePost(req, res)).rejects.toMatchObject({ statusCode: 403 });
+      expect(Post.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it("should let roles allowed to delete any post manage other users' trash", async () => {
+      req.user = { _id: "moderator1", role: "moderator" };
+
+      await purgePost(req, res);
+
+      expect(Post.deleteOne).toHaveBeenCalled();
+    });
+
+    describe("posts a moderator trashed", () => {
+      beforeEach(() => {
+        Post.findOne.mockResolvedValue({
+          _id: "123",
+          author: objectId("author1"),
+          deletedAt: new Date(),
+          deletedBy: "moderator1",
+          version: 2,
+        });
+      });
+
+      it("should not let the author restore them", async () => {
+        await expect(restorePost(req, res)).rejects.toMatchObject({ statusCode: 403, code: "POST_MODERATED" });
+        expect(Post.findOneAndUpdate).not.toHaveBeenCalled();
+      });
+
+      it("should not let the author purge them", async () => {
+        await expect(purgePost(req, res)).rejects.toMatchObject({ statusCode: 403, code: "POST_MODERATED" });
+        expect(Post.deleteOne).not.toHaveBeenCalled();
+      });
+
+      it("should let moderators and admins restore them", async () => {
+        req.user = { _id: "admin1", role: "admin" };
+        Post.findOneAndUpdate.mockResolvedValue({ _id: "123", deletedAt: null, version: 3 });
+
+        await restorePost(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+      });
+    });
+
+    it("should let the author restore a post trashed before deletedBy was recorded", async () => {
+      Post.findOne.mockResolvedValue({ _id: "123", author: objectId("author1"), deletedAt: new Date(), version: 2 });
+      Post.findOneAndUpdate.mockResolvedValue({ _id: "123", deletedAt: null, version: 3 });
+
+      await restorePost(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should only purge the version named by If-Match", async () => {
+      req.headers["if-match"] = '"2"';
+      Post.deleteOne.mockResolvedValue({ deletedCount: 0 });
+      Post.exists.mockResolvedValue(true);
+
+      await expect(purgePost(req, res)).rejects.toMatchObject({ statusCode: 412 });
+      expect(Post.deleteOne).toHaveBeenCalledWith({ _id: "123", ...IN_TRASH, version: 2 });
+      expect(PostRevision.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a restore based on an outdated ETag", async () => {
+      req.headers["if-match"] = '"1"';
+
+      await expect(restorePost(req, res)).rejects.toMatchObject({ statusCode: 412 });
+      expect(Post.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  // Tests for version checks on writes (ETag / If-Match)
+  describe("optimistic concurrency", () => {
+    const post = { _id: "123", version: 3 };
+
+    it("should write only the version that was read and bump it", async () => {
+      Post.findOneAndUpdate.mockResolvedValue({ _id: "123", version: 4 });
+
+      const updatedPost = await updateVersionedPost(post, { deletedAt: null }, { name: "New" }, true);
+
+      expect(Post.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "123", deletedAt: null, version: 3 },
+        { name: "New", version: 4 },
+        { new: true }
+      );
+      expect(updatedPost.version).toBe(4);
+    });
+
+    it("should treat unversioned posts as version 1", async () => {
+      Post.findOneAndUpdate.mockResolvedValue({ _id: "123", version: 2 });
+
+      await updateVersionedPost({ _id: "123", version: 1 }, {}, { name: "New" }, false);
+
+      expect(Post.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: "123", version: { $in: [1, null] } });
+    });
+
+    it("should answer 412 to a conditional write on a modified post", async () => {
+      Post.findOneAndUpdate.mockResolvedValue(null);
+      Post.exists.mockResolvedValue(true);
+
+      await expect(updateVersionedPost(post, {}, { name: "New" }, true)).rejects.toMatchObject({ statusCode: 412 });
+    });
+
+    it("should answer 409 EDIT_CONFLICT to an unconditional write on a modified post", async () => {
+      Post.findOneAndUpdate.mockResolvedValue(null);
+      Post.exists.mockResolvedValue(true);
+
+      await expect(updateVersionedPost(post, {}, { name: "New" }, false)).rejects.toMatchObject({
+        statusCode: 409,
+        code: "EDIT_CONFLICT",
+      });
+    });
+
+    it("should answer 404 when the post disappeared", async () => {
+      Post.findOneAndUpdate.mockResolvedValue(null);
+      Post.exists.mockResolvedValue(null);
+
+      await expect(updateVersionedPost(post, {}, { name: "New" }, true)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe("list Last-Modified", () => {
+    const latestDate = (...dates) => {
+      const times = dates.filter(Boolean).map((date) => date.getTime());
+      return times.length ? new Date(Math.max(...times)) : undefined;
+    };
+
+    const findLastPostChange = async () => {
+      const [edited, active] = await Promise.all([
+        Post.findOne().sort({ updatedAt: -1 }).select("updatedAt").lean(),
+        Post.findOne({ activityAt: { $ne: null } }).sort({ activityAt: -1 }).select("activityAt").lean(),
+      ]);
+      return latestDate(edited?.updatedAt, active?.activityAt);
+    };
+
+    // Post collection, whatever the listing filter: the latest document per sort key
+    const usePosts = (posts) => {
+      Post.findOne.mockImplementation((filter = {}) => {
+        const chain = {
+          sort: (sort) => {
+            const [field] = Object.keys(sort);
+            chain.latest = posts
+              .filter((post) => !filter.activityAt || post.activityAt)
+              .reduce((latest, post) => (!latest || post[field] > latest[field] ? post : latest), null);
+            return chain;
+          },
+          select: () => chain,
+          lean: async () => chain.latest,
+        };
+        return chain;
+      });
+    };
+
+    it("should take the latest edit or comment / reaction change", async () => {
+      usePosts([
+        { updatedAt: new Date("2026-03-01T10:00:00Z"), activityAt: new Date("2026-03-02T09:00:00Z") },
+        { updatedAt: new Date("2026-03-01T12:00:00Z"), activityAt: null },
+      ]);
+
+      expect(await findLastPostChange()).toEqual(new Date("2026-03-02T09:00:00Z"));
+    });
+
+    it("should move when a post leaves the list", async () => {
+      const listed = { updatedAt: new Date("2026-03-01T10:00:00Z"), activityAt: null };
+      const trashed = { updatedAt: new Date("2026-03-01T09:00:00Z"), activityAt: null, deletedAt: null };
+      usePosts([listed, trashed]);
+      const before = await findLastPostChange();
+
+      Object.assign(trashed, { deletedAt: new Date("2026-03-03T08:00:00Z"), updatedAt: new Date("2026-03-03T08:00:00Z") });
+
+      expect(await findLastPostChange()).toEqual(trashed.updatedAt);
+      expect((await findLastPostChange()) > before).toBe(true);
+    });
+
+    it("should be unset without posts", async () => {
+      usePosts([]);
+
+      expect(await findLastPostChange()).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,188 @@
+// Post Export Controller Tests
+// GET /posts/export/:format: streaming posts from a cursor, and failures once the response started
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+describe('Post Export Controller', () => {
+  const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+  };
+  const COLUMNS = ['_id', 'name', 'tags'];
+
+  // Serialization (utils/export.utils.js), reduced to the cells used here
+  const csvRow = (values) =>
+    `${values.map((value) => (Array.isArray(value) ? value.join(';') : String(value ?? ''))).join(',')}\r\n`;
+
+  const createCsvTransform = (columns, map = (doc) => doc) => {
+    let headerSent = false;
+    return new Transform({
+      writableObjectMode: true,
+      transform(doc, encoding, callback) {
+        const record = map(doc);
+        const row = csvRow(columns.map((column) => record[column]));
+        if (headerSent) return callback(null, row);
+        headerSent = true;
+        callback(null, csvRow(columns) + row);
+      },
+      flush(callback) {
+        callback(null, headerSent ? undefined : csvRow(columns));
+      },
+    });
+  };
+
+  const createNdjsonTransform = (map = (doc) => doc) =>
+    new Transform({
+      writableObjectMode: true,
+      transform(doc, encoding, callback) {
+        callback(null, `${JSON.stringify(map(doc))}\n`);
+      },
+    });
+
+  let Post, cursor;
+
+  // Controller (controllers/post.controller.js); the listing query is built by buildPostsQuery
+  const exportPosts = async (req, res) => {
+    const type = req.params.format;
+    const columns = type === 'csv' ? COLUMNS : undefined;
+
+    cursor = Post.find().cursor();
+    const first = await cursor.next();
+    const posts = async function* () {
+      try {
+        if (!first) return;
+        yield first;
+        for await (const post of cursor) yield post;
+      } finally {
+        await cursor.close();
+      }
+    };
+    const serialize = type === 'csv' ? createCsvTransform(columns) : createNdjsonTransform();
+
+    res.status(200).set({
+      'Content-Type': EXPORT_CONTENT_TYPES[type],
+      'Content-Disposition': `attachment; filename="posts-2026-03-01.${type}"`,
+      'X-Content-Type-Options': 'nosniff',
+    });
+
+    await pipeline(posts, serialize, res).catch((error) => {
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Post export failed:', error);
+      }
+    });
+  };
+
+  // Mongoose query cursor over docs; fails when reading the document at failAt
+  const cursorOf = (docs, { failAt = -1 } = {}) => {
+    let index = 0;
+    const next = jest.fn(async () => {
+      if (index === failAt) throw new Error('cursor failed');
+      const doc = docs[index] ?? null;
+      index += 1;
+      return doc;
+    });
+    return {
+      next,
+      close: jest.fn(async () => {}),
+      async *[Symbol.asyncIterator]() {
+        for (let doc = await next(); doc; doc = await next()) yield doc;
+      },
+    };
+  };
+
+  // Express response: a writable recording what reached the client
+  const createResponse = ({ closeAfterChunks = Infinity } = {}) => {
+    const chunks = [];
+    const res = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk.toString());
+        callback();
+        if (chunks.length >= closeAfterChunks) res.destroy();
+      },
+    });
+    res.status = jest.fn(() => res);
+    res.set = jest.fn(() => res);
+    res.body = () => chunks.join('');
+    return res;
+  };
+
+  const docs = [
+    { _id: 'p1', name: 'First', tags: ['a', 'b'] },
+    { _id: 'p2', name: 'Second', tags: [] },
+    { _id: 'p3', name: 'Third', tags: ['c'] },
+  ];
+
+  beforeEach(() => {
+    Post = { find: jest.fn(() => ({ cursor: () => cursorOf(docs) })) };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should stream every post as CSV, then close the cursor', async () => {
+    const res = createResponse();
+
+    await exportPosts({ params: { format: 'csv' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/csv; charset=utf-8' }));
+    expect(res.body()).toBe('_id,name,tags\r\np1,First,a;b\r\np2,Second,\r\np3,Third,c\r\n');
+    expect(res.writableFinished).toBe(true);
+    expect(cursor.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stream one JSON post per line as NDJSON', async () => {
+    const res = createResponse();
+
+    await exportPosts({ params: { format: 'ndjson' } }, res);
+
+    expect(res.body().split('\n')).toEqual([...docs.map((doc) => JSON.stringify(doc)), '']);
+  });
+
+  it('should still send the header of an empty CSV export', async () => {
+    Post.find.mockReturnValue({ cursor: () => cursorOf([]) });
+    const res = createResponse();
+
+    await exportPosts({ params: { format: 'csv' } }, res);
+
+    expect(res.body()).toBe('_id,name,tags\r\n');
+    expect(cursor.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let query errors through before anything is sent', async () => {
+    Post.find.mockReturnValue({ cursor: () => cursorOf(docs, { failAt: 0 }) });
+    const res = createResponse();
+
+    await expect(exportPosts({ params: { format: 'csv' } }, res)).rejects.toThrow('cursor failed');
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.body()).toBe('');
+  });
+
+  it('should cut the response and log when the cursor fails after the first chunk', async () => {
+    Post.find.mockReturnValue({ cursor: () => cursorOf(docs, { failAt: 2 }) });
+    const res = createResponse();
+
+    await expect(exportPosts({ params: { format: 'csv' } }, res)).resolves.toBeUndefined();
+
+    expect(res.body()).toBe('_id,name,tags\r\np1,First,a;b\r\np2,Second,\r\n');
+    expect(res.destroyed).toBe(true);
+    expect(res.writableFinished).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Post export failed:', expect.objectContaining({ message: 'cursor failed' }));
+    expect(cursor.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop reading without logging when the client goes away', async () => {
+    const many = Array.from({ length: 5000 }, (_, index) => ({ _id: `p${index + 1}`, name: `Post ${index + 1}` }));
+    Post.find.mockReturnValue({ cursor: () => cursorOf(many) });
+    const res = createResponse({ closeAfterChunks: 1 });
+
+    await expect(exportPosts({ params: { format: 'ndjson' } }, res)).resolves.toBeUndefined();
+
+    expect(res.body()).toBe(`${JSON.stringify(many[0])}\n`);
+    expect(console.error).not.toHaveBeenCalled();
+    expect(cursor.close).toHaveBeenCalledTimes(1);
+    expect(cursor.next.mock.calls.length).toBeLessThan(many.length);
+  });
+});
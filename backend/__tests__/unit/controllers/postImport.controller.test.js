@@ -0,0 +1,516 @@
+// Post Import Controller Tests
+// POST /posts/import: checking imported posts, the per-row report, slugs and bulk writes.
+// Body parsing, CSV and errors come from the modules themselves (pure, compiled by babel-jest);
+// the handler is mirrored with its models mocked.
+
+const { IMPORT_LIMITS } = require('../../../src/config/constants.js');
+const { BadRequestError } = require('../../../src/utils/errors.js');
+const { normalizeError } = require('../../../src/middlewares/error.middleware.js');
+const { csvRow } = require('../../../src/utils/export.utils.js');
+const { csvToPosts, readImportedPosts } = require('../../../src/utils/import.utils.js');
+
+describe('Post Import Controller', () => {
+  const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+  const POST_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+  // Smaller than IMPORT_LIMITS.BATCH_SIZE, so small imports span several batches
+  const BATCH_SIZE = 2;
+  const { MAX_ROWS } = IMPORT_LIMITS;
+
+  // Columns of CSV exports (controllers/post.controller.js)
+  const EXPORT_COLUMNS = [
+    '_id', 'name', 'slug', 'description', 'age', 'author', 'tags', 'category', 'status',
+    'visibility', 'publishedAt', 'commentCount', 'createdAt', 'updatedAt',
+  ];
+
+  const exportCsv = (posts) =>
+    csvRow(EXPORT_COLUMNS) + posts.map((post) => csvRow(EXPORT_COLUMNS.map((column) => post[column]))).join('');
+
+  // importedPostSchema through validateObject: required fields, enums and dates; unknown fields dropped
+  const validateImportedPost = (row) => {
+    const errors = [];
+    const value = {};
+    for (const field of ['name', 'description', 'age']) {
+      if (row[field] === undefined) errors.push({ field, message: `${field} is required` });
+      else value[field] = row[field];
+    }
+    if (typeof row.age === 'string') errors.push({ field: 'age', message: 'age must be a number' });
+    if (row.tags !== undefined) value.tags = row.tags;
+    if (row.category !== undefined) value.category = row.category;
+    if (row.status !== undefined) {
+      if (POST_STATUSES.includes(row.status)) value.status = row.status;
+      else errors.push({ field: 'status', message: `status must be one of: ${POST_STATUSES.join(', ')}` });
+    }
+    if (row.visibility !== undefined) {
+      if (POST_VISIBILITIES.includes(row.visibility)) value.visibility = row.visibility;
+      else errors.push({ field: 'visibility', message: `visibility must be one of: ${POST_VISIBILITIES.join(', ')}` });
+    }
+    if (row.publishAt !== undefined) {
+      const date = new Date(row.publishAt);
+      if (Number.isNaN(date.getTime())) errors.push({ field: 'publishAt', message: 'publishAt must be a valid date' });
+      else value.publishAt = date;
+    }
+    return { value, errors };
+  };
+
+  // Controller (controllers/post.controller.js)
+  const now = new Date('2026-03-01T12:00:00.000Z');
+
+  const publishUpdate = (publishAt) =>
+    publishAt && publishAt > now
+      ? { status: 'scheduled', publishAt, publishedAt: null }
+      : { status: 'published', publishAt: null, publishedAt: now };
+
+  const initialStatus = ({ status, publishAt }) => {
+    if (status === 'draft' || status === 'archived') {
+      if (publishAt) {
+        throw new BadRequestError(
+          `${status === 'draft' ? 'A draft' : 'An archived post'} cannot have a publication date`,
+          [{ field: 'publishAt', message: `publishAt cannot be used with status ${status}` }],
+          'INVALID_STATUS'
+        );
+      }
+      return { status, publishAt: null, publishedAt: null };
+    }
+    return publishUpdate(publishAt ?? null);
+  };
+
+  const importedStatus = ({ status, publishAt }) =>
+    status === 'scheduled'
+      ? initialStatus({ status: publishAt ? 'published' : 'draft', publishAt })
+      : initialStatus({ status, publishAt });
+
+  const checkImportedPost = (row) => {
+    const { value, errors } = validateImportedPost(row);
+    if (errors.length) {
+      throw new BadRequestError('Validation failed', errors, 'VALIDATION_ERROR');
+    }
+    const { status, publishAt, ...fields } = value;
+    return { ...fields, ...importedStatus({ status, publishAt }) };
+  };
+
+  // Slugs (utils/slug.utils.js); Post.find resolves with the slugs already in use
+  let Post, Category, recordCreations;
+
+  const slugBase = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'post';
+  const isSlugConflict = (error) => error?.code === 11000 && Boolean(error.keyPattern?.slug);
+
+  const firstFreeSlug = (base, taken) => {
+    if (!taken.has(base)) return base;
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) suffix += 1;
+    return `${base}-${suffix}`;
+  };
+
+  const findFreeSlugs = async (names, reserved = new Set()) => {
+    if (!names.length) return [];
+    const bases = names.map(slugBase);
+    const taken = new Set(await Post.find());
+    for (const slug of reserved) taken.add(slug);
+    return bases.map((base) => {
+      const slug = firstFreeSlug(base, taken);
+      reserved.add(slug);
+      taken.add(slug);
+      return slug;
+    });
+  };
+
+  const writeAllWithSlugs = async (posts, write, reserved = new Set()) => {
+    const errors = posts.map(() => null);
+    let pending = posts.map((post, index) => index);
+    for (let attempt = 1; pending.length; attempt += 1) {
+      const slugs = await findFreeSlugs(pending.map((index) => posts[index].name), reserved);
+      pending.forEach((index, position) => {
+        posts[index].slug = slugs[position];
+      });
+
+      const results = await write(pending.map((index) => posts[index]));
+      pending = pending.filter((index, position) => {
+        errors[index] = results[position];
+        return isSlugConflict(results[position]) && attempt < 5;
+      });
+    }
+    return errors;
+  };
+
+  const insertPosts = async (posts) => {
+    try {
+      await Post.insertMany(posts, { ordered: false });
+      return posts.map(() => null);
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      const failed = new Map(error.writeErrors.map((writeError) => [writeError.index, writeError.err ?? writeError]));
+      return posts.map((post, index) => failed.get(index) ?? null);
+    }
+  };
+
+  const importBatch = async (rows, offset, { user, dryRun, reserved }) => {
+    const results = rows.map((row, index) => ({ row: offset + index + 1 }));
+    const fail = (index, error) => {
+      const { message, code, errors } = normalizeError(error);
+      Object.assign(results[index], { status: 'failed', code, message, ...(errors?.length && { errors }) });
+    };
+
+    const checked = rows.map((row, index) => {
+      try {
+        return checkImportedPost(row);
+      } catch (error) {
+        fail(index, error);
+        return null;
+      }
+    });
+
+    const categoryIds = [...new Set(checked.filter((fields) => fields?.category).map((fields) => fields.category))];
+    const categories = new Set(categoryIds.length ? (await Category.distinct(categoryIds)).map(String) : []);
+
+    const posts = [];
+    const positions = [];
+    for (const [index, fields] of checked.entries()) {
+      if (!fields) continue;
+      if (fields.category && !categories.has(String(fields.category))) {
+        fail(index, new BadRequestError('Category not found', [{ field: 'category', message: 'Category not found' }], 'INVALID_CATEGORY'));
+        continue;
+      }
+      const post = new Post({ ...fields, author: user._id });
+      try {
+        await post.validate();
+      } catch (error) {
+        fail(index, error);
+        continue;
+      }
+      posts.push(post);
+      positions.push(index);
+    }
+
+    const write = dryRun ? async (batch) => batch.map(() => null) : insertPosts;
+    const writeErrors = await writeAllWithSlugs(posts, write, reserved);
+
+    const created = [];
+    writeErrors.forEach((error, position) => {
+      const index = positions[position];
+      if (error) {
+        fail(index, error);
+        return;
+      }
+      const post = posts[position];
+      Object.assign(
+        results[index],
+        dryRun ? { status: 'valid', slug: post.slug } : { status: 'created', id: post._id, slug: post.slug }
+      );
+      created.push(post);
+    });
+    if (!dryRun) await recordCreations(created, user._id);
+    return results;
+  };
+
+  const importPosts = async (req, res) => {
+    const rows = readImportedPosts(req);
+    const dryRun = req.query.dryRun ?? false;
+
+    const results = [];
+    const reserved = new Set();
+    for (let offset = 0; offset < rows.length; offset += BATCH_SIZE) {
+      const batch = rows.slice(offset, offset + BATCH_SIZE);
+      results.push(...(await importBatch(batch, offset, { user: req.user, dryRun, reserved })));
+    }
+
+    const failed = results.filter((result) => result.status === 'failed').length;
+    const succeeded = results.length - failed;
+    res.status(!dryRun && succeeded ? 201 : 200).json({
+      message: dryRun ? 'Dry run completed, nothing was imported' : 'Import completed',
+      dryRun,
+      summary: { total: results.length, [dryRun ? 'valid' : 'created']: succeeded, failed },
+      results,
+    });
+  };
+
+  const user = { _id: 'u1', role: 'user' };
+  let req, res, nextId, takenSlugs;
+
+  const importRequest = (type, body, query = {}) => ({
+    body,
+    query,
+    user,
+    is: (expected) => (expected === type ? type : false),
+  });
+
+  const post = (name, fields) => ({ name, description: 'Body', age: 30, ...fields });
+  const report = () => res.json.mock.calls[0][0];
+  const duplicate = (keyPattern) => Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern });
+
+  beforeEach(() => {
+    nextId = 0;
+    takenSlugs = [];
+    Post = class {
+      constructor(fields) {
+        Object.assign(this, fields);
+        nextId += 1;
+        this._id = `p${nextId}`;
+      }
+
+      async validate() {
+        if (this.age > 150) {
+          throw Object.assign(new Error('Validation failed'), {
+            name: 'ValidationError',
+            errors: { age: { path: 'age', message: 'age must be at most 150' } },
+          });
+        }
+      }
+    };
+    Post.find = jest.fn(async () => takenSlugs);
+    Post.insertMany = jest.fn(async (posts) => posts);
+    Category = { distinct: jest.fn(async () => ['c1']) };
+    recordCreations = jest.fn(async (posts) => posts);
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  const exported = (fields) => ({
+    _id: '665f1c2e8b3a4d0012345678',
+    slug: 'exported',
+    description: 'Body',
+    age: 30,
+    author: '665f1c2e8b3a4d0012345679',
+    tags: [],
+    category: null,
+    visibility: 'public',
+    publishedAt: null,
+    commentCount: 0,
+    createdAt: new Date('2026-01-01T00:00:00.000Z'),
+    updatedAt: new Date('2026-01-02T00:00:00.000Z'),
+    ...fields,
+  });
+
+  describe('importedStatus', () => {
+    it('should keep drafts and publish posts without a status', () => {
+      expect(importedStatus({ status: 'draft' })).toEqual({ status: 'draft', publishAt: null, publishedAt: null });
+      expect(importedStatus({})).toEqual({ status: 'published', publishAt: null, publishedAt: now });
+    });
+
+    it('should import archived posts archived', () => {
+      expect(importedStatus({ status: 'archived' })).toEqual({ status: 'archived', publishAt: null, publishedAt: null });
+    });
+
+    it('should schedule scheduled posts for their publication date', () => {
+      const publishAt = new Date('2026-04-01T00:00:00.000Z');
+
+      expect(importedStatus({ status: 'scheduled', publishAt })).toEqual({ status: 'scheduled', publishAt, publishedAt: null });
+      expect(importedStatus({ status: 'scheduled', publishAt: new Date('2026-01-01T00:00:00.000Z') }).status).toBe('published');
+    });
+
+    it('should import scheduled posts without a publication date as drafts', () => {
+      expect(importedStatus({ status: 'scheduled' })).toEqual({ status: 'draft', publishAt: null, publishedAt: null });
+    });
+
+    it('should reject archived posts with a publication date', () => {
+      expect(() => importedStatus({ status: 'archived', publishAt: now })).toThrow(
+        expect.objectContaining({ code: 'INVALID_STATUS', message: 'An archived post cannot have a publication date' })
+      );
+    });
+  });
+
+  describe('importing an exported file', () => {
+    it('should accept every status an export holds', () => {
+      const csv = exportCsv([
+        exported({ name: 'Draft', status: 'draft', tags: ['node', 'api'] }),
+        exported({ name: 'Scheduled', status: 'scheduled', visibility: 'unlisted' }),
+        exported({ name: 'Published', status: 'published', publishedAt: new Date('2026-01-02T00:00:00.000Z') }),
+        exported({ name: 'Archived', status: 'archived', visibility: 'private', description: 'Says "hi", twice' }),
+        exported({ name: '=SUM(A1)', status: 'published' }),
+      ]);
+
+      const posts = csvToPosts(csv).map(checkImportedPost);
+
+      expect(posts).toEqual([
+        { name: 'Draft', description: 'Body', age: 30, tags: ['node', 'api'], visibility: 'public', status: 'draft', publishAt: null, publishedAt: null },
+        { name: 'Scheduled', description: 'Body', age: 30, visibility: 'unlisted', status: 'draft', publishAt: null, publishedAt: null },
+        { name: 'Published', description: 'Body', age: 30, visibility: 'public', status: 'published', publishAt: null, publishedAt: now },
+        { name: 'Archived', description: 'Says "hi", twice', age: 30, visibility: 'private', status: 'archived', publishAt: null, publishedAt: null },
+        { name: '=SUM(A1)', description: 'Body', age: 30, visibility: 'public', status: 'published', publishAt: null, publishedAt: now },
+      ]);
+    });
+
+    it('should still reject statuses posts cannot have', () => {
+      const [row] = csvToPosts(exportCsv([exported({ name: 'Odd', status: 'deleted' })]));
+
+      expect(() => checkImportedPost(row)).toThrow(expect.objectContaining({
+        code: 'VALIDATION_ERROR',
+        errors: [{ field: 'status', message: 'status must be one of: draft, scheduled, published, archived' }],
+      }));
+    });
+  });
+
+  describe('importPosts', () => {
+    it('should report every row, in order, and create the valid posts', async () => {
+      req = importRequest('application/json', [
+        post('First'),
+        post('Missing age', { age: undefined }),
+        post('Too old', { age: 200 }),
+        post('Unknown category', { category: 'c2' }),
+        post('Last', { category: 'c1', tags: ['news'] }),
+      ]);
+
+      await importPosts(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(report()).toEqual({
+        message: 'Import completed',
+        dryRun: false,
+        summary: { total: 5, created: 2, failed: 3 },
+        results: [
+          { row: 1, status: 'created', id: 'p1', slug: 'first' },
+          { row: 2, status: 'failed', code: 'VALIDATION_ERROR', message: 'Validation failed', errors: [{ field: 'age', message: 'age is required' }] },
+          { row: 3, status: 'failed', code: 'VALIDATION_ERROR', message: 'Validation failed', errors: [{ field: 'age', message: 'age must be at most 150' }] },
+          { row: 4, status: 'failed', code: 'INVALID_CATEGORY', message: 'Category not found', errors: [{ field: 'category', message: 'Category not found' }] },
+          { row: 5, status: 'created', id: 'p3', slug: 'last' },
+        ],
+      });
+      expect(recordCreations).toHaveBeenCalledTimes(3);
+      expect(recordCreations.mock.calls.flatMap(([posts]) => posts.map((created) => created.name))).toEqual(['First', 'Last']);
+    });
+
+    it('should insert without stopping at the first failure', async () => {
+      req = importRequest('application/json', [post('A'), post('B')]);
+
+      await importPosts(req, res);
+
+      expect(Post.insertMany).toHaveBeenCalledWith(expect.any(Array), { ordered: false });
+    });
+
+    it('should map write errors to their rows, past the rows that failed validation', async () => {
+      // The second batch only inserts row 4, so writeErrors index 0 is row 4 (not row 3)
+      Post.insertMany
+        .mockResolvedValueOnce([])
+        .mockRejectedValueOnce(Object.assign(new Error('bulk write failed'), {
+          writeErrors: [{ index: 0, err: duplicate({ name: 1 }) }],
+        }));
+      req = importRequest('application/json', [post('A'), post('B'), post('C', { age: 200 }), post('D'), post('E')]);
+
+      await importPosts(req, res);
+
+      expect(report().summary).toEqual({ total: 5, created: 3, failed: 2 });
+      expect(report().results.map(({ row, status, code }) => ({ row, status, code }))).toEqual([
+        { row: 1, status: 'created', code: undefined },
+        { row: 2, status: 'created', code: undefined },
+        { row: 3, status: 'failed', code: 'VALIDATION_ERROR' },
+        { row: 4, status: 'failed', code: 'DUPLICATE_KEY' },
+        { row: 5, status: 'created', code: undefined },
+      ]);
+      expect(report().results[3]).toEqual(expect.objectContaining({
+        message: 'Duplicate value for name',
+        errors: [{ field: 'name', message: 'name already exists' }],
+      }));
+    });
+
+    it('should retry posts whose slug was taken by a concurrent write', async () => {
+      Post.insertMany.mockImplementationOnce(async () => {
+        takenSlugs = ['a'];
+        throw Object.assign(new Error('bulk write failed'), { writeErrors: [{ index: 0, err: duplicate({ slug: 1 }) }] });
+      });
+      req = importRequest('application/json', [post('A'), post('B')]);
+
+      await importPosts(req, res);
+
+      expect(Post.insertMany).toHaveBeenCalledTimes(2);
+      expect(Post.insertMany.mock.calls[1][0].map((retried) => retried.name)).toEqual(['A']);
+      expect(report().results).toEqual([
+        { row: 1, status: 'created', id: 'p1', slug: 'a-2' },
+        { row: 2, status: 'created', id: 'p2', slug: 'b' },
+      ]);
+    });
+
+    it('should give posts with the same name distinct slugs, within and across batches', async () => {
+      takenSlugs = ['hello'];
+      req = importRequest('application/json', [post('Hello'), post('Hello'), post('Hello!')]);
+
+      await importPosts(req, res);
+
+      expect(report().results.map((result) => result.slug)).toEqual(['hello-2', 'hello-3', 'hello-4']);
+    });
+
+    it('should import CSV files like JSON arrays', async () => {
+      const json = [post('First', { tags: ['a', 'b'] }), post('Second', { age: 'old' })];
+      const csv = 'name,description,age,tags\r\nFirst,Body,30,a;b\r\nSecond,Body,old,\r\n';
+
+      await importPosts(importRequest('application/json', json), res);
+      const fromJson = report();
+      res.json.mockClear();
+      nextId = 0;
+      await importPosts(importRequest('text/csv', csv), res);
+
+      expect(report()).toEqual(fromJson);
+      expect(Post.insertMany.mock.calls[1][0]).toEqual([expect.objectContaining({ name: 'First', age: 30, tags: ['a', 'b'] })]);
+    });
+
+    it('should import CSV files saved with a byte order mark', async () => {
+      await importPosts(importRequest('text/csv', '\uFEFF"name",description,age\r\nFirst,Body,30\r\n'), res);
+
+      expect(report().results).toEqual([expect.objectContaining({ row: 1, status: 'created' })]);
+      expect(Post.insertMany.mock.calls[0][0]).toEqual([expect.objectContaining({ name: 'First', age: 30 })]);
+    });
+
+    it('should reject the whole CSV file when a quoted cell is never closed', async () => {
+      const csv = 'name,description,age\r\nFirst,"Body,30\r\nSecond,Body,31\r\n';
+
+      await expect(importPosts(importRequest('text/csv', csv), res)).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'INVALID_CSV',
+        message: 'Unterminated quoted cell starting on line 2',
+      });
+      expect(Post.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject bodies that are neither JSON arrays nor CSV', async () => {
+      await expect(importPosts(importRequest('application/json', { name: 'A' }), res)).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'INVALID_IMPORT',
+      });
+      await expect(importPosts(importRequest('text/plain', 'name\nA'), res)).rejects.toMatchObject({
+        statusCode: 415,
+        code: 'UNSUPPORTED_MEDIA_TYPE',
+      });
+      await expect(importPosts(importRequest('application/json', Array(MAX_ROWS + 1).fill(post('A'))), res)).rejects.toMatchObject({
+        statusCode: 413,
+        code: 'TOO_MANY_ROWS',
+      });
+      expect(Post.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should check everything without writing on dry runs', async () => {
+      req = importRequest('application/json', [post('A'), post('A', { age: 200 })], { dryRun: true });
+
+      await importPosts(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(report()).toEqual({
+        message: 'Dry run completed, nothing was imported',
+        dryRun: true,
+        summary: { total: 2, valid: 1, failed: 1 },
+        results: [
+          { row: 1, status: 'valid', slug: 'a' },
+          { row: 2, status: 'failed', code: 'VALIDATION_ERROR', message: 'Validation failed', errors: [{ field: 'age', message: 'age must be at most 150' }] },
+        ],
+      });
+      expect(Post.insertMany).not.toHaveBeenCalled();
+      expect(recordCreations).not.toHaveBeenCalled();
+    });
+
+    it('should respond 200 when no post could be created', async () => {
+      req = importRequest('application/json', [post('A', { age: 200 })]);
+
+      await importPosts(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(report().summary).toEqual({ total: 1, created: 0, failed: 1 });
+    });
+
+    it('should fail the whole import on errors that are not write errors', async () => {
+      Post.insertMany.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(importPosts(importRequest('application/json', [post('A')]), res)).rejects.toThrow('connection lost');
+      expect(res.json).not.toHaveBeenCalled();
+    });
+  });
+});
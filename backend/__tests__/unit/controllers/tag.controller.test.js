@@ -0,0 +1,103 @@
+// Tag Controller Tests
+// Tag rename / merge rewriting the posts and recording their revisions
+
+describe('Tag Controller', () => {
+  let Post, recordRevision, posts, currentTarget;
+
+  const replacedTags = (tags, sources, target) => [
+    ...new Set(tags.map((tag) => (sources.includes(tag) ? target : tag))),
+  ];
+
+  const replaceTags = async (sources, target, { editor, action }) => {
+    let modifiedCount = 0;
+    for (;;) {
+      const before = await Post.findOneAndUpdate(
+        { tags: { $in: sources } },
+        [{ $set: { tags: 'replaced', version: 'bumped', updatedAt: '$$NOW' } }],
+        { returnDocument: 'before', updatePipeline: true, timestamps: false }
+      ).lean();
+      if (!before) return modifiedCount;
+
+      modifiedCount += 1;
+      const after = { ...before, tags: replacedTags(before.tags, sources, target) };
+      await recordRevision({ before, after, editor, action });
+    }
+  };
+
+  // Collection applying the update pipeline to the first matching post; returns it as it was
+  const usePosts = (docs) => {
+    posts = docs;
+    Post.findOneAndUpdate.mockImplementation((filter) => ({
+      lean: async () => {
+        const sources = filter.tags.$in;
+        const post = posts.find((candidate) => candidate.tags.some((tag) => sources.includes(tag)));
+        if (!post) return null;
+        const before = { ...post, tags: [...post.tags] };
+        post.tags = replacedTags(post.tags, sources, currentTarget);
+        post.version += 1;
+        return before;
+      },
+    }));
+  };
+
+  beforeEach(() => {
+    Post = { findOneAndUpdate: jest.fn() };
+    recordRevision = jest.fn(async () => ({}));
+  });
+
+  describe('replacedTags', () => {
+    it('should keep the position of the first replaced tag and drop duplicates', () => {
+      expect(replacedTags(['a', 'nodejs', 'b', 'node', 'node-js'], ['nodejs', 'node'], 'node-js')).toEqual([
+        'a',
+        'node-js',
+        'b',
+      ]);
+    });
+  });
+
+  describe('replaceTags', () => {
+    it('should rewrite every post carrying the tag and record a revision of each', async () => {
+      currentTarget = 'node-js';
+      usePosts([
+        { _id: 'p1', author: 'u1', name: 'One', tags: ['nodejs', 'api'], version: 2 },
+        { _id: 'p2', author: 'u2', name: 'Two', tags: ['css'], version: 1 },
+        { _id: 'p3', author: 'u2', name: 'Three', tags: ['nodejs'], version: 5 },
+      ]);
+
+      const modifiedCount = await replaceTags(['nodejs'], 'node-js', { editor: 'm1', action: 'tag-rename' });
+
+      expect(modifiedCount).toBe(2);
+      expect(posts.map((post) => post.tags)).toEqual([['node-js', 'api'], ['css'], ['node-js']]);
+      expect(recordRevision).toHaveBeenCalledTimes(2);
+      expect(recordRevision).toHaveBeenCalledWith({
+        before: expect.objectContaining({ _id: 'p1', tags: ['nodejs', 'api'] }),
+        after: expect.objectContaining({ _id: 'p1', name: 'One', tags: ['node-js', 'api'] }),
+        editor: 'm1',
+        action: 'tag-rename',
+      });
+    });
+
+    it('should record merges with the merged tags', async () => {
+      currentTarget = 'node-js';
+      usePosts([{ _id: 'p1', author: 'u1', tags: ['node', 'node-js', 'nodejs'], version: 1 }]);
+
+      await replaceTags(['nodejs', 'node'], 'node-js', { editor: 'a1', action: 'tag-merge' });
+
+      expect(recordRevision).toHaveBeenCalledWith(
+        expect.objectContaining({
+          before: expect.objectContaining({ tags: ['node', 'node-js', 'nodejs'] }),
+          after: expect.objectContaining({ tags: ['node-js'] }),
+          action: 'tag-merge',
+        })
+      );
+    });
+
+    it('should stop without a revision when no post carries the tags', async () => {
+      currentTarget = 'node-js';
+      usePosts([{ _id: 'p1', tags: ['css'], version: 1 }]);
+
+      expect(await replaceTags(['nodejs'], 'node-js', { editor: 'm1', action: 'tag-rename' })).toBe(0);
+      expect(recordRevision).not.toHaveBeenCalled();
+    });
+  });
+});
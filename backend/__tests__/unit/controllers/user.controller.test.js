@@ -0,0 +1,321 @@
+/**
+ * User Controller Unit Tests
+ *
+ * Covers refresh token rotation: a refresh token can be exchanged exactly once,
+ * and replaying an already-used token revokes the whole token family.
+ * Also covers server-side logout: the caller's access token is revoked and
+ * "log out everywhere" invalidates every token issued before it.
+ */
+const crypto = require('crypto');
+
+describe('User Controller', () => {
+  let req, res, User, RefreshToken, tokens, controller;
+
+  const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+  // Minimal copies of utils/errors.js and the error middleware
+  class AppError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  class UnauthorizedError extends AppError {
+    constructor(message, code) {
+      super(message, 401, code);
+    }
+  }
+
+  const errorHandler = (error, req, res) => {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: 'Internal server error', code: 'INTERNAL_ERROR' });
+  };
+
+  // Controllers run behind asyncHandler; errors end up in errorHandler
+  const asyncHandler = (handler) => (req, res) =>
+    Promise.resolve(handler(req, res)).catch((error) => errorHandler(error, req, res));
+
+  beforeEach(() => {
+    // Mock models
+    User = {
+      findById: jest.fn(),
+    };
+    User.updateOne = jest.fn().mockResolvedValue({});
+    RefreshToken = {
+      findOneAndUpdate: jest.fn(),
+      findOne: jest.fn(),
+      updateMany: jest.fn().mockResolvedValue({}),
+    };
+
+    // Mock token helpers
+    tokens = {
+      generateAccessToken: jest.fn().mockReturnValue('access-token'),
+      issueRefreshToken: jest.fn().mockResolvedValue({ token: 'next-refresh-token' }),
+      revokeAccessToken: jest.fn().mockResolvedValue(),
+      revokeUserRefreshTokens: jest.fn().mockResolvedValue(),
+      revokeTokenFamily: (family, reason) =>
+        RefreshToken.updateMany(
+          { family, revokedAt: null },
+          { revokedAt: new Date(), revokedReason: reason }
+        ),
+    };
+
+    req = { body: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    controller = {
+      refreshAccessToken: asyncHandler(async (req, res) => {
+        const { refreshToken } = req.body;
+
+        const tokenHash = hashToken(refreshToken);
+        const now = new Date();
+
+        const stored = await RefreshToken.findOneAndUpdate(
+          { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+          { usedAt: now },
+          { new: true }
+        );
+
+        if (!stored) {
+          const existing = await RefreshToken.findOne({ tokenHash });
+          if (!existing) {
+            throw new UnauthorizedError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+          }
+          if (existing.usedAt) {
+            await tokens.revokeTokenFamily(existing.family, 'reuse');
+            throw new UnauthorizedError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
+          }
+          if (existing.revokedAt) {
+            throw new UnauthorizedError('Refresh token revoked', 'REFRESH_TOKEN_REVOKED');
+          }
+          throw new UnauthorizedError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+        }
+
+        const user = await User.findById(stored.user);
+        if (!user) {
+          await tokens.revokeTokenFamily(stored.family, 'user-deleted');
+          throw new UnauthorizedError('User not found', 'USER_NOT_FOUND');
+        }
+
+        const { token: nextRefreshToken } = await tokens.issueRefreshToken(user._id, stored.family);
+        stored.replacedBy = hashToken(nextRefreshToken);
+        await stored.save();
+
+        res.status(200).json({
+          message: 'Token refreshed',
+          token: tokens.generateAccessToken(user),
+          refreshToken: nextRefreshToken,
+        });
+      }),
+
+      logoutUser: asyncHandler(async (req, res) => {
+        const { all: logoutEverywhere = false, refreshToken } = req.body;
+
+        await tokens.revokeAccessToken(req.auth, 'logout');
+
+        if (logoutEverywhere) {
+          await User.updateOne({ _id: req.user._id }, { tokensValidAfter: new Date() });
+          await tokens.revokeUserRefreshTokens(req.user._id, 'logout-all');
+        } else if (refreshToken) {
+          const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), user: req.user._id });
+          if (stored) {
+            await tokens.revokeTokenFamily(stored.family, 'logout');
+          }
+        }
+
+        res.status(200).json({
+          message: logoutEverywhere ? 'Logged out from all sessions' : 'Logout successful',
+        });
+      }),
+    };
+  });
+
+  describe('refreshAccessToken', () => {
+    it('should rotate a valid refresh token within the same family', async () => {
+      const stored = { user: 'user123', family: 'family-1', save: jest.fn() };
+      req.body.refreshToken = 'current-refresh-token';
+      RefreshToken.findOneAndUpdate.mockResolvedValue(stored);
+      User.findById.mockResolvedValue({ _id: 'user123' });
+
+      await controller.refreshAccessToken(req, res);
+
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: hashToken('current-refresh-token'), usedAt: null, revokedAt: null }),
+        { usedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(tokens.issueRefreshToken).toHaveBeenCalledWith('user123', 'family-1');
+      expect(stored.replacedBy).toBe(hashToken('next-refresh-token'));
+      expect(stored.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Token refreshed',
+        token: 'access-token',
+        refreshToken: 'next-refresh-token',
+      });
+    });
+
+    it('should never store the raw refresh token', async () => {
+      req.body.refreshToken = 'raw-token';
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      await controller.refreshAccessToken(req, res);
+
+      const [filter] = RefreshToken.findOneAndUpdate.mock.calls[0];
+      expect(filter.tokenHash).not.toBe('raw-token');
+      expect(filter.tokenHash).toHaveLength(64);
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      req.body.refreshToken = 'unknown';
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      await controller.refreshAccessToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid refresh token', code: 'REFRESH_TOKEN_INVALID' });
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the whole family when a used token is replayed', async () => {
+      req.body.refreshToken = 'stolen';
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue({ family: 'family-1', usedAt: new Date() });
+
+      await controller.refreshAccessToken(req, res);
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-1', revokedAt: null },
+        { revokedAt: expect.any(Date), revokedReason: 'reuse' }
+      );
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Refresh token reuse detected', code: 'REFRESH_TOKEN_REUSED' });
+      expect(tokens.issueRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it('should reject a revoked token without treating it as reuse', async () => {
+      req.body.refreshToken = 'revoked';
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue({ family: 'family-1', usedAt: null, revokedAt: new Date() });
+
+      await controller.refreshAccessToken(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ message: 'Refresh token revoked', code: 'REFRESH_TOKEN_REVOKED' });
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expired token', async () => {
+      req.body.refreshToken = 'expired';
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue({ family: 'family-1', usedAt: null, revokedAt: null });
+
+      await controller.refreshAccessToken(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ message: 'Refresh token expired', code: 'REFRESH_TOKEN_EXPIRED' });
+    });
+
+    it('should revoke the family when the user no longer exists', async () => {
+      req.body.refreshToken = 'orphan';
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ user: 'gone', family: 'family-2' });
+      User.findById.mockResolvedValue(null);
+
+      await controller.refreshAccessToken(req, res);
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-2', revokedAt: null },
+        expect.objectContaining({ revokedReason: 'user-deleted' })
+      );
+      expect(res.json).toHaveBeenCalledWith({ message: 'User not found', code: 'USER_NOT_FOUND' });
+    });
+
+    it('should handle database errors', async () => {
+      req.body.refreshToken = 'any';
+      RefreshToken.findOneAndUpdate.mockRejectedValue(new Error('DB Error'));
+
+      await controller.refreshAccessToken(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('logoutUser', () => {
+    const auth = { id: 'user123', jti: 'jti-123', exp: Math.floor(Date.now() / 1000) + 900 };
+
+    beforeEach(() => {
+      // Body has already been validated by logoutSchema
+      req = { body: {}, user: { _id: 'user123' }, auth };
+    });
+
+    it('should revoke the access token from the Authorization header', async () => {
+      await controller.logoutUser(req, res);
+
+      expect(tokens.revokeAccessToken).toHaveBeenCalledWith(auth, 'logout');
+      expect(User.updateOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Logout successful' });
+    });
+
+    it('should revoke the refresh token family of the session when provided', async () => {
+      req.body = { refreshToken: 'session-refresh-token' };
+      RefreshToken.findOne.mockResolvedValue({ family: 'family-1' });
+
+      await controller.logoutUser(req, res);
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({
+        tokenHash: hashToken('session-refresh-token'),
+        user: 'user123',
+      });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-1', revokedAt: null },
+        expect.objectContaining({ revokedReason: 'logout' })
+      );
+    });
+
+    it('should ignore a refresh token that belongs to someone else', async () => {
+      req.body = { refreshToken: 'foreign-token' };
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      await controller.logoutUser(req, res);
+
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should log out everywhere when all is true', async () => {
+      req.body = { all: true };
+
+      await controller.logoutUser(req, res);
+
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user123' }, { tokensValidAfter: expect.any(Date) });
+      expect(tokens.revokeUserRefreshTokens).toHaveBeenCalledWith('user123', 'logout-all');
+      expect(res.json).toHaveBeenCalledWith({ message: 'Logged out from all sessions' });
+    });
+
+    it('should record the exact time of the logout, without rounding', async () => {
+      req.body = { all: true };
+      const before = Date.now();
+
+      await controller.logoutUser(req, res);
+
+      const [, { tokensValidAfter }] = User.updateOne.mock.calls[0];
+      expect(tokensValidAfter.getTime()).toBeGreaterThanOrEqual(before);
+      expect(tokensValidAfter.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should handle database errors', async () => {
+      tokens.revokeAccessToken.mockRejectedValue(new Error('DB Error'));
+
+      await controller.logoutUser(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// Publish Scheduler Job Tests
+// Promotion of scheduled posts once their publication date has passed
+
+describe('Publish Scheduler Job', () => {
+  const PUBLISH_SCHEDULER = { INTERVAL_SECONDS: 60 };
+  let Post;
+
+  const publishDuePosts = async (now = new Date()) => {
+    const { modifiedCount } = await Post.updateMany(
+      { status: 'scheduled', publishAt: { $lte: now }, deletedAt: null },
+      [
+        {
+          $set: {
+            status: 'published',
+            publishedAt: '$publishAt',
+            publishAt: null,
+            version: { $add: [{ $ifNull: ['$version', 1] }, 1] },
+            updatedAt: '$$NOW',
+          },
+        },
+      ],
+      { updatePipeline: true, timestamps: false }
+    );
+    return modifiedCount;
+  };
+
+  const startPublishScheduler = () => {
+    const seconds = Number(process.env.PUBLISH_INTERVAL_SECONDS) || PUBLISH_SCHEDULER.INTERVAL_SECONDS;
+
+    const run = async () => {
+      try {
+        const published = await publishDuePosts();
+        if (published) console.log(`Publish scheduler: ${published} scheduled post(s) published`);
+      } catch (error) {
+        console.error('Publish scheduler failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, seconds * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+  };
+
+  beforeEach(() => {
+    Post = { updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 }) };
+    delete process.env.PUBLISH_INTERVAL_SECONDS;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.PUBLISH_INTERVAL_SECONDS;
+  });
+
+  it('should publish the live scheduled posts that are due', async () => {
+    Post.updateMany.mockResolvedValue({ modifiedCount: 3 });
+    const now = new Date('2026-05-01T12:00:00.000Z');
+
+    expect(await publishDuePosts(now)).toBe(3);
+
+    const [filter] = Post.updateMany.mock.calls[0];
+    expect(filter).toEqual({ status: 'scheduled', publishAt: { $lte: now }, deletedAt: null });
+  });
+
+  it('should keep the intended publication date and bump the version', async () => {
+    await publishDuePosts();
+
+    const [, [{ $set }], options] = Post.updateMany.mock.calls[0];
+    expect($set).toMatchObject({ status: 'published', publishedAt: '$publishAt', publishAt: null });
+    expect($set.version).toEqual({ $add: [{ $ifNull: ['$version', 1] }, 1] });
+    expect(options).toEqual({ updatePipeline: true, timestamps: false });
+  });
+
+  it('should run immediately, so posts due during downtime are published at startup', () => {
+    jest.useFakeTimers();
+
+    const stop = startPublishScheduler();
+
+    expect(Post.updateMany).toHaveBeenCalledTimes(1);
+    stop();
+  });
+
+  it('should run on every interval until stopped', () => {
+    jest.useFakeTimers();
+    process.env.PUBLISH_INTERVAL_SECONDS = '10';
+
+    const stop = startPublishScheduler();
+    jest.advanceTimersByTime(30 * 1000);
+    expect(Post.updateMany).toHaveBeenCalledTimes(4);
+
+    stop();
+    jest.advanceTimersByTime(60 * 1000);
+    expect(Post.updateMany).toHaveBeenCalledTimes(4);
+  });
+
+  it('should fall back to the default interval for invalid values', () => {
+    jest.useFakeTimers();
+    process.env.PUBLISH_INTERVAL_SECONDS = 'abc';
+
+    const stop = startPublishScheduler();
+    jest.advanceTimersByTime(59 * 1000);
+    expect(Post.updateMany).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1000);
+    expect(Post.updateMany).toHaveBeenCalledTimes(2);
+    stop();
+  });
+
+  it('should keep running after a failure', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    Post.updateMany.mockRejectedValueOnce(new Error('db down'));
+
+    const stop = startPublishScheduler();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(consoleSpy).toHaveBeenCalledWith('Publish scheduler failed:', expect.any(Error));
+    stop();
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,159 @@
+// Trash Purge Job Tests
+// Automatic permanent deletion of posts after the trash retention period
+
+describe('Trash Purge Job', () => {
+  const TRASH = { RETENTION_DAYS: 30, PURGE_INTERVAL_MINUTES: 60 };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let Post, PostRevision, Comment, Reaction, removeAttachments, removeOrphanedAttachments;
+
+  const getTrashRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || TRASH.RETENTION_DAYS;
+
+  const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS);
+
+  const purgeExpiredPosts = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+    const expired = await Post.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').lean();
+    if (!expired.length) return 0;
+
+    const ids = expired.map((post) => post._id);
+    const { deletedCount } = await Post.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null, $lte: cutoff } });
+
+    const survivors = new Set((await Post.distinct('_id', { _id: { $in: ids } })).map(String));
+    const purgedIds = ids.filter((id) => !survivors.has(String(id)));
+    if (purgedIds.length) {
+      await Promise.all([
+        PostRevision.deleteMany({ post: { $in: purgedIds } }),
+        Comment.deleteMany({ post: { $in: purgedIds } }),
+        Reaction.deleteMany({ post: { $in: purgedIds } }),
+        removeAttachments(purgedIds),
+      ]);
+    }
+    return deletedCount;
+  };
+
+  const startTrashPurgeJob = () => {
+    const minutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || TRASH.PURGE_INTERVAL_MINUTES;
+
+    const run = async () => {
+      try {
+        await purgeExpiredPosts();
+        await removeOrphanedAttachments();
+      } catch (error) {
+        console.error('Trash purge failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, minutes * 60 * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+  };
+
+  beforeEach(() => {
+    const expired = [{ _id: 'p1' }, { _id: 'p2' }];
+    Post = {
+      find: jest.fn(() => ({ select: () => ({ lean: () => Promise.resolve(expired) }) })),
+      deleteMany: jest.fn().mockResolvedValue({ deletedCount: 2 }),
+      distinct: jest.fn().mockResolvedValue([]),
+    };
+    PostRevision = { deleteMany: jest.fn().mockResolvedValue({ deletedCount: 5 }) };
+    Comment = { deleteMany: jest.fn().mockResolvedValue({ deletedCount: 3 }) };
+    Reaction = { deleteMany: jest.fn().mockResolvedValue({ deletedCount: 4 }) };
+    removeAttachments = jest.fn().mockResolvedValue(2);
+    removeOrphanedAttachments = jest.fn().mockResolvedValue(0);
+    delete process.env.TRASH_RETENTION_DAYS;
+    delete process.env.TRASH_PURGE_INTERVAL_MINUTES;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  it('should delete posts trashed before the retention period', async () => {
+    const now = new Date('2026-03-31T00:00:00.000Z');
+
+    const purged = await purgeExpiredPosts(now);
+
+    const cutoff = new Date('2026-03-01T00:00:00.000Z');
+    expect(purged).toBe(2);
+    expect(Post.find).toHaveBeenCalledWith({ deletedAt: { $ne: null, $lte: cutoff } });
+    expect(Post.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: ['p1', 'p2'] },
+      deletedAt: { $ne: null, $lte: cutoff },
+    });
+    expect(PostRevision.deleteMany).toHaveBeenCalledWith({ post: { $in: ['p1', 'p2'] } });
+    expect(Comment.deleteMany).toHaveBeenCalledWith({ post: { $in: ['p1', 'p2'] } });
+    expect(Reaction.deleteMany).toHaveBeenCalledWith({ post: { $in: ['p1', 'p2'] } });
+    expect(removeAttachments).toHaveBeenCalledWith(['p1', 'p2']);
+  });
+
+  it('should keep the revisions, comments, reactions and attachments of posts restored during the purge', async () => {
+    Post.deleteMany.mockResolvedValue({ deletedCount: 1 });
+    Post.distinct.mockResolvedValue(['p2']);
+
+    await purgeExpiredPosts();
+
+    expect(PostRevision.deleteMany).toHaveBeenCalledWith({ post: { $in: ['p1'] } });
+    expect(Comment.deleteMany).toHaveBeenCalledWith({ post: { $in: ['p1'] } });
+    expect(Reaction.deleteMany).toHaveBeenCalledWith({ post: { $in: ['p1'] } });
+    expect(removeAttachments).toHaveBeenCalledWith(['p1']);
+  });
+
+  it('should do nothing when no post expired', async () => {
+    Post.find.mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+
+    expect(await purgeExpiredPosts()).toBe(0);
+    expect(Post.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('should read the retention period from the environment', async () => {
+    process.env.TRASH_RETENTION_DAYS = '7';
+
+    expect(getPurgeDate(new Date('2026-01-01T00:00:00.000Z'))).toEqual(new Date('2026-01-08T00:00:00.000Z'));
+  });
+
+  it('should fall back to the default for invalid values', () => {
+    process.env.TRASH_RETENTION_DAYS = 'abc';
+
+    expect(getTrashRetentionDays()).toBe(30);
+  });
+
+  it('should run immediately and then on every interval', () => {
+    jest.useFakeTimers();
+    process.env.TRASH_PURGE_INTERVAL_MINUTES = '5';
+
+    const stop = startTrashPurgeJob();
+    expect(Post.find).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(Post.find).toHaveBeenCalledTimes(2);
+
+    stop();
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    expect(Post.find).toHaveBeenCalledTimes(2);
+  });
+
+  it('should remove orphaned attachments on every run', async () => {
+    Post.find.mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+
+    const stop = startTrashPurgeJob();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(removeOrphanedAttachments).toHaveBeenCalledTimes(1);
+    stop();
+  });
+
+  it('should keep running after a failure', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    Post.find.mockImplementationOnce(() => ({ select: () => ({ lean: () => Promise.reject(new Error('db down')) }) }));
+
+    const stop = startTrashPurgeJob();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(consoleSpy).toHaveBeenCalledWith('Trash purge failed:', expect.any(Error));
+    stop();
+    consoleSpy.mockRestore();
+  });
+});
@@ -12,7 +12,7 @@
  * - Missing or invalid authorization headers
  * - Invalid and expired JWT tokens
  * - User existence verification in database
- * - Edge cases (extra spaces, case sensitivity)
+ * - Header parsing (extra whitespace, case-insensitive scheme)
  * - Database error handling
  * - Token expiration scenarios
  * 
@@ -54,9 +54,13 @@
 const jwt = require('jsonwebtoken');
 
 describe('Auth Middleware Logic', () => {
-  let req, res, next, User;
+  let req, res, next, User, isAccessTokenRevoked;
   const SECRET = process.env.JWT_SECRET || 'test-secret-key';
 
+  // Every access token carries a jti so it can be revoked on logout
+  const signToken = (payload, secret, options = {}) =>
+    jwt.sign(payload, secret, { jwtid: 'jti-123', ...options });
+
   beforeEach(() => {
     req = { headers: {} };
     res = {
@@ -70,41 +74,72 @@ describe('Auth Middleware Logic', () => {
       findById: jest.fn(),
     };
 
+    // Mock revocation list lookup
+    isAccessTokenRevoked = jest.fn().mockResolvedValue(false);
+
     jest.clearAllMocks();
   });
 
+  const BEARER_PATTERN = /^\s*bearer\s+(\S+)\s*$/i;
+
+  const extractBearerToken = (header) => {
+    if (typeof header !== 'string') return null;
+    const match = header.match(BEARER_PATTERN);
+    return match ? match[1] : null;
+  };
+
   const verifyToken = async (req, res, next) => {
-    try {
-      const authHeader = req.headers.authorization;
+    const token = extractBearerToken(req.headers.authorization);
+    if (!token) {
+      return res
+        .status(401)
+        .json({ message: 'Access token required', code: 'TOKEN_MISSING' });
+    }
 
-      if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ message: 'Access token required' });
+    let decoded;
+    try {
+      decoded = jwt.verify(token, SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
       }
+      return res.status(401).json({ message: 'Invalid token', code: 'TOKEN_INVALID' });
+    }
+
+    if (!decoded || !decoded.id || !decoded.jti) {
+      return res.status(401).json({ message: 'Invalid token', code: 'TOKEN_INVALID' });
+    }
 
-      const token = authHeader.split(' ')[1];
-      const decoded = jwt.verify(token, SECRET);
+    try {
+      if (await isAccessTokenRevoked(decoded.jti)) {
+        return res.status(401).json({ message: 'Token revoked', code: 'TOKEN_REVOKED' });
+      }
 
       const user = await User.findById(decoded.id);
       if (!user) {
-        return res.status(401).json({ message: 'User not found' });
+        return res.status(401).json({ message: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+
+      const issuedAt = Number.isFinite(decoded.iatMs) ? decoded.iatMs : decoded.iat * 1000;
+      if (user.tokensValidAfter && issuedAt <= user.tokensValidAfter.getTime()) {
+        return res.status(401).json({ message: 'Token revoked', code: 'TOKEN_REVOKED' });
       }
 
       req.user = user;
+      req.auth = decoded;
       next();
     } catch (error) {
-      if (error.name === 'TokenExpiredError') {
-        return res.status(401).json({ message: 'Token expired' });
-      }
-
-      if (error.name === 'JsonWebTokenError') {
-        return res.status(401).json({ message: 'Invalid token' });
-      }
-
-      console.error('Auth middleware error:', error);
-      return res.status(500).json({ message: 'Internal server error' });
+      return res
+        .status(500)
+        .json({ message: 'Internal server error', code: 'INTERNAL_ERROR' });
     }
   };
 
+  const optionalAuth = (req, res, next) => {
+    if (req.headers.authorization === undefined) return next();
+    return verifyToken(req, res, next);
+  };
+
   describe('Valid Authentication', () => {
     it('should authenticate with valid Bearer token', async () => {
       const mockUser = {
@@ -113,7 +148,7 @@ describe('Auth Middleware Logic', () => {
         email: 'test@example.com',
       };
 
-      const token = jwt.sign({ id: 'user123' }, SECRET);
+      const token = signToken({ id: 'user123' }, SECRET);
       req.headers.authorization = `Bearer ${token}`;
       User.findById.mockResolvedValue(mockUser);
 
@@ -133,7 +168,7 @@ describe('Auth Middleware Logic', () => {
         role: 'admin',
       };
 
-      const token = jwt.sign({ id: 'user456' }, SECRET);
+      const token = signToken({ id: 'user456' }, SECRET);
       req.headers.authorization = `Bearer ${token}`;
       User.findById.mockResolvedValue(mockUser);
 
@@ -144,6 +179,54 @@ describe('Auth Middleware Logic', () => {
     });
   });
 
+  describe('Optional Authentication', () => {
+    it('should let requests without authorization header through anonymously', async () => {
+      await optionalAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBeUndefined();
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should authenticate requests with a valid token', async () => {
+      const mockUser = { _id: 'user123', username: 'testuser' };
+      req.headers.authorization = `Bearer ${signToken({ id: 'user123' }, SECRET)}`;
+      User.findById.mockResolvedValue(mockUser);
+
+      await optionalAuth(req, res, next);
+
+      expect(req.user).toEqual(mockUser);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject invalid tokens instead of falling back to anonymous', async () => {
+      req.headers.authorization = 'Bearer not-a-token';
+
+      await optionalAuth(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token', code: 'TOKEN_INVALID' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject expired tokens', async () => {
+      req.headers.authorization = `Bearer ${signToken({ id: 'user123' }, SECRET, { expiresIn: '-1s' })}`;
+
+      await optionalAuth(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty authorization header', async () => {
+      req.headers.authorization = '';
+
+      await optionalAuth(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({ message: 'Access token required', code: 'TOKEN_MISSING' });
+    });
+  });
+
   describe('Missing or Invalid Headers', () => {
     it('should reject request without authorization header', async () => {
       await verifyToken(req, res, next);
@@ -151,6 +234,7 @@ describe('Auth Middleware Logic', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'Access token required',
+        code: 'TOKEN_MISSING',
       });
       expect(next).not.toHaveBeenCalled();
       expect(User.findById).not.toHaveBeenCalled();
@@ -164,11 +248,12 @@ describe('Auth Middleware Logic', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'Access token required',
+        code: 'TOKEN_MISSING',
       });
     });
 
     it('should reject header without Bearer prefix', async () => {
-      const token = jwt.sign({ id: 'user123' }, SECRET);
+      const token = signToken({ id: 'user123' }, SECRET);
       req.headers.authorization = token; // Missing "Bearer "
 
       await verifyToken(req, res, next);
@@ -176,6 +261,7 @@ describe('Auth Middleware Logic', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'Access token required',
+        code: 'TOKEN_MISSING',
       });
     });
 
@@ -184,11 +270,12 @@ describe('Auth Middleware Logic', () => {
 
       await verifyToken(req, res, next);
 
-      // Empty string causes jwt.verify to throw JsonWebTokenError
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
-        message: 'Invalid token',
+        message: 'Access token required',
+        code: 'TOKEN_MISSING',
       });
+      expect(User.findById).not.toHaveBeenCalled();
     });
   });
 
@@ -201,12 +288,13 @@ describe('Auth Middleware Logic', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'Invalid token',
+        code: 'TOKEN_INVALID',
       });
       expect(next).not.toHaveBeenCalled();
     });
 
     it('should reject token signed with wrong secret', async () => {
-      const token = jwt.sign({ id: 'user123' }, 'wrong-secret-key');
+      const token = signToken({ id: 'user123' }, 'wrong-secret-key');
       req.headers.authorization = `Bearer ${token}`;
 
       await verifyToken(req, res, next);
@@ -214,11 +302,12 @@ describe('Auth Middleware Logic', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'Invalid token',
+        code: 'TOKEN_INVALID',
       });
     });
 
     it('should reject expired token', async () => {
-      const expiredToken = jwt.sign({ id: 'user123' }, SECRET, {
+      const expiredToken = signToken({ id: 'user123' }, SECRET, {
         expiresIn: '-1h',
       });
       req.headers.authorization = `Bearer ${expiredToken}`;
@@ -228,14 +317,103 @@ describe('Auth Middleware Logic', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'Token expired',
+        code: 'TOKEN_EXPIRED',
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Revoked Tokens', () => {
+    it('should reject a token without a jti claim', async () => {
+      const token = jwt.sign({ id: 'user123' }, SECRET);
+      req.headers.authorization = `Bearer ${token}`;
+
+      await verifyToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid token',
+        code: 'TOKEN_INVALID',
+      });
+      expect(isAccessTokenRevoked).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token on the revocation list', async () => {
+      const token = signToken({ id: 'user123' }, SECRET);
+      req.headers.authorization = `Bearer ${token}`;
+      isAccessTokenRevoked.mockResolvedValue(true);
+
+      await verifyToken(req, res, next);
+
+      expect(isAccessTokenRevoked).toHaveBeenCalledWith('jti-123');
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Token revoked',
+        code: 'TOKEN_REVOKED',
+      });
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token issued before the user logged out everywhere', async () => {
+      const iat = Math.floor(Date.now() / 1000) - 60;
+      const token = signToken({ id: 'user123', iat }, SECRET);
+      req.headers.authorization = `Bearer ${token}`;
+      User.findById.mockResolvedValue({
+        _id: 'user123',
+        tokensValidAfter: new Date((iat + 30) * 1000),
+      });
+
+      await verifyToken(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Token revoked',
+        code: 'TOKEN_REVOKED',
       });
       expect(next).not.toHaveBeenCalled();
     });
+
+    it('should reject a token issued a millisecond before the logout', async () => {
+      const logoutAt = Date.now();
+      const token = signToken({ id: 'user123', iatMs: logoutAt - 1 }, SECRET);
+      req.headers.authorization = `Bearer ${token}`;
+      User.findById.mockResolvedValue({ _id: 'user123', tokensValidAfter: new Date(logoutAt) });
+
+      await verifyToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should accept a token from a login right after logging out everywhere', async () => {
+      const logoutAt = Date.now();
+      const iat = Math.floor(logoutAt / 1000);
+      const token = signToken({ id: 'user123', iat, iatMs: logoutAt + 1 }, SECRET);
+      req.headers.authorization = `Bearer ${token}`;
+      User.findById.mockResolvedValue({ _id: 'user123', tokensValidAfter: new Date(logoutAt) });
+
+      await verifyToken(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should treat a token without iatMs from the second of the logout as issued before it', async () => {
+      const iat = Math.floor(Date.now() / 1000);
+      const token = signToken({ id: 'user123', iat }, SECRET);
+      req.headers.authorization = `Bearer ${token}`;
+      User.findById.mockResolvedValue({ _id: 'user123', tokensValidAfter: new Date(iat * 1000 + 500) });
+
+      await verifyToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
   });
 
   describe('User Not Found', () => {
     it('should reject if user does not exist in database', async () => {
-      const token = jwt.sign({ id: 'nonexistent-user' }, SECRET);
+      const token = signToken({ id: 'nonexistent-user' }, SECRET);
       req.headers.authorization = `Bearer ${token}`;
       User.findById.mockResolvedValue(null); // User not found
 
@@ -245,6 +423,7 @@ describe('Auth Middleware Logic', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'User not found',
+        code: 'USER_NOT_FOUND',
       });
       expect(next).not.toHaveBeenCalled();
     });
@@ -252,34 +431,80 @@ describe('Auth Middleware Logic', () => {
 
   describe('Edge Cases', () => {
     it('should handle extra spaces in header', async () => {
-      const token = jwt.sign({ id: 'user123' }, SECRET);
-      req.headers.authorization = `Bearer  ${token}`; // Double space
+      const mockUser = { _id: 'user123', username: 'test' };
+      const token = signToken({ id: 'user123' }, SECRET);
+      req.headers.authorization = `  Bearer   ${token}  `;
+      User.findById.mockResolvedValue(mockUser);
+
+      await verifyToken(req, res, next);
+
+      expect(User.findById).toHaveBeenCalledWith('user123');
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should accept the Bearer scheme case-insensitively', async () => {
+      const mockUser = { _id: 'user123', username: 'test' };
+      const token = signToken({ id: 'user123' }, SECRET);
+      User.findById.mockResolvedValue(mockUser);
+
+      for (const scheme of ['bearer', 'BEARER', 'BeArEr']) {
+        req.headers.authorization = `${scheme} ${token}`;
+        await verifyToken(req, res, next);
+      }
+
+      expect(next).toHaveBeenCalledTimes(3);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should reject other authorization schemes', async () => {
+      req.headers.authorization = 'Basic dXNlcjpwYXNz';
 
       await verifyToken(req, res, next);
 
-      // IMPORTANT: With "Bearer  token" (double space):
-      // split(' ')[1] returns '' (empty string)
-      // jwt.verify('') throws JsonWebTokenError
-      // Middleware catches it and returns 401 "Invalid token"
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
-        message: 'Invalid token',
+        message: 'Access token required',
+        code: 'TOKEN_MISSING',
       });
-      expect(next).not.toHaveBeenCalled();
     });
 
-    it('should be case-sensitive with Bearer prefix', async () => {
-      const token = jwt.sign({ id: 'user123' }, SECRET);
-      req.headers.authorization = `bearer ${token}`; 
+    it('should reject a header with more than one token', async () => {
+      req.headers.authorization = 'Bearer abc def';
 
       await verifyToken(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'Access token required',
+        code: 'TOKEN_MISSING',
       });
     });
 
+    it('should reject a valid token without an id claim', async () => {
+      const token = signToken({ sub: 'user123' }, SECRET);
+      req.headers.authorization = `Bearer ${token}`;
+
+      await verifyToken(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Invalid token',
+        code: 'TOKEN_INVALID',
+      });
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should attach the decoded payload to req.auth', async () => {
+      const token = signToken({ id: 'user123' }, SECRET);
+      req.headers.authorization = `Bearer ${token}`;
+      User.findById.mockResolvedValue({ _id: 'user123' });
+
+      await verifyToken(req, res, next);
+
+      expect(req.auth.id).toBe('user123');
+      expect(req.auth.iat).toEqual(expect.any(Number));
+    });
+
     it('should not modify request if authentication fails', async () => {
       req.headers.authorization = 'Bearer invalid';
 
@@ -294,7 +519,7 @@ describe('Auth Middleware Logic', () => {
     // Temporarily silence console.error for this test
     const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
     
-    const token = jwt.sign({ id: 'user123' }, SECRET);
+    const token = signToken({ id: 'user123' }, SECRET);
     req.headers.authorization = `Bearer ${token}`;
     User.findById.mockRejectedValue(new Error('Database connection failed'));
 
@@ -303,6 +528,7 @@ describe('Auth Middleware Logic', () => {
     expect(res.status).toHaveBeenCalledWith(500);
     expect(res.json).toHaveBeenCalledWith({
       message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
     });
     
     // Restore console.error
@@ -313,7 +539,7 @@ describe('Auth Middleware Logic', () => {
   describe('Token Expiration', () => {
     it('should accept freshly created token', async () => {
       const mockUser = { _id: 'user123', username: 'test' };
-      const token = jwt.sign({ id: 'user123' }, SECRET, { expiresIn: '1h' });
+      const token = signToken({ id: 'user123' }, SECRET, { expiresIn: '1h' });
       req.headers.authorization = `Bearer ${token}`;
       User.findById.mockResolvedValue(mockUser);
 
@@ -323,7 +549,7 @@ describe('Auth Middleware Logic', () => {
     });
 
     it('should reject token expired by 1 second', async () => {
-      const token = jwt.sign({ id: 'user123' }, SECRET, { expiresIn: '-1s' });
+      const token = signToken({ id: 'user123' }, SECRET, { expiresIn: '-1s' });
       req.headers.authorization = `Bearer ${token}`;
 
       await verifyToken(req, res, next);
@@ -331,6 +557,7 @@ describe('Auth Middleware Logic', () => {
       expect(res.status).toHaveBeenCalledWith(401);
       expect(res.json).toHaveBeenCalledWith({
         message: 'Token expired',
+        code: 'TOKEN_EXPIRED',
       });
     });
   });
@@ -0,0 +1,71 @@
+// Cache Middleware Tests
+// Per-route Cache-Control policies
+
+describe('Cache Middleware', () => {
+  const buildCacheControl = ({
+    public: isPublic = false,
+    noStore = false,
+    noCache = false,
+    maxAge,
+    mustRevalidate = false,
+  } = {}) => {
+    if (noStore) return 'no-store';
+
+    const directives = [isPublic ? 'public' : 'private'];
+    if (noCache) directives.push('no-cache');
+    if (maxAge !== undefined) directives.push(`max-age=${maxAge}`);
+    if (mustRevalidate) directives.push('must-revalidate');
+    return directives.join(', ');
+  };
+
+  const cacheControl = (policy = {}) => {
+    const value = buildCacheControl(policy);
+    return (req, res, next) => {
+      res.set('Cache-Control', value);
+      if (!policy.public) res.vary('Authorization');
+      next();
+    };
+  };
+
+  describe('buildCacheControl', () => {
+    it('should default to private', () => {
+      expect(buildCacheControl()).toBe('private');
+    });
+
+    it('should combine directives', () => {
+      expect(buildCacheControl({ noCache: true })).toBe('private, no-cache');
+      expect(buildCacheControl({ public: true, maxAge: 60, mustRevalidate: true })).toBe(
+        'public, max-age=60, must-revalidate',
+      );
+      expect(buildCacheControl({ maxAge: 0 })).toBe('private, max-age=0');
+    });
+
+    it('should let no-store override everything else', () => {
+      expect(buildCacheControl({ noStore: true, public: true, maxAge: 60 })).toBe('no-store');
+    });
+  });
+
+  describe('cacheControl', () => {
+    let res, next;
+
+    beforeEach(() => {
+      res = { set: jest.fn(), vary: jest.fn() };
+      next = jest.fn();
+    });
+
+    it('should set the header and vary on Authorization for private responses', () => {
+      cacheControl({ noCache: true })({}, res, next);
+
+      expect(res.set).toHaveBeenCalledWith('Cache-Control', 'private, no-cache');
+      expect(res.vary).toHaveBeenCalledWith('Authorization');
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should not vary public responses', () => {
+      cacheControl({ public: true, maxAge: 300 })({}, res, next);
+
+      expect(res.set).toHaveBeenCalledWith('Cache-Control', 'public, max-age=300');
+      expect(res.vary).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Error Middleware Unit Tests
+ *
+ * Tests the AppError hierarchy, the asyncHandler wrapper and the final
+ * error middleware that maps errors to { message, code, errors? } bodies.
+ *
+ * Mappings covered:
+ * - AppError subclasses -> own status / code / errors
+ * - Mongoose ValidationError -> 400 VALIDATION_ERROR
+ * - Mongoose CastError -> 400 INVALID_ID / INVALID_VALUE
+ * - E11000 duplicate key -> 409 DUPLICATE_KEY
+ * - JWT errors -> 401 TOKEN_EXPIRED / TOKEN_INVALID
+ * - Body parser errors -> 400 INVALID_JSON
+ * - Unknown errors -> 500 INTERNAL_ERROR
+ */
+const jwt = require('jsonwebtoken');
+
+describe('Error Middleware Logic', () => {
+  let req, res, next;
+
+  class AppError extends Error {
+    constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', errors = undefined) {
+      super(message);
+      this.name = this.constructor.name;
+      this.statusCode = statusCode;
+      this.code = code;
+      this.errors = errors;
+      this.isOperational = true;
+    }
+  }
+
+  class BadRequestError extends AppError {
+    constructor(message = 'Bad request', errors = undefined, code = 'BAD_REQUEST') {
+      super(message, 400, code, errors);
+    }
+  }
+
+  class NotFoundError extends AppError {
+    constructor(message = 'Resource not found', code = 'NOT_FOUND') {
+      super(message, 404, code);
+    }
+  }
+
+  const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+
+  const normalizeError = (error) => {
+    if (error instanceof AppError) {
+      return { statusCode: error.statusCode, message: error.message, code: error.code, errors: error.errors };
+    }
+    if (error.name === 'ValidationError' && error.errors) {
+      return {
+        statusCode: 400,
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors: Object.values(error.errors).map((err) => ({ field: err.path, message: err.message })),
+      };
+    }
+    if (error.name === 'CastError') {
+      const isObjectId = error.kind === 'ObjectId';
+      return {
+        statusCode: 400,
+        message: `Invalid ${error.path}: ${error.value}`,
+        code: isObjectId ? 'INVALID_ID' : 'INVALID_VALUE',
+        errors: [{ field: error.path, message: `Cannot be cast to ${error.kind}` }],
+      };
+    }
+    if (error.code === 11000) {
+      const fields = Object.keys(error.keyValue || error.keyPattern || {});
+      return {
+        statusCode: 409,
+        message: fields.length ? `Duplicate value for ${fields.join(', ')}` : 'Duplicate value',
+        code: 'DUPLICATE_KEY',
+        errors: fields.map((field) => ({ field, message: `${field} already exists` })),
+      };
+    }
+    if (error.name === 'TokenExpiredError') {
+      return { statusCode: 401, message: 'Token expired', code: 'TOKEN_EXPIRED' };
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return { statusCode: 401, message: 'Invalid token', code: 'TOKEN_INVALID' };
+    }
+    if (error.type === 'entity.parse.failed') {
+      return { statusCode: 400, message: 'Malformed JSON body', code: 'INVALID_JSON' };
+    }
+    if (error.type === 'entity.too.large') {
+      return { statusCode: 413, message: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' };
+    }
+    const status = error.status || error.statusCode;
+    if (error.expose && status >= 400 && status < 500) {
+      return { statusCode: status, message: error.message, code: 'BAD_REQUEST' };
+    }
+    return { statusCode: 500, message: 'Internal server error', code: 'INTERNAL_ERROR' };
+  };
+
+  const errorHandler = (error, req, res, next) => {
+    const { statusCode, message, code, errors } = normalizeError(error);
+    if (res.headersSent) {
+      return next(error);
+    }
+    res.status(statusCode).json({
+      message,
+      code,
+      ...(errors && errors.length && { errors }),
+      ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
+    });
+  };
+
+  beforeEach(() => {
+    req = {};
+    res = {
+      headersSent: false,
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  describe('AppError hierarchy', () => {
+    it('should carry status, code and details', () => {
+      const error = new BadRequestError('Invalid input', [{ field: 'name', message: 'Required' }]);
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.statusCode).toBe(400);
+      expect(error.code).toBe('BAD_REQUEST');
+      expect(error.errors).toHaveLength(1);
+      expect(error.isOperational).toBe(true);
+    });
+
+    it('should use the subclass name', () => {
+      expect(new NotFoundError().name).toBe('NotFoundError');
+    });
+
+    it('should allow overriding the code', () => {
+      expect(new NotFoundError('No route', 'ROUTE_NOT_FOUND').code).toBe('ROUTE_NOT_FOUND');
+    });
+  });
+
+  describe('asyncHandler', () => {
+    it('should forward rejected promises to next', async () => {
+      const error = new Error('boom');
+      const handler = asyncHandler(async () => {
+        throw error;
+      });
+
+      handler(req, res, next);
+      await new Promise(setImmediate);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should not call next when the handler succeeds', async () => {
+      const handler = asyncHandler(async (req, res) => {
+        res.status(200).json({ ok: true });
+      });
+
+      handler(req, res, next);
+      await new Promise(setImmediate);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('errorHandler', () => {
+    it('should respond with AppError status and code', () => {
+      errorHandler(new NotFoundError('Post not found'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Post not found', code: 'NOT_FOUND' });
+    });
+
+    it('should list every invalid field of a Mongoose ValidationError', () => {
+      const error = {
+        name: 'ValidationError',
+        errors: {
+          name: { path: 'name', message: 'Name is required' },
+          age: { path: 'age', message: 'Age cannot be negative' },
+        },
+      };
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors: [
+          { field: 'name', message: 'Name is required' },
+          { field: 'age', message: 'Age cannot be negative' },
+        ],
+      });
+    });
+
+    it('should map a malformed ObjectId to 400 INVALID_ID', () => {
+      const error = { name: 'CastError', kind: 'ObjectId', path: '_id', value: 'not-an-id' };
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Invalid _id: not-an-id', code: 'INVALID_ID' })
+      );
+    });
+
+    it('should map other cast failures to INVALID_VALUE', () => {
+      const error = { name: 'CastError', kind: 'Number', path: 'age', value: 'old' };
+
+      errorHandler(error, req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_VALUE' }));
+    });
+
+    it('should map duplicate key errors to 409 with the field', () => {
+      const error = { name: 'MongoServerError', code: 11000, keyValue: { username: 'john' } };
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Duplicate value for username',
+        code: 'DUPLICATE_KEY',
+        errors: [{ field: 'username', message: 'username already exists' }],
+      });
+    });
+
+    it('should map JWT errors to 401', () => {
+      let error;
+      try {
+        jwt.verify('not-a-token', 'secret');
+      } catch (err) {
+        error = err;
+      }
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid token', code: 'TOKEN_INVALID' });
+    });
+
+    it('should map expired JWTs to TOKEN_EXPIRED', () => {
+      errorHandler({ name: 'TokenExpiredError' }, req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
+    });
+
+    it('should map malformed JSON bodies to 400', () => {
+      const error = Object.assign(new SyntaxError('Unexpected token'), {
+        type: 'entity.parse.failed',
+        status: 400,
+        expose: true,
+      });
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Malformed JSON body', code: 'INVALID_JSON' });
+    });
+
+    it('should map bodies above the parser limit to 413 PAYLOAD_TOO_LARGE', () => {
+      const error = Object.assign(new Error('request entity too large'), {
+        type: 'entity.too.large',
+        status: 413,
+        expose: true,
+      });
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(413);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' });
+    });
+
+    it('should keep exposed client errors from body parsers', () => {
+      const error = Object.assign(new Error('unsupported charset "UTF-7"'), { status: 415, expose: true });
+
+      errorHandler(error, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(415);
+      expect(res.json).toHaveBeenCalledWith({ message: 'unsupported charset "UTF-7"', code: 'BAD_REQUEST' });
+    });
+
+    it('should hide details of unexpected errors', () => {
+      errorHandler(new Error('connection string leaked'), req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Internal server error', code: 'INTERNAL_ERROR' });
+    });
+
+    it('should delegate to Express when headers were already sent', () => {
+      const error = new Error('late');
+      res.headersSent = true;
+
+      errorHandler(error, req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
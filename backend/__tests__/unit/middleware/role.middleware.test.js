@@ -0,0 +1,198 @@
+/**
+ * Role Middleware Unit Tests
+ *
+ * Tests the permission matrix and the requireRole / requirePermission
+ * middleware factories used next to verifyToken.
+ *
+ * Response Codes:
+ * - 401: No authenticated user attached to the request (unless anonymous visitors are allowed)
+ * - 403: The user's role is not allowed
+ */
+describe('Role Middleware Logic', () => {
+  let req, res, next;
+
+  const ROLES = { USER: 'user', MODERATOR: 'moderator', ADMIN: 'admin' };
+
+  const USER_PERMISSIONS = [
+    'post:read', 'post:create', 'post:update', 'post:delete', 'post:react',
+    'comment:create', 'comment:update', 'comment:delete',
+  ];
+  const MODERATOR_PERMISSIONS = [
+    ...USER_PERMISSIONS,
+    'post:update:any', 'post:delete:any',
+    'comment:update:any', 'comment:delete:any',
+    'taxonomy:manage',
+  ];
+  const ADMIN_PERMISSIONS = [...MODERATOR_PERMISSIONS, 'user:manage'];
+
+  const ROLE_PERMISSIONS = {
+    [ROLES.USER]: new Set(USER_PERMISSIONS),
+    [ROLES.MODERATOR]: new Set(MODERATOR_PERMISSIONS),
+    [ROLES.ADMIN]: new Set(ADMIN_PERMISSIONS),
+  };
+
+  const ANONYMOUS_PERMISSIONS = new Set(['post:read']);
+
+  const hasPermission = (role, permission) => {
+    const granted = ROLE_PERMISSIONS[role];
+    return Boolean(granted && granted.has(permission));
+  };
+
+  const roleOf = (req) => {
+    if (!req.user) return null;
+    return req.user.role || ROLES.USER;
+  };
+
+  const requireRole = (...roles) => (req, res, next) => {
+    const role = roleOf(req);
+    if (!role) {
+      return res.status(401).json({ message: 'Access token required', code: 'TOKEN_MISSING' });
+    }
+    if (!roles.includes(role)) {
+      return res.status(403).json({ message: 'Insufficient role', code: 'FORBIDDEN' });
+    }
+    next();
+  };
+
+  const requirePermission = (...permissions) => (req, res, next) => {
+    const role = roleOf(req);
+    if (!role) {
+      if (permissions.every((permission) => ANONYMOUS_PERMISSIONS.has(permission))) return next();
+      return res.status(401).json({ message: 'Access token required', code: 'TOKEN_MISSING' });
+    }
+    if (!permissions.every((permission) => hasPermission(role, permission))) {
+      return res.status(403).json({ message: 'Insufficient permissions', code: 'FORBIDDEN' });
+    }
+    next();
+  };
+
+  beforeEach(() => {
+    req = {};
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  describe('Permission Matrix', () => {
+    it('should let every role read and manage its own posts', () => {
+      Object.values(ROLES).forEach((role) => {
+        USER_PERMISSIONS.forEach((permission) => {
+          expect(hasPermission(role, permission)).toBe(true);
+        });
+      });
+    });
+
+    it('should reserve acting on any post for moderators and admins', () => {
+      expect(hasPermission('user', 'post:delete:any')).toBe(false);
+      expect(hasPermission('moderator', 'post:delete:any')).toBe(true);
+      expect(hasPermission('admin', 'post:delete:any')).toBe(true);
+    });
+
+    it('should reserve moderating comments and managing tags and categories for moderators and admins', () => {
+      ['comment:update:any', 'comment:delete:any', 'taxonomy:manage'].forEach((permission) => {
+        expect(hasPermission('user', permission)).toBe(false);
+        expect(hasPermission('moderator', permission)).toBe(true);
+        expect(hasPermission('admin', permission)).toBe(true);
+      });
+    });
+
+    it('should reserve user management for admins', () => {
+      expect(hasPermission('moderator', 'user:manage')).toBe(false);
+      expect(hasPermission('admin', 'user:manage')).toBe(true);
+    });
+
+    it('should deny everything to unknown roles', () => {
+      expect(hasPermission('superuser', 'post:read')).toBe(false);
+      expect(hasPermission(undefined, 'post:read')).toBe(false);
+    });
+  });
+
+  describe('requireRole', () => {
+    it('should call next for an allowed role', () => {
+      req.user = { role: 'admin' };
+
+      requireRole('moderator', 'admin')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should reject a role that is not listed', () => {
+      req.user = { role: 'user' };
+
+      requireRole('admin')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Insufficient role', code: 'FORBIDDEN' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should treat users without a role as regular users', () => {
+      req.user = { _id: 'legacy-user' };
+
+      requireRole('user')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 401 when no user is attached', () => {
+      requireRole('user')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Access token required', code: 'TOKEN_MISSING' });
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should call next when the role grants the permission', () => {
+      req.user = { role: 'user' };
+
+      requirePermission('post:create')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should require every listed permission', () => {
+      req.user = { role: 'user' };
+
+      requirePermission('post:delete', 'post:delete:any')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Insufficient permissions', code: 'FORBIDDEN' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should use the role of the loaded user, not the token claim', () => {
+      req.user = { role: 'user' };
+      req.auth = { role: 'admin' };
+
+      requirePermission('user:manage')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 401 when no user is attached', () => {
+      requirePermission('post:create')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Access token required', code: 'TOKEN_MISSING' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should let anonymous visitors read', () => {
+      requirePermission('post:read')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should require every permission to be anonymous without a user', () => {
+      requirePermission('post:read', 'post:react')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,392 @@
+/**
+ * Validate Middleware Unit Tests
+ *
+ * Tests the schema-driven request validation used by the routers:
+ * type checks, string transforms, limits, query coercion, unknown field
+ * handling and reporting of every invalid field at once.
+ */
+describe('Validate Middleware Logic', () => {
+  let req, res, next;
+
+  class BadRequestError extends Error {
+    constructor(message, errors, code) {
+      super(message);
+      this.statusCode = 400;
+      this.errors = errors;
+      this.code = code;
+    }
+  }
+
+  const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+  const TRUE_VALUES = ['true', '1'];
+  const FALSE_VALUES = ['false', '0'];
+
+  const coerceValue = (value, rule) => {
+    if (typeof value !== 'string') return value;
+    switch (rule.type) {
+      case 'number':
+      case 'integer':
+        return value.trim() === '' ? value : Number(value);
+      case 'boolean':
+        if (TRUE_VALUES.includes(value)) return true;
+        if (FALSE_VALUES.includes(value)) return false;
+        return value;
+      case 'array':
+        return value.split(',').map((item) => item.trim()).filter(Boolean);
+      default:
+        return value;
+    }
+  };
+
+  const checkValue = (field, raw, rule, coerce) => {
+    let value = coerce ? coerceValue(raw, rule) : raw;
+
+    switch (rule.type) {
+      case 'string':
+      case 'objectId':
+        if (typeof value !== 'string') return { error: `${field} must be a string` };
+        if (rule.trim !== false) value = value.trim();
+        if (rule.lowercase) value = value.toLowerCase();
+        if (rule.type === 'objectId' && !OBJECT_ID_PATTERN.test(value)) {
+          return { error: `${field} must be a valid id` };
+        }
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${field} must be a number` };
+        break;
+      case 'integer':
+        if (!Number.isInteger(value)) return { error: `${field} must be an integer` };
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') return { error: `${field} must be a boolean` };
+        break;
+      case 'date': {
+        const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : value;
+        if (!(date instanceof Date) || Number.isNaN(date.getTime())) return { error: `${field} must be a valid date` };
+        value = date;
+        break;
+      }
+      case 'array':
+        if (!Array.isArray(value)) return { error: `${field} must be an array` };
+        break;
+      default:
+        break;
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+      const unit = typeof value === 'string' ? 'characters' : 'items';
+      if (rule.required && value.length === 0) return { error: `${field} is required` };
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { error: `${field} must be at least ${rule.minLength} ${unit}` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { error: `${field} must be at most ${rule.maxLength} ${unit}` };
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (rule.min !== undefined && value < rule.min) return { error: `${field} must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `${field} must be at most ${rule.max}` };
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      return { error: `${field} must be one of: ${rule.enum.join(', ')}` };
+    }
+
+    if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+      return { error: rule.patternMessage || `${field} has an invalid format` };
+    }
+
+    if (rule.type === 'array' && rule.items) {
+      const items = [];
+      for (let index = 0; index < value.length; index += 1) {
+        const result = checkValue(`${field}[${index}]`, value[index], rule.items, coerce);
+        if (result.error) return result;
+        items.push(result.value);
+      }
+      value = items;
+    }
+
+    return { value };
+  };
+
+  const validateObject = (input, schema, { coerce = false } = {}) => {
+    const errors = [];
+    const isObject = input !== null && typeof input === 'object' && !Array.isArray(input);
+    const source = isObject ? input : {};
+
+    if (input !== undefined && !isObject) {
+      return { value: {}, errors: [{ message: 'Expected an object' }] };
+    }
+
+    const value = {};
+    if (schema.allowUnknown) {
+      for (const [key, item] of Object.entries(source)) {
+        if (!(key in schema.fields)) value[key] = item;
+      }
+    }
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+      const raw = source[field];
+
+      if (raw === undefined || (coerce && raw === '')) {
+        if (rule.required) errors.push({ field, message: `${field} is required` });
+        continue;
+      }
+
+      if (raw === null) {
+        if (rule.nullable) {
+          value[field] = null;
+        } else {
+          errors.push({ field, message: rule.required ? `${field} is required` : `${field} must not be null` });
+        }
+        continue;
+      }
+
+      const result = checkValue(field, raw, rule, coerce);
+      if (result.error) {
+        errors.push({ field, message: result.error });
+      } else {
+        value[field] = result.value;
+      }
+    }
+
+    if (schema.minFields && !errors.length) {
+      const provided = Object.keys(value).filter((key) => key in schema.fields).length;
+      if (provided < schema.minFields) {
+        errors.push({ message: 'No data provided' });
+      }
+    }
+
+    return { value, errors };
+  };
+
+  const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    const sanitized = {};
+
+    for (const location of ['params', 'query', 'body']) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const result = validateObject(req[location], schema, { coerce: location !== 'body' });
+      errors.push(...result.errors.map((error) => ({ location, ...error })));
+      sanitized[location] = result.value;
+    }
+
+    if (errors.length) {
+      return next(new BadRequestError('Validation failed', errors, 'VALIDATION_ERROR'));
+    }
+
+    Object.assign(req, sanitized);
+    next();
+  };
+
+  // Same rules as validations/post.validation.js
+  const createPostSchema = {
+    fields: {
+      name: { type: 'string', maxLength: 100, required: true },
+      description: { type: 'string', required: true },
+      age: { type: 'number', min: 0, max: 150, required: true },
+    },
+  };
+  const updatePostSchema = {
+    fields: {
+      name: { type: 'string', maxLength: 100, minLength: 1 },
+      description: { type: 'string', minLength: 1 },
+      age: { type: 'number', min: 0, max: 150 },
+    },
+    minFields: 1,
+  };
+  const listPostsQuerySchema = {
+    fields: {
+      page: { type: 'integer', min: 1 },
+      limit: { type: 'integer', min: 1, max: 100 },
+      author: { type: 'string', pattern: /^(me|[a-f\d]{24})$/i, patternMessage: 'author must be "me" or a user id' },
+    },
+    allowUnknown: true,
+  };
+  const postIdParamsSchema = {
+    fields: { id: { type: 'objectId', required: true } },
+    allowUnknown: true,
+  };
+
+  beforeEach(() => {
+    req = { params: {}, query: {}, body: {} };
+    res = {};
+    next = jest.fn();
+  });
+
+  describe('Body validation', () => {
+    it('should accept a valid post and trim strings', () => {
+      req.body = { name: '  Post  ', description: 'Desc', age: 30 };
+
+      validate({ body: createPostSchema })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.body).toEqual({ name: 'Post', description: 'Desc', age: 30 });
+    });
+
+    it('should report every invalid field at once', () => {
+      req.body = { name: 'x'.repeat(101), age: -1 };
+
+      validate({ body: createPostSchema })(req, res, next);
+
+      const error = next.mock.calls[0][0];
+      expect(error.statusCode).toBe(400);
+      expect(error.code).toBe('VALIDATION_ERROR');
+      expect(error.errors).toEqual([
+        { location: 'body', field: 'name', message: 'name must be at most 100 characters' },
+        { location: 'body', field: 'description', message: 'description is required' },
+        { location: 'body', field: 'age', message: 'age must be at least 0' },
+      ]);
+    });
+
+    it('should reject wrong types without coercing the body', () => {
+      req.body = { name: 42, description: 'Desc', age: '30' };
+
+      validate({ body: createPostSchema })(req, res, next);
+
+      const { errors } = next.mock.calls[0][0];
+      expect(errors.map((e) => e.message)).toEqual(['name must be a string', 'age must be a number']);
+    });
+
+    it('should treat whitespace-only required strings as missing', () => {
+      req.body = { name: '   ', description: 'Desc', age: 1 };
+
+      validate({ body: createPostSchema })(req, res, next);
+
+      expect(next.mock.calls[0][0].errors[0].message).toBe('name is required');
+    });
+
+    it('should strip unknown fields', () => {
+      req.body = { name: 'Post', author: 'someone-else', role: 'admin' };
+
+      validate({ body: updatePostSchema })(req, res, next);
+
+      expect(req.body).toEqual({ name: 'Post' });
+    });
+
+    it('should require at least one field for partial updates', () => {
+      req.body = { unknown: true };
+
+      validate({ body: updatePostSchema })(req, res, next);
+
+      expect(next.mock.calls[0][0].errors).toEqual([{ location: 'body', message: 'No data provided' }]);
+    });
+
+    it('should reject null unless the rule is nullable', () => {
+      req.body = { name: null };
+
+      validate({ body: updatePostSchema })(req, res, next);
+
+      expect(next.mock.calls[0][0].errors[0].message).toBe('name must not be null');
+    });
+
+    it('should reject non-object bodies', () => {
+      req.body = ['a'];
+
+      validate({ body: updatePostSchema })(req, res, next);
+
+      expect(next.mock.calls[0][0].errors).toEqual([{ location: 'body', message: 'Expected an object' }]);
+    });
+
+    it('should treat a missing body as empty', () => {
+      req.body = undefined;
+
+      validate({ body: createPostSchema })(req, res, next);
+
+      expect(next.mock.calls[0][0].errors).toHaveLength(3);
+    });
+  });
+
+  describe('Query and params validation', () => {
+    it('should coerce query strings to numbers', () => {
+      req.query = { page: '2', limit: '25' };
+
+      validate({ query: listPostsQuerySchema })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.query).toEqual({ page: 2, limit: 25 });
+    });
+
+    it('should keep unknown query parameters when allowed', () => {
+      req.query = { page: '1', 'age[gte]': '18' };
+
+      validate({ query: listPostsQuerySchema })(req, res, next);
+
+      expect(req.query['age[gte]']).toBe('18');
+    });
+
+    it('should reject out of range and non-integer values', () => {
+      req.query = { page: '1.5', limit: '500', author: 'bob' };
+
+      validate({ query: listPostsQuerySchema })(req, res, next);
+
+      expect(next.mock.calls[0][0].errors).toEqual([
+        { location: 'query', field: 'page', message: 'page must be an integer' },
+        { location: 'query', field: 'limit', message: 'limit must be at most 100' },
+        { location: 'query', field: 'author', message: 'author must be "me" or a user id' },
+      ]);
+    });
+
+    it('should ignore empty query values', () => {
+      req.query = { page: '' };
+
+      validate({ query: listPostsQuerySchema })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.query).toEqual({});
+    });
+
+    it('should validate ObjectId params', () => {
+      req.params = { id: 'not-an-id' };
+
+      validate({ params: postIdParamsSchema })(req, res, next);
+
+      expect(next.mock.calls[0][0].errors).toEqual([
+        { location: 'params', field: 'id', message: 'id must be a valid id' },
+      ]);
+    });
+
+    it('should combine errors from every location', () => {
+      req.params = { id: 'bad' };
+      req.body = {};
+
+      validate({ params: postIdParamsSchema, body: updatePostSchema })(req, res, next);
+
+      const locations = next.mock.calls[0][0].errors.map((e) => e.location);
+      expect(locations).toEqual(['params', 'body']);
+    });
+  });
+
+  describe('Other rule types', () => {
+    it('should validate booleans, enums, dates and arrays', () => {
+      const schema = {
+        fields: {
+          all: { type: 'boolean' },
+          role: { type: 'string', enum: ['user', 'admin'] },
+          publishAt: { type: 'date' },
+          tags: { type: 'array', maxLength: 2, items: { type: 'string', lowercase: true } },
+        },
+      };
+
+      const valid = validateObject(
+        { all: 'true', role: 'admin', publishAt: '2026-01-01', tags: 'A, b' },
+        schema,
+        { coerce: true }
+      );
+      expect(valid.errors).toEqual([]);
+      expect(valid.value.all).toBe(true);
+      expect(valid.value.publishAt).toBeInstanceOf(Date);
+      expect(valid.value.tags).toEqual(['a', 'b']);
+
+      const invalid = validateObject(
+        { all: 'yes', role: 'root', publishAt: 'soon', tags: ['a', 'b', 'c'] },
+        schema,
+        { coerce: true }
+      );
+      expect(invalid.errors.map((e) => e.field)).toEqual(['all', 'role', 'publishAt', 'tags']);
+    });
+  });
+});
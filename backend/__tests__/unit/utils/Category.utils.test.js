@@ -0,0 +1,90 @@
+// Category Utils Tests
+// Walking the category tree
+
+describe('Category Utils', () => {
+  const descendantIds = (categories, rootId) => {
+    const children = new Map();
+    for (const category of categories) {
+      const parent = String(category.parent);
+      children.set(parent, [...(children.get(parent) || []), String(category._id)]);
+    }
+
+    const ids = [String(rootId)];
+    for (let index = 0; index < ids.length; index += 1) {
+      for (const child of children.get(ids[index]) || []) {
+        if (!ids.includes(child)) ids.push(child);
+      }
+    }
+    return ids;
+  };
+
+  const ancestorIds = (categories, id) => {
+    const parents = new Map(categories.map((category) => [String(category._id), category.parent]));
+    const ids = [];
+    let parent = parents.get(String(id));
+    while (parent && !ids.includes(String(parent))) {
+      ids.push(String(parent));
+      parent = parents.get(String(parent));
+    }
+    return ids;
+  };
+
+  const subtreeHeight = (categories, id) =>
+    Math.max(...descendantIds(categories, id).map(
+      (descendant) => ancestorIds(categories, descendant).length - ancestorIds(categories, id).length + 1
+    ));
+
+  // tech > web > (node, css); tech > data; food
+  const categories = [
+    { _id: 'tech', parent: null },
+    { _id: 'web', parent: 'tech' },
+    { _id: 'node', parent: 'web' },
+    { _id: 'css', parent: 'web' },
+    { _id: 'data', parent: 'tech' },
+    { _id: 'food', parent: null },
+  ];
+
+  describe('descendantIds', () => {
+    it('should include the category and every level below it', () => {
+      expect(descendantIds(categories, 'tech').sort()).toEqual(['css', 'data', 'node', 'tech', 'web']);
+    });
+
+    it('should return only the category itself for a leaf', () => {
+      expect(descendantIds(categories, 'food')).toEqual(['food']);
+    });
+
+    it('should compare ids as strings', () => {
+      const tree = [{ _id: { toString: () => 'a' }, parent: null }, { _id: 'b', parent: { toString: () => 'a' } }];
+      expect(descendantIds(tree, 'a')).toEqual(['a', 'b']);
+    });
+
+    it('should terminate on a cycle', () => {
+      const cyclic = [{ _id: 'a', parent: 'b' }, { _id: 'b', parent: 'a' }];
+      expect(descendantIds(cyclic, 'a')).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('ancestorIds', () => {
+    it('should list ancestors from the parent up to the root', () => {
+      expect(ancestorIds(categories, 'node')).toEqual(['web', 'tech']);
+    });
+
+    it('should return an empty list for top-level and unknown categories', () => {
+      expect(ancestorIds(categories, 'tech')).toEqual([]);
+      expect(ancestorIds(categories, 'missing')).toEqual([]);
+    });
+
+    it('should terminate on a cycle', () => {
+      const cyclic = [{ _id: 'a', parent: 'b' }, { _id: 'b', parent: 'a' }];
+      expect(ancestorIds(cyclic, 'a')).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('subtreeHeight', () => {
+    it('should count the levels below a category', () => {
+      expect(subtreeHeight(categories, 'tech')).toBe(3);
+      expect(subtreeHeight(categories, 'web')).toBe(2);
+      expect(subtreeHeight(categories, 'node')).toBe(1);
+    });
+  });
+});
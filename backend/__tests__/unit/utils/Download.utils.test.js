@@ -0,0 +1,101 @@
+// Download Utils Tests
+// Byte ranges and Content-Disposition of attachment downloads
+
+describe('Download Utils', () => {
+  class RangeNotSatisfiableError extends Error {
+    constructor(message = 'Range not satisfiable', code = 'RANGE_NOT_SATISFIABLE') {
+      super(message);
+      this.statusCode = 416;
+      this.code = code;
+    }
+  }
+
+  const RANGE_PATTERN = /^bytes=(\d*)-(\d*)$/;
+
+  const parseRange = (header, size) => {
+    const match = RANGE_PATTERN.exec(header?.trim() ?? '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+      const length = Number(match[2]);
+      if (length === 0 || size === 0) throw new RangeNotSatisfiableError();
+      start = Math.max(size - length, 0);
+      end = size - 1;
+    } else {
+      start = Number(match[1]);
+      end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+      if (match[2] !== '' && Number(match[2]) < start) return null;
+      if (start >= size) throw new RangeNotSatisfiableError();
+    }
+    return { start, end };
+  };
+
+  const contentDisposition = (type, filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(
+      /['()*]/g,
+      (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+    );
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+  };
+
+  describe('parseRange', () => {
+    it('should return null without a Range header', () => {
+      expect(parseRange(undefined, 100)).toBeNull();
+      expect(parseRange('', 100)).toBeNull();
+    });
+
+    it('should parse a closed range', () => {
+      expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+    });
+
+    it('should read open ranges to the end of the file', () => {
+      expect(parseRange('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+    });
+
+    it('should clamp ranges ending beyond the file', () => {
+      expect(parseRange('bytes=50-500', 100)).toEqual({ start: 50, end: 99 });
+    });
+
+    it('should read suffix ranges as the last bytes', () => {
+      expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+      expect(parseRange('bytes=-500', 100)).toEqual({ start: 0, end: 99 });
+    });
+
+    it('should reject ranges starting beyond the file', () => {
+      expect(() => parseRange('bytes=100-', 100)).toThrow(RangeNotSatisfiableError);
+      expect(() => parseRange('bytes=-0', 100)).toThrow(RangeNotSatisfiableError);
+      expect(() => parseRange('bytes=0-', 0)).toThrow(RangeNotSatisfiableError);
+    });
+
+    it('should ignore invalid and multiple ranges', () => {
+      expect(parseRange('bytes=9-0', 100)).toBeNull();
+      expect(parseRange('bytes=0-1,5-6', 100)).toBeNull();
+      expect(parseRange('items=0-1', 100)).toBeNull();
+      expect(parseRange('bytes=-', 100)).toBeNull();
+    });
+  });
+
+  describe('contentDisposition', () => {
+    it('should keep ASCII names as they are', () => {
+      expect(contentDisposition('inline', 'photo.png')).toBe(
+        `inline; filename="photo.png"; filename*=UTF-8''photo.png`
+      );
+    });
+
+    it('should encode non-ASCII names and give an ASCII fallback', () => {
+      expect(contentDisposition('attachment', 'résumé.pdf')).toBe(
+        `attachment; filename="r_sum_.pdf"; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf`
+      );
+    });
+
+    it('should not let quotes break out of the header parameter', () => {
+      const header = contentDisposition('attachment', 'a"; evil=1.pdf');
+
+      expect(header).toContain('filename="a_; evil=1.pdf"');
+      expect(header).toContain(`filename*=UTF-8''a%22%3B%20evil%3D1.pdf`);
+    });
+  });
+});
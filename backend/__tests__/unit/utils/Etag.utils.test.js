@@ -0,0 +1,128 @@
+// ETag Utils Tests
+// Document versions as ETags and If-Match preconditions
+
+describe('ETag Utils', () => {
+  class AppError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  }
+  class PreconditionFailedError extends AppError {
+    constructor(message = 'Precondition failed', code = 'PRECONDITION_FAILED') {
+      super(message, 412, code);
+    }
+  }
+  class PreconditionRequiredError extends AppError {
+    constructor(message = 'Precondition required', code = 'PRECONDITION_REQUIRED') {
+      super(message, 428, code);
+    }
+  }
+
+  const formatETag = (version) => `"${version ?? 1}"`;
+
+  const tagVersion = (tag) => tag.match(/^"(\d+)(?:-[^"]*)?"$/)?.[1];
+
+  const parseIfMatch = (header) => {
+    if (header.trim() === '*') return '*';
+    return header
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter((tag) => /^"[^"]*"$/.test(tag));
+  };
+
+  const assertIfMatch = (req, version) => {
+    const header = req.get('If-Match');
+    if (!header) {
+      if (process.env.REQUIRE_IF_MATCH === 'true') {
+        throw new PreconditionRequiredError('If-Match header is required for this request');
+      }
+      return false;
+    }
+
+    const tags = parseIfMatch(header);
+    if (tags !== '*' && !tags.some((tag) => tagVersion(tag) === String(version ?? 1))) {
+      throw new PreconditionFailedError(
+        `The resource has been modified (current ETag ${formatETag(version)})`
+      );
+    }
+    return true;
+  };
+
+  const versionFilter = (version) => (version === 1 ? { version: { $in: [1, null] } } : { version });
+
+  const request = (ifMatch) => ({ get: (name) => (name === 'If-Match' ? ifMatch : undefined) });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_IF_MATCH;
+  });
+
+  describe('formatETag', () => {
+    it('should quote the version', () => {
+      expect(formatETag(3)).toBe('"3"');
+    });
+
+    it('should treat documents without a version as version 1', () => {
+      expect(formatETag(undefined)).toBe('"1"');
+    });
+  });
+
+  describe('parseIfMatch', () => {
+    it('should parse a list of strong tags and drop weak ones', () => {
+      expect(parseIfMatch('"1", W/"2" , "3"')).toEqual(['"1"', '"3"']);
+    });
+
+    it('should recognise the wildcard', () => {
+      expect(parseIfMatch(' * ')).toBe('*');
+    });
+
+    it('should ignore unquoted values', () => {
+      expect(parseIfMatch('3')).toEqual([]);
+    });
+  });
+
+  describe('assertIfMatch', () => {
+    it('should accept unconditional requests by default', () => {
+      expect(assertIfMatch(request(undefined), 3)).toBe(false);
+    });
+
+    it('should require If-Match when configured', () => {
+      process.env.REQUIRE_IF_MATCH = 'true';
+
+      expect(() => assertIfMatch(request(undefined), 3)).toThrow(PreconditionRequiredError);
+    });
+
+    it('should accept a matching tag or the wildcard', () => {
+      expect(assertIfMatch(request('"2", "3"'), 3)).toBe(true);
+      expect(assertIfMatch(request('*'), 3)).toBe(true);
+    });
+
+    it('should accept the version-and-body tags of single-post reads by their version', () => {
+      expect(assertIfMatch(request('"3-Yk3cC9"'), 3)).toBe(true);
+      expect(() => assertIfMatch(request('"2-Yk3cC9"'), 3)).toThrow(PreconditionFailedError);
+      expect(() => assertIfMatch(request('"3x"'), 3)).toThrow(PreconditionFailedError);
+    });
+
+    it('should treat unversioned documents as version 1', () => {
+      expect(assertIfMatch(request('"1"'), undefined)).toBe(true);
+    });
+
+    it('should refuse stale and weak tags with 412', () => {
+      expect(() => assertIfMatch(request('"2"'), 3)).toThrow(
+        expect.objectContaining({ statusCode: 412, code: 'PRECONDITION_FAILED' }),
+      );
+      expect(() => assertIfMatch(request('W/"3"'), 3)).toThrow(PreconditionFailedError);
+    });
+  });
+
+  describe('versionFilter', () => {
+    it('should match an exact version', () => {
+      expect(versionFilter(4)).toEqual({ version: 4 });
+    });
+
+    it('should match unversioned documents as version 1', () => {
+      expect(versionFilter(1)).toEqual({ version: { $in: [1, null] } });
+    });
+  });
+});
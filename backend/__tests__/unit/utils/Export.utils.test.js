@@ -0,0 +1,153 @@
+// Export Utils Tests
+// CSV / NDJSON serialization of streamed post exports
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+describe('Export Utils', () => {
+  const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+  const NEEDS_QUOTES = /[",\r\n]/;
+
+  const csvCell = (value) => {
+    let text;
+    if (value === null || value === undefined) {
+      text = '';
+    } else if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (Array.isArray(value)) {
+      text = value.map(String).join(';');
+    } else if (typeof value === 'object' && value.constructor === Object) {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+  const createCsvTransform = (columns, map = (doc) => doc) => {
+    let headerSent = false;
+    return new Transform({
+      writableObjectMode: true,
+      transform(doc, encoding, callback) {
+        const record = map(doc);
+        const row = csvRow(columns.map((column) => record[column]));
+        if (headerSent) return callback(null, row);
+        headerSent = true;
+        callback(null, csvRow(columns) + row);
+      },
+      flush(callback) {
+        callback(null, headerSent ? undefined : csvRow(columns));
+      },
+    });
+  };
+
+  const createNdjsonTransform = (map = (doc) => doc) =>
+    new Transform({
+      writableObjectMode: true,
+      transform(doc, encoding, callback) {
+        callback(null, `${JSON.stringify(map(doc))}\n`);
+      },
+    });
+
+  const collect = async (docs, transform) => {
+    let output = '';
+    await pipeline(Readable.from(docs), transform, async (source) => {
+      for await (const chunk of source) output += chunk;
+    });
+    return output;
+  };
+
+  describe('csvCell', () => {
+    it('should write plain values as they are', () => {
+      expect(csvCell('hello')).toBe('hello');
+      expect(csvCell(42)).toBe('42');
+      expect(csvCell(true)).toBe('true');
+    });
+
+    it('should write missing values as empty cells', () => {
+      expect(csvCell(null)).toBe('');
+      expect(csvCell(undefined)).toBe('');
+    });
+
+    it('should quote cells with commas, quotes or line breaks', () => {
+      expect(csvCell('a, b')).toBe('"a, b"');
+      expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+      expect(csvCell('line\nbreak')).toBe('"line\nbreak"');
+      expect(csvCell('line\r\nbreak')).toBe('"line\r\nbreak"');
+    });
+
+    it('should write dates as ISO strings and ids as hex', () => {
+      const id = new mongoose.Types.ObjectId('64b000000000000000000001');
+
+      expect(csvCell(new Date('2026-01-02T03:04:05.000Z'))).toBe('2026-01-02T03:04:05.000Z');
+      expect(csvCell(id)).toBe('64b000000000000000000001');
+    });
+
+    it('should join arrays and write objects as JSON', () => {
+      expect(csvCell(['node', 'js'])).toBe('node;js');
+      expect(csvCell([])).toBe('');
+      expect(csvCell({ like: 2 })).toBe('"{""like"":2}"');
+    });
+
+    it('should neutralize spreadsheet formulas', () => {
+      expect(csvCell('=1+2')).toBe("'=1+2");
+      expect(csvCell('+33 6')).toBe("'+33 6");
+      expect(csvCell('-list item')).toBe("'-list item");
+      expect(csvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(csvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    });
+
+    it('should leave negative numbers alone', () => {
+      expect(csvCell(-1)).toBe('-1');
+    });
+  });
+
+  describe('csvRow', () => {
+    it('should join cells with commas and end with CRLF', () => {
+      expect(csvRow(['a', 'b, c', null, 3])).toBe('a,"b, c",,3\r\n');
+    });
+  });
+
+  describe('createCsvTransform', () => {
+    it('should write a header row and one row per document', async () => {
+      const docs = [{ name: 'First', age: 1, extra: 'x' }, { name: 'Second', tags: ['a'] }];
+
+      const output = await collect(docs, createCsvTransform(['name', 'age', 'tags']));
+
+      expect(output).toBe('name,age,tags\r\nFirst,1,\r\nSecond,,a\r\n');
+    });
+
+    it('should write the header alone for an empty export', async () => {
+      expect(await collect([], createCsvTransform(['name', 'age']))).toBe('name,age\r\n');
+    });
+
+    it('should map documents before writing them', async () => {
+      const output = await collect([{ name: 'a' }], createCsvTransform(['name'], (doc) => ({ name: doc.name.toUpperCase() })));
+
+      expect(output).toBe('name\r\nA\r\n');
+    });
+  });
+
+  describe('createNdjsonTransform', () => {
+    it('should write one JSON document per line', async () => {
+      const output = await collect([{ name: 'a' }, { name: 'b', tags: ['x'] }], createNdjsonTransform());
+
+      expect(output).toBe('{"name":"a"}\n{"name":"b","tags":["x"]}\n');
+      expect(output.trim().split('\n').map((line) => JSON.parse(line))).toHaveLength(2);
+    });
+
+    it('should write nothing for an empty export', async () => {
+      expect(await collect([], createNdjsonTransform())).toBe('');
+    });
+
+    it('should map documents before writing them', async () => {
+      const output = await collect([{ name: 'a', secret: 1 }], createNdjsonTransform(({ secret, ...doc }) => doc));
+
+      expect(output).toBe('{"name":"a"}\n');
+    });
+  });
+});
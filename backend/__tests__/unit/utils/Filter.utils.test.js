@@ -0,0 +1,238 @@
+// Filter Utils Tests
+// field[operator]=value query filters for list endpoints
+
+describe('Filter Utils', () => {
+  const MAX_FILTER_VALUES = 50;
+
+  const FILTER_KEY_PATTERN = /^([^[\]]+)\[([^[\]]*)\]$/;
+  const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+  const OPERATORS = Object.freeze({
+    eq: '$eq',
+    ne: '$ne',
+    gt: '$gt',
+    gte: '$gte',
+    lt: '$lt',
+    lte: '$lte',
+    in: '$in',
+    nin: '$nin',
+    after: '$gt',
+    before: '$lt',
+  });
+
+  const LIST_OPERATORS = ['in', 'nin'];
+  const EQUALITY_OPERATORS = ['eq', 'ne', 'in', 'nin'];
+  const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+  const FILTER_OPERATORS = Object.freeze({
+    string: EQUALITY_OPERATORS,
+    objectId: EQUALITY_OPERATORS,
+    boolean: ['eq', 'ne'],
+    number: [...EQUALITY_OPERATORS, ...RANGE_OPERATORS],
+    date: [...EQUALITY_OPERATORS, ...RANGE_OPERATORS, 'after', 'before'],
+  });
+
+  const SCHEMA_TYPES = {
+    String: 'string',
+    Number: 'number',
+    Date: 'date',
+    ObjectId: 'objectId',
+    Boolean: 'boolean',
+  };
+
+  const schemaFieldTypes = (schema, fields) => {
+    const types = {};
+    for (const field of fields) {
+      const type = SCHEMA_TYPES[schema.path(field)?.instance];
+      if (type) types[field] = type;
+    }
+    return types;
+  };
+
+  const coerceFilterValue = (raw, type) => {
+    const value = raw.trim();
+    switch (type) {
+      case 'number': {
+        const number = Number(value);
+        return value !== '' && Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+      }
+      case 'date': {
+        const date = new Date(value);
+        return value !== '' && !Number.isNaN(date.getTime()) ? { value: date } : { error: 'must be a valid date' };
+      }
+      case 'objectId':
+        return OBJECT_ID_PATTERN.test(value) ? { value } : { error: 'must be a valid id' };
+      case 'boolean':
+        if (value === 'true') return { value: true };
+        if (value === 'false') return { value: false };
+        return { error: 'must be true or false' };
+      default:
+        return { value };
+    }
+  };
+
+  const parseFilters = (query, fieldTypes) => {
+    const filter = {};
+    const errors = [];
+    const fields = Object.keys(fieldTypes);
+
+    for (const [key, raw] of Object.entries(query)) {
+      if (key.startsWith('$')) {
+        errors.push({ field: key, message: `Operators are not allowed as parameters: "${key}"` });
+        continue;
+      }
+
+      const match = FILTER_KEY_PATTERN.exec(key);
+      if (!match) continue;
+
+      const [, field, operator] = match;
+      const type = fieldTypes[field];
+      if (!type) {
+        errors.push({ field: key, message: `Cannot filter by "${field}". Allowed: ${fields.join(', ')}` });
+        continue;
+      }
+      if (!FILTER_OPERATORS[type].includes(operator)) {
+        errors.push({
+          field: key,
+          message: `Unsupported operator "${operator}" for ${field}. Allowed: ${FILTER_OPERATORS[type].join(', ')}`,
+        });
+        continue;
+      }
+      if (typeof raw !== 'string') {
+        errors.push({ field: key, message: `${key} must be given once` });
+        continue;
+      }
+
+      const isList = LIST_OPERATORS.includes(operator);
+      const rawValues = isList ? raw.split(',').filter((item) => item.trim() !== '') : [raw];
+      if (isList && (rawValues.length === 0 || rawValues.length > MAX_FILTER_VALUES)) {
+        errors.push({ field: key, message: `${key} must list between 1 and ${MAX_FILTER_VALUES} values` });
+        continue;
+      }
+
+      const values = [];
+      for (const rawValue of rawValues) {
+        const result = coerceFilterValue(rawValue, type);
+        if (result.error) {
+          errors.push({ field: key, message: `${key} ${result.error}` });
+          break;
+        }
+        values.push(result.value);
+      }
+      if (values.length !== rawValues.length) continue;
+
+      filter[field] = { ...filter[field], [OPERATORS[operator]]: isList ? values : values[0] };
+    }
+
+    return { filter, errors };
+  };
+
+  // Same shape as Post.schema.path()
+  const schema = {
+    path: (name) => ({
+      name: { instance: 'String' },
+      age: { instance: 'Number' },
+      author: { instance: 'ObjectId' },
+      createdAt: { instance: 'Date' },
+      published: { instance: 'Boolean' },
+      tags: { instance: 'Array' },
+    })[name],
+  };
+  const types = schemaFieldTypes(schema, ['name', 'age', 'author', 'createdAt', 'published', 'tags', 'missing']);
+
+  describe('schemaFieldTypes', () => {
+    it('should map supported schema types and skip the others', () => {
+      expect(types).toEqual({
+        name: 'string',
+        age: 'number',
+        author: 'objectId',
+        createdAt: 'date',
+        published: 'boolean',
+      });
+    });
+  });
+
+  describe('parseFilters', () => {
+    it('should combine range operators on the same field', () => {
+      const { filter, errors } = parseFilters({ 'age[gte]': '18', 'age[lt]': '65' }, types);
+
+      expect(errors).toEqual([]);
+      expect(filter).toEqual({ age: { $gte: 18, $lt: 65 } });
+    });
+
+    it('should coerce dates and map after/before', () => {
+      const { filter } = parseFilters({ 'createdAt[after]': '2026-01-01', 'createdAt[before]': '2026-02-01' }, types);
+
+      expect(filter.createdAt.$gt).toEqual(new Date('2026-01-01'));
+      expect(filter.createdAt.$lt).toEqual(new Date('2026-02-01'));
+    });
+
+    it('should split in/nin lists', () => {
+      const { filter } = parseFilters({ 'name[in]': 'a, b,,c', 'age[nin]': '1,2' }, types);
+
+      expect(filter).toEqual({ name: { $in: ['a', 'b', 'c'] }, age: { $nin: [1, 2] } });
+    });
+
+    it('should coerce booleans and ids', () => {
+      const id = '65a1b2c3d4e5f60718293a4b';
+      const { filter } = parseFilters({ 'published[eq]': 'false', 'author[ne]': id }, types);
+
+      expect(filter).toEqual({ published: { $eq: false }, author: { $ne: id } });
+    });
+
+    it('should ignore regular parameters', () => {
+      expect(parseFilters({ page: '2', q: 'node', sort: '-age' }, types)).toEqual({ filter: {}, errors: [] });
+    });
+
+    it('should reject operator injection', () => {
+      const { filter, errors } = parseFilters({ $where: 'sleep(1000)', 'name[$regex]': '.*', 'name[]': 'x' }, types);
+
+      expect(filter).toEqual({});
+      expect(errors.map((error) => error.field)).toEqual(['$where', 'name[$regex]', 'name[]']);
+    });
+
+    it('should reject fields outside the allowlist', () => {
+      const { errors } = parseFilters({ 'password[eq]': 'x' }, types);
+
+      expect(errors[0].message).toBe(
+        'Cannot filter by "password". Allowed: name, age, author, createdAt, published',
+      );
+    });
+
+    it('should reject operators that do not fit the field type', () => {
+      const { errors } = parseFilters({ 'name[gt]': 'a', 'age[after]': '1' }, types);
+
+      expect(errors).toHaveLength(2);
+      expect(errors[0].message).toBe('Unsupported operator "gt" for name. Allowed: eq, ne, in, nin');
+    });
+
+    it('should report values of the wrong type', () => {
+      const { errors } = parseFilters({
+        'age[gt]': 'abc',
+        'createdAt[after]': 'yesterday',
+        'author[eq]': '123',
+        'published[eq]': 'yes',
+        'age[in]': '1,x',
+      }, types);
+
+      expect(errors.map((error) => error.message)).toEqual([
+        'age[gt] must be a number',
+        'createdAt[after] must be a valid date',
+        'author[eq] must be a valid id',
+        'published[eq] must be true or false',
+        'age[in] must be a number',
+      ]);
+    });
+
+    it('should reject repeated parameters and oversized lists', () => {
+      const tooMany = Array.from({ length: MAX_FILTER_VALUES + 1 }, (_, i) => i).join(',');
+      const { errors } = parseFilters({ 'age[gt]': ['1', '2'], 'age[in]': tooMany, 'name[in]': ',' }, types);
+
+      expect(errors.map((error) => error.message)).toEqual([
+        'age[gt] must be given once',
+        `age[in] must list between 1 and ${MAX_FILTER_VALUES} values`,
+        `name[in] must list between 1 and ${MAX_FILTER_VALUES} values`,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+// HTTP Cache Utils Tests
+// Validators (ETag / Last-Modified) and 304 Not Modified handling
+
+const crypto = require('crypto');
+
+describe('HTTP Cache Utils', () => {
+  const hashValue = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url');
+
+  const weakETag = (value) => `W/"${hashValue(value)}"`;
+
+  const versionedETag = (version, value) => `"${version ?? 1}-${hashValue(value)}"`;
+
+  const latestDate = (...dates) => {
+    const times = dates.filter(Boolean).map((date) => date.getTime());
+    return times.length ? new Date(Math.max(...times)) : undefined;
+  };
+
+  const opaqueTag = (tag) => tag.trim().replace(/^W\//, '');
+
+  const isNotModified = (req, { etag, lastModified }) => {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch) {
+      if (ifNoneMatch.trim() === '*') return true;
+      if (!etag) return false;
+      return ifNoneMatch.split(',').some((tag) => opaqueTag(tag) === opaqueTag(etag));
+    }
+
+    const ifModifiedSince = req.get('If-Modified-Since');
+    if (ifModifiedSince && lastModified) {
+      const since = Date.parse(ifModifiedSince);
+      if (Number.isNaN(since)) return false;
+      // HTTP dates have a one second resolution
+      return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+    }
+
+    return false;
+  };
+
+  const sendConditional = (req, res, body, { etag = weakETag(body), lastModified } = {}) => {
+    res.set('ETag', etag);
+    if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+    if ((req.method === 'GET' || req.method === 'HEAD') && isNotModified(req, { etag, lastModified })) {
+      res.status(304).end();
+      return;
+    }
+    res.status(200).json(body);
+  };
+
+  const request = (headers = {}, method = 'GET') => ({
+    method,
+    get: (name) => headers[name],
+  });
+  const response = () => {
+    const res = {
+      headers: {},
+      set: jest.fn((name, value) => { res.headers[name] = value; }),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      end: jest.fn().mockReturnThis(),
+    };
+    return res;
+  };
+  const lastModified = new Date('2026-01-01T10:00:00.500Z');
+
+  describe('weakETag', () => {
+    it('should be stable for equal values and differ otherwise', () => {
+      expect(weakETag({ a: 1 })).toBe(weakETag({ a: 1 }));
+      expect(weakETag({ a: 1 })).not.toBe(weakETag({ a: 2 }));
+      expect(weakETag({ a: 1 })).toMatch(/^W\/"[\w-]+"$/);
+    });
+  });
+
+  describe('versionedETag', () => {
+    it('should start with the version', () => {
+      expect(versionedETag(3, { post: 1 })).toMatch(/^"3-[\w-]+"$/);
+      expect(versionedETag(undefined, { post: 1 })).toMatch(/^"1-/);
+    });
+
+    it('should change with the body when the version does not', () => {
+      const read = { post: { version: 3, commentCount: 1, reactedByMe: [] } };
+      const afterComment = { post: { version: 3, commentCount: 2, reactedByMe: [] } };
+      const afterReaction = { post: { version: 3, commentCount: 1, reactedByMe: ['like'] } };
+
+      expect(versionedETag(3, read)).toBe(versionedETag(3, { post: { ...read.post } }));
+      expect(versionedETag(3, afterComment)).not.toBe(versionedETag(3, read));
+      expect(versionedETag(3, afterReaction)).not.toBe(versionedETag(3, read));
+    });
+
+    it('should revalidate a cached post only while the body is unchanged', () => {
+      const body = { post: { version: 3, reactionCounts: { like: 1 } } };
+      const cached = versionedETag(3, body);
+      const current = versionedETag(3, { post: { version: 3, reactionCounts: { like: 2 } } });
+
+      expect(isNotModified(request({ 'If-None-Match': cached }), { etag: versionedETag(3, body) })).toBe(true);
+      expect(isNotModified(request({ 'If-None-Match': cached }), { etag: current })).toBe(false);
+    });
+  });
+
+  describe('latestDate', () => {
+    it('should pick the latest date and skip missing ones', () => {
+      const edited = new Date('2026-01-01T10:00:00Z');
+      const commented = new Date('2026-01-02T08:30:00Z');
+
+      expect(latestDate(edited, commented)).toEqual(commented);
+      expect(latestDate(edited, null)).toEqual(edited);
+      expect(latestDate(undefined, null)).toBeUndefined();
+    });
+
+    it('should move a post\'s Last-Modified when only its comments or reactions changed', () => {
+      const post = { updatedAt: lastModified, activityAt: null };
+      const cached = request({ 'If-Modified-Since': lastModified.toUTCString() });
+
+      expect(isNotModified(cached, { lastModified: latestDate(post.updatedAt, post.activityAt) })).toBe(true);
+
+      post.activityAt = new Date('2026-01-01T10:05:00Z');
+      expect(isNotModified(cached, { lastModified: latestDate(post.updatedAt, post.activityAt) })).toBe(false);
+    });
+  });
+
+  describe('isNotModified', () => {
+    it('should use weak comparison for If-None-Match', () => {
+      expect(isNotModified(request({ 'If-None-Match': 'W/"3"' }), { etag: '"3"' })).toBe(true);
+      expect(isNotModified(request({ 'If-None-Match': '"1", "3"' }), { etag: '"3"' })).toBe(true);
+      expect(isNotModified(request({ 'If-None-Match': '"2"' }), { etag: '"3"' })).toBe(false);
+    });
+
+    it('should match any representation with *', () => {
+      expect(isNotModified(request({ 'If-None-Match': '*' }), { etag: '"3"' })).toBe(true);
+    });
+
+    it('should ignore If-Modified-Since when If-None-Match is present', () => {
+      const req = request({ 'If-None-Match': '"2"', 'If-Modified-Since': lastModified.toUTCString() });
+
+      expect(isNotModified(req, { etag: '"3"', lastModified })).toBe(false);
+    });
+
+    it('should compare If-Modified-Since with second precision', () => {
+      expect(isNotModified(request({ 'If-Modified-Since': 'Thu, 01 Jan 2026 10:00:00 GMT' }), { lastModified })).toBe(true);
+      expect(isNotModified(request({ 'If-Modified-Since': 'Thu, 01 Jan 2026 09:59:59 GMT' }), { lastModified })).toBe(false);
+    });
+
+    it('should ignore invalid dates and missing validators', () => {
+      expect(isNotModified(request({ 'If-Modified-Since': 'yesterday' }), { lastModified })).toBe(false);
+      expect(isNotModified(request({ 'If-Modified-Since': lastModified.toUTCString() }), {})).toBe(false);
+      expect(isNotModified(request(), { etag: '"3"', lastModified })).toBe(false);
+    });
+  });
+
+  describe('sendConditional', () => {
+    it('should send the body with its validators', () => {
+      const res = response();
+
+      sendConditional(request(), res, { post: 1 }, { etag: '"3"', lastModified });
+
+      expect(res.headers).toEqual({ ETag: '"3"', 'Last-Modified': 'Thu, 01 Jan 2026 10:00:00 GMT' });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ post: 1 });
+    });
+
+    it('should answer 304 without a body when the copy is current', () => {
+      const res = response();
+
+      sendConditional(request({ 'If-None-Match': '"3"' }), res, { post: 1 }, { etag: '"3"' });
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it('should default to a weak ETag of the body', () => {
+      const res = response();
+      const body = { data: [1, 2] };
+
+      sendConditional(request({ 'If-None-Match': weakETag(body) }), res, body);
+
+      expect(res.headers.ETag).toBe(weakETag(body));
+      expect(res.status).toHaveBeenCalledWith(304);
+    });
+
+    it('should only answer 304 to GET and HEAD', () => {
+      const res = response();
+
+      sendConditional(request({ 'If-None-Match': '"3"' }, 'POST'), res, { post: 1 }, { etag: '"3"' });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// Import Utils Tests
+// Parsing of bulk imports sent as JSON arrays or CSV files. The module is pure, so the tests run
+// it directly (compiled to CommonJS by babel-jest) instead of a copy.
+
+const { IMPORT_LIMITS } = require('../../../src/config/constants.js');
+const { csvToPosts, parseCsv, readImportedPosts } = require('../../../src/utils/import.utils.js');
+const { AppError } = require('../../../src/utils/errors.js');
+
+describe('Import Utils', () => {
+  const { MAX_ROWS } = IMPORT_LIMITS;
+
+  const request = (type, body) => ({ body, is: (expected) => (expected === type ? type : false) });
+
+  describe('parseCsv', () => {
+    it('should split lines and cells', () => {
+      expect(parseCsv('a,b\r\n1,2\n3,')).toEqual([['a', 'b'], ['1', '2'], ['3', '']]);
+    });
+
+    it('should read quoted cells with commas, quotes and line breaks', () => {
+      expect(parseCsv('"a, b","say ""hi""","line\r\nbreak"\r\n')).toEqual([['a, b', 'say "hi"', 'line\r\nbreak']]);
+    });
+
+    it('should read empty quoted cells', () => {
+      expect(parseCsv('"",x')).toEqual([['', 'x']]);
+    });
+
+    it('should ignore a byte order mark', () => {
+      expect(parseCsv('\uFEFFname\nx')).toEqual([['name'], ['x']]);
+    });
+
+    it('should read a quoted first cell after a byte order mark', () => {
+      expect(parseCsv('\uFEFF"name",age\r\nx,1')).toEqual([['name', 'age'], ['x', '1']]);
+    });
+
+    it('should reject a quoted cell that is never closed', () => {
+      expect(() => parseCsv('name\n"x\ny')).toThrow(
+        expect.objectContaining({ code: 'INVALID_CSV', message: 'Unterminated quoted cell starting on line 2' })
+      );
+    });
+
+    it('should report unterminated quotes as 400 application errors', () => {
+      let thrown;
+      try {
+        parseCsv('name,description\nHello,"Some ""quoted"" text\r\nnext,row');
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeInstanceOf(AppError);
+      expect(thrown).toMatchObject({ statusCode: 400, code: 'INVALID_CSV' });
+    });
+
+    it('should return no rows for empty text', () => {
+      expect(parseCsv('')).toEqual([]);
+    });
+  });
+
+  describe('csvToPosts', () => {
+    it('should key the cells of every line by column', () => {
+      expect(csvToPosts('name,description,age\nHello,"Some, text",30\n')).toEqual([
+        { name: 'Hello', description: 'Some, text', age: 30 },
+      ]);
+    });
+
+    it('should split tags on semicolons', () => {
+      expect(csvToPosts('name,tags\na, node ;api;;\n')).toEqual([{ name: 'a', tags: ['node', 'api'] }]);
+    });
+
+    it('should leave ages that are not numbers to the validation', () => {
+      expect(csvToPosts('age\nabc')).toEqual([{ age: 'abc' }]);
+    });
+
+    it('should leave out empty cells and skip blank lines', () => {
+      expect(csvToPosts('name,category,age\r\n\r\nHello,,1\r\n,,\r\n')).toEqual([{ name: 'Hello', age: 1 }]);
+    });
+
+    it('should remove the apostrophe exports put before formulas', () => {
+      expect(csvToPosts("name,description\n'=SUM(A1),'-item\n")).toEqual([{ name: '=SUM(A1)', description: '-item' }]);
+      expect(csvToPosts("name\nit's")).toEqual([{ name: "it's" }]);
+    });
+
+    it('should keep every column of an export', () => {
+      const [post] = csvToPosts('_id,name,slug\r\n64b0,Hello,hello\r\n');
+
+      expect(post).toEqual({ _id: '64b0', name: 'Hello', slug: 'hello' });
+    });
+
+    it('should return no posts for a header alone', () => {
+      expect(csvToPosts('name,age\n')).toEqual([]);
+    });
+  });
+
+  describe('readImportedPosts', () => {
+    it('should read JSON arrays', () => {
+      expect(readImportedPosts(request('application/json', [{ name: 'a' }, 'x']))).toEqual([{ name: 'a' }, 'x']);
+    });
+
+    it('should read CSV files', () => {
+      expect(readImportedPosts(request('text/csv', 'name\na\nb'))).toEqual([{ name: 'a' }, { name: 'b' }]);
+    });
+
+    it('should reject JSON that is not an array', () => {
+      expect(() => readImportedPosts(request('application/json', { name: 'a' }))).toThrow(
+        expect.objectContaining({ code: 'INVALID_IMPORT' })
+      );
+    });
+
+    it('should reject empty imports', () => {
+      expect(() => readImportedPosts(request('application/json', []))).toThrow('The import contains no posts');
+      expect(() => readImportedPosts(request('text/csv', 'name,age\n'))).toThrow('The import contains no posts');
+      expect(() => readImportedPosts(request('text/csv', undefined))).toThrow('The import contains no posts');
+    });
+
+    it('should reject other content types', () => {
+      expect(() => readImportedPosts(request('text/plain', 'name'))).toThrow(
+        expect.objectContaining({ statusCode: 415 })
+      );
+    });
+
+    it('should reject imports above the row limit', () => {
+      const posts = Array.from({ length: MAX_ROWS + 1 }, () => ({}));
+
+      expect(() => readImportedPosts(request('application/json', posts))).toThrow(
+        expect.objectContaining({ statusCode: 413, code: 'TOO_MANY_ROWS' })
+      );
+      expect(readImportedPosts(request('application/json', posts.slice(1)))).toHaveLength(MAX_ROWS);
+    });
+  });
+});
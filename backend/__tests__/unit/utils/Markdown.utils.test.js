@@ -0,0 +1,175 @@
+// Markdown Utils Tests
+// Rendering of post descriptions to sanitized HTML and plain text
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+describe('Markdown Utils', () => {
+  const markdown = new MarkdownIt({ html: true });
+
+  const SANITIZE_OPTIONS = {
+    allowedTags: [
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+      'em', 'strong', 'del', 's', 'ul', 'ol', 'li', 'a', 'img',
+      'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    ],
+    allowedAttributes: {
+      a: ['href', 'title', 'rel'],
+      img: ['src', 'alt', 'title'],
+      ol: ['start'],
+      th: ['style'],
+      td: ['style'],
+      code: ['class'],
+    },
+    allowedClasses: {
+      code: [/^language-[\w-]+$/],
+    },
+    allowedStyles: {
+      '*': { 'text-align': [/^(left|right|center)$/] },
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https'] },
+    allowProtocolRelative: false,
+    transformTags: {
+      a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc noopener' }),
+    },
+  };
+
+  const TEXT_OPTIONS = { allowedTags: [], allowedAttributes: {} };
+
+  const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+  const renderMarkdown = (source) => sanitizeHtml(markdown.render(source ?? ''), SANITIZE_OPTIONS);
+
+  const markdownToText = (source) =>
+    sanitizeHtml(renderMarkdown(source), TEXT_OPTIONS)
+      .replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+  const formatDescription = (post, format = 'markdown') => {
+    if (typeof post.description === 'string') {
+      if (format === 'html') {
+        post.description = post.descriptionHtml ?? renderMarkdown(post.description);
+      } else if (format === 'text') {
+        post.description = markdownToText(post.description);
+      }
+    }
+    delete post.descriptionHtml;
+    return post;
+  };
+
+  describe('renderMarkdown', () => {
+    it('should render Markdown to HTML', () => {
+      expect(renderMarkdown('# Title\n\nSome **bold** and _em_ text')).toBe(
+        '<h1>Title</h1>\n<p>Some <strong>bold</strong> and <em>em</em> text</p>\n'
+      );
+    });
+
+    it('should render GitHub flavored tables and fenced code', () => {
+      const html = renderMarkdown('```js\nconst a = 1 < 2;\n```\n\n| a | b |\n|:-|-:|\n| 1 | 2 |');
+
+      expect(html).toContain('<pre><code class="language-js">const a = 1 &lt; 2;\n</code></pre>');
+      expect(html).toContain('<th style="text-align:left">a</th>');
+      expect(html).toContain('<td style="text-align:right">2</td>');
+    });
+
+    it('should remove scripts and styles with their content', () => {
+      const html = renderMarkdown('before\n\n<script>alert(1)</script>\n\n<style>p { color: red }</style>\n\nafter');
+
+      expect(html).not.toMatch(/script|style|alert|color/);
+      expect(html).toContain('<p>before</p>');
+      expect(html).toContain('<p>after</p>');
+    });
+
+    it('should remove event handlers and style attributes', () => {
+      const html = renderMarkdown('<p onclick="steal()" style="x">text</p> <img src="https://a.io/i.png" onerror="steal()">');
+
+      expect(html).not.toMatch(/onclick|onerror|steal|style/);
+      expect(html).toContain('<img src="https://a.io/i.png" />');
+    });
+
+    it('should drop dangerous URLs from links and images', () => {
+      const html = renderMarkdown(
+        '[a](javascript:alert(1)) <a href="JaVaScRiPt:alert(1)">b</a> [c](vbscript:x) ![d](data:image/png;base64,AAAA)'
+      );
+
+      // Markdown links with such URLs stay text, raw HTML ones lose their URL
+      expect(html).not.toMatch(/href|src/);
+      expect(html).toContain('<a rel="nofollow ugc noopener">b</a>');
+      expect(html).toContain('<img alt="d" />');
+    });
+
+    it('should keep http(s) and mailto links, marked as user content', () => {
+      const html = renderMarkdown('[site](https://example.com "Site") [mail](mailto:a@b.io)');
+
+      expect(html).toContain('<a href="https://example.com" title="Site" rel="nofollow ugc noopener">site</a>');
+      expect(html).toContain('<a href="mailto:a@b.io" rel="nofollow ugc noopener">mail</a>');
+    });
+
+    it('should drop tags outside the allowlist but keep their text', () => {
+      const html = renderMarkdown('<div class="x"><span>kept</span></div> <iframe src="https://a.io"></iframe>');
+
+      expect(html).toContain('kept');
+      expect(html).not.toMatch(/div|span|iframe|class/);
+    });
+
+    it('should only keep language classes on code', () => {
+      expect(renderMarkdown('<code class="language-js evil">x</code>')).toBe('<p><code class="language-js">x</code></p>\n');
+    });
+
+    it('should handle an empty description', () => {
+      expect(renderMarkdown('')).toBe('');
+      expect(renderMarkdown(undefined)).toBe('');
+    });
+  });
+
+  describe('markdownToText', () => {
+    it('should strip the Markdown syntax', () => {
+      expect(markdownToText('# Title\n\nSome **bold** and [a link](https://a.io)')).toBe(
+        'Title\nSome bold and a link'
+      );
+    });
+
+    it('should decode entities', () => {
+      expect(markdownToText('1 < 2 & "quotes" it\'s')).toBe('1 < 2 & "quotes" it\'s');
+    });
+
+    it('should not keep the text of removed scripts', () => {
+      expect(markdownToText('<script>alert(1)</script>\n\nvisible')).toBe('visible');
+    });
+
+    it('should collapse blank lines', () => {
+      expect(markdownToText('1. a\n2. b\n\n\n\n> quote')).toBe('a\nb\n\nquote');
+    });
+  });
+
+  describe('formatDescription', () => {
+    const stored = () => ({ description: 'Hello *you*', descriptionHtml: '<p>Hello <em>you</em></p>\n' });
+
+    it('should return the Markdown source by default', () => {
+      expect(formatDescription(stored())).toEqual({ description: 'Hello *you*' });
+      expect(formatDescription(stored(), 'markdown')).toEqual({ description: 'Hello *you*' });
+    });
+
+    it('should use the stored HTML', () => {
+      const post = { description: 'Hello *you*', descriptionHtml: '<p>stored</p>' };
+
+      expect(formatDescription(post, 'html')).toEqual({ description: '<p>stored</p>' });
+    });
+
+    it('should render posts without stored HTML', () => {
+      expect(formatDescription({ description: 'Hello *you*' }, 'html')).toEqual({
+        description: '<p>Hello <em>you</em></p>\n',
+      });
+    });
+
+    it('should return plain text', () => {
+      expect(formatDescription(stored(), 'text')).toEqual({ description: 'Hello you' });
+    });
+
+    it('should leave posts without description alone', () => {
+      expect(formatDescription({ name: 'n' }, 'html')).toEqual({ name: 'n' });
+      expect(formatDescription({ name: 'n', descriptionHtml: '<p>x</p>' }, 'text')).toEqual({ name: 'n' });
+    });
+  });
+});
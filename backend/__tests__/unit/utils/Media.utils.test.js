@@ -0,0 +1,179 @@
+// Media Utils Tests
+// File type detection from content and image dimensions
+
+describe('Media Utils', () => {
+  const SIGNATURES = [
+    { mimeType: 'image/png', bytes: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+    { mimeType: 'image/jpeg', bytes: [[0, [0xff, 0xd8, 0xff]]] },
+    { mimeType: 'image/gif', bytes: [[0, [...Buffer.from('GIF87a')]]] },
+    { mimeType: 'image/gif', bytes: [[0, [...Buffer.from('GIF89a')]]] },
+    { mimeType: 'image/webp', bytes: [[0, [...Buffer.from('RIFF')]], [8, [...Buffer.from('WEBP')]]] },
+    { mimeType: 'application/pdf', bytes: [[0, [...Buffer.from('%PDF-')]]] },
+  ];
+  const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+  const JPEG_STANDALONE_MARKERS = new Set([0x01, 0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8]);
+
+  const sniffMimeType = (head) => {
+    const match = SIGNATURES.find(({ bytes }) =>
+      bytes.every(([offset, expected]) => expected.every((byte, index) => head[offset + index] === byte))
+    );
+    return match ? match.mimeType : null;
+  };
+
+  const jpegDimensions = (head) => {
+    let offset = 2;
+    while (offset + 9 < head.length) {
+      if (head[offset] !== 0xff) return null;
+      const marker = head[offset + 1];
+      if (marker === 0xff) {
+        offset += 1;
+      } else if (JPEG_STANDALONE_MARKERS.has(marker)) {
+        offset += 2;
+      } else if (JPEG_SOF_MARKERS.has(marker)) {
+        return { height: head.readUInt16BE(offset + 5), width: head.readUInt16BE(offset + 7) };
+      } else {
+        offset += 2 + head.readUInt16BE(offset + 2);
+      }
+    }
+    return null;
+  };
+
+  const webpDimensions = (head) => {
+    if (head.length < 30) return null;
+    switch (head.toString('latin1', 12, 16)) {
+      case 'VP8 ':
+        return { width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+      case 'VP8L': {
+        const bits = head.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      case 'VP8X':
+        return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+      default:
+        return null;
+    }
+  };
+
+  const imageDimensions = (head, mimeType) => {
+    switch (mimeType) {
+      case 'image/png':
+        return head.length >= 24 ? { width: head.readUInt32BE(16), height: head.readUInt32BE(20) } : null;
+      case 'image/gif':
+        return head.length >= 10 ? { width: head.readUInt16LE(6), height: head.readUInt16LE(8) } : null;
+      case 'image/jpeg':
+        return jpegDimensions(head);
+      case 'image/webp':
+        return webpDimensions(head);
+      default:
+        return null;
+    }
+  };
+
+  const png = (width, height) => {
+    const head = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]).copy(head);
+    head.write('IHDR', 12, 'latin1');
+    head.writeUInt32BE(width, 16);
+    head.writeUInt32BE(height, 20);
+    return head;
+  };
+
+  const gif = (width, height) => {
+    const head = Buffer.alloc(13);
+    head.write('GIF89a', 0, 'latin1');
+    head.writeUInt16LE(width, 6);
+    head.writeUInt16LE(height, 8);
+    return head;
+  };
+
+  // SOI, an APP1 segment of `metadata` bytes, then SOF2 (progressive)
+  const jpeg = (width, height, metadata = 10) => {
+    const app1 = Buffer.alloc(4 + metadata);
+    app1.writeUInt16BE(0xffe1, 0);
+    app1.writeUInt16BE(2 + metadata, 2);
+    const sof = Buffer.alloc(19);
+    sof.writeUInt16BE(0xffc2, 0);
+    sof.writeUInt16BE(17, 2);
+    sof[4] = 8;
+    sof.writeUInt16BE(height, 5);
+    sof.writeUInt16BE(width, 7);
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), app1, sof]);
+  };
+
+  const webp = (chunk, fill) => {
+    const head = Buffer.alloc(30);
+    head.write('RIFF', 0, 'latin1');
+    head.write('WEBP', 8, 'latin1');
+    head.write(chunk, 12, 'latin1');
+    fill(head);
+    return head;
+  };
+
+  describe('sniffMimeType', () => {
+    it('should recognize the accepted formats', () => {
+      expect(sniffMimeType(png(1, 1))).toBe('image/png');
+      expect(sniffMimeType(jpeg(1, 1))).toBe('image/jpeg');
+      expect(sniffMimeType(gif(1, 1))).toBe('image/gif');
+      expect(sniffMimeType(Buffer.from('GIF87a...'))).toBe('image/gif');
+      expect(sniffMimeType(webp('VP8 ', () => {}))).toBe('image/webp');
+      expect(sniffMimeType(Buffer.from('%PDF-1.7\n'))).toBe('application/pdf');
+    });
+
+    it('should not trust names or declared types, only content', () => {
+      expect(sniffMimeType(Buffer.from('<html><script>alert(1)</script>'))).toBeNull();
+      expect(sniffMimeType(Buffer.from('MZ\x90\x00'))).toBeNull();
+    });
+
+    it('should require every part of a signature', () => {
+      const riffWave = Buffer.from('RIFF\0\0\0\0WAVEfmt ');
+
+      expect(sniffMimeType(riffWave)).toBeNull();
+    });
+
+    it('should handle files shorter than a signature', () => {
+      expect(sniffMimeType(Buffer.alloc(0))).toBeNull();
+      expect(sniffMimeType(Buffer.from([0x89, 0x50]))).toBeNull();
+    });
+  });
+
+  describe('imageDimensions', () => {
+    it('should read PNG and GIF sizes', () => {
+      expect(imageDimensions(png(800, 600), 'image/png')).toEqual({ width: 800, height: 600 });
+      expect(imageDimensions(gif(320, 200), 'image/gif')).toEqual({ width: 320, height: 200 });
+    });
+
+    it('should find the JPEG frame after metadata segments', () => {
+      expect(imageDimensions(jpeg(1920, 1080, 5000), 'image/jpeg')).toEqual({ width: 1920, height: 1080 });
+    });
+
+    it('should return null when the JPEG frame is beyond the bytes given', () => {
+      const head = jpeg(1920, 1080, 5000).subarray(0, 1000);
+
+      expect(imageDimensions(head, 'image/jpeg')).toBeNull();
+    });
+
+    it('should read the three WebP variants', () => {
+      const lossy = webp('VP8 ', (head) => {
+        head.writeUInt16LE(640, 26);
+        head.writeUInt16LE(480, 28);
+      });
+      const lossless = webp('VP8L', (head) => {
+        head[20] = 0x2f;
+        head.writeUInt32LE((100 - 1) | ((50 - 1) << 14), 21);
+      });
+      const extended = webp('VP8X', (head) => {
+        head.writeUIntLE(4000 - 1, 24, 3);
+        head.writeUIntLE(3000 - 1, 27, 3);
+      });
+
+      expect(imageDimensions(lossy, 'image/webp')).toEqual({ width: 640, height: 480 });
+      expect(imageDimensions(lossless, 'image/webp')).toEqual({ width: 100, height: 50 });
+      expect(imageDimensions(extended, 'image/webp')).toEqual({ width: 4000, height: 3000 });
+    });
+
+    it('should return null for documents and truncated headers', () => {
+      expect(imageDimensions(Buffer.from('%PDF-1.7'), 'application/pdf')).toBeNull();
+      expect(imageDimensions(png(1, 1).subarray(0, 20), 'image/png')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,256 @@
+// Pagination Utils Tests
+// Opaque cursors and keyset filters for cursor pagination
+
+const mongoose = require('mongoose');
+
+describe('Pagination Utils', () => {
+  class BadRequestError extends Error {
+    constructor(message, errors, code = 'BAD_REQUEST') {
+      super(message);
+      this.statusCode = 400;
+      this.errors = errors;
+      this.code = code;
+    }
+  }
+
+  const { EJSON } = mongoose.mongo.BSON;
+
+  const withTieBreaker = (sort) => {
+    if ('_id' in sort) return sort;
+    const directions = Object.values(sort);
+    return { ...sort, _id: directions.length ? directions[directions.length - 1] : 1 };
+  };
+
+  const sortSignature = (sort) => Object.entries(sort).map(([key, direction]) => `${key}:${direction}`).join(',');
+
+  const encodeCursor = (doc, sort) => {
+    const payload = { s: sortSignature(sort), v: Object.keys(sort).map((key) => doc[key] ?? null) };
+    return Buffer.from(EJSON.stringify(payload)).toString('base64url');
+  };
+
+  const decodeCursor = (cursor, sort) => {
+    let payload;
+    try {
+      payload = EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      throw new BadRequestError('Invalid cursor', undefined, 'INVALID_CURSOR');
+    }
+
+    const keyCount = Object.keys(sort).length;
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== keyCount) {
+      throw new BadRequestError('Invalid cursor', undefined, 'INVALID_CURSOR');
+    }
+    if (payload.s !== sortSignature(sort)) {
+      throw new BadRequestError('Cursor does not match the requested sort', undefined, 'INVALID_CURSOR');
+    }
+    return payload.v;
+  };
+
+  const beyondCondition = (key, value, operator) => {
+    if (value === null) return operator === '$gt' ? { [key]: { $ne: null } } : null;
+    if (operator === '$gt') return { [key]: { $gt: value } };
+    // _id is never null
+    if (key === '_id') return { _id: { $lt: value } };
+    return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+  };
+
+  const buildCursorFilter = (sort, values, direction) => {
+    const keys = Object.keys(sort);
+
+    const clauses = keys.flatMap((key, index) => {
+      const forward = sort[key] === 1 ? direction === 'after' : direction === 'before';
+      const beyond = beyondCondition(key, values[index] ?? null, forward ? '$gt' : '$lt');
+      if (!beyond) return [];
+      const clause = {};
+      for (let previous = 0; previous < index; previous += 1) {
+        clause[keys[previous]] = values[previous];
+      }
+      return [{ ...clause, ...beyond }];
+    });
+
+    return clauses.length === 1 ? clauses[0] : { $or: clauses };
+  };
+
+  const reverseSort = (sort) =>
+    Object.fromEntries(Object.entries(sort).map(([key, direction]) => [key, -direction]));
+
+  const sort = withTieBreaker({ createdAt: -1, name: 1 });
+  const doc = {
+    _id: new mongoose.Types.ObjectId('65a1b2c3d4e5f60718293a4b'),
+    createdAt: new Date('2024-01-02T03:04:05.000Z'),
+    name: 'Post',
+    age: 30,
+  };
+
+  // Sorts plain documents like MongoDB would for the given spec: null and missing values first
+  const sortDocs = (docs, spec) => [...docs].sort((a, b) => {
+    for (const [key, direction] of Object.entries(spec)) {
+      const left = a[key] ?? null;
+      const right = b[key] ?? null;
+      if (left === null || right === null) {
+        if (left !== right) return left === null ? -direction : direction;
+        continue;
+      }
+      const leftText = String(left instanceof Date ? left.toISOString() : left);
+      const rightText = String(right instanceof Date ? right.toISOString() : right);
+      if (leftText !== rightText) return leftText < rightText ? -direction : direction;
+    }
+    return 0;
+  });
+
+  // Evaluates the subset of filter operators produced by buildCursorFilter
+  const compare = (a, b) => {
+    const left = a instanceof Date ? a.getTime() : String(a);
+    const right = b instanceof Date ? b.getTime() : String(b);
+    if (left === right) return 0;
+    return left < right ? -1 : 1;
+  };
+  const matches = (item, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+      if (key === '$or') return condition.some((clause) => matches(item, clause));
+      const value = item[key] ?? null;
+      if (condition === null) return value === null;
+      if (condition.$ne === null) return value !== null;
+      if (value === null) return false;
+      if (condition.$gt !== undefined) return compare(value, condition.$gt) > 0;
+      if (condition.$lt !== undefined) return compare(value, condition.$lt) < 0;
+      return compare(value, condition) === 0;
+    });
+
+  const pageThrough = (docs, spec, pageSize) => {
+    const pages = [];
+    let after = null;
+    do {
+      const filtered = after ? docs.filter((item) => matches(item, buildCursorFilter(spec, after, 'after'))) : docs;
+      const page = sortDocs(filtered, spec).slice(0, pageSize);
+      pages.push(page);
+      after = page.length === pageSize ? Object.keys(spec).map((key) => page[page.length - 1][key] ?? null) : null;
+    } while (after);
+    return pages.flat();
+  };
+
+  describe('withTieBreaker', () => {
+    it('should append _id with the direction of the last key', () => {
+      expect(withTieBreaker({ createdAt: -1 })).toEqual({ createdAt: -1, _id: -1 });
+      expect(sort).toEqual({ createdAt: -1, name: 1, _id: 1 });
+    });
+
+    it('should keep an existing _id key', () => {
+      expect(withTieBreaker({ _id: -1, name: 1 })).toEqual({ _id: -1, name: 1 });
+    });
+  });
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip dates and ObjectIds', () => {
+      const [createdAt, name, id] = decodeCursor(encodeCursor(doc, sort), sort);
+
+      expect(createdAt).toBeInstanceOf(Date);
+      expect(createdAt.getTime()).toBe(doc.createdAt.getTime());
+      expect(name).toBe('Post');
+      expect(id).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(id.equals(doc._id)).toBe(true);
+    });
+
+    it('should produce URL-safe cursors', () => {
+      expect(encodeCursor(doc, sort)).toMatch(/^[\w-]+$/);
+    });
+
+    it('should reject malformed cursors', () => {
+      for (const cursor of ['not-a-cursor', Buffer.from('{"v":1}').toString('base64url')]) {
+        expect(() => decodeCursor(cursor, sort)).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+      }
+    });
+
+    it('should reject a cursor created for another sort', () => {
+      const cursor = encodeCursor(doc, withTieBreaker({ age: 1, name: -1 }));
+
+      expect(() => decodeCursor(cursor, sort)).toThrow('Cursor does not match the requested sort');
+    });
+  });
+
+  describe('buildCursorFilter', () => {
+    it('should use a single comparison for a single key', () => {
+      expect(buildCursorFilter({ _id: 1 }, [5], 'after')).toEqual({ _id: { $gt: 5 } });
+      expect(buildCursorFilter({ _id: 1 }, [5], 'before')).toEqual({ _id: { $lt: 5 } });
+    });
+
+    it('should compare keys lexicographically honouring each direction', () => {
+      expect(buildCursorFilter({ age: -1, _id: 1 }, [30, 7], 'after')).toEqual({
+        $or: [{ $or: [{ age: { $lt: 30 } }, { age: null }] }, { age: 30, _id: { $gt: 7 } }],
+      });
+      expect(buildCursorFilter({ age: 1, _id: 1 }, [30, 7], 'after')).toEqual({
+        $or: [{ age: { $gt: 30 } }, { age: 30, _id: { $gt: 7 } }],
+      });
+    });
+
+    it('should place null values before every other value', () => {
+      expect(buildCursorFilter({ publishedAt: 1, _id: 1 }, [null, 7], 'after')).toEqual({
+        $or: [{ publishedAt: { $ne: null } }, { publishedAt: null, _id: { $gt: 7 } }],
+      });
+      // Nothing sorts below null: only the tie-breaker can move back
+      expect(buildCursorFilter({ publishedAt: 1, _id: 1 }, [null, 7], 'before')).toEqual({
+        publishedAt: null,
+        _id: { $lt: 7 },
+      });
+    });
+
+    it('should not drop documents with null sort keys', () => {
+      const docs = Array.from({ length: 10 }, (_, i) => ({
+        _id: String(i).padStart(2, '0'),
+        ...(i % 3 && { publishedAt: new Date(Date.UTC(2026, 0, 1 + (i % 4))) }),
+      }));
+
+      for (const spec of [withTieBreaker({ publishedAt: -1 }), withTieBreaker({ publishedAt: 1 })]) {
+        expect(pageThrough(docs, spec, 3)).toEqual(sortDocs(docs, spec));
+      }
+    });
+
+    it('should page through every document exactly once, forwards and backwards', () => {
+      const docs = Array.from({ length: 11 }, (_, i) => ({
+        _id: String(i).padStart(2, '0'),
+        age: i % 3,
+        name: `post ${i % 4}`,
+      }));
+      const spec = withTieBreaker({ age: -1, name: 1 });
+      const ordered = sortDocs(docs, spec);
+      const pageSize = 3;
+
+      expect(pageThrough(docs, spec, pageSize)).toEqual(ordered);
+
+      const before = Object.keys(spec).map((key) => ordered[6][key]);
+      const previous = sortDocs(
+        docs.filter((item) => matches(item, buildCursorFilter(spec, before, 'before'))),
+        reverseSort(spec),
+      ).slice(0, pageSize).reverse();
+      expect(previous).toEqual(ordered.slice(3, 6));
+    });
+  });
+
+  describe('reverseSort', () => {
+    it('should flip every direction', () => {
+      expect(reverseSort({ createdAt: -1, _id: 1 })).toEqual({ createdAt: 1, _id: -1 });
+    });
+  });
+
+  describe('cursor pages over null sort keys, backwards', () => {
+    it('should reach the documents with null keys from the following page', () => {
+      const docs = [
+        { _id: 'a', publishedAt: null },
+        { _id: 'b' },
+        { _id: 'c', publishedAt: new Date('2026-01-01') },
+        { _id: 'd', publishedAt: new Date('2026-02-01') },
+      ];
+      const spec = withTieBreaker({ publishedAt: -1 });
+      const ordered = sortDocs(docs, spec);
+      const before = Object.keys(spec).map((key) => ordered[3][key] ?? null);
+
+      const previous = sortDocs(
+        docs.filter((item) => matches(item, buildCursorFilter(spec, before, 'before'))),
+        reverseSort(spec),
+      ).slice(0, 2).reverse();
+
+      expect(ordered.map((item) => item._id)).toEqual(['d', 'c', 'b', 'a']);
+      expect(previous.map((item) => item._id)).toEqual(['c', 'b']);
+    });
+  });
+});
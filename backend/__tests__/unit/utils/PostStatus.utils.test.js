@@ -0,0 +1,142 @@
+// Post Status Utils Tests
+// Publication lifecycle and visibility of unpublished posts
+
+describe('Post Status Utils', () => {
+  const postStatus = (post) => post.status ?? 'published';
+
+  const statusFilter = (status) =>
+    status === 'published' ? { status: { $in: ['published', null] } } : { status };
+
+  const visibilityFilter = (visibility) =>
+    visibility === 'public' ? { visibility: { $in: ['public', null] } } : { visibility };
+
+  const listedFilter = () => ({ ...statusFilter('published'), ...visibilityFilter('public') });
+
+  const visibleTo = (user, { listing = false } = {}) => {
+    const open = listing
+      ? listedFilter()
+      : { ...statusFilter('published'), visibility: { $in: ['public', 'unlisted', null] } };
+    return user ? { $or: [open, { author: user._id }] } : open;
+  };
+
+  const ROLE_ANY_PERMISSIONS = {
+    user: [],
+    moderator: ['post:update:any', 'post:delete:any'],
+    admin: ['post:update:any', 'post:delete:any'],
+  };
+  const hasPermission = (role, permission) => (ROLE_ANY_PERMISSIONS[role] || []).includes(permission);
+
+  const manageableBy = (user) =>
+    hasPermission(user.role, 'post:update:any') || hasPermission(user.role, 'post:delete:any')
+      ? {}
+      : visibleTo(user);
+
+  const publishUpdate = (publishAt, now = new Date()) =>
+    publishAt && publishAt > now
+      ? { status: 'scheduled', publishAt, publishedAt: null }
+      : { status: 'published', publishAt: null, publishedAt: now };
+
+  const author = { _id: 'u1' };
+
+  describe('postStatus', () => {
+    it('should return the stored status', () => {
+      expect(postStatus({ status: 'draft' })).toBe('draft');
+    });
+
+    it('should treat posts without status as published', () => {
+      expect(postStatus({})).toBe('published');
+      expect(postStatus({ status: null })).toBe('published');
+    });
+  });
+
+  describe('statusFilter', () => {
+    it('should include posts without status when filtering published posts', () => {
+      expect(statusFilter('published')).toEqual({ status: { $in: ['published', null] } });
+    });
+
+    it('should match other statuses exactly', () => {
+      expect(statusFilter('scheduled')).toEqual({ status: 'scheduled' });
+    });
+  });
+
+  describe('visibilityFilter', () => {
+    it('should include posts without visibility when filtering public posts', () => {
+      expect(visibilityFilter('public')).toEqual({ visibility: { $in: ['public', null] } });
+    });
+
+    it('should match other visibilities exactly', () => {
+      expect(visibilityFilter('private')).toEqual({ visibility: 'private' });
+    });
+  });
+
+  describe('listedFilter', () => {
+    it('should match published public posts', () => {
+      expect(listedFilter()).toEqual({
+        status: { $in: ['published', null] },
+        visibility: { $in: ['public', null] },
+      });
+    });
+  });
+
+  describe('visibleTo', () => {
+    const reachable = {
+      status: { $in: ['published', null] },
+      visibility: { $in: ['public', 'unlisted', null] },
+    };
+
+    it('should match published public or unlisted posts and the user own posts', () => {
+      expect(visibleTo(author)).toEqual({ $or: [reachable, { author: 'u1' }] });
+    });
+
+    it('should leave unlisted posts of others out of listings', () => {
+      expect(visibleTo(author, { listing: true })).toEqual({ $or: [listedFilter(), { author: 'u1' }] });
+    });
+
+    it('should only match posts open to everyone for anonymous visitors', () => {
+      expect(visibleTo(undefined)).toEqual(reachable);
+      expect(visibleTo(undefined, { listing: true })).toEqual(listedFilter());
+    });
+
+    it('should never match private posts of others', () => {
+      const filters = [visibleTo(author), visibleTo(author, { listing: true }), visibleTo(undefined)];
+
+      for (const filter of filters) {
+        const open = filter.$or ? filter.$or[0] : filter;
+        expect(open.visibility.$in).not.toContain('private');
+      }
+    });
+  });
+
+  describe('manageableBy', () => {
+    it('should limit users to the posts visible to them', () => {
+      const user = { _id: 'u1', role: 'user' };
+
+      expect(manageableBy(user)).toEqual(visibleTo(user));
+    });
+
+    it('should let moderators and admins reach every post', () => {
+      expect(manageableBy({ _id: 'm1', role: 'moderator' })).toEqual({});
+      expect(manageableBy({ _id: 'a1', role: 'admin' })).toEqual({});
+    });
+  });
+
+  describe('publishUpdate', () => {
+    const now = new Date('2026-05-01T12:00:00.000Z');
+
+    it('should publish now without a date', () => {
+      expect(publishUpdate(null, now)).toEqual({ status: 'published', publishAt: null, publishedAt: now });
+    });
+
+    it('should publish now for a past date', () => {
+      const past = new Date('2026-04-01T00:00:00.000Z');
+
+      expect(publishUpdate(past, now)).toEqual({ status: 'published', publishAt: null, publishedAt: now });
+    });
+
+    it('should schedule a future date', () => {
+      const future = new Date('2026-06-01T00:00:00.000Z');
+
+      expect(publishUpdate(future, now)).toEqual({ status: 'scheduled', publishAt: future, publishedAt: null });
+    });
+  });
+});
@@ -0,0 +1,270 @@
+// Query Utils Tests
+// Safe search/sort/projection building for list endpoints
+
+describe('Query Utils', () => {
+  const FIELD_LIST_SEPARATOR = /[\s,]+/;
+
+  const schemaFields = (schema, { exclude = [] } = {}) => {
+    return Object.entries(schema.paths)
+      .filter(([path, schemaType]) =>
+        !path.startsWith('__') &&
+        !path.includes('.') &&
+        schemaType.options.select !== false &&
+        !exclude.includes(path))
+      .map(([path]) => path);
+  };
+
+  // Minimal stand-ins for utils/search.utils.js (covered by Search.utils.test.js)
+  const parseSearch = (q) => {
+    const words = String(q).trim().split(/\s+/).filter(Boolean);
+    return {
+      terms: words.filter((word) => !word.startsWith('-')),
+      phrases: [],
+      excluded: words.filter((word) => word.startsWith('-')).map((word) => word.slice(1)),
+    };
+  };
+  const hasSearchTerms = (search) => search.terms.length > 0 || search.phrases.length > 0;
+  const buildRegexSearchFilter = (search, fields) => ({
+    $and: search.terms.map((term) => ({ $or: fields.map((field) => ({ [field]: new RegExp(term, 'i') })) })),
+  });
+
+  // Stand-in for utils/filter.utils.js (covered by Filter.utils.test.js)
+  const parseFilters = (query, fieldTypes) => {
+    const filter = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(query)) {
+      const match = /^(\w+)\[(\w+)\]$/.exec(key);
+      if (!match) continue;
+      if (!fieldTypes[match[1]]) {
+        errors.push({ field: key, message: `Cannot filter by "${match[1]}"` });
+        continue;
+      }
+      filter[match[1]] = { [`$${match[2]}`]: Number(value) };
+    }
+    return { filter, errors };
+  };
+
+  class BadRequestError extends Error {
+    constructor(message, errors, code = 'BAD_REQUEST') {
+      super(message);
+      this.statusCode = 400;
+      this.errors = errors;
+      this.code = code;
+    }
+  }
+
+  const splitList = (value) => String(value).split(FIELD_LIST_SEPARATOR).filter(Boolean);
+
+  const parseSort = (sort, allowed) => {
+    const result = {};
+    const errors = [];
+
+    for (const token of splitList(sort)) {
+      const descending = token.startsWith('-');
+      const field = token.replace(/^[-+]/, '');
+      if (!allowed.includes(field)) {
+        errors.push({ field: 'sort', message: `Cannot sort by "${field}". Allowed: ${allowed.join(', ')}` });
+        continue;
+      }
+      result[field] = descending ? -1 : 1;
+    }
+
+    return { sort: result, errors };
+  };
+
+  const parseProjection = (fields, allowed) => {
+    const projection = {};
+    const errors = [];
+
+    for (const field of splitList(fields)) {
+      if (!allowed.includes(field)) {
+        errors.push({ field: 'fields', message: `Unknown field "${field}". Allowed: ${allowed.join(', ')}` });
+        continue;
+      }
+      projection[field] = 1;
+    }
+
+    return { projection: Object.keys(projection).length ? projection : null, errors };
+  };
+
+  const buildListQuery = (query, {
+    allowedFields,
+    searchFields,
+    filterFields = {},
+    defaultSort,
+    defaultSearchMode = 'regex',
+  }) => {
+    const { q, sort, fields } = query;
+
+    const sortResult = parseSort(sort || defaultSort, allowedFields);
+    const projectionResult = fields ? parseProjection(fields, allowedFields) : { projection: null, errors: [] };
+    const filterResult = parseFilters(query, filterFields);
+    const errors = [...sortResult.errors, ...projectionResult.errors, ...filterResult.errors];
+
+    if (errors.length) {
+      throw new BadRequestError('Invalid query parameters', errors, 'INVALID_QUERY');
+    }
+
+    const { filter } = filterResult;
+    let sortSpec = sortResult.sort;
+    let { projection } = projectionResult;
+    const search = q ? parseSearch(q) : null;
+    const searchMode = search && hasSearchTerms(search) ? query.searchMode || defaultSearchMode : null;
+
+    if (searchMode === 'text') {
+      filter.$text = { $search: q };
+      const score = { $meta: 'textScore' };
+      projection = { ...projection, score };
+      if (!sort) sortSpec = { score, ...sortSpec };
+    } else if (searchMode === 'regex') {
+      Object.assign(filter, buildRegexSearchFilter(search, searchFields));
+    }
+
+    return {
+      filter,
+      sort: sortSpec,
+      projection,
+      search: searchMode ? search : null,
+      searchMode,
+    };
+  };
+
+  // Same shape as Post.schema.paths
+  const schema = {
+    paths: {
+      name: { options: {} },
+      description: { options: {} },
+      age: { options: {} },
+      secret: { options: { select: false } },
+      'meta.nested': { options: {} },
+      _id: { options: {} },
+      __v: { options: {} },
+    },
+  };
+
+  describe('schemaFields', () => {
+    it('should list top-level selectable paths', () => {
+      expect(schemaFields(schema)).toEqual(['name', 'description', 'age', '_id']);
+    });
+
+    it('should honour extra exclusions', () => {
+      expect(schemaFields(schema, { exclude: ['description'] })).toEqual(['name', 'age', '_id']);
+    });
+  });
+
+  describe('parseSort', () => {
+    const allowed = ['name', 'age', 'createdAt'];
+
+    it('should parse ascending and descending keys', () => {
+      expect(parseSort('-createdAt,name', allowed)).toEqual({ sort: { createdAt: -1, name: 1 }, errors: [] });
+    });
+
+    it('should accept spaces and explicit + prefixes', () => {
+      expect(parseSort('+age -name', allowed).sort).toEqual({ age: 1, name: -1 });
+    });
+
+    it('should reject keys outside the allowlist', () => {
+      const { errors } = parseSort('password,-$where', allowed);
+
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toEqual({
+        field: 'sort',
+        message: 'Cannot sort by "password". Allowed: name, age, createdAt',
+      });
+    });
+  });
+
+  describe('parseProjection', () => {
+    const allowed = ['name', 'age'];
+
+    it('should build an inclusion projection', () => {
+      expect(parseProjection('name,age', allowed)).toEqual({ projection: { name: 1, age: 1 }, errors: [] });
+    });
+
+    it('should reject unknown and nested paths', () => {
+      const { errors } = parseProjection('name,author.password', allowed);
+
+      expect(errors).toEqual([
+        { field: 'fields', message: 'Unknown field "author.password". Allowed: name, age' },
+      ]);
+    });
+
+    it('should return null when nothing is selected', () => {
+      expect(parseProjection(',', allowed).projection).toBeNull();
+    });
+  });
+
+  describe('buildListQuery', () => {
+    const options = {
+      allowedFields: ['name', 'description', 'createdAt'],
+      searchFields: ['name', 'description'],
+      defaultSort: '-createdAt',
+    };
+
+    it('should return the default sort and no search without q', () => {
+      expect(buildListQuery({}, options)).toEqual({
+        filter: {},
+        sort: { createdAt: -1 },
+        projection: null,
+        search: null,
+        searchMode: null,
+      });
+    });
+
+    it('should use $text and rank by score in text mode', () => {
+      const result = buildListQuery({ q: 'node -php', searchMode: 'text' }, options);
+
+      expect(result.filter).toEqual({ $text: { $search: 'node -php' } });
+      expect(result.sort).toEqual({ score: { $meta: 'textScore' }, createdAt: -1 });
+      expect(result.projection).toEqual({ score: { $meta: 'textScore' } });
+      expect(result.searchMode).toBe('text');
+      expect(result.search).toEqual({ terms: ['node'], phrases: [], excluded: ['php'] });
+    });
+
+    it('should keep an explicit sort and projection in text mode', () => {
+      const result = buildListQuery({ q: 'node', searchMode: 'text', sort: 'name', fields: 'name' }, options);
+
+      expect(result.sort).toEqual({ name: 1 });
+      expect(result.projection).toEqual({ name: 1, score: { $meta: 'textScore' } });
+    });
+
+    it('should fall back to the default search mode', () => {
+      expect(buildListQuery({ q: 'node' }, options).searchMode).toBe('regex');
+      expect(buildListQuery({ q: 'node' }, { ...options, defaultSearchMode: 'text' }).searchMode).toBe('text');
+    });
+
+    it('should build a regex filter in regex mode', () => {
+      const result = buildListQuery({ q: 'node', searchMode: 'regex' }, options);
+
+      expect(result.filter).toEqual({ $and: [{ $or: [{ name: /node/i }, { description: /node/i }] }] });
+      expect(result.projection).toBeNull();
+    });
+
+    it('should not search when only excluded words are given', () => {
+      const result = buildListQuery({ q: '-php', searchMode: 'text' }, options);
+
+      expect(result.filter).toEqual({});
+      expect(result.searchMode).toBeNull();
+    });
+
+    it('should combine filters with the search', () => {
+      const result = buildListQuery(
+        { q: 'node', searchMode: 'text', 'age[gte]': '18' },
+        { ...options, filterFields: { age: 'number' } },
+      );
+
+      expect(result.filter).toEqual({ age: { $gte: 18 }, $text: { $search: 'node' } });
+    });
+
+    it('should throw INVALID_QUERY with every invalid parameter', () => {
+      expect.assertions(3);
+      try {
+        buildListQuery({ sort: 'password', fields: 'secret', 'secret[eq]': '1' }, options);
+      } catch (error) {
+        expect(error.code).toBe('INVALID_QUERY');
+        expect(error.statusCode).toBe(400);
+        expect(error.errors).toHaveLength(3);
+      }
+    });
+  });
+});
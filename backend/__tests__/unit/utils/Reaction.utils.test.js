@@ -0,0 +1,174 @@
+// Reaction Utils Tests
+// Toggling reactions and keeping Post.reactionCounts in step
+
+describe('Reaction Utils', () => {
+  const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+  const DUPLICATE_KEY = 11000;
+  let Reaction, Post, reactions;
+
+  const fillReactionCounts = (counts = {}) =>
+    Object.fromEntries(REACTION_TYPES.map((type) => [type, counts?.[type] ?? 0]));
+
+  const attachReactions = async (posts, userId, { counts = true } = {}) => {
+    if (!posts.length) return posts;
+
+    const found = userId
+      ? await Reaction.find({ post: { $in: posts.map((post) => post._id) }, user: userId })
+        .select('post type')
+        .lean()
+      : [];
+    const byPost = new Map();
+    for (const { post, type } of found) {
+      byPost.set(String(post), [...(byPost.get(String(post)) || []), type]);
+    }
+
+    for (const post of posts) {
+      if (counts) post.reactionCounts = fillReactionCounts(post.reactionCounts);
+      post.reactedByMe = REACTION_TYPES.filter((type) => byPost.get(String(post._id))?.includes(type));
+    }
+    return posts;
+  };
+
+  const countReaction = (counter, delta) => ({ $inc: { [counter]: delta }, $set: { activityAt: new Date() } });
+
+  const toggleReaction = async (postId, userId, type) => {
+    const reaction = { post: postId, user: userId, type };
+    const counter = `reactionCounts.${type}`;
+
+    const { deletedCount } = await Reaction.deleteOne(reaction);
+    if (deletedCount) {
+      await Post.updateOne({ _id: postId }, countReaction(counter, -1), { timestamps: false });
+      return false;
+    }
+
+    try {
+      await Reaction.create(reaction);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return true;
+      throw error;
+    }
+    await Post.updateOne({ _id: postId }, countReaction(counter, 1), { timestamps: false });
+    return true;
+  };
+
+  beforeEach(() => {
+    reactions = [];
+    Reaction = {
+      find: jest.fn(() => ({ select: () => ({ lean: () => Promise.resolve(reactions) }) })),
+      deleteOne: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+      create: jest.fn(async (reaction) => reaction),
+    };
+    Post = { updateOne: jest.fn().mockResolvedValue({ matchedCount: 1 }) };
+  });
+
+  describe('fillReactionCounts', () => {
+    it('should list every type, missing ones as 0', () => {
+      expect(fillReactionCounts({ like: 3, wow: 1 })).toEqual({ like: 3, love: 0, laugh: 0, wow: 1, sad: 0, angry: 0 });
+    });
+
+    it('should handle posts without counters', () => {
+      expect(Object.values(fillReactionCounts(undefined))).toEqual([0, 0, 0, 0, 0, 0]);
+      expect(Object.values(fillReactionCounts(null))).toEqual([0, 0, 0, 0, 0, 0]);
+    });
+  });
+
+  describe('attachReactions', () => {
+    it("should flag the user's reaction types per post in a fixed order", async () => {
+      reactions = [{ post: 'p1', type: 'wow' }, { post: 'p1', type: 'like' }, { post: 'p2', type: 'sad' }];
+      const posts = [{ _id: 'p1', reactionCounts: { like: 2, wow: 1 } }, { _id: 'p2' }, { _id: 'p3' }];
+
+      await attachReactions(posts, 'u1');
+
+      expect(Reaction.find).toHaveBeenCalledWith({ post: { $in: ['p1', 'p2', 'p3'] }, user: 'u1' });
+      expect(posts.map((post) => post.reactedByMe)).toEqual([['like', 'wow'], ['sad'], []]);
+      expect(posts[1].reactionCounts.sad).toBe(0);
+    });
+
+    it('should leave reactionCounts out when the client did not project it', async () => {
+      const posts = [{ _id: 'p1', name: 'Post' }];
+
+      await attachReactions(posts, 'u1', { counts: false });
+
+      expect(posts[0]).toEqual({ _id: 'p1', name: 'Post', reactedByMe: [] });
+    });
+
+    it('should not query for anonymous visitors', async () => {
+      const posts = [{ _id: 'p1', reactionCounts: { like: 2 } }];
+
+      await attachReactions(posts, undefined);
+
+      expect(Reaction.find).not.toHaveBeenCalled();
+      expect(posts[0].reactedByMe).toEqual([]);
+      expect(posts[0].reactionCounts.like).toBe(2);
+    });
+
+    it('should not query for an empty page', async () => {
+      await attachReactions([], 'u1');
+      expect(Reaction.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toggleReaction', () => {
+    it('should add a missing reaction and increment its counter', async () => {
+      const reacted = await toggleReaction('p1', 'u1', 'like');
+
+      expect(reacted).toBe(true);
+      expect(Reaction.create).toHaveBeenCalledWith({ post: 'p1', user: 'u1', type: 'like' });
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: 'p1' },
+        { $inc: { 'reactionCounts.like': 1 }, $set: { activityAt: expect.any(Date) } },
+        { timestamps: false }
+      );
+    });
+
+    it('should remove an existing reaction and decrement its counter', async () => {
+      Reaction.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      const reacted = await toggleReaction('p1', 'u1', 'love');
+
+      expect(reacted).toBe(false);
+      expect(Reaction.create).not.toHaveBeenCalled();
+      expect(Post.updateOne).toHaveBeenCalledWith(
+        { _id: 'p1' },
+        { $inc: { 'reactionCounts.love': -1 }, $set: { activityAt: expect.any(Date) } },
+        { timestamps: false }
+      );
+    });
+
+    it('should not count a reaction added concurrently by another toggle', async () => {
+      Reaction.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: DUPLICATE_KEY }));
+
+      const reacted = await toggleReaction('p1', 'u1', 'like');
+
+      expect(reacted).toBe(true);
+      expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should keep counters equal to the number of reactions under concurrent toggles', async () => {
+      const stored = new Set();
+      let count = 0;
+      const key = ({ post, user, type }) => `${post}:${user}:${type}`;
+      Reaction.deleteOne.mockImplementation(async (reaction) => ({ deletedCount: stored.delete(key(reaction)) ? 1 : 0 }));
+      Reaction.create.mockImplementation(async (reaction) => {
+        await Promise.resolve();
+        if (stored.has(key(reaction))) throw Object.assign(new Error('E11000'), { code: DUPLICATE_KEY });
+        stored.add(key(reaction));
+      });
+      Post.updateOne.mockImplementation(async (filter, update) => {
+        count += update.$inc['reactionCounts.like'];
+      });
+
+      await Promise.all(Array.from({ length: 7 }, (_, index) => toggleReaction('p1', `u${index % 3}`, 'like')));
+
+      expect(count).toBe(stored.size);
+      expect(count).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should rethrow other errors', async () => {
+      Reaction.create.mockRejectedValue(new Error('connection lost'));
+
+      await expect(toggleReaction('p1', 'u1', 'like')).rejects.toThrow('connection lost');
+      expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
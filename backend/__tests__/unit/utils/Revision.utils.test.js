@@ -0,0 +1,284 @@
+// Revision Utils Tests
+// Post revision snapshots, diffs and recording
+
+const { isDeepStrictEqual } = require('util');
+
+describe('Revision Utils', () => {
+  const REVISION_FIELDS = ['name', 'description', 'age', 'tags', 'category', 'visibility'];
+  let PostRevision, lastRevision;
+
+  const pickRevisionFields = (post) =>
+    Object.fromEntries(
+      REVISION_FIELDS.map((field) => [field, Array.isArray(post[field]) ? [...post[field]] : post[field] ?? null])
+    );
+
+  const diffSnapshots = (from, to) => {
+    const fields = Object.keys(to).filter((field) => field in from);
+    return fields
+      .filter((field) => !isDeepStrictEqual(from[field] ?? null, to[field] ?? null))
+      .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+  };
+
+  const DUPLICATE_KEY = 11000;
+  const MAX_ATTEMPTS = 5;
+
+  const isNumberConflict = (error) => error?.code === DUPLICATE_KEY && Boolean(error.keyPattern?.number);
+
+  const recordRevision = async ({ before, after, editor, action, rolledBackTo = null }) => {
+    const snapshot = pickRevisionFields(after);
+    const changes = before ? diffSnapshots(pickRevisionFields(before), snapshot) : [];
+    if (before && !changes.length) return null;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        let last = await PostRevision.findOne({ post: after._id }).sort({ number: -1 }).lean();
+        if (!last && before) {
+          last = await PostRevision.create({
+            post: after._id,
+            number: 1,
+            action: 'create',
+            editor: before.author ?? null,
+            snapshot: pickRevisionFields(before),
+          });
+        }
+
+        return await PostRevision.create({
+          post: after._id,
+          number: last ? last.number + 1 : 1,
+          action,
+          editor,
+          changedFields: changes.map((change) => change.field),
+          previous: Object.fromEntries(changes.map((change) => [change.field, change.from])),
+          snapshot,
+          rolledBackTo,
+        });
+      } catch (error) {
+        if (!isNumberConflict(error) || attempt >= MAX_ATTEMPTS) throw error;
+      }
+    }
+  };
+
+  const recordCreations = async (posts, editor) => {
+    if (!posts.length) return [];
+    return PostRevision.insertMany(
+      posts.map((post) => ({
+        post: post._id,
+        number: 1,
+        action: 'create',
+        editor,
+        snapshot: pickRevisionFields(post),
+      }))
+    );
+  };
+
+  const before = {
+    _id: 'p1', author: 'u1', name: 'Old', description: 'Same', age: 30,
+    tags: ['news'], category: 'c1', visibility: 'public', createdAt: new Date(),
+  };
+  const tracked = { tags: ['news'], category: 'c1', visibility: 'public' };
+
+  beforeEach(() => {
+    lastRevision = { number: 4 };
+    PostRevision = {
+      findOne: jest.fn(() => ({ sort: () => ({ lean: () => Promise.resolve(lastRevision) }) })),
+      create: jest.fn(async (doc) => doc),
+      insertMany: jest.fn(async (docs) => docs),
+    };
+  });
+
+  describe('pickRevisionFields', () => {
+    it('should keep tracked fields only, defaulting to null', () => {
+      expect(pickRevisionFields({ name: 'A', age: 3, author: 'u1' })).toEqual({
+        name: 'A', description: null, age: 3, tags: null, category: null, visibility: null,
+      });
+    });
+
+    it('should copy tags out of the post', () => {
+      const post = { tags: ['a'] };
+      const snapshot = pickRevisionFields(post);
+      post.tags.push('b');
+
+      expect(snapshot.tags).toEqual(['a']);
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list changed fields with both values', () => {
+      expect(diffSnapshots({ name: 'A', age: 1 }, { name: 'B', age: 1 })).toEqual([{ field: 'name', from: 'A', to: 'B' }]);
+    });
+
+    it('should compare tags, category and visibility', () => {
+      expect(diffSnapshots(
+        { tags: ['a'], category: 'c1', visibility: 'public' },
+        { tags: ['a', 'b'], category: null, visibility: 'private' }
+      )).toEqual([
+        { field: 'tags', from: ['a'], to: ['a', 'b'] },
+        { field: 'category', from: 'c1', to: null },
+        { field: 'visibility', from: 'public', to: 'private' },
+      ]);
+    });
+
+    it('should skip fields one snapshot predates', () => {
+      expect(diffSnapshots({ name: 'A' }, { name: 'A', tags: ['a'], visibility: 'public' })).toEqual([]);
+      expect(diffSnapshots({ name: 'A', age: null }, { name: 'B' })).toEqual([{ field: 'name', from: 'A', to: 'B' }]);
+    });
+  });
+
+  describe('recordRevision', () => {
+    it('should record the changed fields and their previous values', async () => {
+      const revision = await recordRevision({
+        before,
+        after: { ...before, name: 'New', age: 31 },
+        editor: 'u2',
+        action: 'update',
+      });
+
+      expect(revision).toEqual({
+        post: 'p1',
+        number: 5,
+        action: 'update',
+        editor: 'u2',
+        changedFields: ['name', 'age'],
+        previous: { name: 'Old', age: 30 },
+        snapshot: { name: 'New', description: 'Same', age: 31, ...tracked },
+        rolledBackTo: null,
+      });
+    });
+
+    it('should record taxonomy and visibility changes', async () => {
+      const revision = await recordRevision({
+        before,
+        after: { ...before, tags: ['news', 'tech'], visibility: 'unlisted' },
+        editor: 'u2',
+        action: 'update',
+      });
+
+      expect(revision.changedFields).toEqual(['tags', 'visibility']);
+      expect(revision.previous).toEqual({ tags: ['news'], visibility: 'public' });
+    });
+
+    it('should not record anything when nothing changed', async () => {
+      expect(await recordRevision({ before, after: { ...before }, editor: 'u1', action: 'update' })).toBeNull();
+      expect(PostRevision.create).not.toHaveBeenCalled();
+    });
+
+    it('should start the history at 1 on creation', async () => {
+      lastRevision = null;
+
+      const revision = await recordRevision({ before: null, after: before, editor: 'u1', action: 'create' });
+
+      expect(revision.number).toBe(1);
+      expect(revision.changedFields).toEqual([]);
+      expect(PostRevision.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should store the original state of posts without history as revision 1', async () => {
+      lastRevision = null;
+
+      const revision = await recordRevision({ before, after: { ...before, name: 'New' }, editor: 'u2', action: 'update' });
+
+      expect(PostRevision.create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        number: 1,
+        action: 'create',
+        editor: 'u1',
+        snapshot: { name: 'Old', description: 'Same', age: 30, ...tracked },
+      }));
+      expect(revision.number).toBe(2);
+    });
+
+    it('should keep the restored revision number for rollbacks', async () => {
+      const revision = await recordRevision({
+        before,
+        after: { ...before, name: 'Older' },
+        editor: 'u1',
+        action: 'rollback',
+        rolledBackTo: 2,
+      });
+
+      expect(revision).toEqual(expect.objectContaining({ action: 'rollback', rolledBackTo: 2 }));
+    });
+
+    describe('concurrent changes', () => {
+      const duplicateNumber = () =>
+        Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { post: 1, number: -1 } });
+
+      // Collection with the unique { post, number } index
+      const useRevisionStore = (revisions) => {
+        PostRevision.findOne.mockImplementation(() => ({
+          sort: () => ({
+            lean: async () => revisions.reduce((last, revision) => (!last || revision.number > last.number ? revision : last), null),
+          }),
+        }));
+        PostRevision.create.mockImplementation(async (doc) => {
+          await Promise.resolve();
+          if (revisions.some((revision) => revision.number === doc.number)) throw duplicateNumber();
+          revisions.push(doc);
+          return doc;
+        });
+      };
+
+      it('should give concurrent updates of a post distinct numbers', async () => {
+        const revisions = [{ post: 'p1', number: 4 }];
+        useRevisionStore(revisions);
+
+        const [first, second] = await Promise.all([
+          recordRevision({ before, after: { ...before, name: 'First' }, editor: 'u2', action: 'update' }),
+          recordRevision({ before, after: { ...before, age: 40 }, editor: 'u3', action: 'update' }),
+        ]);
+
+        expect([first.number, second.number].sort()).toEqual([5, 6]);
+        expect(revisions.map((revision) => revision.number)).toEqual([4, 5, 6]);
+      });
+
+      it('should number again after a concurrent change stored the original state first', async () => {
+        const revisions = [];
+        useRevisionStore(revisions);
+
+        const results = await Promise.all([
+          recordRevision({ before, after: { ...before, name: 'First' }, editor: 'u2', action: 'update' }),
+          recordRevision({ before, after: { ...before, age: 40 }, editor: 'u3', action: 'update' }),
+        ]);
+
+        expect(results.map((revision) => revision.number).sort()).toEqual([2, 3]);
+        expect(revisions.filter((revision) => revision.number === 1)).toHaveLength(1);
+      });
+
+      it('should give up after a bounded number of attempts', async () => {
+        PostRevision.create.mockRejectedValue(duplicateNumber());
+
+        await expect(
+          recordRevision({ before, after: { ...before, name: 'New' }, editor: 'u2', action: 'update' })
+        ).rejects.toMatchObject({ code: 11000 });
+        expect(PostRevision.create).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+      });
+
+      it('should not retry other write errors', async () => {
+        PostRevision.create.mockRejectedValue(new Error('connection lost'));
+
+        await expect(
+          recordRevision({ before, after: { ...before, name: 'New' }, editor: 'u2', action: 'update' })
+        ).rejects.toThrow('connection lost');
+        expect(PostRevision.create).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('recordCreations', () => {
+    it('should record revision 1 of every post in one write', async () => {
+      const posts = [{ _id: 'p1', name: 'A', description: 'a', age: 1, tags: ['x'] }, { _id: 'p2', name: 'B', description: 'b', age: 2 }];
+
+      const revisions = await recordCreations(posts, 'u1');
+
+      expect(PostRevision.insertMany).toHaveBeenCalledTimes(1);
+      expect(revisions).toEqual([
+        { post: 'p1', number: 1, action: 'create', editor: 'u1', snapshot: { name: 'A', description: 'a', age: 1, tags: ['x'], category: null, visibility: null } },
+        { post: 'p2', number: 1, action: 'create', editor: 'u1', snapshot: { name: 'B', description: 'b', age: 2, tags: null, category: null, visibility: null } },
+      ]);
+    });
+
+    it('should not write without posts', async () => {
+      expect(await recordCreations([], 'u1')).toEqual([]);
+      expect(PostRevision.insertMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,256 @@
+// Search Utils Tests
+// Search term parsing, regex search filters and result highlighting
+
+describe('Search Utils', () => {
+  const MAX_SEARCH_TERMS = 10;
+
+  const SNIPPET_LENGTH = 160;
+
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  const TOKEN_PATTERN = /(-?)"([^"]*)"|(\S+)/g;
+  const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+  const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const escapeHtml = (value) => value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+  const parseSearch = (q) => {
+    const terms = [];
+    const phrases = [];
+    const excluded = [];
+
+    for (const match of String(q).matchAll(TOKEN_PATTERN)) {
+      const [, negatedPhrase, phrase, word] = match;
+      if (phrase !== undefined) {
+        const normalized = phrase.trim().replace(/\s+/g, ' ');
+        if (!normalized) continue;
+        (negatedPhrase ? excluded : phrases).push(normalized);
+      } else if (word.startsWith('-')) {
+        if (word.length > 1) excluded.push(word.slice(1));
+      } else {
+        terms.push(word);
+      }
+    }
+
+    return {
+      terms: terms.slice(0, MAX_SEARCH_TERMS),
+      phrases: phrases.slice(0, MAX_SEARCH_TERMS),
+      excluded: excluded.slice(0, MAX_SEARCH_TERMS),
+    };
+  };
+
+  const hasSearchTerms = (search) => search.terms.length > 0 || search.phrases.length > 0;
+
+  const buildRegexSearchFilter = (search, fields) => {
+    if (!hasSearchTerms(search)) return null;
+
+    const anyField = (value) => {
+      const regex = new RegExp(escapeRegex(value), 'i');
+      return fields.map((field) => ({ [field]: regex }));
+    };
+
+    const conditions = [...search.terms, ...search.phrases].map((value) => ({ $or: anyField(value) }));
+    if (search.excluded.length) {
+      conditions.push({ $nor: search.excluded.flatMap(anyField) });
+    }
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+  };
+
+  const highlightPattern = (search) => {
+    const phrases = search.phrases.map((phrase) => phrase.split(' ').map(escapeRegex).join('\\s+'));
+    const words = search.terms.map(escapeRegex);
+    const alternatives = [
+      ...phrases.map((phrase) => `(?<!${WORD_CHAR})${phrase}(?!${WORD_CHAR})`),
+      ...words.map((word) => `(?<!${WORD_CHAR})${word}${WORD_CHAR}*`),
+    ];
+    if (!alternatives.length) return null;
+    // Longest alternatives first so phrases win over the words they contain
+    alternatives.sort((a, b) => b.length - a.length);
+    return new RegExp(alternatives.join('|'), 'giu');
+  };
+
+  const highlightText = (text, pattern, maxLength = SNIPPET_LENGTH) => {
+    if (typeof text !== 'string' || !pattern) return null;
+
+    const matches = [...text.matchAll(pattern)];
+    if (!matches.length) return null;
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > maxLength) {
+      start = Math.max(0, matches[0].index - Math.floor(maxLength / 4));
+      end = Math.min(text.length, start + maxLength);
+      start = Math.max(0, end - maxLength);
+    }
+
+    let snippet = start > 0 ? '…' : '';
+    let cursor = start;
+    for (const match of matches) {
+      const matchEnd = match.index + match[0].length;
+      if (match.index < cursor) continue;
+      if (matchEnd > end) break;
+      snippet += escapeHtml(text.slice(cursor, match.index));
+      snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+      cursor = matchEnd;
+    }
+    snippet += escapeHtml(text.slice(cursor, end));
+    if (end < text.length) snippet += '…';
+
+    return snippet;
+  };
+
+  const highlightDocument = (doc, search, fields) => {
+    const pattern = highlightPattern(search);
+    const highlights = {};
+    for (const field of fields) {
+      const snippet = highlightText(doc[field], pattern);
+      if (snippet) highlights[field] = snippet;
+    }
+    return highlights;
+  };
+
+  describe('escapeRegex', () => {
+    it('should escape every metacharacter', () => {
+      const escaped = escapeRegex('.*+?^${}()|[]\\');
+
+      expect(new RegExp(escaped).test('.*+?^${}()|[]\\')).toBe(true);
+    });
+
+    it('should neutralize catastrophic backtracking patterns', () => {
+      const regex = new RegExp(escapeRegex('(a+)+$'), 'i');
+
+      expect(regex.test('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!')).toBe(false);
+      expect(regex.test('literal (a+)+$ text')).toBe(true);
+    });
+  });
+
+  describe('escapeHtml', () => {
+    it('should escape HTML special characters', () => {
+      expect(escapeHtml('<b>"Tom" & \'Jerry\'</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+    });
+  });
+
+  describe('parseSearch', () => {
+    it('should split words, phrases and excluded words', () => {
+      expect(parseSearch('node "express   router" -deprecated')).toEqual({
+        terms: ['node'],
+        phrases: ['express router'],
+        excluded: ['deprecated'],
+      });
+    });
+
+    it('should support excluded phrases', () => {
+      expect(parseSearch('api -"version one"').excluded).toEqual(['version one']);
+    });
+
+    it('should ignore empty phrases and lone dashes', () => {
+      expect(parseSearch('"" - "  " word')).toEqual({ terms: ['word'], phrases: [], excluded: [] });
+    });
+
+    it('should cap the number of terms', () => {
+      const words = Array.from({ length: 20 }, (_, i) => `w${i}`).join(' ');
+
+      expect(parseSearch(words).terms).toHaveLength(MAX_SEARCH_TERMS);
+    });
+  });
+
+  describe('hasSearchTerms', () => {
+    it('should be false when only excluded words are given', () => {
+      expect(hasSearchTerms(parseSearch('-php'))).toBe(false);
+      expect(hasSearchTerms(parseSearch('"a phrase"'))).toBe(true);
+    });
+  });
+
+  describe('buildRegexSearchFilter', () => {
+    it('should match a single word in any field', () => {
+      const filter = buildRegexSearchFilter(parseSearch('hello'), ['name', 'description']);
+
+      expect(filter).toEqual({ $or: [{ name: /hello/i }, { description: /hello/i }] });
+    });
+
+    it('should require every word and phrase', () => {
+      const filter = buildRegexSearchFilter(parseSearch('  hello "big world" '), ['name']);
+
+      expect(filter).toEqual({ $and: [{ $or: [{ name: /hello/i }] }, { $or: [{ name: /big world/i }] }] });
+    });
+
+    it('should exclude negated words from every field', () => {
+      const filter = buildRegexSearchFilter(parseSearch('hello -php'), ['name', 'description']);
+
+      expect(filter.$and[1]).toEqual({ $nor: [{ name: /php/i }, { description: /php/i }] });
+    });
+
+    it('should match input literally', () => {
+      const filter = buildRegexSearchFilter(parseSearch('(a+)+$'), ['name']);
+
+      expect(filter.$or[0].name.test('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!')).toBe(false);
+    });
+
+    it('should return null when there is nothing to search for', () => {
+      expect(buildRegexSearchFilter(parseSearch('   '), ['name'])).toBeNull();
+      expect(buildRegexSearchFilter(parseSearch('-php'), ['name'])).toBeNull();
+    });
+  });
+
+  describe('highlightDocument', () => {
+    it('should wrap whole words starting with a term', () => {
+      const highlights = highlightDocument(
+        { name: 'Running fast', description: 'Nothing here' },
+        parseSearch('run'),
+        ['name', 'description'],
+      );
+
+      expect(highlights).toEqual({ name: '<mark>Running</mark> fast' });
+    });
+
+    it('should not match inside words', () => {
+      expect(highlightDocument({ name: 'rerun' }, parseSearch('run'), ['name'])).toEqual({});
+    });
+
+    it('should prefer phrases over the words they contain', () => {
+      const highlights = highlightDocument(
+        { name: 'An Express  router guide' },
+        parseSearch('"express router" router'),
+        ['name'],
+      );
+
+      expect(highlights.name).toBe('An <mark>Express  router</mark> guide');
+    });
+
+    it('should escape HTML around and inside matches', () => {
+      const highlights = highlightDocument({ name: '<script>node</script>' }, parseSearch('node'), ['name']);
+
+      expect(highlights.name).toBe('&lt;script&gt;<mark>node</mark>&lt;/script&gt;');
+    });
+
+    it('should handle non-latin words', () => {
+      expect(highlightDocument({ name: 'Café crème' }, parseSearch('crè'), ['name']).name)
+        .toBe('Café <mark>crème</mark>');
+    });
+
+    it('should ignore missing and non-string fields', () => {
+      expect(highlightDocument({ age: 42 }, parseSearch('42'), ['name', 'age'])).toEqual({});
+    });
+  });
+
+  describe('highlightText', () => {
+    it('should cut long texts around the first match', () => {
+      const text = `${'a '.repeat(200)}needle${' b'.repeat(200)}`;
+      const snippet = highlightText(text, /needle/g, 40);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>needle</mark>');
+      expect(snippet.replace(/<\/?mark>|…/g, '')).toHaveLength(40);
+    });
+
+    it('should return the whole text when it is short', () => {
+      expect(highlightText('find the needle', /needle/g)).toBe('find the <mark>needle</mark>');
+    });
+
+    it('should return null without a match', () => {
+      expect(highlightText('nothing', /needle/g)).toBeNull();
+      expect(highlightText('nothing', null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,257 @@
+// Slug Utils Tests
+// Unique post slugs with collision suffixes
+
+describe('Slug Utils', () => {
+  const SLUG_MAX_LENGTH = 80;
+  const DUPLICATE_KEY = 11000;
+  const MAX_ATTEMPTS = 5;
+  let Post, stored;
+
+  const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const toSlug = (value, maxLength) =>
+    String(value)
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\s_-]+/g, '-')
+      .replace(/[^\p{L}\p{N}-]/gu, '')
+      .replace(/-{2,}/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, maxLength)
+      .replace(/-$/, '');
+
+  const slugBase = (name) => toSlug(name, SLUG_MAX_LENGTH) || 'post';
+
+  const findTakenSlugs = async (bases, postId = null) => {
+    const pattern = new RegExp(`^(?:${bases.map(escapeRegex).join('|')})(-\\d+)?$`);
+    const posts = await Post.find({ $or: [{ slug: pattern }, { previousSlugs: pattern }] })
+      .select('slug previousSlugs')
+      .lean();
+
+    return new Set(
+      posts
+        .filter((post) => !postId || String(post._id) !== String(postId))
+        .flatMap((post) => [post.slug, ...(post.previousSlugs || [])])
+    );
+  };
+
+  const firstFreeSlug = (base, taken) => {
+    if (!taken.has(base)) return base;
+
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) suffix += 1;
+    return `${base}-${suffix}`;
+  };
+
+  const findFreeSlug = async (name, postId = null) => {
+    const base = slugBase(name);
+    return firstFreeSlug(base, await findTakenSlugs([base], postId));
+  };
+
+  const findFreeSlugs = async (names, reserved = new Set()) => {
+    if (!names.length) return [];
+    const bases = names.map(slugBase);
+    const taken = await findTakenSlugs([...new Set(bases)]);
+    for (const slug of reserved) taken.add(slug);
+    return bases.map((base) => {
+      const slug = firstFreeSlug(base, taken);
+      reserved.add(slug);
+      taken.add(slug);
+      return slug;
+    });
+  };
+
+  const isSlugConflict = (error) => error?.code === DUPLICATE_KEY && Boolean(error.keyPattern?.slug);
+
+  const writeWithSlug = async (name, write, postId = null) => {
+    for (let attempt = 1; ; attempt += 1) {
+      const slug = await findFreeSlug(name, postId);
+      try {
+        return await write(slug);
+      } catch (error) {
+        if (!isSlugConflict(error) || attempt >= MAX_ATTEMPTS) throw error;
+      }
+    }
+  };
+
+  const slugConflict = () => Object.assign(new Error('E11000'), { code: DUPLICATE_KEY, keyPattern: { slug: 1 } });
+
+  const writeAllWithSlugs = async (posts, write, reserved = new Set()) => {
+    const errors = posts.map(() => null);
+    let pending = posts.map((post, index) => index);
+    for (let attempt = 1; pending.length; attempt += 1) {
+      const slugs = await findFreeSlugs(pending.map((index) => posts[index].name), reserved);
+      pending.forEach((index, position) => {
+        posts[index].slug = slugs[position];
+      });
+
+      const results = await write(pending.map((index) => posts[index]));
+      pending = pending.filter((index, position) => {
+        errors[index] = results[position];
+        return isSlugConflict(results[position]) && attempt < MAX_ATTEMPTS;
+      });
+    }
+    return errors;
+  };
+
+  beforeEach(() => {
+    stored = [];
+    Post = {
+      find: jest.fn(({ $or: [{ slug: pattern }] }) => ({
+        select: () => ({
+          lean: () =>
+            Promise.resolve(
+              stored.filter((post) => pattern.test(post.slug) || (post.previousSlugs || []).some((s) => pattern.test(s)))
+            ),
+        }),
+      })),
+    };
+  });
+
+  describe('slugBase', () => {
+    it('should turn the name into a slug', () => {
+      expect(slugBase('  Hello, World! ')).toBe('hello-world');
+      expect(slugBase('Crème brûlée')).toBe('crème-brûlée');
+    });
+
+    it('should cut long names without a trailing dash', () => {
+      const slug = slugBase(`${'a'.repeat(79)} b`);
+
+      expect(slug).toBe('a'.repeat(79));
+    });
+
+    it('should fall back to "post" when nothing usable is left', () => {
+      expect(slugBase('!!!')).toBe('post');
+    });
+  });
+
+  describe('findFreeSlug', () => {
+    it('should use the base when it is free', async () => {
+      expect(await findFreeSlug('Hello World')).toBe('hello-world');
+    });
+
+    it('should append the first free suffix', async () => {
+      stored = [{ _id: 'a', slug: 'hello-world' }, { _id: 'b', slug: 'hello-world-2' }];
+
+      expect(await findFreeSlug('Hello World')).toBe('hello-world-3');
+    });
+
+    it('should not reuse previous slugs of other posts', async () => {
+      stored = [{ _id: 'a', slug: 'goodbye', previousSlugs: ['hello-world'] }];
+
+      expect(await findFreeSlug('Hello World')).toBe('hello-world-2');
+    });
+
+    it('should let a post take back its own previous slug', async () => {
+      stored = [{ _id: 'a', slug: 'goodbye', previousSlugs: ['hello-world'] }];
+
+      expect(await findFreeSlug('Hello World', 'a')).toBe('hello-world');
+    });
+  });
+
+  describe('writeWithSlug', () => {
+    it('should write with the free slug', async () => {
+      const write = jest.fn(async (slug) => ({ slug }));
+
+      expect(await writeWithSlug('Hello', write)).toEqual({ slug: 'hello' });
+    });
+
+    it('should pick again when a concurrent write took the slug', async () => {
+      const write = jest.fn(async (slug) => {
+        if (write.mock.calls.length === 1) {
+          stored.push({ _id: 'other', slug });
+          throw slugConflict();
+        }
+        return { slug };
+      });
+
+      expect(await writeWithSlug('Hello', write)).toEqual({ slug: 'hello-2' });
+      expect(write).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      const write = jest.fn().mockRejectedValue(slugConflict());
+
+      await expect(writeWithSlug('Hello', write)).rejects.toMatchObject({ code: DUPLICATE_KEY });
+      expect(write).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+    });
+
+    it('should rethrow other errors immediately', async () => {
+      const write = jest.fn().mockRejectedValue(new Error('validation failed'));
+
+      await expect(writeWithSlug('Hello', write)).rejects.toThrow('validation failed');
+      expect(write).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('findFreeSlugs', () => {
+    it('should look every name up in one query', async () => {
+      stored = [{ _id: 'a', slug: 'hello' }];
+
+      expect(await findFreeSlugs(['Hello', 'World'])).toEqual(['hello-2', 'world']);
+      expect(Post.find).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give distinct slugs to posts with the same name', async () => {
+      expect(await findFreeSlugs(['Hello', 'hello!', 'Hello'])).toEqual(['hello', 'hello-2', 'hello-3']);
+    });
+
+    it('should avoid and extend the reserved slugs', async () => {
+      const reserved = new Set(['hello']);
+
+      expect(await findFreeSlugs(['Hello'], reserved)).toEqual(['hello-2']);
+      expect([...reserved]).toEqual(['hello', 'hello-2']);
+    });
+
+    it('should not match other bases', async () => {
+      stored = [{ _id: 'a', slug: 'hello-world' }];
+
+      expect(await findFreeSlugs(['Hello', 'World'])).toEqual(['hello', 'world']);
+    });
+
+    it('should not query without names', async () => {
+      expect(await findFreeSlugs([])).toEqual([]);
+      expect(Post.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('writeAllWithSlugs', () => {
+    it('should write the posts with free slugs', async () => {
+      const posts = [{ name: 'Hello' }, { name: 'Hello' }];
+      const write = jest.fn(async (batch) => batch.map(() => null));
+
+      expect(await writeAllWithSlugs(posts, write)).toEqual([null, null]);
+      expect(posts.map((post) => post.slug)).toEqual(['hello', 'hello-2']);
+    });
+
+    it('should write again the posts whose slug a concurrent write took', async () => {
+      const posts = [{ name: 'Hello' }, { name: 'World' }];
+      const write = jest.fn(async (batch) => {
+        if (write.mock.calls.length > 1) return batch.map(() => null);
+        stored.push({ _id: 'other', slug: 'world' });
+        return [null, slugConflict()];
+      });
+
+      expect(await writeAllWithSlugs(posts, write)).toEqual([null, null]);
+      expect(write).toHaveBeenCalledTimes(2);
+      expect(write.mock.calls[1][0]).toEqual([{ name: 'World', slug: 'world-2' }]);
+    });
+
+    it('should report the other errors without writing again', async () => {
+      const error = new Error('write failed');
+      const write = jest.fn(async () => [error, null]);
+
+      expect(await writeAllWithSlugs([{ name: 'a' }, { name: 'b' }], write)).toEqual([error, null]);
+      expect(write).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      const write = jest.fn(async (batch) => batch.map(() => slugConflict()));
+
+      const [error] = await writeAllWithSlugs([{ name: 'Hello' }], write);
+
+      expect(error).toMatchObject({ code: DUPLICATE_KEY });
+      expect(write).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// Tag Utils Tests
+// Tag normalization and slugs
+
+describe('Tag Utils', () => {
+  const TAG_MAX_LENGTH = 30;
+
+  const toSlug = (value, maxLength) =>
+    String(value)
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\s_-]+/g, '-')
+      .replace(/[^\p{L}\p{N}-]/gu, '')
+      .replace(/-{2,}/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, maxLength)
+      .replace(/-$/, '');
+
+  const normalizeTag = (value) => toSlug(value, TAG_MAX_LENGTH);
+
+  const isNormalizedTag = (value) => value !== '' && normalizeTag(value) === value;
+
+  const normalizeTags = (values = []) => [
+    ...new Set(values.map(normalizeTag).filter(Boolean)),
+  ];
+
+  describe('normalizeTag', () => {
+    it('should lowercase and dash-separate words', () => {
+      expect(normalizeTag('Node JS')).toBe('node-js');
+      expect(normalizeTag(' NODE-js ')).toBe('node-js');
+      expect(normalizeTag('node_js')).toBe('node-js');
+    });
+
+    it('should collapse separators and trim dashes', () => {
+      expect(normalizeTag('--a -_ b--')).toBe('a-b');
+      expect(normalizeTag('a - ! - b')).toBe('a-b');
+    });
+
+    it('should remove punctuation', () => {
+      expect(normalizeTag('Hello, World!')).toBe('hello-world');
+      expect(normalizeTag('<script>')).toBe('script');
+    });
+
+    it('should keep non-latin letters and digits', () => {
+      expect(normalizeTag('Straße 2026')).toBe('straße-2026');
+      expect(normalizeTag('日本語')).toBe('日本語');
+    });
+
+    it('should apply Unicode compatibility normalization', () => {
+      expect(normalizeTag('ＡＰＩ')).toBe('api');
+    });
+
+    it('should return an empty string when nothing usable is left', () => {
+      expect(normalizeTag('!!!')).toBe('');
+      expect(normalizeTag('   ')).toBe('');
+    });
+
+    it('should cut long tags without a trailing dash', () => {
+      const tag = normalizeTag(`${'x'.repeat(29)} yz`);
+      expect(tag).toBe('x'.repeat(29));
+      expect(tag.length).toBeLessThanOrEqual(TAG_MAX_LENGTH);
+    });
+  });
+
+  describe('toSlug', () => {
+    it('should respect the given maximum length', () => {
+      expect(toSlug('Web Development Resources', 7)).toBe('web-dev');
+      expect(toSlug('Web Development', 4)).toBe('web');
+    });
+  });
+
+  describe('isNormalizedTag', () => {
+    it('should accept normalized tags', () => {
+      expect(isNormalizedTag('node-js')).toBe(true);
+      expect(isNormalizedTag('2026')).toBe(true);
+    });
+
+    it('should reject tags that would change when normalized', () => {
+      expect(isNormalizedTag('Node')).toBe(false);
+      expect(isNormalizedTag('node js')).toBe(false);
+      expect(isNormalizedTag('-node')).toBe(false);
+      expect(isNormalizedTag('')).toBe(false);
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should deduplicate tags that normalize to the same value, keeping order', () => {
+      expect(normalizeTags(['Node JS', 'API', 'node_js', 'api'])).toEqual(['node-js', 'api']);
+    });
+
+    it('should drop tags that normalize to nothing', () => {
+      expect(normalizeTags(['!!!', 'ok'])).toEqual(['ok']);
+    });
+
+    it('should default to an empty list', () => {
+      expect(normalizeTags()).toEqual([]);
+    });
+  });
+});
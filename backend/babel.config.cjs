@@ -0,0 +1,6 @@
+// Only used by Jest (babel-jest): compiles the ES modules of src/ to CommonJS so tests can
+// require them. Files without import / export, like the tests themselves, are left as they are.
+module.exports = {
+  sourceType: 'unambiguous',
+  plugins: ['@babel/plugin-transform-modules-commonjs'],
+};
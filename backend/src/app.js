@@ -4,11 +4,18 @@
  * @requires express
  * @requires ./routes/user.route
  * @requires ./routes/post.route
+ * @requires ./routes/tag.route
+ * @requires ./routes/category.route
+ * @requires ./middlewares/error.middleware
+ * @requires ./config/constants
  */
 
 import express from 'express';
 import userRouter from './routes/user.route.js';
 import postRouter from './routes/post.route.js';
+import tagRouter from './routes/tag.route.js';
+import categoryRouter from './routes/category.route.js';
+import { errorHandler, notFoundHandler } from './middlewares/error.middleware.js';
 
 /**
  * Initializes the Express application.
@@ -16,13 +23,18 @@ import postRouter from './routes/post.route.js';
  */
 const app = express();
 
+// Bulk imports are left unparsed here: their route reads the body with a larger limit,
+// once the token has been checked (see routes/post.route.js)
+const IMPORT_ROUTE = /^\/api\/v1\/posts\/import\/?$/i;
+const parseJson = express.json();
+
 // Middleware to parse JSON request bodies
 /**
- * Middleware to parse incoming JSON request bodies.
+ * Middleware to parse incoming JSON request bodies, except bulk imports.
  * @function
  * @returns {void}
  */
-app.use(express.json());
+app.use((req, res, next) => (IMPORT_ROUTE.test(req.path) ? next() : parseJson(req, res, next)));
 
 // API routes
 /**
@@ -39,6 +51,28 @@ app.use('/api/v1/users', userRouter);
  */
 app.use('/api/v1/posts', postRouter);
 
+/**
+ * Tag listing, rename and merge routes.
+ * @route {GET|PATCH|POST} /api/v1/tags
+ * @param {Object} tagRouter - The router for tag endpoints.
+ */
+app.use('/api/v1/tags', tagRouter);
+
+/**
+ * Category taxonomy routes.
+ * @route {GET|POST|PATCH|DELETE} /api/v1/categories
+ * @param {Object} categoryRouter - The router for category endpoints.
+ */
+app.use('/api/v1/categories', categoryRouter);
+
+// Error handling (must be registered after all routes)
+/**
+ * Unknown routes respond 404, and every error forwarded with next(error) or thrown
+ * from an asyncHandler-wrapped controller is turned into a JSON { message, code, errors? } body.
+ */
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Export app instance
 /**
  * Exports the Express application instance for use in other modules.
@@ -1 +1,134 @@
-export const DB_NAME = 'node-express';
\ No newline at end of file
+export const DB_NAME = 'node-express';
+
+/**
+ * Field limits shared by the Mongoose schemas and the request validation schemas,
+ * so both layers always enforce the same rules.
+ */
+export const POST_LIMITS = Object.freeze({
+  NAME_MAX_LENGTH: 100,
+  SLUG_MAX_LENGTH: 80,
+  AGE_MIN: 0,
+  AGE_MAX: 150,
+});
+
+export const USER_LIMITS = Object.freeze({
+  USERNAME_MIN_LENGTH: 3,
+  USERNAME_MAX_LENGTH: 30,
+  PASSWORD_MIN_LENGTH: 6,
+  EMAIL_PATTERN: /^[\w-.]+@([\w-]+\.)+[\w-]{2,4}$/,
+});
+
+/** Pagination limits for list endpoints. */
+export const PAGINATION = Object.freeze({
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 100,
+  CURSOR_MAX_LENGTH: 1000,
+});
+
+/**
+ * Search modes of list endpoints (see utils/query.utils.js).
+ * - text: MongoDB $text search on the collection's text index, ranked by relevance
+ * - regex: case-insensitive substring match, works without a text index
+ */
+export const SEARCH_MODES = Object.freeze(['text', 'regex']);
+
+/**
+ * Trash defaults, overridable with TRASH_RETENTION_DAYS and
+ * TRASH_PURGE_INTERVAL_MINUTES (see jobs/trashPurge.job.js).
+ */
+export const TRASH = Object.freeze({
+  RETENTION_DAYS: 30,
+  PURGE_INTERVAL_MINUTES: 60,
+});
+
+/**
+ * Tag and category limits (see utils/tag.utils.js and models/category.model.js).
+ * Categories form a tree at most CATEGORY_MAX_DEPTH levels deep.
+ */
+export const TAXONOMY_LIMITS = Object.freeze({
+  TAG_MAX_LENGTH: 30,
+  TAGS_PER_POST: 10,
+  CATEGORY_NAME_MAX_LENGTH: 50,
+  CATEGORY_MAX_DEPTH: 3,
+});
+
+/** Comment limits. Top-level comments have depth 0, replies at most MAX_DEPTH. */
+export const COMMENT_LIMITS = Object.freeze({
+  BODY_MAX_LENGTH: 2000,
+  MAX_DEPTH: 4,
+});
+
+/** Reactions users can leave on a post, and the emoji clients display for each. */
+export const REACTIONS = Object.freeze({
+  like: '👍',
+  love: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢',
+  angry: '😠',
+});
+
+export const REACTION_TYPES = Object.freeze(Object.keys(REACTIONS));
+
+/**
+ * Post lifecycle (see utils/postStatus.utils.js).
+ * - draft: being written, only visible to its author
+ * - scheduled: published automatically at publishAt (jobs/publishScheduler.job.js)
+ * - published: visible to everyone its visibility allows (POST_VISIBILITIES)
+ * - archived: withdrawn from publication, only visible to its author
+ */
+export const POST_STATUSES = Object.freeze(['draft', 'scheduled', 'published', 'archived']);
+
+/**
+ * Who may see a published post (see utils/postStatus.utils.js).
+ * - public: listed and readable by everyone, anonymous visitors included
+ * - unlisted: not listed, readable by anyone reaching it by id or slug
+ * - private: only visible to its author
+ */
+export const POST_VISIBILITIES = Object.freeze(['public', 'unlisted', 'private']);
+
+/**
+ * Representations of a post description on the read endpoints (utils/markdown.utils.js).
+ * - markdown: the Markdown source as written (default)
+ * - html: rendered and sanitized HTML
+ * - text: plain text, without Markdown syntax
+ */
+export const DESCRIPTION_FORMATS = Object.freeze(['markdown', 'html', 'text']);
+
+/** How often scheduled posts are checked, overridable with PUBLISH_INTERVAL_SECONDS. */
+export const PUBLISH_SCHEDULER = Object.freeze({
+  INTERVAL_SECONDS: 60,
+});
+
+/**
+ * Attachment limits (see controllers/attachment.controller.js). MAX_FILE_SIZE is
+ * overridable in megabytes with ATTACHMENT_MAX_SIZE_MB.
+ */
+export const ATTACHMENT_LIMITS = Object.freeze({
+  MAX_FILE_SIZE: 10 * 1024 * 1024,
+  FILES_PER_REQUEST: 5,
+  FILES_PER_POST: 20,
+  FILENAME_MAX_LENGTH: 255,
+});
+
+/**
+ * File types accepted as attachments, identified from the file content
+ * (utils/media.utils.js), never from the name or the type declared by the client.
+ */
+export const ATTACHMENT_TYPES = Object.freeze([
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+]);
+
+/**
+ * Bulk import limits (POST /posts/import): rows are validated and inserted
+ * BATCH_SIZE at a time.
+ */
+export const IMPORT_LIMITS = Object.freeze({
+  MAX_BODY_SIZE: 5 * 1024 * 1024,
+  MAX_ROWS: 1000,
+  BATCH_SIZE: 100,
+});
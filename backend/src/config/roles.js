@@ -0,0 +1,99 @@
+/**
+ * Roles and permission matrix used for authorization.
+ *
+ * @module config/roles
+ *
+ * @description
+ * Permissions are "<resource>:<action>" strings. The ":any" suffix grants the
+ * action on resources owned by other users (e.g. a moderator deleting someone
+ * else's post). Roles are listed from least to most privileged; each role
+ * inherits every permission of the roles before it. Anonymous visitors, on the
+ * routes that let them in (optionalAuth), get ANONYMOUS_PERMISSIONS.
+ */
+
+/**
+ * Available user roles, from least to most privileged.
+ * @readonly
+ * @enum {string}
+ */
+export const ROLES = Object.freeze({
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+});
+
+/**
+ * Available permissions.
+ * @readonly
+ * @enum {string}
+ */
+export const PERMISSIONS = Object.freeze({
+  POST_READ: 'post:read',
+  POST_CREATE: 'post:create',
+  POST_UPDATE: 'post:update',
+  POST_DELETE: 'post:delete',
+  POST_REACT: 'post:react',
+  POST_UPDATE_ANY: 'post:update:any',
+  POST_DELETE_ANY: 'post:delete:any',
+  COMMENT_CREATE: 'comment:create',
+  COMMENT_UPDATE: 'comment:update',
+  COMMENT_DELETE: 'comment:delete',
+  COMMENT_UPDATE_ANY: 'comment:update:any',
+  COMMENT_DELETE_ANY: 'comment:delete:any',
+  TAXONOMY_MANAGE: 'taxonomy:manage',
+  USER_MANAGE: 'user:manage',
+});
+
+/**
+ * Permissions of requests without a user (routes using optionalAuth): reading what
+ * is visible to everyone.
+ * @type {ReadonlySet<string>}
+ */
+export const ANONYMOUS_PERMISSIONS = Object.freeze(new Set([PERMISSIONS.POST_READ]));
+
+const USER_PERMISSIONS = [
+  PERMISSIONS.POST_READ,
+  PERMISSIONS.POST_CREATE,
+  PERMISSIONS.POST_UPDATE,
+  PERMISSIONS.POST_DELETE,
+  PERMISSIONS.POST_REACT,
+  PERMISSIONS.COMMENT_CREATE,
+  PERMISSIONS.COMMENT_UPDATE,
+  PERMISSIONS.COMMENT_DELETE,
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  PERMISSIONS.POST_UPDATE_ANY,
+  PERMISSIONS.POST_DELETE_ANY,
+  PERMISSIONS.COMMENT_UPDATE_ANY,
+  PERMISSIONS.COMMENT_DELETE_ANY,
+  PERMISSIONS.TAXONOMY_MANAGE,
+];
+
+const ADMIN_PERMISSIONS = [
+  ...MODERATOR_PERMISSIONS,
+  PERMISSIONS.USER_MANAGE,
+];
+
+/**
+ * Permission matrix: role -> set of granted permissions.
+ * @type {Readonly<Record<string, ReadonlySet<string>>>}
+ */
+export const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.USER]: new Set(USER_PERMISSIONS),
+  [ROLES.MODERATOR]: new Set(MODERATOR_PERMISSIONS),
+  [ROLES.ADMIN]: new Set(ADMIN_PERMISSIONS),
+});
+
+/**
+ * Checks whether a role grants a permission.
+ *
+ * @param {string} role - One of ROLES
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} false for unknown roles
+ */
+export const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role];
+  return Boolean(granted && granted.has(permission));
+};
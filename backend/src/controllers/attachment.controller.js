@@ -0,0 +1,320 @@
+/**
+ * Controller for the file attachments of a post (routes/attachment.route.js, mounted under
+ * /:id/attachments of the post router, so req.params.id is the post id).
+ *
+ * Files are kept in storage (storage/storage.js) and described by Attachment documents.
+ * Like comments, attachments are only reachable while their post is live and visible to the user.
+ * Listing and downloading are open to anonymous visitors for the posts they can see (public and
+ * unlisted published posts).
+ * Handlers are wrapped with asyncHandler and throw AppError subclasses (utils/errors.js),
+ * turned into JSON error responses by the error middleware.
+ * @module controllers/attachment.controller
+ */
+
+/**
+ * List the attachments of a post, in upload order.
+ *
+ * - Returns 200 with { data: [...], meta: { count } } and a weak ETag (304 when If-None-Match matches).
+ *   Every attachment has { _id, filename, mimeType, size, width, height, uploader, createdAt };
+ *   width and height are null for files that are not images.
+ * - Returns 404 if the post is not found.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Upload files to a post.
+ *
+ * Body: multipart/form-data, every file part is stored (field names do not matter, other
+ * fields are ignored).
+ * - Only the author, or a role granted post:update:any (moderator, admin), may add files.
+ * - The type is detected from the file content and must be one of ATTACHMENT_TYPES
+ *   (PNG, JPEG, GIF, WebP, PDF); image dimensions are recorded.
+ * - At most ATTACHMENT_LIMITS.FILES_PER_REQUEST files per request and FILES_PER_POST per post,
+ *   each at most ATTACHMENT_MAX_SIZE_MB (default 10 MB).
+ * - All or nothing: when a file is rejected, none of the request's files is kept.
+ * - Returns 201 with { attachments }.
+ * - Returns 400 NO_FILES without file parts, 400 INVALID_UPLOAD for a malformed body.
+ * - Returns 403 if the user may not modify the post.
+ * - Returns 404 if the post is not found.
+ * - Returns 409 TOO_MANY_ATTACHMENTS when the post already has the maximum number of files.
+ * - Returns 413 FILE_TOO_LARGE / TOO_MANY_FILES.
+ * - Returns 415 when the body is not multipart/form-data, or a file is of another type.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Download an attachment.
+ *
+ * Path params: id {string}, attachmentId {string}.
+ * - Sends the file with its detected Content-Type and X-Content-Type-Options: nosniff.
+ *   Images are displayed inline, other files are downloaded (Content-Disposition).
+ * - Supports a single byte range (Range header, honoured with If-Range): 206 with Content-Range.
+ * - Files never change, so the attachment id is a strong ETag (304 when If-None-Match matches).
+ * - Returns 404 / 404 ATTACHMENT_NOT_FOUND if the post or the attachment does not exist.
+ * - Returns 416 when the range starts beyond the end of the file.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Delete an attachment and its file.
+ *
+ * Path params: id {string}, attachmentId {string}.
+ * - Same ownership rule as uploading.
+ * - Returns 200 with { attachment }, the deleted attachment.
+ * - Returns 403 if the user may not modify the post.
+ * - Returns 404 / 404 ATTACHMENT_NOT_FOUND if the post or the attachment does not exist.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+import { pipeline } from "node:stream/promises";
+import Attachment from "../models/attachment.model.js";
+import { Post } from "../models/post.model.js";
+import { hasPermission, PERMISSIONS } from "../config/roles.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnsupportedMediaTypeError,
+} from "../utils/errors.js";
+import { ATTACHMENT_LIMITS, ATTACHMENT_TYPES } from "../config/constants.js";
+import { isNotModified, sendConditional } from "../utils/httpCache.utils.js";
+import { manageableBy, visibleTo } from "../utils/postStatus.utils.js";
+import { imageDimensions, sniffMimeType } from "../utils/media.utils.js";
+import { receiveFiles } from "../utils/upload.utils.js";
+import { contentDisposition, parseRange } from "../utils/download.utils.js";
+import { getStorage } from "../storage/storage.js";
+
+const MEGABYTE = 1024 * 1024;
+
+/**
+ * Maximum size of an uploaded file in bytes, from ATTACHMENT_MAX_SIZE_MB.
+ * @returns {number}
+ */
+const getMaxFileSize = () =>
+  Number(process.env.ATTACHMENT_MAX_SIZE_MB) * MEGABYTE || ATTACHMENT_LIMITS.MAX_FILE_SIZE;
+
+/**
+ * Loads a live post visible to the user, or throws 404.
+ * @param {string} id - Post id
+ * @param {Object|undefined} user - Authenticated user (req.user), undefined for anonymous visitors
+ * @returns {Promise<Object>} Lean post
+ */
+const findVisiblePost = async (id, user) => {
+  const post = await Post.findOne({ _id: id, deletedAt: null, ...visibleTo(user) }).select("author").lean();
+  if (!post) {
+    throw new NotFoundError("Post not found");
+  }
+  return post;
+};
+
+/**
+ * Loads a post whose attachments the user may change: authors always can, other users
+ * need post:update:any (and then also reach unpublished and private posts).
+ * @param {string} id - Post id
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Lean post
+ */
+const findEditablePost = async (id, user) => {
+  const post = await Post.findOne({ _id: id, deletedAt: null, ...manageableBy(user) }).select("author").lean();
+  if (!post) {
+    throw new NotFoundError("Post not found");
+  }
+  if (String(post.author) !== String(user._id) && !hasPermission(user.role, PERMISSIONS.POST_UPDATE_ANY)) {
+    throw new ForbiddenError("You can only change the attachments of your own posts");
+  }
+  return post;
+};
+
+/**
+ * Loads an attachment of a post or throws 404 ATTACHMENT_NOT_FOUND.
+ * @param {string} postId
+ * @param {string} attachmentId
+ * @returns {Promise<Object>} Lean attachment
+ */
+const findAttachment = async (postId, attachmentId) => {
+  const attachment = await Attachment.findOne({ _id: attachmentId, post: postId }).lean();
+  if (!attachment) {
+    throw new NotFoundError("Attachment not found", "ATTACHMENT_NOT_FOUND");
+  }
+  return attachment;
+};
+
+/**
+ * Builds the Attachment documents of received files, checking their type.
+ * @param {import('../utils/upload.utils.js').ReceivedFile[]} files
+ * @param {Object} post
+ * @param {Object} user - Uploader
+ * @returns {Object[]}
+ * @throws {UnsupportedMediaTypeError} 415 when a file is not of an accepted type
+ */
+const describeFiles = (files, post, user) =>
+  files.map(({ key, filename, size, head }) => {
+    const mimeType = sniffMimeType(head);
+    if (!ATTACHMENT_TYPES.includes(mimeType)) {
+      throw new UnsupportedMediaTypeError(`"${filename}" is not an accepted file type (${ATTACHMENT_TYPES.join(", ")})`);
+    }
+    const dimensions = imageDimensions(head, mimeType);
+    return {
+      post: post._id,
+      uploader: user._id,
+      storageKey: key,
+      filename,
+      mimeType,
+      size,
+      width: dimensions?.width ?? null,
+      height: dimensions?.height ?? null,
+    };
+  });
+
+const getAttachments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await findVisiblePost(id, req.user);
+
+  const attachments = await Attachment.find({ post: id })
+    .sort({ createdAt: 1, _id: 1 })
+    .select("-storageKey")
+    .lean();
+
+  sendConditional(req, res, { data: attachments, meta: { count: attachments.length } });
+});
+
+const uploadAttachments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const post = await findEditablePost(id, req.user);
+
+  const remaining = ATTACHMENT_LIMITS.FILES_PER_POST - (await Attachment.countDocuments({ post: id }));
+  if (remaining <= 0) {
+    throw new ConflictError(
+      `A post cannot have more than ${ATTACHMENT_LIMITS.FILES_PER_POST} attachments`,
+      undefined,
+      "TOO_MANY_ATTACHMENTS"
+    );
+  }
+
+  const storage = getStorage();
+  const files = await receiveFiles(req, {
+    storage,
+    keyPrefix: String(post._id),
+    maxFileSize: getMaxFileSize(),
+    maxFiles: Math.min(ATTACHMENT_LIMITS.FILES_PER_REQUEST, remaining),
+  });
+  if (!files.length) {
+    throw new BadRequestError("No file uploaded", undefined, "NO_FILES");
+  }
+
+  let attachments;
+  try {
+    attachments = await Attachment.insertMany(describeFiles(files, post, req.user));
+  } catch (error) {
+    await Promise.allSettled(files.map(({ key }) => storage.delete(key)));
+    throw error;
+  }
+
+  res.status(201).json({
+    message: "Files uploaded successfully",
+    attachments: attachments.map((attachment) => {
+      const { storageKey, ...rest } = attachment.toObject();
+      return rest;
+    }),
+  });
+});
+
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const { id, attachmentId } = req.params;
+  await findVisiblePost(id, req.user);
+  const attachment = await findAttachment(id, attachmentId);
+
+  const etag = `"${attachment._id}"`;
+  res.set({
+    "Accept-Ranges": "bytes",
+    ETag: etag,
+    "Last-Modified": attachment.createdAt.toUTCString(),
+  });
+  if (isNotModified(req, { etag, lastModified: attachment.createdAt })) {
+    res.status(304).end();
+    return;
+  }
+
+  // A Range for another version of the file (If-Range mismatch) is ignored
+  const ifRange = req.get("If-Range");
+  let range = null;
+  if (!ifRange || ifRange.trim() === etag) {
+    try {
+      range = parseRange(req.get("Range"), attachment.size);
+    } catch (error) {
+      res.set("Content-Range", `bytes */${attachment.size}`);
+      throw error;
+    }
+  }
+
+  let stream;
+  try {
+    stream = req.method === "HEAD" ? null : await getStorage().get(attachment.storageKey, range ?? undefined);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new NotFoundError("Attachment file is missing", "ATTACHMENT_NOT_FOUND");
+    }
+    throw error;
+  }
+
+  // Only set now, so error responses above keep their JSON content type
+  res.set({
+    "Content-Type": attachment.mimeType,
+    "Content-Disposition": contentDisposition(
+      attachment.mimeType.startsWith("image/") ? "inline" : "attachment",
+      attachment.filename
+    ),
+    "X-Content-Type-Options": "nosniff",
+  });
+  if (range) {
+    res.status(206).set({
+      "Content-Range": `bytes ${range.start}-${range.end}/${attachment.size}`,
+      "Content-Length": String(range.end - range.start + 1),
+    });
+  } else {
+    res.status(200).set("Content-Length", String(attachment.size));
+  }
+  if (!stream) {
+    res.end();
+    return;
+  }
+
+  await pipeline(stream, res).catch((error) => {
+    // The client going away mid-download is not an error of the server
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error(`Attachment download failed (${attachment.storageKey}):`, error);
+    }
+  });
+});
+
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const { id, attachmentId } = req.params;
+  await findEditablePost(id, req.user);
+  const attachment = await findAttachment(id, attachmentId);
+
+  // File first: if it cannot be deleted, the attachment stays listed and can be deleted again
+  await getStorage().delete(attachment.storageKey);
+  await Attachment.deleteOne({ _id: attachment._id });
+
+  const { storageKey, ...deleted } = attachment;
+  res.status(200).json({ message: "Attachment deleted successfully", attachment: deleted });
+});
+
+export { getAttachments, uploadAttachments, downloadAttachment, deleteAttachment };
@@ -0,0 +1,184 @@
+/**
+ * Controller for the Category taxonomy.
+ *
+ * Handlers are wrapped with asyncHandler and throw AppError subclasses (utils/errors.js),
+ * turned into JSON error responses by the error middleware.
+ * @module controllers/category.controller
+ */
+
+/**
+ * List every category, sorted by name.
+ *
+ * Every category has { _id, name, slug, description, parent, depth, postCount } where depth
+ * is 1 for top-level categories and postCount counts the live published public posts directly in the category.
+ * - Returns 200 with { data: [...], meta: { count } } and a weak ETag (304 when If-None-Match matches).
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Create a category.
+ *
+ * Body: { name: string, description?: string, parent?: string|null }.
+ * - The slug is derived from the name (utils/tag.utils.js toSlug).
+ * - Returns 201 with the created category.
+ * - Returns 400 INVALID_PARENT if the parent does not exist or the tree would exceed its maximum depth.
+ * - Returns 409 DUPLICATE_KEY if another category has the same slug.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Update a category (name, description and/or parent).
+ *
+ * Path params: id {string}.
+ * - Renaming changes the slug; posts reference categories by id, so they are not affected.
+ * - Returns 200 with the updated category.
+ * - Returns 400 INVALID_PARENT if the new parent does not exist, is the category itself or one of
+ *   its subcategories, or the tree would exceed its maximum depth.
+ * - Returns 404 if the category does not exist.
+ * - Returns 409 DUPLICATE_KEY if another category has the same slug.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Delete a category.
+ *
+ * Path params: id {string}.
+ * - Returns 200 on success.
+ * - Returns 404 if the category does not exist.
+ * - Returns 409 CATEGORY_IN_USE if it has subcategories or posts (including trashed posts);
+ *   move them first.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+import Category from "../models/category.model.js";
+import { Post } from "../models/post.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+import { TAXONOMY_LIMITS } from "../config/constants.js";
+import { toSlug } from "../utils/tag.utils.js";
+import { ancestorIds, descendantIds, subtreeHeight } from "../utils/category.utils.js";
+import { sendConditional } from "../utils/httpCache.utils.js";
+import { listedFilter } from "../utils/postStatus.utils.js";
+
+/**
+ * Checks that a category can be placed under a parent.
+ *
+ * @param {Object[]} categories - Every category
+ * @param {string|null} parentId - New parent, null for a top-level category
+ * @param {string} [categoryId] - The category being moved, omitted on creation
+ * @throws {BadRequestError} 400 INVALID_PARENT
+ */
+const assertValidParent = (categories, parentId, categoryId) => {
+  if (parentId === null) return;
+
+  const invalid = (message) => new BadRequestError(message, [{ field: "parent", message }], "INVALID_PARENT");
+  if (!categories.some((category) => String(category._id) === String(parentId))) {
+    throw invalid("Parent category not found");
+  }
+  if (categoryId && descendantIds(categories, categoryId).includes(String(parentId))) {
+    throw invalid("A category cannot be moved under itself or one of its subcategories");
+  }
+
+  const parentDepth = ancestorIds(categories, parentId).length + 1;
+  const height = categoryId ? subtreeHeight(categories, categoryId) : 1;
+  if (parentDepth + height > TAXONOMY_LIMITS.CATEGORY_MAX_DEPTH) {
+    throw invalid(`Categories cannot be nested more than ${TAXONOMY_LIMITS.CATEGORY_MAX_DEPTH} levels deep`);
+  }
+};
+
+const getCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.find().sort({ name: 1, _id: 1 }).lean(),
+    Post.aggregate([
+      { $match: { deletedAt: null, ...listedFilter(), category: { $ne: null } } },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const postCounts = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+  const data = categories.map((category) => ({
+    ...category,
+    depth: ancestorIds(categories, category._id).length + 1,
+    postCount: postCounts.get(String(category._id)) || 0,
+  }));
+
+  sendConditional(req, res, { data, meta: { count: data.length } });
+});
+
+const createCategory = asyncHandler(async (req, res) => {
+  const { name, description, parent = null } = req.body;
+
+  if (parent !== null) {
+    assertValidParent(await Category.find().select("parent").lean(), parent);
+  }
+  const category = await Category.create({
+    name,
+    slug: toSlug(name, TAXONOMY_LIMITS.CATEGORY_NAME_MAX_LENGTH),
+    description,
+    parent,
+  });
+
+  res.status(201).json({ message: "Category created successfully", category });
+});
+
+const updateCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const update = { ...req.body };
+
+  const category = await Category.findById(id).lean();
+  if (!category) {
+    throw new NotFoundError("Category not found", "CATEGORY_NOT_FOUND");
+  }
+  if (update.parent !== undefined) {
+    assertValidParent(await Category.find().select("parent").lean(), update.parent, id);
+  }
+  if (update.name !== undefined) {
+    update.slug = toSlug(update.name, TAXONOMY_LIMITS.CATEGORY_NAME_MAX_LENGTH);
+  }
+
+  const updatedCategory = await Category.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+  if (!updatedCategory) {
+    throw new NotFoundError("Category not found", "CATEGORY_NOT_FOUND");
+  }
+  res.status(200).json({ message: "Category updated successfully", category: updatedCategory });
+});
+
+const deleteCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const category = await Category.findById(id).lean();
+  if (!category) {
+    throw new NotFoundError("Category not found", "CATEGORY_NOT_FOUND");
+  }
+  const [hasChildren, hasPosts] = await Promise.all([
+    Category.exists({ parent: id }),
+    Post.exists({ category: id }),
+  ]);
+  if (hasChildren || hasPosts) {
+    throw new ConflictError(
+      hasChildren ? "Category has subcategories" : "Category has posts",
+      undefined,
+      "CATEGORY_IN_USE"
+    );
+  }
+
+  await Category.deleteOne({ _id: id });
+  res.status(200).json({ message: "Category deleted successfully" });
+});
+
+export { getCategories, createCategory, updateCategory, deleteCategory };
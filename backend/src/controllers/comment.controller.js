@@ -0,0 +1,284 @@
+/**
+ * Controller for the comments of a post (routes/comment.route.js, mounted under /:id/comments
+ * of the post router, so req.params.id is the post id).
+ *
+ * Comments can only be read and written while their post is live (not in the trash) and
+ * visible to the user (published and public or unlisted, or their own post whatever its status
+ * and visibility). Moderators and admins can also edit and delete the comments of posts they
+ * manage but cannot see (others' private or unpublished posts). Listing is open to anonymous
+ * visitors for the posts they can see.
+ * Handlers are wrapped with asyncHandler and throw AppError subclasses (utils/errors.js),
+ * turned into JSON error responses by the error middleware.
+ * @module controllers/comment.controller
+ */
+
+/**
+ * List one level of a post's comment thread, oldest first.
+ *
+ * Query parameters:
+ * - parent {string} — list the replies to this comment (default: top-level comments)
+ * - page {number} (default: 1), limit {number} (default: 10, max: 100)
+ * - order {string} (default: "oldest") — "oldest" or "newest" first
+ *
+ * Every comment carries replyCount; fetch its replies with ?parent=<comment id>. Deleted comments
+ * that still have replies are listed as placeholders with an empty body and deletedAt set.
+ * - Returns 200 with { data: [...], meta: { total, count, page, pages, limit } } and a weak ETag
+ *   (304 when If-None-Match matches).
+ * - Returns 404 if the post is not found, or 404 COMMENT_NOT_FOUND if parent is not a comment of the post.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Comment on a post, or reply to a comment.
+ *
+ * Body: { body: string, parent?: string }.
+ * - The author is the authenticated user.
+ * - Increments the post's commentCount and, for replies, the parent's replyCount.
+ * - Returns 201 with the created comment.
+ * - Returns 400 COMMENT_TOO_DEEP if the parent is already at the maximum nesting depth.
+ * - Returns 404 if the post is not found, or 404 COMMENT_NOT_FOUND if the parent does not exist
+ *   in this post or was deleted.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id and body.body required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Edit a comment.
+ *
+ * Path params: id {string}, commentId {string}. Body: { body: string }.
+ * - Only the author, or a role granted comment:update:any (moderator, admin), may edit the comment.
+ * - Sets editedAt.
+ * - Returns 200 with the updated comment.
+ * - Returns 403 if the user may not edit the comment.
+ * - Returns 404 / 404 COMMENT_NOT_FOUND if the post or the comment does not exist.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Delete a comment.
+ *
+ * Path params: id {string}, commentId {string}.
+ * - Only the author, or a role granted comment:delete:any (moderator, admin), may delete the comment.
+ * - A comment without replies is removed; one with replies becomes a placeholder (empty body,
+ *   deletedAt set) so its replies stay in the thread. A placeholder whose last reply is removed
+ *   is removed too.
+ * - Decrements the post's commentCount.
+ * - Returns 200 with { comment } — the placeholder, or null when the comment was removed.
+ * - Returns 403 if the user may not delete the comment.
+ * - Returns 404 / 404 COMMENT_NOT_FOUND if the post or the comment does not exist.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+import Comment from "../models/comment.model.js";
+import { Post } from "../models/post.model.js";
+import { hasPermission, PERMISSIONS } from "../config/roles.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+import { COMMENT_LIMITS, PAGINATION } from "../config/constants.js";
+import { sendConditional } from "../utils/httpCache.utils.js";
+import { manageableBy, visibleTo } from "../utils/postStatus.utils.js";
+
+/**
+ * Throws 404 unless the post exists, is not in the trash and is in the user's scope.
+ * @param {string} id - Post id
+ * @param {Object} scope - visibleTo(user) to read or comment, manageableBy(user) to moderate
+ */
+const assertLivePost = async (id, scope) => {
+  if (!(await Post.exists({ _id: id, deletedAt: null, ...scope }))) {
+    throw new NotFoundError("Post not found");
+  }
+};
+
+/**
+ * Loads a comment of a post that has not been deleted, or throws 404 COMMENT_NOT_FOUND.
+ * @param {string} postId
+ * @param {string} commentId
+ * @returns {Promise<Object>} Comment document
+ */
+const findComment = async (postId, commentId) => {
+  const comment = await Comment.findOne({ _id: commentId, post: postId, deletedAt: null });
+  if (!comment) {
+    throw new NotFoundError("Comment not found", "COMMENT_NOT_FOUND");
+  }
+  return comment;
+};
+
+/**
+ * Whether the user may modify a comment: authors always can, other users need the ":any" permission.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} comment - Comment document
+ * @param {string} anyPermission - e.g. PERMISSIONS.COMMENT_DELETE_ANY
+ * @returns {boolean}
+ */
+const canModifyComment = (user, comment, anyPermission) => {
+  if (comment.author && comment.author.equals(user._id)) return true;
+  return hasPermission(user.role, anyPermission);
+};
+
+/**
+ * Adjusts a post's commentCount without touching its version or updatedAt. activityAt
+ * records the change for the Last-Modified of post reads.
+ * @param {string} postId
+ * @param {number} delta - 1 or -1
+ */
+const incrementCommentCount = (postId, delta) =>
+  Post.updateOne(
+    { _id: postId },
+    { $inc: { commentCount: delta }, $set: { activityAt: new Date() } },
+    { timestamps: false }
+  );
+
+/**
+ * Decrements the replyCount of the parent of a removed comment. A deleted placeholder
+ * left without replies is removed as well, and so on up the thread.
+ * @param {string|null} parentId
+ */
+const detachReply = async (parentId) => {
+  let id = parentId;
+  while (id) {
+    const parent = await Comment.findOneAndUpdate(
+      { _id: id },
+      { $inc: { replyCount: -1 } },
+      { new: true, timestamps: false }
+    ).lean();
+    if (!parent || !parent.deletedAt || parent.replyCount > 0) return;
+
+    const { deletedCount } = await Comment.deleteOne({ _id: id, deletedAt: { $ne: null }, replyCount: 0 });
+    if (!deletedCount) return;
+    id = parent.parent;
+  }
+};
+
+const getComments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { parent = null, page = 1, limit = PAGINATION.DEFAULT_LIMIT, order = "oldest" } = req.query;
+  await assertLivePost(id, visibleTo(req.user));
+  if (parent && !(await Comment.exists({ _id: parent, post: id }))) {
+    throw new NotFoundError("Comment not found", "COMMENT_NOT_FOUND");
+  }
+
+  const filter = { post: id, parent };
+  const direction = order === "newest" ? -1 : 1;
+  const [total, comments] = await Promise.all([
+    Comment.countDocuments(filter),
+    Comment.find(filter)
+      .sort({ createdAt: direction, _id: direction })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  sendConditional(req, res, {
+    data: comments,
+    meta: {
+      total,
+      count: comments.length,
+      page,
+      pages: Math.max(Math.ceil(total / limit), 1),
+      limit,
+    },
+  });
+});
+
+const createComment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { body, parent = null } = req.body;
+  await assertLivePost(id, visibleTo(req.user));
+
+  let depth = 0;
+  if (parent) {
+    const parentComment = await findComment(id, parent);
+    if (parentComment.depth >= COMMENT_LIMITS.MAX_DEPTH) {
+      throw new BadRequestError(
+        `Replies cannot be nested more than ${COMMENT_LIMITS.MAX_DEPTH} levels deep`,
+        undefined,
+        "COMMENT_TOO_DEEP"
+      );
+    }
+    // Counted before the reply exists, so a concurrent delete of the parent keeps it as a placeholder
+    const counted = await Comment.updateOne(
+      { _id: parent, deletedAt: null },
+      { $inc: { replyCount: 1 } },
+      { timestamps: false }
+    );
+    if (!counted.matchedCount) {
+      throw new NotFoundError("Comment not found", "COMMENT_NOT_FOUND");
+    }
+    depth = parentComment.depth + 1;
+  }
+
+  let comment;
+  try {
+    comment = await Comment.create({ post: id, parent, depth, author: req.user._id, body });
+  } catch (error) {
+    if (parent) await detachReply(parent);
+    throw error;
+  }
+  await incrementCommentCount(id, 1);
+
+  res.status(201).json({ message: "Comment created successfully", comment });
+});
+
+const updateComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  await assertLivePost(id, manageableBy(req.user));
+  const comment = await findComment(id, commentId);
+  if (!canModifyComment(req.user, comment, PERMISSIONS.COMMENT_UPDATE_ANY)) {
+    throw new ForbiddenError("You can only edit your own comments");
+  }
+
+  const updatedComment = await Comment.findOneAndUpdate(
+    { _id: commentId, deletedAt: null },
+    { body: req.body.body, editedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+  if (!updatedComment) {
+    throw new NotFoundError("Comment not found", "COMMENT_NOT_FOUND");
+  }
+
+  res.status(200).json({ message: "Comment updated successfully", comment: updatedComment });
+});
+
+const deleteComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  await assertLivePost(id, manageableBy(req.user));
+  const comment = await findComment(id, commentId);
+  if (!canModifyComment(req.user, comment, PERMISSIONS.COMMENT_DELETE_ANY)) {
+    throw new ForbiddenError("You can only delete your own comments");
+  }
+
+  // Only removed while it has no replies; otherwise it stays as a placeholder
+  const { deletedCount } = await Comment.deleteOne({ _id: commentId, deletedAt: null, replyCount: 0 });
+  let placeholder = null;
+  if (deletedCount) {
+    await detachReply(comment.parent);
+  } else {
+    placeholder = await Comment.findOneAndUpdate(
+      { _id: commentId, deletedAt: null },
+      { body: "", deletedAt: new Date() },
+      { new: true }
+    );
+    if (!placeholder) {
+      throw new NotFoundError("Comment not found", "COMMENT_NOT_FOUND");
+    }
+  }
+  await incrementCommentCount(id, -1);
+
+  res.status(200).json({ message: "Comment deleted successfully", comment: placeholder });
+});
+
+export { getComments, createComment, updateComment, deleteComment };
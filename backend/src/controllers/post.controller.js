@@ -1,16 +1,35 @@
 /**
  * Controller for Post resource.
- * Provides CRUD operations and list retrieval with pagination, sorting, field projection and simple text search.
+ * Provides CRUD operations and list retrieval with pagination, sorting, field projection and full-text search.
+ *
+ * Handlers are wrapped with asyncHandler and throw AppError subclasses (utils/errors.js);
+ * the error middleware turns them, and Mongoose errors such as a malformed id (CastError),
+ * into the JSON error response. Status codes listed below are produced that way.
  * @module controllers/post.controller
  */
 
 /**
  * Create a new Post.
  *
- * Expects body: { name: string, description: string, age: number }.
- * - Validates that name and description are strings and age is a number.
+ * Expects body: { name: string, description: string, age: number, tags?: string[], category?: string|null,
+ * visibility?: "public" | "unlisted" | "private" }.
+ * - The body is validated by createPostSchema (validations/post.validation.js) before the handler runs.
+ * - Tags are normalized (utils/tag.utils.js) and deduplicated; category is a Category id.
+ * - description is Markdown; its sanitized HTML rendering is stored in descriptionHtml
+ *   (utils/markdown.utils.js) and returned with the created post.
+ * - The post's author is the authenticated user (req.user), never taken from the body.
+ * - The post gets a unique slug derived from its name (utils/slug.utils.js), e.g. "hello-world",
+ *   or "hello-world-2" when another post already uses it.
+ * - Records revision 1 of the post.
+ * - Publication: published now by default (publishedAt set); status "draft" creates a draft only
+ *   its author can see; a future publishAt schedules the post (status "scheduled"), a past one
+ *   publishes it now. See publishPost.
+ * - Visibility: "public" by default (listed to everyone, anonymous visitors included);
+ *   "unlisted" posts are only reachable by id or slug, "private" ones only by their author.
  * - Returns 201 with created post on success.
- * - Returns 400 for validation/missing fields.
+ * - Returns 400 for validation/missing fields (including Mongoose schema validation).
+ * - Returns 400 INVALID_CATEGORY if the category does not exist.
+ * - Returns 400 INVALID_STATUS for a draft with a publishAt.
  * - Returns 500 for internal server errors.
  *
  * @async
@@ -19,23 +38,101 @@
  * @returns {Promise<void>} Sends JSON response with status code and message/post data.
  */
 
+/**
+ * Import posts in bulk (POST /import).
+ *
+ * The body is a JSON array of posts (application/json) or a CSV file with a header row
+ * (text/csv), parsed by utils/import.utils.js; at most IMPORT_LIMITS.MAX_ROWS posts.
+ * - Every post is checked like a createPost body (importedPostSchema, then the Post schema):
+ *   same fields, tags normalized, category must exist, status / publishAt / visibility rules.
+ *   Statuses only exports hold are mapped: "scheduled" is published at publishAt (a draft
+ *   without one) and "archived" stays archived.
+ *   Invalid posts are reported and skipped; the valid ones are still imported.
+ * - Posts are inserted IMPORT_LIMITS.BATCH_SIZE at a time, each with a unique slug (also unique
+ *   within the import) and revision 1. The authenticated user is their author.
+ * - Query: dryRun {boolean} (default: false) — check everything and report the slugs the posts
+ *   would get, without writing anything.
+ * - Returns 201 when posts were created, 200 for dry runs and imports where every post failed:
+ *   { message, dryRun, summary: { total, created (valid for dry runs), failed }, results }
+ *   with one result per post, in order: { row, status: "created", id, slug },
+ *   { row, status: "valid", slug } or { row, status: "failed", code, message, errors? }.
+ *   row is the post's position in the import, from 1 (the line after the CSV header).
+ * - Returns 400 INVALID_IMPORT for a body that is not an array or holds no posts,
+ *   400 INVALID_CSV for malformed CSV, 413 TOO_MANY_ROWS / 413 for a body above
+ *   IMPORT_LIMITS.MAX_BODY_SIZE, 415 for other content types.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Body is the imported posts.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>} Sends the import report.
+ */
+
 /**
  * Retrieve a paginated list of posts.
  *
+ * Open to anonymous visitors (optionalAuth): without a token only published public posts are
+ * listed. Authenticated users also get their own posts, whatever their status and visibility.
+ * Unlisted and private posts of other users are never listed.
+ *
  * Query parameters supported:
- * - page {number} (default: 1) — 1-based page number, normalized to >= 1
+ * - page {number} (default: 1) — 1-based page number, must be >= 1
  * - limit {number} (default: 10, max: 100) — items per page
- * - sort {string} (default: "-createdAt") — mongoose sort string (e.g. "-createdAt,name")
+ * - after / before {string} — opaque cursors from meta.nextCursor / meta.prevCursor; switch to cursor pagination
+ * - pagination {string} — "cursor" to get the first page in cursor mode (default: "page")
+ * - includeTotal {boolean} (default: true in page mode, false in cursor mode) — whether to count matching posts
+ * - sort {string} (default: "-createdAt") — comma-separated fields, "-" prefix for descending (e.g. "-createdAt,name")
  * - fields {string} — comma-separated fields to include (projection)
- * - q {string} — simple case-insensitive text search applied to name and description
+ * - q {string} — search in name and description. Supports "quoted phrases" and -excluded words.
+ * - searchMode {string} (default: "text") — how q is matched:
+ *   - "text": MongoDB full-text search (post_text_search index, stemmed words). Results are
+ *     sorted by relevance unless sort is given, and each one carries its `score`.
+ *   - "regex": case-insensitive substring match; every word and phrase must appear.
+ *     Input is matched literally (regex metacharacters are escaped).
+ * - author {string} — "me" for the authenticated user's posts, or a user id
+ * - tags {string} — comma-separated tags; only posts carrying all of them (normalized like tags)
+ * - category {string} — category id or slug; posts in that category or any of its subcategories
+ * - format {string} (default: "markdown") — representation of each post's description:
+ *   "markdown" (the source), "html" (sanitized HTML) or "text" (plain text). Highlights are
+ *   always computed on the Markdown source.
+ * - status {string} — draft, scheduled, published or archived. Only published posts and the
+ *   user's own posts are ever listed, so other statuses only return the user's posts.
+ * - visibility {string} — public, unlisted or private; likewise, only public returns other users' posts.
+ * - field[operator]=value {string} — filters on Post fields, e.g. age[gte]=18&age[lt]=65,
+ *   createdAt[after]=2026-01-01, name[in]=a,b. Operators: eq, ne, in, nin (all fields);
+ *   gt, gte, lt, lte (numbers and dates); after, before (dates). Values are coerced to the
+ *   field's schema type; in/nin take a comma-separated list.
+ *
+ * Pagination modes:
+ * - page: skip/limit. meta: { pagination: "page", total, pages, count, page, limit }
+ * - cursor: keyset pagination on the sort keys plus _id, stable when posts are inserted between
+ *   requests. meta: { pagination: "cursor", total?, count, limit, nextCursor, prevCursor };
+ *   a cursor is null when there is no page in that direction. A cursor only works with the
+ *   sort it was created with, and cursor mode needs an explicit sort when searching in text mode.
  *
  * Response:
- * - 200 with JSON { data: [...], meta: { total, count, page, pages, limit } }
+ * - 200 with JSON { data: [...], meta: { ...pagination, searchMode } }, a weak ETag of the body
+ *   and the latest change to any post as Last-Modified (a post leaving the list changes it too).
+ *   Every post carries reactionCounts (unless left out by fields) and reactedByMe, the reaction
+ *   types of the authenticated user.
+ * - 304 without a body when If-None-Match matches that ETag, or If-Modified-Since is not older
+ *   than Last-Modified.
+ *   meta.searchMode is "text", "regex" or "none" (no q). When searching, every post has a
+ *   `highlights` object with an HTML-escaped snippet per matching field, matches wrapped in <mark>.
+ * - 400 if a query parameter is invalid (validated by listPostsQuerySchema), e.g. author
+ *   neither "me" nor a valid id, or limit above 100.
+ * - 400 INVALID_QUERY if sort or fields name a path outside the Post schema allowlist
+ *   (the error lists the allowed fields), if a filter uses an unknown field or operator, a
+ *   value of the wrong type or a "$" parameter (e.g. $where), or if pagination parameters
+ *   conflict (page with a cursor, after with before).
+ * - 400 INVALID_CURSOR if a cursor is malformed or does not match the sort.
+ * - 400 INVALID_QUERY if category names no existing category.
+ * - 401 TOKEN_MISSING for author=me without a token.
  * - 500 for internal server errors.
  *
  * Notes:
+ * - Trashed posts are never listed (see getTrash).
  * - Uses lean() for faster read-only queries.
- * - total is computed with the same filter used for the data query.
+ * - total is computed with the same filter used for the data query; skip it with includeTotal=false.
  *
  * @async
  * @param {import('express').Request} req - Express request object. Query contains pagination/sort/fields/q.
@@ -49,13 +146,26 @@
  * Path params:
  * - id {string} — the Post _id to update
  *
- * Body may contain any subset of: { name?: string, description?: string, age?: number }.
- * - If body is empty, returns 400.
- * - Validates provided fields' types (name & description must be strings, age must be a number).
- * - Uses findByIdAndUpdate with { new: true, runValidators: true } to return the updated document and apply schema validators.
+ * Body may contain any subset of: { name?: string, description?: string, age?: number, tags?: string[],
+ * category?: string|null, visibility?: string }. tags replaces the post's tags; category null removes the post from its category.
+ * - A new description is rendered again to descriptionHtml, in updates and rollbacks alike.
+ * - Changing the name gives the post a new slug; the old one is kept in previousSlugs and
+ *   redirects to the new one (see getPostBySlug). Rollbacks that change the name do the same.
+ * - The body is validated by updatePostSchema: it must contain at least one field, and
+ *   all invalid fields are reported at once with 400.
+ * - Only the author, or a role granted post:update:any (moderator, admin), may update the post.
+ * - Uses findOneAndUpdate with { new: true, runValidators: true } to return the updated document and apply schema validators.
+ * - Records a revision with the changed fields and their previous values (see getPostRevisions).
+ * - Optimistic concurrency: every write increments the post's version, sent as the ETag header.
+ *   With If-Match, the update only applies if the ETag still matches (412 otherwise). Without it,
+ *   a post changed between read and write yields 409 EDIT_CONFLICT instead of a silent overwrite.
+ *   If-Match is mandatory (428) when REQUIRE_IF_MATCH=true. The same applies to delete, restore,
+ *   purge and rollback.
+ * - Returns 412 if If-Match does not match the current ETag.
  * - Returns 200 with updated post on success.
- * - Returns 404 if post not found.
- * - Returns 400 for invalid input.
+ * - Returns 403 if the user may not modify the post.
+ * - Returns 404 if post not found or in the trash.
+ * - Returns 400 for invalid input or a malformed id, 400 INVALID_CATEGORY if the category does not exist.
  * - Returns 500 for internal server errors.
  *
  * @async
@@ -65,15 +175,19 @@
  */
 
 /**
- * Delete a Post by id.
+ * Delete a Post by id (soft delete).
  *
  * Path params:
  * - id {string} — the Post _id to delete
  *
  * Behavior:
- * - Attempts to delete the document using findByIdAndDelete.
- * - Returns 200 with the deleted document on success.
- * - Returns 404 if post not found.
+ * - Only the author, or a role granted post:delete:any (moderator, admin), may delete the post.
+ * - Moves the post to the trash by setting deletedAt / deletedBy. Trashed posts are hidden from
+ *   every other endpoint, can be restored, and are purged after the retention period.
+ * - Returns 200 with the trashed document (including purgeAt) on success.
+ * - Returns 403 if the user may not delete the post.
+ * - Returns 404 if post not found (or already in the trash).
+ * - Returns 400 for a malformed id.
  * - Returns 500 for internal server errors.
  *
  * @async
@@ -82,6 +196,146 @@
  * @returns {Promise<void>} Sends JSON response confirming deletion or error message.
  */
 
+/**
+ * List the authenticated user's trashed posts, most recently deleted first.
+ *
+ * Query parameters: page {number} (default: 1), limit {number} (default: 10, max: 100).
+ *
+ * Response:
+ * - 200 with JSON { data: [...], meta: { total, count, page, pages, limit, retentionDays } }
+ *   where every post carries purgeAt, the date it will be permanently deleted.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Restore a trashed Post.
+ *
+ * Path params:
+ * - id {string} — the Post _id to restore
+ *
+ * Behavior:
+ * - Same ownership rule as deletePost, except that a post trashed by someone other than its
+ *   author (a moderator) can only be restored by users allowed to delete any post.
+ * - Returns 200 with the restored post.
+ * - Returns 403 if the user may not restore the post (POST_MODERATED for the author of a post
+ *   a moderator trashed).
+ * - Returns 404 if the post is not in the trash.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Permanently delete a trashed Post.
+ *
+ * Path params:
+ * - id {string} — the Post _id to purge
+ *
+ * Behavior:
+ * - Same ownership rule as restorePost. Only posts already in the trash can be purged.
+ * - The post's revisions, comments, reactions and attachments (files included) are deleted with it.
+ * - Returns 200 on success.
+ * - Returns 403 if the user may not purge the post.
+ * - Returns 404 if the post is not in the trash.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * List the revisions of a Post, newest first.
+ *
+ * Path params: id {string}. Query parameters: page, limit.
+ *
+ * Every revision has { number, action, editor, changedFields, previous, rolledBackTo, createdAt };
+ * snapshots are left out (see getRevisionDiff).
+ * - Returns 200 with { data: [...], meta: { total, count, page, pages, limit } } and a weak ETag
+ *   (304 when If-None-Match matches).
+ * - Returns 404 if the post is not found or in the trash.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Field-level diff between two revisions of a Post.
+ *
+ * Path params: id {string}. Query parameters: from {number} (required), to {number} (default: latest).
+ * - Returns 200 with { post, from, to, changes: [{ field, from, to }] } and a weak ETag
+ *   (304 when If-None-Match matches).
+ * - Returns 404 REVISION_NOT_FOUND if either revision does not exist.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id and query.from required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Roll a Post back to an earlier revision.
+ *
+ * Path params: id {string}. Body: { revision: number }.
+ * - Same ownership rule as updatePost.
+ * - Writes the revision's snapshot (content, tags, category, visibility) to the post and records
+ *   the change as a new "rollback" revision, so a rollback can itself be undone. A category
+ *   deleted since the revision is cleared; fields the revision predates are left as they are.
+ * - Returns 200 with the updated post and the new revision (null when nothing changed).
+ * - Returns 403 if the user may not modify the post.
+ * - Returns 404 if the post or the revision does not exist.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id and body.revision required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Publish a draft, archived or scheduled post, now or at a later date.
+ *
+ * Path params: id {string}. Body: { publishAt?: date|null }.
+ * - Same ownership and If-Match rules as updatePost.
+ * - Without publishAt, or with a past date, the post is published now (publishedAt set).
+ *   A future publishAt schedules it: jobs/publishScheduler.job.js publishes it when the date
+ *   comes. Publishing a scheduled post again reschedules it, or publishes it now.
+ * - Returns 200 with the updated post.
+ * - Returns 403 if the user may not modify the post.
+ * - Returns 404 if the post does not exist or is not visible to the user.
+ * - Returns 409 INVALID_STATUS if the post is already published.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Take a post out of publication, or cancel its scheduled publication.
+ *
+ * Path params: id {string}. Body: { status?: "draft" | "archived" } (default: "draft").
+ * - Same ownership and If-Match rules as updatePost.
+ * - The post is then only visible to its author. publishAt is cleared; publishedAt keeps the
+ *   date of the last publication.
+ * - Returns 200 with the updated post.
+ * - Returns 403 if the user may not modify the post.
+ * - Returns 404 if the post does not exist or is not visible to the user.
+ * - Returns 409 INVALID_STATUS if the post already has that status.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
 /**
  * Get a single Post by id.
  *
@@ -89,9 +343,20 @@
  * - id {string} — the Post _id to fetch
  *
  * Behavior:
- * - Uses findById().lean() to retrieve a plain JS object.
- * - Returns 200 with { post } when found.
+ * - Open to anonymous visitors (optionalAuth). Public and unlisted published posts are returned
+ *   to everyone; private and unpublished posts (draft, scheduled, archived) only to their author.
+ * - Uses findOne().lean() to retrieve a plain JS object. Trashed posts are not returned.
+ * - Returns 200 with { post } when found, with a strong ETag made of the post's version and a
+ *   hash of the response ("3-Yk3c..."), so it changes with comments and reactions too (they do
+ *   not bump the version). It can be sent back in If-Match like the version ETag of writes.
+ * - Last-Modified is the later of updatedAt and activityAt (last comment or reaction change).
+ * - The post carries reactionCounts (per type) and reactedByMe (types the user reacted with,
+ *   empty for anonymous visitors).
+ * - Query format {string} (default: "markdown") — description as Markdown source, sanitized
+ *   HTML ("html") or plain text ("text"). descriptionHtml itself is not returned.
+ * - Returns 304 without a body when If-None-Match / If-Modified-Since show the client's copy is current.
  * - Returns 404 if post not found.
+ * - Returns 400 for a malformed id.
  * - Returns 500 for internal server errors.
  *
  * @async
@@ -99,47 +364,643 @@
  * @param {import('express').Response} res - Express response object.
  * @returns {Promise<void>} Sends JSON response with the found post or an error message.
  */
+
+/**
+ * Get a single Post by slug.
+ *
+ * Path params:
+ * - slug {string} — the post's current slug, or one it had before being renamed
+ *
+ * Behavior:
+ * - Same visibility, response, ETag and 304 handling as getPostById for the current slug.
+ * - Returns 301 with Location set to the post's current slug when an old slug is used
+ *   (the query string, e.g. format, is kept).
+ * - Returns 404 if no visible post has or had the slug.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.slug required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+/**
+ * Export every post matching a listing query, streamed as CSV or NDJSON.
+ *
+ * Path params:
+ * - format {string} — "csv" or "ndjson" (one JSON post per line)
+ *
+ * Query parameters: the same q, searchMode, sort, fields, author, status, visibility, tags,
+ * category, field[operator] filters and format (description representation) as getAllPosts,
+ * without pagination: every matching post is exported.
+ * - fields selects the CSV columns, in order (default: EXPORT_COLUMNS); searching in text mode
+ *   adds a score column. NDJSON lines carry whole posts unless fields is given.
+ *
+ * Behavior:
+ * - Posts are read with a Mongo cursor and written as they come (utils/export.utils.js): memory
+ *   use does not depend on the number of posts, and the cursor is only read as fast as the
+ *   client downloads (backpressure). A client disconnecting closes the cursor.
+ * - Same visibility as getAllPosts: published public posts and the user's own posts.
+ * - Returns 200 with Content-Disposition: attachment; filename="posts-<date>.<format>".
+ * - Returns 400 / 400 INVALID_QUERY for invalid parameters, like getAllPosts.
+ * - A failure once the export has started cannot change the status anymore: the response is
+ *   cut short instead.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.format required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+import { pipeline } from "node:stream/promises";
 import { Post } from "../models/post.model.js";
+import Category from "../models/category.model.js";
+import { hasPermission, PERMISSIONS } from "../config/roles.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  PreconditionFailedError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+import { IMPORT_LIMITS, PAGINATION } from "../config/constants.js";
+import { buildListQuery, schemaFields } from "../utils/query.utils.js";
+import { schemaFieldTypes } from "../utils/filter.utils.js";
+import { getPurgeDate, getTrashRetentionDays } from "../jobs/trashPurge.job.js";
+import PostRevision from "../models/postRevision.model.js";
+import Comment from "../models/comment.model.js";
+import Reaction from "../models/reaction.model.js";
+import { diffSnapshots, recordCreations, recordRevision } from "../utils/revision.utils.js";
+import { assertIfMatch, formatETag, versionFilter } from "../utils/etag.utils.js";
+import { latestDate, sendConditional, versionedETag } from "../utils/httpCache.utils.js";
+import { highlightDocument } from "../utils/search.utils.js";
+import { normalizeTags } from "../utils/tag.utils.js";
+import { attachReactions } from "../utils/reaction.utils.js";
+import {
+  manageableBy,
+  postStatus,
+  publishUpdate,
+  statusFilter,
+  visibilityFilter,
+  visibleTo,
+} from "../utils/postStatus.utils.js";
+import { descendantIds, findCategoryByRef } from "../utils/category.utils.js";
+import { slugBase, writeAllWithSlugs, writeWithSlug } from "../utils/slug.utils.js";
+import { removeAttachments } from "../utils/attachment.utils.js";
+import { formatDescription, renderMarkdown } from "../utils/markdown.utils.js";
+import { contentDisposition } from "../utils/download.utils.js";
+import { readImportedPosts } from "../utils/import.utils.js";
+import { validateObject } from "../middlewares/validate.middleware.js";
+import { normalizeError } from "../middlewares/error.middleware.js";
+import { importedPostSchema } from "../validations/post.validation.js";
+import {
+  createCsvTransform,
+  createNdjsonTransform,
+  EXPORT_CONTENT_TYPES,
+} from "../utils/export.utils.js";
+import {
+  buildCursorFilter,
+  decodeCursor,
+  encodeCursor,
+  reverseSort,
+  withTieBreaker,
+} from "../utils/pagination.utils.js";
 
-const createPost = async (req, res) => {
-  try {
-    const { name, description, age } = req.body;
-    // Check if all required fields are provided
-    if (!name || !description || age === undefined) {
-      return res.status(400).json({ message: "All fields are required" });
-    }
+/** Fields clients may project in getAllPosts, derived from the Post schema. */
+const POST_QUERY_FIELDS = schemaFields(Post.schema, {
+  exclude: ["descriptionHtml", "deletedAt", "deletedBy"],
+});
+
+/** Filters selecting live posts and trashed posts. */
+const NOT_DELETED = { deletedAt: null };
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+/** Fields clients may filter on with field[operator]=value, and their types. */
+const POST_FILTER_FIELDS = schemaFieldTypes(Post.schema, POST_QUERY_FIELDS);
+
+/**
+ * Fields clients may sort on: the scalar ones. Arrays and subdocuments (tags, reactionCounts...)
+ * have no single position in a sorted list, so cursors could not be built on them.
+ */
+const POST_SORT_FIELDS = Object.keys(POST_FILTER_FIELDS);
+
+/** Fields searched by the `q` parameter. */
+const POST_SEARCH_FIELDS = ["name", "description"];
+
+/** CSV columns of exports without `fields`. */
+const EXPORT_COLUMNS = [
+  "_id",
+  "name",
+  "slug",
+  "description",
+  "age",
+  "author",
+  "tags",
+  "category",
+  "status",
+  "visibility",
+  "publishedAt",
+  "commentCount",
+  "createdAt",
+  "updatedAt",
+];
+
+/** Documents fetched per round trip by export cursors. */
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Whether the user may modify a post: authors always can, other users need the ":any" permission.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} post - Post document
+ * @param {string} anyPermission - e.g. PERMISSIONS.POST_UPDATE_ANY
+ * @returns {boolean}
+ */
+const canModifyPost = (user, post, anyPermission) => {
+  if (post.author && post.author.equals(user._id)) return true;
+  return hasPermission(user.role, anyPermission);
+};
+
+/**
+ * Loads a live post the user may manage (unpublished and private posts only for their
+ * author, and for moderators and admins), or throws 404.
+ * @param {string} id
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Post document
+ */
+const findLivePost = async (id, user) => {
+  const post = await Post.findOne({ _id: id, ...NOT_DELETED, ...manageableBy(user) });
+  if (!post) {
+    throw new NotFoundError("Post not found");
+  }
+  return post;
+};
+
+/**
+ * Writes a post only if it is still at the version that was read, and bumps the version.
+ *
+ * @param {Object} post - Post document as read by the handler
+ * @param {Object} scope - NOT_DELETED or IN_TRASH
+ * @param {Object} update - Fields to set
+ * @param {boolean} conditional - Whether the client sent If-Match
+ * @param {Object} [options] - Extra findOneAndUpdate options
+ * @returns {Promise<Object>} Updated post
+ * @throws {NotFoundError} if the post disappeared from the scope in the meantime
+ * @throws {PreconditionFailedError} 412 if it was modified and the client sent If-Match
+ * @throws {ConflictError} 409 EDIT_CONFLICT if it was modified and the client did not send If-Match
+ */
+const updateVersionedPost = async (post, scope, update, conditional, options = {}) => {
+  const updatedPost = await Post.findOneAndUpdate(
+    { _id: post._id, ...scope, ...versionFilter(post.version) },
+    { ...update, version: post.version + 1 },
+    { new: true, ...options }
+  );
+  if (updatedPost) return updatedPost;
+
+  if (!(await Post.exists({ _id: post._id, ...scope }))) {
+    throw new NotFoundError("Post not found");
+  }
+  if (conditional) {
+    throw new PreconditionFailedError("The resource has been modified");
+  }
+  throw new ConflictError("Post was modified by another request, please retry", undefined, "EDIT_CONFLICT");
+};
+
+/**
+ * Applies an update to a post, moving it to a new slug when its name changes. The old slug
+ * is kept in previousSlugs so links to it keep working (getPostBySlug redirects them).
+ * @param {Object} post - Post document as read
+ * @param {Object} update - Fields to set
+ * @param {(update: Object) => Promise<Object>} write - Performs the update
+ * @returns {Promise<Object>} Updated post
+ */
+const updateWithSlug = (post, update, write) => {
+  if (update.name === undefined || (post.slug && slugBase(update.name) === slugBase(post.name))) {
+    return write(update);
+  }
+  return writeWithSlug(
+    update.name,
+    (slug) => {
+      if (slug === post.slug) return write(update);
+      const previousSlugs = (post.previousSlugs || []).filter((previous) => previous !== slug);
+      if (post.slug) previousSlugs.push(post.slug);
+      return write({ ...update, slug, previousSlugs });
+    },
+    post._id
+  );
+};
 
-    // Validate data types
-    if (typeof name !== 'string' || typeof description !== 'string' || typeof age !== 'number') {
-      return res.status(400).json({ message: "Invalid data types" });
+/**
+ * Error for a category that does not exist.
+ * @returns {BadRequestError} 400 INVALID_CATEGORY
+ */
+const invalidCategory = () =>
+  new BadRequestError("Category not found", [{ field: "category", message: "Category not found" }], "INVALID_CATEGORY");
+
+/**
+ * Normalizes the tags and checks the category of a create / update body.
+ * @param {Object} body - Validated request body
+ * @returns {Promise<Object>} The body with normalized tags
+ * @throws {BadRequestError} 400 INVALID_CATEGORY when the category does not exist
+ */
+const prepareTaxonomy = async (body) => {
+  const prepared = { ...body };
+  if (prepared.tags) {
+    prepared.tags = normalizeTags(prepared.tags);
+  }
+  if (prepared.category && !(await Category.exists({ _id: prepared.category }))) {
+    throw invalidCategory();
+  }
+  return prepared;
+};
+
+/**
+ * Adds the rendered HTML of the description to fields about to be written, when they contain one.
+ * @param {Object} fields - Post fields to write
+ * @returns {Object} The fields, with descriptionHtml when description is set
+ */
+const withDescriptionHtml = (fields) =>
+  fields.description === undefined ? fields : { ...fields, descriptionHtml: renderMarkdown(fields.description) };
+
+/**
+ * Publication fields of a new post.
+ * @param {Object} body - Validated request body
+ * @returns {Object} { status, publishAt, publishedAt }
+ * @throws {BadRequestError} 400 INVALID_STATUS for a draft or archived post with a publication date
+ */
+const initialStatus = ({ status, publishAt }) => {
+  if (status === "draft" || status === "archived") {
+    if (publishAt) {
+      throw new BadRequestError(
+        `${status === "draft" ? "A draft" : "An archived post"} cannot have a publication date`,
+        [{ field: "publishAt", message: `publishAt cannot be used with status ${status}` }],
+        "INVALID_STATUS"
+      );
     }
+    return { status, publishAt: null, publishedAt: null };
+  }
+  return publishUpdate(publishAt ?? null);
+};
 
-    // Create a new post in the database
-    const newPost = await Post.create({ name, description, age });
-    res.status(201).json({ message: "Post created successfully", post: newPost });
-  } catch (error) {
-    console.error("Error creating post:", error);
-    res.status(500).json({ message: "Internal server error" });
+const createPost = asyncHandler(async (req, res) => {
+  const { name, description, age, tags, category, visibility } = await prepareTaxonomy(req.body);
+
+  // Create a new post in the database
+  const newPost = await writeWithSlug(name, (slug) =>
+    Post.create({
+      name,
+      slug,
+      description,
+      descriptionHtml: renderMarkdown(description),
+      age,
+      tags,
+      category,
+      visibility,
+      ...initialStatus(req.body),
+      author: req.user._id,
+    })
+  );
+  await recordRevision({ before: null, after: newPost, editor: req.user._id, action: "create" });
+  res.set("ETag", formatETag(newPost.version));
+  res.status(201).json({ message: "Post created successfully", post: newPost });
+});
+
+/**
+ * Publication fields of an imported post. Exports hold every status, so imports also accept
+ * "scheduled", published at publishAt like a create (or made a draft without publishAt, which
+ * exports leave out), and "archived", imported archived.
+ * @param {Object} fields - Validated { status, publishAt } of the post
+ * @returns {Object} { status, publishAt, publishedAt }
+ * @throws {BadRequestError} 400 INVALID_STATUS
+ */
+const importedStatus = ({ status, publishAt }) =>
+  status === "scheduled"
+    ? initialStatus({ status: publishAt ? "published" : "draft", publishAt })
+    : initialStatus({ status, publishAt });
+
+/**
+ * Checks an imported post like a POST /create body (see importedStatus for its status).
+ * @param {*} row - Imported post, as sent
+ * @returns {Object} Fields of the new post, without author and slug
+ * @throws {BadRequestError} 400 VALIDATION_ERROR / INVALID_STATUS
+ */
+const checkImportedPost = (row) => {
+  const { value, errors } = validateObject(row, importedPostSchema);
+  if (errors.length) {
+    throw new BadRequestError("Validation failed", errors, "VALIDATION_ERROR");
   }
+  const { status, publishAt, ...fields } = value;
+  if (fields.tags) fields.tags = normalizeTags(fields.tags);
+  return { ...fields, ...importedStatus({ status, publishAt }) };
 };
 
-const getAllPosts = async (req, res) => {
+/**
+ * Inserts new posts, letting the others in when some fail.
+ * @param {Object[]} posts - Post documents
+ * @returns {Promise<Array<Object|null>>} Write error of each post, null when it was inserted
+ */
+const insertPosts = async (posts) => {
   try {
-    // Query params: page, limit, sort (e.g. -createdAt,name), fields (comma separated), q (search)
-    let { page = 1, limit = 10, sort = "-createdAt", fields, q } = req.query;
-    page = Math.max(parseInt(page, 10) || 1, 1);
-    limit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100); // cap to 100
-    const skip = (page - 1) * limit;
+    await Post.insertMany(posts, { ordered: false });
+    return posts.map(() => null);
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    const failed = new Map(error.writeErrors.map((writeError) => [writeError.index, writeError.err ?? writeError]));
+    return posts.map((post, index) => failed.get(index) ?? null);
+  }
+};
+
+/**
+ * Imports a batch of posts (see importPosts).
+ *
+ * @param {Array<*>} rows - Imported posts, as sent
+ * @param {number} offset - Position of the batch in the import
+ * @param {Object} options
+ * @param {Object} options.user - Authenticated user (req.user), author of the posts
+ * @param {boolean} options.dryRun
+ * @param {Set<string>} options.reserved - Slugs given to the previous batches
+ * @returns {Promise<Object[]>} One report entry per row
+ */
+const importBatch = async (rows, offset, { user, dryRun, reserved }) => {
+  const results = rows.map((row, index) => ({ row: offset + index + 1 }));
+  const fail = (index, error) => {
+    const { message, code, errors } = normalizeError(error);
+    Object.assign(results[index], { status: "failed", code, message, ...(errors?.length && { errors }) });
+  };
+
+  const checked = rows.map((row, index) => {
+    try {
+      return checkImportedPost(row);
+    } catch (error) {
+      fail(index, error);
+      return null;
+    }
+  });
+
+  const categoryIds = [...new Set(checked.filter((fields) => fields?.category).map((fields) => fields.category))];
+  const categories = new Set(
+    categoryIds.length ? (await Category.find({ _id: { $in: categoryIds } }).distinct("_id")).map(String) : []
+  );
+
+  const posts = [];
+  const positions = [];
+  for (const [index, fields] of checked.entries()) {
+    if (!fields) continue;
+    if (fields.category && !categories.has(String(fields.category))) {
+      fail(index, invalidCategory());
+      continue;
+    }
+    const post = new Post({ ...withDescriptionHtml(fields), author: user._id });
+    try {
+      await post.validate();
+    } catch (error) {
+      fail(index, error);
+      continue;
+    }
+    posts.push(post);
+    positions.push(index);
+  }
 
-    const projection = fields ? fields.split(",").join(" ") : "";
-    const filter = {};
-    if (q) {
-      const regex = new RegExp(q, "i");
-      filter.$or = [{ name: regex }, { description: regex }];
+  const write = dryRun ? async (batch) => batch.map(() => null) : insertPosts;
+  const writeErrors = await writeAllWithSlugs(posts, write, reserved);
+
+  const created = [];
+  writeErrors.forEach((error, position) => {
+    const index = positions[position];
+    if (error) {
+      fail(index, error);
+      return;
     }
+    const post = posts[position];
+    Object.assign(
+      results[index],
+      dryRun ? { status: "valid", slug: post.slug } : { status: "created", id: post._id, slug: post.slug }
+    );
+    created.push(post);
+  });
+  if (!dryRun) await recordCreations(created, user._id);
+  return results;
+};
+
+const importPosts = asyncHandler(async (req, res) => {
+  const rows = readImportedPosts(req);
+  const dryRun = req.query.dryRun ?? false;
+
+  const results = [];
+  const reserved = new Set();
+  for (let offset = 0; offset < rows.length; offset += IMPORT_LIMITS.BATCH_SIZE) {
+    const batch = rows.slice(offset, offset + IMPORT_LIMITS.BATCH_SIZE);
+    results.push(...(await importBatch(batch, offset, { user: req.user, dryRun, reserved })));
+  }
+
+  const failed = results.filter((result) => result.status === "failed").length;
+  const succeeded = results.length - failed;
+  res.status(!dryRun && succeeded ? 201 : 200).json({
+    message: dryRun ? "Dry run completed, nothing was imported" : "Import completed",
+    dryRun,
+    summary: { total: results.length, [dryRun ? "valid" : "created"]: succeeded, failed },
+    results,
+  });
+});
+
+/**
+ * Checks the pagination parameters that cannot be combined, so that the rest of
+ * getAllPosts can assume a single mode.
+ * @param {Object} query - Validated query
+ * @param {Object} sort - Sort returned by buildListQuery
+ * @throws {BadRequestError} 400 INVALID_QUERY
+ */
+const assertPaginationParams = (query, sort) => {
+  const errors = [];
+  if (query.after && query.before) {
+    errors.push({ field: "before", message: "after and before cannot be used together" });
+  }
+  if ((query.after || query.before || query.pagination === "cursor") && query.page !== undefined) {
+    errors.push({ field: "page", message: "page cannot be used with cursor pagination" });
+  }
+  if ((query.after || query.before || query.pagination === "cursor") && "score" in sort) {
+    errors.push({ field: "sort", message: "Cursor pagination cannot use relevance order, pass an explicit sort" });
+  }
+  if (errors.length) {
+    throw new BadRequestError("Invalid query parameters", errors, "INVALID_QUERY");
+  }
+};
+
+/**
+ * Reads one page after/before a cursor (or the first page).
+ * Fetches one extra document to know whether another page exists.
+ */
+const findPostsByCursor = async ({ filter, sort, projection, limit, after, before }) => {
+  const cursorSort = withTieBreaker(sort);
+  const cursor = after || before;
+  const direction = before ? "before" : "after";
+
+  const query = { ...filter };
+  if (cursor) {
+    const cursorFilter = buildCursorFilter(cursorSort, decodeCursor(cursor, cursorSort), direction);
+    query.$and = [...(filter.$and || []), cursorFilter];
+  }
+
+  // Sort keys are needed to build the cursors even when the client did not ask for them
+  const addedKeys = projection ? Object.keys(cursorSort).filter((key) => !(key in projection)) : [];
+  const select = projection && { ...projection, ...Object.fromEntries(addedKeys.map((key) => [key, 1])) };
 
-    const [total, posts] = await Promise.all([
-      Post.countDocuments(filter),
+  const docs = await Post.find(query)
+    .sort(before ? reverseSort(cursorSort) : cursorSort)
+    .limit(limit + 1)
+    .select(select)
+    .lean();
+
+  const hasMore = docs.length > limit;
+  const posts = docs.slice(0, limit);
+  if (before) posts.reverse();
+
+  const first = posts[0];
+  const last = posts[posts.length - 1];
+  // Coming from a cursor means there is a page on the other side of it
+  const hasNext = before ? true : hasMore;
+  const hasPrev = before ? hasMore : Boolean(after);
+  const nextCursor = hasNext && last ? encodeCursor(last, cursorSort) : null;
+  const prevCursor = hasPrev && first ? encodeCursor(first, cursorSort) : null;
+
+  for (const post of posts) {
+    for (const key of addedKeys) delete post[key];
+  }
+  return { posts, nextCursor, prevCursor };
+};
+
+/**
+ * Adds a condition to a list filter. When the filter already constrains one of the
+ * same fields (e.g. author=me with author[ne]=...), both are kept with $and.
+ * @param {Object} filter - Filter built by buildListQuery, modified in place
+ * @param {Object} condition
+ */
+const addCondition = (filter, condition) => {
+  if (Object.keys(condition).some((field) => field in filter)) {
+    filter.$and = [...(filter.$and || []), condition];
+  } else {
+    Object.assign(filter, condition);
+  }
+};
+
+/**
+ * Ids of a category, given by id or slug, and of its subcategories.
+ * @param {string} ref
+ * @returns {Promise<string[]>}
+ * @throws {BadRequestError} 400 INVALID_QUERY when the category does not exist
+ */
+const findCategoryTree = async (ref) => {
+  const category = await findCategoryByRef(ref);
+  if (!category) {
+    throw new BadRequestError(
+      "Invalid query parameters",
+      [{ field: "category", message: `Category "${ref}" not found` }],
+      "INVALID_QUERY"
+    );
+  }
+  return descendantIds(await Category.find().select("parent").lean(), category._id);
+};
+
+/**
+ * Adds descriptionHtml to a projection including the description when the HTML format is
+ * requested: the rendered description is a field of its own.
+ * @param {Object|null} projection
+ * @param {string} [format] - One of DESCRIPTION_FORMATS
+ * @returns {Object|null}
+ */
+const withDescriptionFormat = (projection, format) =>
+  format === "html" && projection?.description ? { ...projection, descriptionHtml: 1 } : projection;
+
+/**
+ * Latest change to any post, the Last-Modified of post listings: edits (updatedAt) and comment
+ * or reaction changes (activityAt). Trashed and unlisted posts are included, since a post
+ * leaving a list changes it as much as an edit of a listed one.
+ * @returns {Promise<Date|undefined>} undefined without posts
+ */
+const findLastPostChange = async () => {
+  const [edited, active] = await Promise.all([
+    Post.findOne().sort({ updatedAt: -1 }).select("updatedAt").lean(),
+    Post.findOne({ activityAt: { $ne: null } }).sort({ activityAt: -1 }).select("activityAt").lean(),
+  ]);
+  return latestDate(edited?.updatedAt, active?.activityAt);
+};
+
+/**
+ * Builds the filter, sort and projection of a post listing from its validated query: q,
+ * searchMode, sort, fields, author, status, visibility, tags, category and field[operator]
+ * filters. Only the posts the user may list are matched (see visibleTo).
+ *
+ * @param {import('express').Request} req
+ * @returns {Promise<{ filter: Object, sort: Object, projection: Object|null, search: Object|null, searchMode: string|null }>}
+ * @throws {BadRequestError} 400 INVALID_QUERY (see buildListQuery and findCategoryTree)
+ * @throws {UnauthorizedError} 401 TOKEN_MISSING for author=me without a user
+ */
+const buildPostsQuery = async (req) => {
+  const { author } = req.query;
+  const { filter, sort, projection, search, searchMode } = buildListQuery(req.query, {
+    allowedFields: POST_QUERY_FIELDS,
+    sortFields: POST_SORT_FIELDS,
+    searchFields: POST_SEARCH_FIELDS,
+    filterFields: POST_FILTER_FIELDS,
+    defaultSort: "-createdAt",
+    defaultSearchMode: "text",
+  });
+  Object.assign(filter, NOT_DELETED);
+  addCondition(filter, visibleTo(req.user, { listing: true }));
+  if (req.query.status) {
+    addCondition(filter, statusFilter(req.query.status));
+  }
+  if (req.query.visibility) {
+    addCondition(filter, visibilityFilter(req.query.visibility));
+  }
+  if (author === "me" && !req.user) {
+    throw new UnauthorizedError("author=me requires an access token", "TOKEN_MISSING");
+  }
+  if (author) {
+    addCondition(filter, { author: author === "me" ? req.user._id : author });
+  }
+  if (req.query.tags) {
+    addCondition(filter, { tags: { $all: normalizeTags(req.query.tags) } });
+  }
+  if (req.query.category) {
+    addCondition(filter, { category: { $in: await findCategoryTree(req.query.category) } });
+  }
+  return { filter, sort, projection, search, searchMode };
+};
+
+const getAllPosts = asyncHandler(async (req, res) => {
+  // Query params: page, limit, sort (e.g. -createdAt,name), fields (comma separated), q (search), searchMode,
+  // after/before (cursors), pagination, includeTotal, author, tags, category, field[operator] filters (e.g. age[gte]=18)
+  // Values are already validated and coerced by listPostsQuerySchema
+  const { page = 1, limit = PAGINATION.DEFAULT_LIMIT, after, before, format } = req.query;
+
+  const { filter, sort, projection: requested, search, searchMode } = await buildPostsQuery(req);
+  assertPaginationParams(req.query, sort);
+  const projection = withDescriptionFormat(requested, format);
+
+  const cursorMode = Boolean(after || before) || req.query.pagination === "cursor";
+  const includeTotal = req.query.includeTotal ?? !cursorMode;
+  // Read before the posts: a change made in between must not be dated into this response
+  const lastModified = await findLastPostChange();
+
+  let posts;
+  let pagination;
+  if (cursorMode) {
+    const [total, result] = await Promise.all([
+      includeTotal ? Post.countDocuments(filter) : undefined,
+      findPostsByCursor({ filter, sort, projection, limit, after, before }),
+    ]);
+    posts = result.posts;
+    pagination = {
+      pagination: "cursor",
+      ...(includeTotal && { total }),
+      count: posts.length,
+      limit,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor,
+    };
+  } else {
+    const skip = (page - 1) * limit;
+    const [total, docs] = await Promise.all([
+      includeTotal ? Post.countDocuments(filter) : undefined,
       Post.find(filter)
         .sort(sort)
         .skip(skip)
@@ -147,93 +1008,435 @@ const getAllPosts = async (req, res) => {
         .select(projection)
         .lean(),
     ]);
+    posts = docs;
+    pagination = {
+      pagination: "page",
+      ...(includeTotal && { total, pages: Math.max(Math.ceil(total / limit), 1) }),
+      count: posts.length,
+      page,
+      limit,
+    };
+  }
+
+  if (search) {
+    for (const post of posts) {
+      post.highlights = highlightDocument(post, search, POST_SEARCH_FIELDS);
+    }
+  }
+  for (const post of posts) {
+    formatDescription(post, format);
+  }
+  await attachReactions(posts, req.user?._id, {
+    counts: !req.query.fields || Boolean(projection?.reactionCounts),
+  });
 
-    const pages = Math.max(Math.ceil(total / limit), 1);
-    res.status(200).json({
+  sendConditional(
+    req,
+    res,
+    {
       data: posts,
       meta: {
-        total,
-        count: posts.length,
-        page,
-        pages,
-        limit,
+        ...pagination,
+        searchMode: searchMode || "none",
       },
-    });
-  } catch (error) {
-    console.error("Error fetching posts:", error);
-    res.status(500).json({ message: "Internal server error" });
+    },
+    { lastModified }
+  );
+});
+
+const exportPosts = asyncHandler(async (req, res) => {
+  const type = req.params.format;
+  const { format } = req.query;
+  const { filter, sort, projection: requested } = await buildPostsQuery(req);
+
+  let projection = requested;
+  let columns;
+  if (type === "csv") {
+    // Without fields, the requested projection only holds the text score, if any
+    if (!req.query.fields) {
+      projection = { ...Object.fromEntries(EXPORT_COLUMNS.map((field) => [field, 1])), ...requested };
+    }
+    columns = Object.keys(projection);
   }
-};
 
-const updatePost = async (req, res) => {
-  try {
-    if (!Object.keys(req.body).length) {
-      return res.status(400).json({ message: "No data provided for update" });
+  const cursor = Post.find(filter)
+    .sort(sort)
+    .select(withDescriptionFormat(projection, format))
+    .lean()
+    .cursor({ batchSize: EXPORT_BATCH_SIZE });
+  // Query errors surface with the first document, while an error response can still be sent
+  const first = await cursor.next();
+  const posts = async function* () {
+    try {
+      if (!first) return;
+      yield first;
+      for await (const post of cursor) yield post;
+    } finally {
+      await cursor.close();
     }
+  };
+  const toRecord = (post) => formatDescription(post, format);
+  const serialize = type === "csv" ? createCsvTransform(columns, toRecord) : createNdjsonTransform(toRecord);
 
-    const { id } = req.params;
-    const { name, description, age } = req.body;
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200).set({
+    "Content-Type": EXPORT_CONTENT_TYPES[type],
+    "Content-Disposition": contentDisposition("attachment", `posts-${date}.${type}`),
+    "X-Content-Type-Options": "nosniff",
+  });
 
-    // Validate data types
-    if (name && typeof name !== 'string') {
-      return res.status(400).json({ message: "Invalid data type for name" });
-    }
-    if (description && typeof description !== 'string') {
-      return res.status(400).json({ message: "Invalid data type for description" });
-    }
-    if (age !== undefined && typeof age !== 'number') {
-      return res.status(400).json({ message: "Invalid data type for age" });
+  await pipeline(posts, serialize, res).catch((error) => {
+    // The client going away mid-export is not an error of the server
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error("Post export failed:", error);
     }
+  });
+});
 
-    const updatedPost = await Post.findByIdAndUpdate(
-      id,
-      { name, description, age },
-      { new: true, runValidators: true }
-    );
+const updatePost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    if (!updatedPost) {
-      return res.status(404).json({ message: "Post not found" });
-    }
+  const post = await findLivePost(id, req.user);
+  if (!canModifyPost(req.user, post, PERMISSIONS.POST_UPDATE_ANY)) {
+    throw new ForbiddenError("You can only update your own posts");
+  }
+  const conditional = assertIfMatch(req, post.version);
 
-    res.status(200).json({ message: "Post updated successfully", post: updatedPost });
-  } catch (error) {
-    console.error("Error updating post:", error);
-    res.status(500).json({ message: "Internal server error" });
+  // req.body only contains the validated post fields (unknown fields are stripped)
+  const update = withDescriptionHtml(await prepareTaxonomy(req.body));
+  const updatedPost = await updateWithSlug(post, update, (fields) =>
+    updateVersionedPost(post, NOT_DELETED, fields, conditional, { runValidators: true })
+  );
+  await recordRevision({ before: post, after: updatedPost, editor: req.user._id, action: "update" });
+
+  res.set("ETag", formatETag(updatedPost.version));
+  res.status(200).json({ message: "Post updated successfully", post: updatedPost });
+});
+
+/**
+ * Serializes a trashed post with the date it will be purged.
+ * @param {Object} post - Post document or lean object
+ * @returns {Object}
+ */
+const withPurgeDate = (post) => {
+  const plain = typeof post.toObject === "function" ? post.toObject() : post;
+  return { ...plain, purgeAt: getPurgeDate(plain.deletedAt) };
+};
+
+const deletePost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const post = await findLivePost(id, req.user);
+  if (!canModifyPost(req.user, post, PERMISSIONS.POST_DELETE_ANY)) {
+    throw new ForbiddenError("You can only delete your own posts");
   }
+  const conditional = assertIfMatch(req, post.version);
+
+  const deletedPost = await updateVersionedPost(
+    post,
+    NOT_DELETED,
+    { deletedAt: new Date(), deletedBy: req.user._id },
+    conditional
+  );
+
+  res.set("ETag", formatETag(deletedPost.version));
+  res.status(200).json({
+    message: "Post moved to trash",
+    post: withPurgeDate(deletedPost),
+  });
+});
+
+const getTrash = asyncHandler(async (req, res) => {
+  const { page = 1, limit = PAGINATION.DEFAULT_LIMIT } = req.query;
+  const filter = { author: req.user._id, ...IN_TRASH };
+
+  const [total, posts] = await Promise.all([
+    Post.countDocuments(filter),
+    Post.find(filter)
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  res.status(200).json({
+    data: posts.map(withPurgeDate),
+    meta: {
+      total,
+      count: posts.length,
+      page,
+      pages: Math.max(Math.ceil(total / limit), 1),
+      limit,
+      retentionDays: getTrashRetentionDays(),
+    },
+  });
+});
+
+/**
+ * Loads a trashed post the user may restore or purge. A post trashed by someone other than
+ * its author (a moderator) needs the permission to delete any post: the author may not undo
+ * the moderation.
+ * @throws {NotFoundError} when the post is not in the trash
+ * @throws {ForbiddenError} when the user is neither the author nor allowed to delete any post,
+ *   or only the author of a post someone else trashed
+ */
+const findTrashedPost = async (user, id) => {
+  const post = await Post.findOne({ _id: id, ...IN_TRASH });
+  if (!post) {
+    throw new NotFoundError("Post not found in trash");
+  }
+  // Posts trashed before deletedBy existed count as trashed by their author
+  const trashedByAuthor = !post.deletedBy || Boolean(post.author?.equals(post.deletedBy));
+  if (!trashedByAuthor && !hasPermission(user.role, PERMISSIONS.POST_DELETE_ANY)) {
+    throw new ForbiddenError("This post was removed by a moderator", "POST_MODERATED");
+  }
+  if (!canModifyPost(user, post, PERMISSIONS.POST_DELETE_ANY)) {
+    throw new ForbiddenError("You can only manage your own trashed posts");
+  }
+  return post;
 };
 
-const deletePost = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const deletedPost = await Post.findByIdAndDelete(id);
-    
-    if (!deletedPost) {
-      return res.status(404).json({ message: "Post not found" });
+const restorePost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const post = await findTrashedPost(req.user, id);
+  const conditional = assertIfMatch(req, post.version);
+
+  const restoredPost = await updateVersionedPost(
+    post,
+    IN_TRASH,
+    { deletedAt: null, deletedBy: null },
+    conditional
+  );
+  res.set("ETag", formatETag(restoredPost.version));
+
+  res.status(200).json({ message: "Post restored successfully", post: restoredPost });
+});
+
+const purgePost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const post = await findTrashedPost(req.user, id);
+  const conditional = assertIfMatch(req, post.version);
+
+  const { deletedCount } = await Post.deleteOne({
+    _id: id,
+    ...IN_TRASH,
+    ...(conditional && versionFilter(post.version)),
+  });
+  if (!deletedCount) {
+    if (conditional && (await Post.exists({ _id: id, ...IN_TRASH }))) {
+      throw new PreconditionFailedError("The resource has been modified");
     }
+    throw new NotFoundError("Post not found in trash");
+  }
+  await Promise.all([
+    PostRevision.deleteMany({ post: id }),
+    Comment.deleteMany({ post: id }),
+    Reaction.deleteMany({ post: id }),
+    removeAttachments([id]),
+  ]);
 
-    res.status(200).json({ 
-      message: "Post deleted successfully",
-      post: deletedPost 
-    });
-  } catch (error) {
-    console.error("Error deleting post:", error);
-    res.status(500).json({ message: "Internal server error" });
+  res.status(200).json({ message: "Post permanently deleted" });
+});
+
+/**
+ * Loads a revision of a post or throws 404 REVISION_NOT_FOUND.
+ * Without a number, the latest revision is returned.
+ */
+const findRevision = async (postId, number) => {
+  const revision = number === undefined
+    ? await PostRevision.findOne({ post: postId }).sort({ number: -1 }).lean()
+    : await PostRevision.findOne({ post: postId, number }).lean();
+  if (!revision) {
+    throw new NotFoundError(
+      number === undefined ? "Post has no revisions" : `Revision ${number} not found`,
+      "REVISION_NOT_FOUND"
+    );
   }
+  return revision;
 };
 
-const getPostById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const post = await Post.findById(id).lean();
-    if (!post) {
-      return res.status(404).json({ message: "Post not found" });
-    }
+const getPostRevisions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = PAGINATION.DEFAULT_LIMIT } = req.query;
+  await findLivePost(id, req.user);
 
-    res.status(200).json({ post });
-  } catch (error) {
-    console.error("Error fetching post:", error);
-    res.status(500).json({ message: "Internal server error" });
+  const [total, revisions] = await Promise.all([
+    PostRevision.countDocuments({ post: id }),
+    PostRevision.find({ post: id })
+      .sort({ number: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("-snapshot")
+      .lean(),
+  ]);
+
+  sendConditional(req, res, {
+    data: revisions,
+    meta: {
+      total,
+      count: revisions.length,
+      page,
+      pages: Math.max(Math.ceil(total / limit), 1),
+      limit,
+    },
+  });
+});
+
+const getRevisionDiff = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  await findLivePost(id, req.user);
+
+  const [from, to] = await Promise.all([
+    findRevision(id, req.query.from),
+    findRevision(id, req.query.to),
+  ]);
+
+  sendConditional(req, res, {
+    post: id,
+    from: from.number,
+    to: to.number,
+    changes: diffSnapshots(from.snapshot, to.snapshot),
+  });
+});
+
+const rollbackPost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const post = await findLivePost(id, req.user);
+  if (!canModifyPost(req.user, post, PERMISSIONS.POST_UPDATE_ANY)) {
+    throw new ForbiddenError("You can only update your own posts");
+  }
+  const conditional = assertIfMatch(req, post.version);
+  const target = await findRevision(id, req.body.revision);
+
+  const restored = { ...target.snapshot };
+  if (restored.category && !(await Category.exists({ _id: restored.category }))) {
+    restored.category = null;
+  }
+  const updatedPost = await updateWithSlug(post, withDescriptionHtml(restored), (fields) =>
+    updateVersionedPost(post, NOT_DELETED, fields, conditional, { runValidators: true })
+  );
+  const revision = await recordRevision({
+    before: post,
+    after: updatedPost,
+    editor: req.user._id,
+    action: "rollback",
+    rolledBackTo: target.number,
+  });
+
+  res.set("ETag", formatETag(updatedPost.version));
+  res.status(200).json({
+    message: `Post rolled back to revision ${target.number}`,
+    post: updatedPost,
+    revision,
+  });
+});
+
+const publishPost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const post = await findLivePost(id, req.user);
+  if (!canModifyPost(req.user, post, PERMISSIONS.POST_UPDATE_ANY)) {
+    throw new ForbiddenError("You can only publish your own posts");
   }
+  if (postStatus(post) === "published") {
+    throw new ConflictError("Post is already published", undefined, "INVALID_STATUS");
+  }
+  const conditional = assertIfMatch(req, post.version);
+
+  const update = publishUpdate(req.body.publishAt ?? null);
+  const publishedPost = await updateVersionedPost(post, NOT_DELETED, update, conditional);
+
+  res.set("ETag", formatETag(publishedPost.version));
+  res.status(200).json({
+    message: update.status === "scheduled" ? "Post scheduled successfully" : "Post published successfully",
+    post: publishedPost,
+  });
+});
+
+const unpublishPost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status = "draft" } = req.body;
+  const post = await findLivePost(id, req.user);
+  if (!canModifyPost(req.user, post, PERMISSIONS.POST_UPDATE_ANY)) {
+    throw new ForbiddenError("You can only unpublish your own posts");
+  }
+  if (postStatus(post) === status) {
+    throw new ConflictError(`Post is already ${status === "draft" ? "a draft" : "archived"}`, undefined, "INVALID_STATUS");
+  }
+  const conditional = assertIfMatch(req, post.version);
+
+  const unpublishedPost = await updateVersionedPost(
+    post,
+    NOT_DELETED,
+    { status, publishAt: null },
+    conditional
+  );
+
+  res.set("ETag", formatETag(unpublishedPost.version));
+  res.status(200).json({
+    message: status === "draft" ? "Post moved back to drafts" : "Post archived successfully",
+    post: unpublishedPost,
+  });
+});
+
+/**
+ * Sends a single post with the user's reactions and its description in the requested format,
+ * with an ETag of its version and body and the later of its last edit and its last comment or
+ * reaction change as Last-Modified (304 when the client's copy is current).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} post - Lean post
+ */
+const sendPost = async (req, res, post) => {
+  formatDescription(post, req.query.format);
+  await attachReactions([post], req.user?._id);
+  const body = { post };
+  sendConditional(req, res, body, {
+    etag: versionedETag(post.version, body),
+    lastModified: latestDate(post.updatedAt, post.activityAt),
+  });
 };
 
-export { createPost, getAllPosts, updatePost, deletePost, getPostById };
+const getPostById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const post = await Post.findOne({ _id: id, ...NOT_DELETED, ...visibleTo(req.user) }).lean();
+  if (!post) {
+    throw new NotFoundError("Post not found");
+  }
+  await sendPost(req, res, post);
+});
+
+const getPostBySlug = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const scope = { ...NOT_DELETED, ...visibleTo(req.user) };
+
+  const post = await Post.findOne({ slug, ...scope }).lean();
+  if (post) {
+    await sendPost(req, res, post);
+    return;
+  }
+
+  const renamed = await Post.findOne({ previousSlugs: slug, ...scope }).select("slug").lean();
+  if (!renamed) {
+    throw new NotFoundError("Post not found");
+  }
+  const queryString = req.originalUrl.includes("?") ? req.originalUrl.slice(req.originalUrl.indexOf("?")) : "";
+  res.redirect(301, `${req.baseUrl}/getPostBySlug/${encodeURIComponent(renamed.slug)}${queryString}`);
+});
+
+export {
+  createPost,
+  importPosts,
+  getAllPosts,
+  exportPosts,
+  updatePost,
+  deletePost,
+  getPostById,
+  getPostBySlug,
+  getTrash,
+  restorePost,
+  purgePost,
+  getPostRevisions,
+  getRevisionDiff,
+  rollbackPost,
+  publishPost,
+  unpublishPost,
+};
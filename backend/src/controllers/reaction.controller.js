@@ -0,0 +1,56 @@
+/**
+ * Controller for reactions on posts.
+ *
+ * Handlers are wrapped with asyncHandler and throw AppError subclasses (utils/errors.js),
+ * turned into JSON error responses by the error middleware.
+ * @module controllers/reaction.controller
+ */
+
+/**
+ * Toggle the authenticated user's reaction on a Post.
+ *
+ * Path params: id {string}. Body: { type: string } — one of REACTION_TYPES (config/constants.js).
+ * - Adds the reaction if the user has not reacted with this type yet, removes it otherwise.
+ *   A user may leave several types on the same post, each at most once.
+ * - Counters change only after the reaction itself was added or removed, so they stay
+ *   consistent under concurrent toggles (utils/reaction.utils.js).
+ * - Does not change the post's version: reactions are not edits of the post.
+ * - Returns 200 with { type, reacted, reactionCounts, reactedByMe }.
+ * - Returns 404 if the post is not found, in the trash, or an unpublished or private post of
+ *   another user.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object. Params.id and body.type required.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+import { Post } from "../models/post.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { NotFoundError } from "../utils/errors.js";
+import { attachReactions, toggleReaction } from "../utils/reaction.utils.js";
+import { visibleTo } from "../utils/postStatus.utils.js";
+
+const togglePostReaction = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { type } = req.body;
+  if (!(await Post.exists({ _id: id, deletedAt: null, ...visibleTo(req.user) }))) {
+    throw new NotFoundError("Post not found");
+  }
+
+  const reacted = await toggleReaction(id, req.user._id, type);
+  const post = await Post.findById(id).select("reactionCounts").lean();
+  if (!post) {
+    throw new NotFoundError("Post not found");
+  }
+  await attachReactions([post], req.user._id);
+
+  res.status(200).json({
+    message: reacted ? "Reaction added" : "Reaction removed",
+    type,
+    reacted,
+    reactionCounts: post.reactionCounts,
+    reactedByMe: post.reactedByMe,
+  });
+});
+
+export { togglePostReaction };
@@ -0,0 +1,196 @@
+/**
+ * Controller for post tags.
+ *
+ * Tags live on the posts (Post.tags), so there is no tag collection: listing
+ * aggregates the posts, and renaming or merging rewrites every post carrying
+ * the tag. Tag names in params and bodies are normalized first
+ * (utils/tag.utils.js), so "Node JS" designates the tag "node-js".
+ *
+ * Handlers are wrapped with asyncHandler and throw AppError subclasses (utils/errors.js),
+ * turned into JSON error responses by the error middleware.
+ * @module controllers/tag.controller
+ */
+
+/**
+ * List tags with the number of published public posts using each one (drafts, other unpublished
+ * posts and unlisted or private posts are not counted, so their tags stay private).
+ *
+ * Query parameters:
+ * - q {string} — only tags starting with this prefix (normalized like a tag)
+ * - sort {string} (default: "count") — "count" (most used first) or "name"
+ * - limit {number} (default: 100, max: 500)
+ *
+ * Response:
+ * - 200 with { data: [{ name, count }], meta: { count, limit } } and a weak ETag
+ *   (304 when If-None-Match matches).
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Rename a tag on every post carrying it.
+ *
+ * Path params: tag {string}. Body: { name: string }.
+ * - Trashed posts are renamed too, so restoring them brings back the new name.
+ * - Every modified post gets a new version (ETag) and a "tag-rename" revision.
+ * - Returns 200 with { from, to, modifiedCount }.
+ * - Returns 400 INVALID_TAG if both names normalize to the same tag.
+ * - Returns 404 TAG_NOT_FOUND if no post has the tag.
+ * - Returns 409 TAG_EXISTS if the new name is already used; merge the tags instead.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Merge tags into one.
+ *
+ * Body: { sources: string[], target: string }.
+ * - Every source tag is replaced by the target tag; posts that already had the target keep it once.
+ *   The target tag does not need to exist yet.
+ * - Trashed posts are merged too, and every modified post gets a new version (ETag) and a
+ *   "tag-merge" revision.
+ * - Returns 200 with { sources, target, modifiedCount }.
+ * - Returns 400 INVALID_TAG if no source differs from the target.
+ * - Returns 404 TAG_NOT_FOUND if no post has any of the source tags.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @returns {Promise<void>}
+ */
+import { Post } from "../models/post.model.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+import { normalizeTag, normalizeTags } from "../utils/tag.utils.js";
+import { escapeRegex } from "../utils/search.utils.js";
+import { sendConditional } from "../utils/httpCache.utils.js";
+import { listedFilter } from "../utils/postStatus.utils.js";
+import { recordRevision } from "../utils/revision.utils.js";
+
+const DEFAULT_TAG_LIMIT = 100;
+
+/**
+ * Tags of a post once sources are replaced by target: the position of the first replaced tag
+ * is kept and duplicates are dropped, like the update in replaceTags.
+ * @param {string[]} tags
+ * @param {string[]} sources
+ * @param {string} target
+ * @returns {string[]}
+ */
+const replacedTags = (tags, sources, target) => [
+  ...new Set(tags.map((tag) => (sources.includes(tag) ? target : tag))),
+];
+
+/**
+ * Replaces tags on every post carrying one of them, one post per atomic update, and records
+ * a revision of each. The version is bumped like any other write, so cached ETags are invalidated.
+ * Posts tagged with a source while the replacement runs are picked up as well.
+ *
+ * @param {string[]} sources - Normalized tags to replace (the target is not one of them)
+ * @param {string} target - Normalized replacement
+ * @param {Object} revision
+ * @param {string} revision.editor - Id of the user replacing the tags
+ * @param {'tag-rename'|'tag-merge'} revision.action
+ * @returns {Promise<number>} Number of modified posts
+ */
+const replaceTags = async (sources, target, { editor, action }) => {
+  let modifiedCount = 0;
+  for (;;) {
+    const before = await Post.findOneAndUpdate(
+      { tags: { $in: sources } },
+      [
+        {
+          $set: {
+            tags: {
+              $reduce: {
+                input: {
+                  $map: {
+                    input: "$tags",
+                    in: { $cond: [{ $in: ["$$this", sources] }, target, "$$this"] },
+                  },
+                },
+                initialValue: [],
+                in: {
+                  $cond: [
+                    { $in: ["$$this", "$$value"] },
+                    "$$value",
+                    { $concatArrays: ["$$value", ["$$this"]] },
+                  ],
+                },
+              },
+            },
+            version: { $add: [{ $ifNull: ["$version", 1] }, 1] },
+            updatedAt: "$$NOW",
+          },
+        },
+      ],
+      { returnDocument: "before", updatePipeline: true, timestamps: false }
+    ).lean();
+    if (!before) return modifiedCount;
+
+    modifiedCount += 1;
+    const after = { ...before, tags: replacedTags(before.tags, sources, target) };
+    await recordRevision({ before, after, editor, action });
+  }
+};
+
+const getTags = asyncHandler(async (req, res) => {
+  const { sort = "count", limit = DEFAULT_TAG_LIMIT } = req.query;
+  const prefix = req.query.q ? normalizeTag(req.query.q) : "";
+  const match = prefix ? { tags: { $regex: `^${escapeRegex(prefix)}` } } : {};
+
+  const tags = await Post.aggregate([
+    { $match: { deletedAt: null, ...listedFilter(), ...match } },
+    { $unwind: "$tags" },
+    // A post matching the prefix can carry other tags too
+    { $match: match },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: sort === "name" ? { _id: 1 } : { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, name: "$_id", count: 1 } },
+  ]);
+
+  sendConditional(req, res, { data: tags, meta: { count: tags.length, limit } });
+});
+
+const renameTag = asyncHandler(async (req, res) => {
+  const from = normalizeTag(req.params.tag);
+  const to = normalizeTag(req.body.name);
+  if (from === to) {
+    throw new BadRequestError(`"${req.body.name}" is the same tag as "${req.params.tag}"`, undefined, "INVALID_TAG");
+  }
+
+  const [used, exists] = await Promise.all([Post.exists({ tags: from }), Post.exists({ tags: to })]);
+  if (!used) {
+    throw new NotFoundError(`Tag "${from}" not found`, "TAG_NOT_FOUND");
+  }
+  if (exists) {
+    throw new ConflictError(`Tag "${to}" already exists, merge the tags instead`, undefined, "TAG_EXISTS");
+  }
+
+  const modifiedCount = await replaceTags([from], to, { editor: req.user._id, action: "tag-rename" });
+  res.status(200).json({ message: "Tag renamed successfully", from, to, modifiedCount });
+});
+
+const mergeTags = asyncHandler(async (req, res) => {
+  const target = normalizeTag(req.body.target);
+  const sources = normalizeTags(req.body.sources).filter((tag) => tag !== target);
+  if (!sources.length) {
+    throw new BadRequestError("Sources must contain a tag other than the target", undefined, "INVALID_TAG");
+  }
+
+  if (!(await Post.exists({ tags: { $in: sources } }))) {
+    throw new NotFoundError("None of the source tags is used", "TAG_NOT_FOUND");
+  }
+
+  const modifiedCount = await replaceTags(sources, target, { editor: req.user._id, action: "tag-merge" });
+  res.status(200).json({ message: "Tags merged successfully", sources, target, modifiedCount });
+});
+
+export { getTags, renameTag, mergeTags };
@@ -1,18 +1,16 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
-
-/**
- * Generates a JWT token for the given user ID.
- * @param {string} userId - The user's MongoDB _id
- * @returns {string} Signed JWT token
- */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-};
+import RefreshToken from '../models/refreshToken.model.js';
+import {
+  generateAccessToken,
+  hashToken,
+  issueRefreshToken,
+  issueTokenPair,
+  revokeAccessToken,
+  revokeTokenFamily,
+  revokeUserRefreshTokens,
+} from '../utils/token.utils.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { ConflictError, UnauthorizedError } from '../utils/errors.js';
 
 /**
  * Register a new user.
@@ -23,46 +21,41 @@ const generateToken = (userId) => {
  * a JWT token along with basic user info.
  *
  * Response behavior:
- *  - 400 Bad Request: when username, password or email is missing
- *  - 409 Conflict: when an account with the normalized email already exists
- *  - 201 Created: when the user is created successfully (returns id, email, username, token)
+ *  - 400 Bad Request: when username, password or email is missing or invalid (registerSchema)
+ *  - 409 Conflict: when an account with the normalized email already exists, or the
+ *    username is taken (duplicate key error mapped by the error middleware)
+ *  - 201 Created: when the user is created successfully (returns id, email, username, token, refreshToken)
  *  - 500 Internal Server Error: on unexpected errors
  */
-const registerUser = async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
+const registerUser = asyncHandler(async (req, res) => {
+  // username and email are already trimmed and lowercased by registerSchema
+  const { username, email, password } = req.body;
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ConflictError(
+      'Email already in use',
+      [{ field: 'email', message: 'email already exists' }],
+      'DUPLICATE_KEY'
+    );
+  }
 
-    if (!username || !password || !email) {
-      return res.status(400).json({ message: 'All fields are required' });
-    }
+  const newUser = await User.create({ username, password, email });
 
-    const existingUser = await User.findOne({ email: email.toLowerCase() });
-    if (existingUser) {
-      return res.status(409).json({ message: 'Email already in use' });
-    }
+  const { token, refreshToken } = await issueTokenPair(newUser);
 
-    const newUser = await User.create({
-      username: username.toLowerCase().trim(),
-      password,
-      email: email.toLowerCase().trim(),
-    });
-
-    const token = generateToken(newUser._id);
-
-    res.status(201).json({
-      message: 'User registered successfully',
-      user: {
-        id: newUser._id,
-        email: newUser.email,
-        username: newUser.username,
-      },
-      token,
-    });
-  } catch (error) {
-    console.error('Error registering user:', error);
-    res.status(500).json({ message: 'Internal server error' });
-  }
-};
+  res.status(201).json({
+    message: 'User registered successfully',
+    user: {
+      id: newUser._id,
+      email: newUser.email,
+      username: newUser.username,
+      role: newUser.role,
+    },
+    token,
+    refreshToken,
+  });
+});
 
 /**
  * Log in an existing user.
@@ -73,82 +66,146 @@ const registerUser = async (req, res) => {
  * If the password matches, returns a JWT token along with basic user info.
  *
  * Response behavior:
- *  - 400 Bad Request: when email or password is missing
+ *  - 400 Bad Request: when email or password is missing (loginSchema)
  *  - 401 Unauthorized: when user is not found or password does not match
- *  - 200 OK: when login is successful (returns id, email, username, token)
+ *  - 200 OK: when login is successful (returns id, email, username, token, refreshToken)
  *  - 500 Internal Server Error: on unexpected errors
  */
-const loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
+const loginUser = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password are required' });
-    }
+  const user = await User.findOne({ email }).select('+password');
+  if (!user) {
+    throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
+  }
 
-    const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
+  }
+
+  const { token, refreshToken } = await issueTokenPair(user);
+
+  res.status(200).json({
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+    },
+    token,
+    refreshToken,
+  });
+});
 
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ *
+ * The presented token is marked as used and a new one is issued in the same
+ * family (rotation). Presenting a token that was already used means it was
+ * copied, so the whole family is revoked and the client must log in again.
+ *
+ * Response behavior:
+ *  - 400 Bad Request: when refreshToken is missing from the body (refreshSchema)
+ *  - 401 Unauthorized: when the token is unknown (REFRESH_TOKEN_INVALID), expired
+ *    (REFRESH_TOKEN_EXPIRED), revoked (REFRESH_TOKEN_REVOKED) or replayed (REFRESH_TOKEN_REUSED)
+ *  - 200 OK: returns a new token and refreshToken
+ *  - 500 Internal Server Error: on unexpected errors
+ */
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Atomically claim the token so two concurrent refreshes cannot both rotate it
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing) {
+      throw new UnauthorizedError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+    if (existing.usedAt) {
+      await revokeTokenFamily(existing.family, 'reuse');
+      throw new UnauthorizedError('Refresh token reuse detected', 'REFRESH_TOKEN_REUSED');
     }
+    if (existing.revokedAt) {
+      throw new UnauthorizedError('Refresh token revoked', 'REFRESH_TOKEN_REVOKED');
+    }
+    throw new UnauthorizedError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+  }
 
-    const token = generateToken(user._id);
-
-    res.status(200).json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        email: user.email,
-        username: user.username,
-      },
-      token,
-    });
-  } catch (error) {
-    console.error('Error logging in user:', error);
-    res.status(500).json({ message: 'Internal server error' });
+  const user = await User.findById(stored.user);
+  if (!user) {
+    await revokeTokenFamily(stored.family, 'user-deleted');
+    throw new UnauthorizedError('User not found', 'USER_NOT_FOUND');
   }
-};
 
-/** Log out user (dummy implementation as JWT is stateless).
- * In a real-world scenario, you might handle token blacklisting or
- * implement short-lived tokens with refresh tokens.
+  const { token: nextRefreshToken } = await issueRefreshToken(user._id, stored.family);
+  stored.replacedBy = hashToken(nextRefreshToken);
+  await stored.save();
+
+  res.status(200).json({
+    message: 'Token refreshed',
+    token: generateAccessToken(user),
+    refreshToken: nextRefreshToken,
+  });
+});
+
+/**
+ * Log out the authenticated user.
+ * Requires authentication via verifyToken middleware.
+ *
+ * The access token used for this request (taken from the Authorization header)
+ * is added to the revocation list. Optional body fields:
+ *  - refreshToken: also revokes the refresh token family of this session
+ *  - all: true to log out everywhere. Every access token issued so far stops
+ *    being accepted and all refresh tokens of the user are revoked.
+ *
+ * Response behavior:
+ *  - 401 Unauthorized: when the access token is missing or invalid (verifyToken)
+ *  - 200 OK: when the session(s) were revoked
+ *  - 500 Internal Server Error: on unexpected errors
  */
-const logoutUser = async (req, res) => {
-  try {
-    const { email } = req.body;
-    const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+const logoutUser = asyncHandler(async (req, res) => {
+  const { all: logoutEverywhere = false, refreshToken } = req.body;
+
+  await revokeAccessToken(req.auth, 'logout');
+
+  if (logoutEverywhere) {
+    await User.updateOne({ _id: req.user._id }, { tokensValidAfter: new Date() });
+    await revokeUserRefreshTokens(req.user._id, 'logout-all');
+  } else if (refreshToken) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken), user: req.user._id });
+    if (stored) {
+      await revokeTokenFamily(stored.family, 'logout');
     }
-    
-    res.status(200).json({ message: 'Logout successful' });
-  } catch (error) {
-    console.error('Error logging out user:', error);
-    res.status(500).json({ message: 'Internal server error' });
   }
-}
+
+  res.status(200).json({
+    message: logoutEverywhere ? 'Logged out from all sessions' : 'Logout successful',
+  });
+});
 
 /**
  * Get current user profile.
  * Requires authentication via verifyToken middleware.
  */
-const getProfile = async (req, res) => {
-  try {
-    res.status(200).json({
-      user: {
-        id: req.user._id,
-        email: req.user.email,
-        username: req.user.username,
-      },
-    });
-  } catch (error) {
-    console.error('Error getting profile:', error);
-    res.status(500).json({ message: 'Internal server error' });
-  }
-};
-
-export { registerUser, loginUser, getProfile, logoutUser };
\ No newline at end of file
+const getProfile = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    user: {
+      id: req.user._id,
+      email: req.user.email,
+      username: req.user.username,
+      role: req.user.role,
+    },
+  });
+});
+
+export { registerUser, loginUser, refreshAccessToken, getProfile, logoutUser };
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * @module index
  * @description Entry point for the application. This module initializes environment variables,
- * connects to the database, and starts the server.
+ * connects to the database, starts the background jobs and the server.
  * 
  * @function startServer
  * @async
@@ -14,6 +14,8 @@
 import dotenv from 'dotenv';
 import connectDB from './config/database.js';
 import app from './app.js';
+import { startTrashPurgeJob } from './jobs/trashPurge.job.js';
+import { startPublishScheduler } from './jobs/publishScheduler.job.js';
 
 dotenv.config({
     path: './.env'
@@ -22,6 +24,8 @@ dotenv.config({
 const startServer = async () => {
     try {
         await connectDB();
+        startTrashPurgeJob();
+        startPublishScheduler();
         app.on("error", (error) => {
             console.error('Server error:', error);
             throw error;
@@ -0,0 +1,69 @@
+/**
+ * Background job publishing scheduled posts when their publication date comes.
+ *
+ * @module jobs/publishScheduler.job
+ * @requires ../models/post.model
+ *
+ * @description
+ * Scheduling a post only stores status "scheduled" and publishAt on the post;
+ * this job, run every PUBLISH_INTERVAL_SECONDS (default 60) from the server
+ * process, publishes every scheduled post whose publishAt has passed. The
+ * schedule lives in the database, so nothing is lost on restart: the first
+ * run at startup publishes the posts that came due while the server was down.
+ * Running several server processes is safe, the update is idempotent.
+ *
+ * Published posts get publishedAt = publishAt (the intended date, not the time
+ * the job ran) and a new version, like any other write.
+ */
+import { Post } from '../models/post.model.js';
+import { PUBLISH_SCHEDULER } from '../config/constants.js';
+
+/**
+ * Publishes the scheduled posts whose publication date has passed.
+ *
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Number of published posts
+ */
+export const publishDuePosts = async (now = new Date()) => {
+  const { modifiedCount } = await Post.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now }, deletedAt: null },
+    [
+      {
+        $set: {
+          status: 'published',
+          publishedAt: '$publishAt',
+          publishAt: null,
+          version: { $add: [{ $ifNull: ['$version', 1] }, 1] },
+          updatedAt: '$$NOW',
+        },
+      },
+    ],
+    { updatePipeline: true, timestamps: false }
+  );
+  return modifiedCount;
+};
+
+/**
+ * Runs publishDuePosts now and then periodically. Failures are logged and
+ * retried on the next run. The timer does not keep the process alive.
+ *
+ * @returns {() => void} Function stopping the job
+ */
+export const startPublishScheduler = () => {
+  const seconds = Number(process.env.PUBLISH_INTERVAL_SECONDS) || PUBLISH_SCHEDULER.INTERVAL_SECONDS;
+
+  const run = async () => {
+    try {
+      const published = await publishDuePosts();
+      if (published) console.log(`Publish scheduler: ${published} scheduled post(s) published`);
+    } catch (error) {
+      console.error('Publish scheduler failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, seconds * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,98 @@
+/**
+ * Background job permanently deleting posts that stayed in the trash longer
+ * than the retention period.
+ *
+ * @module jobs/trashPurge.job
+ * @requires ../models/post.model
+ * @requires ../models/postRevision.model
+ * @requires ../models/comment.model
+ * @requires ../models/reaction.model
+ * @requires ../utils/attachment.utils
+ *
+ * @description
+ * Soft-deleted posts (deletedAt set) are kept for TRASH_RETENTION_DAYS
+ * (default 30) so they can be restored, then removed by this job, which runs
+ * every TRASH_PURGE_INTERVAL_MINUTES (default 60) from the server process.
+ * The revisions, comments, reactions and attachments (files included) of
+ * purged posts are deleted with them. Every run also removes the attachments
+ * left without a post, e.g. when deleting their file failed the first time.
+ *
+ * The job deletes with deleteMany instead of relying on a TTL index so the
+ * retention period can be changed through the environment without rebuilding
+ * an index, and so the number of purged posts can be logged.
+ */
+import { Post } from '../models/post.model.js';
+import PostRevision from '../models/postRevision.model.js';
+import Comment from '../models/comment.model.js';
+import Reaction from '../models/reaction.model.js';
+import { TRASH } from '../config/constants.js';
+import { removeAttachments, removeOrphanedAttachments } from '../utils/attachment.utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of days a post stays in the trash before being purged.
+ * @returns {number}
+ */
+export const getTrashRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || TRASH.RETENTION_DAYS;
+
+/**
+ * Date after which a post deleted at `deletedAt` is purged.
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+export const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS);
+
+/**
+ * Permanently deletes the posts whose retention period is over.
+ *
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Number of purged posts
+ */
+export const purgeExpiredPosts = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+  const expired = await Post.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').lean();
+  if (!expired.length) return 0;
+
+  const ids = expired.map((post) => post._id);
+  const { deletedCount } = await Post.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null, $lte: cutoff } });
+
+  // A post restored in the meantime survives, and so does everything attached to it
+  const survivors = new Set((await Post.distinct('_id', { _id: { $in: ids } })).map(String));
+  const purgedIds = ids.filter((id) => !survivors.has(String(id)));
+  if (purgedIds.length) {
+    await Promise.all([
+      PostRevision.deleteMany({ post: { $in: purgedIds } }),
+      Comment.deleteMany({ post: { $in: purgedIds } }),
+      Reaction.deleteMany({ post: { $in: purgedIds } }),
+      removeAttachments(purgedIds),
+    ]);
+  }
+  return deletedCount;
+};
+
+/**
+ * Runs purgeExpiredPosts now and then periodically. Failures are logged and
+ * retried on the next run. The timer does not keep the process alive.
+ *
+ * @returns {() => void} Function stopping the job
+ */
+export const startTrashPurgeJob = () => {
+  const minutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || TRASH.PURGE_INTERVAL_MINUTES;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredPosts();
+      if (purged) console.log(`Trash purge: ${purged} post(s) permanently deleted`);
+      await removeOrphanedAttachments();
+    } catch (error) {
+      console.error('Trash purge failed:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+};
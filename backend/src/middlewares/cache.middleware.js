@@ -0,0 +1,59 @@
+/**
+ * Cache-Control middleware.
+ *
+ * @module middlewares/cache.middleware
+ *
+ * @description
+ * Sets the Cache-Control header of a route from a small policy object, so
+ * each route declares how its responses may be cached:
+ *
+ *   router.get('/getPost/:id', verifyToken, cacheControl({ noCache: true }), getPostById);
+ *   router.get('/trash', verifyToken, cacheControl({ noStore: true }), getTrash);
+ *
+ * Responses depend on the authenticated user, so they are `private` (never
+ * stored by shared caches) and vary on Authorization unless `public` is set.
+ * `noCache` lets the client store a response but makes it revalidate with a
+ * conditional request (see utils/httpCache.utils.js) before every reuse.
+ */
+
+/**
+ * Builds a Cache-Control header value.
+ *
+ * @param {Object} policy
+ * @param {boolean} [policy.public=false] - Allow shared caches (only for responses that are the same for everyone)
+ * @param {boolean} [policy.noStore=false] - Forbid storing the response at all
+ * @param {boolean} [policy.noCache=false] - Allow storing, but require revalidation before reuse
+ * @param {number} [policy.maxAge] - Seconds the response stays fresh
+ * @param {boolean} [policy.mustRevalidate=false] - Forbid serving the response once stale
+ * @returns {string}
+ */
+export const buildCacheControl = ({
+  public: isPublic = false,
+  noStore = false,
+  noCache = false,
+  maxAge,
+  mustRevalidate = false,
+} = {}) => {
+  if (noStore) return 'no-store';
+
+  const directives = [isPublic ? 'public' : 'private'];
+  if (noCache) directives.push('no-cache');
+  if (maxAge !== undefined) directives.push(`max-age=${maxAge}`);
+  if (mustRevalidate) directives.push('must-revalidate');
+  return directives.join(', ');
+};
+
+/**
+ * Middleware setting Cache-Control (and Vary: Authorization for private responses).
+ *
+ * @param {Object} [policy] - See buildCacheControl
+ * @returns {import('express').RequestHandler}
+ */
+export const cacheControl = (policy = {}) => {
+  const value = buildCacheControl(policy);
+  return (req, res, next) => {
+    res.set('Cache-Control', value);
+    if (!policy.public) res.vary('Authorization');
+    next();
+  };
+};
@@ -0,0 +1,135 @@
+/**
+ * Final error handling middleware.
+ *
+ * @module middlewares/error.middleware
+ * @requires ../utils/errors
+ *
+ * @description
+ * Registered last in app.js. Converts any error passed to next() (or thrown
+ * from an asyncHandler-wrapped controller) into a consistent JSON body:
+ *
+ *   { message: string, code: string, errors?: [{ field, message }] }
+ *
+ * Mappings:
+ * - AppError subclasses          -> their own statusCode / code / errors
+ * - Mongoose ValidationError     -> 400 VALIDATION_ERROR with one entry per invalid field
+ * - Mongoose CastError           -> 400 INVALID_ID (ObjectId) or INVALID_VALUE
+ * - MongoDB E11000 duplicate key -> 409 DUPLICATE_KEY with the offending field(s)
+ * - JWT TokenExpiredError        -> 401 TOKEN_EXPIRED
+ * - JWT JsonWebTokenError        -> 401 TOKEN_INVALID
+ * - Malformed JSON body          -> 400 INVALID_JSON
+ * - Body above the parser limit  -> 413 PAYLOAD_TOO_LARGE
+ * - Anything else                -> 500 INTERNAL_ERROR (logged; details never leak to the client)
+ *
+ * In development the stack trace is included in the body.
+ */
+import { AppError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Normalizes an arbitrary error into { statusCode, message, code, errors }.
+ *
+ * @param {Error} error
+ * @returns {{ statusCode: number, message: string, code: string, errors?: Array<{ field: string, message: string }> }}
+ */
+export const normalizeError = (error) => {
+  if (error instanceof AppError) {
+    return {
+      statusCode: error.statusCode,
+      message: error.message,
+      code: error.code,
+      errors: error.errors,
+    };
+  }
+
+  if (error.name === 'ValidationError' && error.errors) {
+    return {
+      statusCode: 400,
+      message: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      errors: Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      })),
+    };
+  }
+
+  if (error.name === 'CastError') {
+    const isObjectId = error.kind === 'ObjectId';
+    return {
+      statusCode: 400,
+      message: `Invalid ${error.path}: ${error.value}`,
+      code: isObjectId ? 'INVALID_ID' : 'INVALID_VALUE',
+      errors: [{ field: error.path, message: `Cannot be cast to ${error.kind}` }],
+    };
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return {
+      statusCode: 409,
+      message: fields.length ? `Duplicate value for ${fields.join(', ')}` : 'Duplicate value',
+      code: 'DUPLICATE_KEY',
+      errors: fields.map((field) => ({ field, message: `${field} already exists` })),
+    };
+  }
+
+  if (error.name === 'TokenExpiredError') {
+    return { statusCode: 401, message: 'Token expired', code: 'TOKEN_EXPIRED' };
+  }
+
+  if (error.name === 'JsonWebTokenError') {
+    return { statusCode: 401, message: 'Invalid token', code: 'TOKEN_INVALID' };
+  }
+
+  // Errors raised by express.json() and other body parsers carry an HTTP status
+  if (error.type === 'entity.parse.failed') {
+    return { statusCode: 400, message: 'Malformed JSON body', code: 'INVALID_JSON' };
+  }
+  if (error.type === 'entity.too.large') {
+    return { statusCode: 413, message: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' };
+  }
+  const status = error.status || error.statusCode;
+  if (error.expose && status >= 400 && status < 500) {
+    return { statusCode: status, message: error.message, code: 'BAD_REQUEST' };
+  }
+
+  return { statusCode: 500, message: 'Internal server error', code: 'INTERNAL_ERROR' };
+};
+
+/**
+ * Catch-all for requests that did not match any route.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
+};
+
+/**
+ * Express error handling middleware (must keep the 4-argument signature).
+ *
+ * @param {Error} error
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const errorHandler = (error, req, res, next) => {
+  const { statusCode, message, code, errors } = normalizeError(error);
+
+  if (statusCode >= 500) {
+    console.error('Unhandled error:', error);
+  }
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  res.status(statusCode).json({
+    message,
+    code,
+    ...(errors && errors.length && { errors }),
+    ...(process.env.NODE_ENV === 'development' && { stack: error.stack }),
+  });
+};
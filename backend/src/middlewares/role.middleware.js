@@ -0,0 +1,70 @@
+/**
+ * Role-based access control middleware.
+ *
+ * @module middlewares/role.middleware
+ * @requires ../config/roles
+ *
+ * @description
+ * Factories returning middleware that must run after verifyToken, e.g.:
+ *
+ *   router.delete('/delete/:id', verifyToken, requirePermission(PERMISSIONS.POST_DELETE), deletePost);
+ *   router.get('/admin', verifyToken, requireRole(ROLES.ADMIN), handler);
+ *
+ * The role is read from the loaded user (`req.user.role`) rather than from the
+ * token claim, so a demotion takes effect immediately instead of when the
+ * access token expires.
+ *
+ * requirePermission also accepts requests without a user (routes using
+ * optionalAuth) when every permission is in ANONYMOUS_PERMISSIONS.
+ *
+ * Error responses have the shape { message, code }:
+ * - 401 TOKEN_MISSING - no user is attached and the route is not open to anonymous visitors
+ * - 403 FORBIDDEN     - the user's role is not allowed
+ */
+import { ANONYMOUS_PERMISSIONS, hasPermission, ROLES } from '../config/roles.js';
+
+/**
+ * Returns the role of the authenticated user, defaulting to the least privileged one.
+ * @param {import('express').Request} req
+ * @returns {string|null} null when no user is attached
+ */
+const roleOf = (req) => {
+  if (!req.user) return null;
+  return req.user.role || ROLES.USER;
+};
+
+/**
+ * Allows the request when the user has one of the given roles.
+ *
+ * @param {...string} roles - Allowed roles (see ROLES)
+ * @returns {import('express').RequestHandler}
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  const role = roleOf(req);
+  if (!role) {
+    return res.status(401).json({ message: 'Access token required', code: 'TOKEN_MISSING' });
+  }
+  if (!roles.includes(role)) {
+    return res.status(403).json({ message: 'Insufficient role', code: 'FORBIDDEN' });
+  }
+  next();
+};
+
+/**
+ * Allows the request when the user's role grants every given permission, or, without
+ * a user, when they are all granted to anonymous visitors.
+ *
+ * @param {...string} permissions - Required permissions (see PERMISSIONS)
+ * @returns {import('express').RequestHandler}
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const role = roleOf(req);
+  if (!role) {
+    if (permissions.every((permission) => ANONYMOUS_PERMISSIONS.has(permission))) return next();
+    return res.status(401).json({ message: 'Access token required', code: 'TOKEN_MISSING' });
+  }
+  if (!permissions.every((permission) => hasPermission(role, permission))) {
+    return res.status(403).json({ message: 'Insufficient permissions', code: 'FORBIDDEN' });
+  }
+  next();
+};
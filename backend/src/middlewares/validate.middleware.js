@@ -0,0 +1,256 @@
+/**
+ * Declarative request validation middleware.
+ *
+ * @module middlewares/validate.middleware
+ * @requires ../utils/errors
+ *
+ * @description
+ * Routes describe the expected shape of `params`, `query` and `body` with plain
+ * schema objects (see src/validations/) and attach `validate(...)` before the
+ * controller:
+ *
+ *   router.post('/create', verifyToken, validate({ body: createPostSchema }), createPost);
+ *
+ * Every location is checked and ALL problems are reported at once as a
+ * 400 VALIDATION_ERROR (through the error middleware):
+ *
+ *   { message: 'Validation failed', code: 'VALIDATION_ERROR',
+ *     errors: [{ location: 'body', field: 'age', message: 'age must be at least 0' }] }
+ *
+ * On success the sanitized values replace the originals, so controllers read
+ * trimmed / lowercased / coerced values. Unknown body fields are stripped
+ * unless the schema sets `allowUnknown`; query strings and params are coerced
+ * from strings to the declared type.
+ *
+ * Schema format:
+ *   {
+ *     fields: { [name]: Rule },
+ *     allowUnknown?: boolean,   // keep fields that are not declared
+ *     minFields?: number,       // e.g. 1 for partial updates
+ *   }
+ *
+ * Rule options:
+ *   type        'string' | 'number' | 'integer' | 'boolean' | 'objectId' | 'date' | 'array'
+ *   required    the field must be present (and not an empty string)
+ *   nullable    null is accepted as a value
+ *   trim, lowercase            string transforms applied before checks
+ *   minLength, maxLength       string length / array size limits
+ *   min, max                   numeric limits
+ *   enum                       list of allowed values
+ *   pattern, patternMessage    RegExp the string must match, with an optional message
+ *   items                      Rule applied to each array element
+ */
+import { BadRequestError } from '../utils/errors.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const TRUE_VALUES = ['true', '1'];
+const FALSE_VALUES = ['false', '0'];
+
+/**
+ * Coerces a raw query/params string to the rule's type. Non-string values are returned as-is.
+ * @param {*} value
+ * @param {Object} rule
+ * @returns {*}
+ */
+const coerceValue = (value, rule) => {
+  if (typeof value !== 'string') return value;
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      return value.trim() === '' ? value : Number(value);
+    case 'boolean':
+      if (TRUE_VALUES.includes(value)) return true;
+      if (FALSE_VALUES.includes(value)) return false;
+      return value;
+    case 'array':
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Checks a single (present, non-null) value against a rule.
+ *
+ * @param {string} field - Field name used in messages
+ * @param {*} raw - Value to check
+ * @param {Object} rule - Validation rule
+ * @param {boolean} coerce - Whether to coerce strings to the declared type
+ * @returns {{ value?: *, error?: string }}
+ */
+const checkValue = (field, raw, rule, coerce) => {
+  let value = coerce ? coerceValue(raw, rule) : raw;
+
+  switch (rule.type) {
+    case 'string':
+    case 'objectId':
+      if (typeof value !== 'string') return { error: `${field} must be a string` };
+      if (rule.trim !== false) value = value.trim();
+      if (rule.lowercase) value = value.toLowerCase();
+      if (rule.type === 'objectId' && !OBJECT_ID_PATTERN.test(value)) {
+        return { error: `${field} must be a valid id` };
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${field} must be a number` };
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return { error: `${field} must be an integer` };
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `${field} must be a boolean` };
+      break;
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : value;
+      if (!(date instanceof Date) || Number.isNaN(date.getTime())) return { error: `${field} must be a valid date` };
+      value = date;
+      break;
+    }
+    case 'array':
+      if (!Array.isArray(value)) return { error: `${field} must be an array` };
+      break;
+    default:
+      break;
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = typeof value === 'string' ? 'characters' : 'items';
+    if (rule.required && value.length === 0) return { error: `${field} is required` };
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return { error: `${field} must be at least ${rule.minLength} ${unit}` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { error: `${field} must be at most ${rule.maxLength} ${unit}` };
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return { error: `${field} must be at least ${rule.min}` };
+    if (rule.max !== undefined && value > rule.max) return { error: `${field} must be at most ${rule.max}` };
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `${field} must be one of: ${rule.enum.join(', ')}` };
+  }
+
+  if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+    return { error: rule.patternMessage || `${field} has an invalid format` };
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    const items = [];
+    for (let index = 0; index < value.length; index += 1) {
+      const result = checkValue(`${field}[${index}]`, value[index], rule.items, coerce);
+      if (result.error) return result;
+      items.push(result.value);
+    }
+    value = items;
+  }
+
+  return { value };
+};
+
+/**
+ * Validates a plain object against a schema.
+ *
+ * @param {*} input - Object to validate (req.body, req.query or req.params)
+ * @param {{ fields: Object, allowUnknown?: boolean, minFields?: number }} schema
+ * @param {{ coerce?: boolean }} [options]
+ * @returns {{ value: Object, errors: Array<{ field?: string, message: string }> }}
+ */
+export const validateObject = (input, schema, { coerce = false } = {}) => {
+  const errors = [];
+  const isObject = input !== null && typeof input === 'object' && !Array.isArray(input);
+  const source = isObject ? input : {};
+
+  if (input !== undefined && !isObject) {
+    return { value: {}, errors: [{ message: 'Expected an object' }] };
+  }
+
+  const value = {};
+  if (schema.allowUnknown) {
+    for (const [key, item] of Object.entries(source)) {
+      if (!(key in schema.fields)) value[key] = item;
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const raw = source[field];
+
+    if (raw === undefined || (coerce && raw === '')) {
+      if (rule.required) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+
+    if (raw === null) {
+      if (rule.nullable) {
+        value[field] = null;
+      } else {
+        errors.push({ field, message: rule.required ? `${field} is required` : `${field} must not be null` });
+      }
+      continue;
+    }
+
+    const result = checkValue(field, raw, rule, coerce);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (schema.minFields && !errors.length) {
+    const provided = Object.keys(value).filter((key) => key in schema.fields).length;
+    if (provided < schema.minFields) {
+      errors.push({ message: 'No data provided' });
+    }
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Replaces a request location with its sanitized value.
+ * `req.query` is a getter in Express 5, so it is shadowed with an own property.
+ */
+const assignLocation = (req, location, value) => {
+  if (location === 'query') {
+    Object.defineProperty(req, 'query', {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  } else {
+    req[location] = value;
+  }
+};
+
+/**
+ * Builds a middleware validating the given request locations.
+ *
+ * @param {{ params?: Object, query?: Object, body?: Object }} schemas
+ * @returns {import('express').RequestHandler}
+ */
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const sanitized = {};
+
+  for (const location of ['params', 'query', 'body']) {
+    const schema = schemas[location];
+    if (!schema) continue;
+
+    const result = validateObject(req[location], schema, { coerce: location !== 'body' });
+    errors.push(...result.errors.map((error) => ({ location, ...error })));
+    sanitized[location] = result.value;
+  }
+
+  if (errors.length) {
+    return next(new BadRequestError('Validation failed', errors, 'VALIDATION_ERROR'));
+  }
+
+  for (const [location, value] of Object.entries(sanitized)) {
+    assignLocation(req, location, value);
+  }
+  next();
+};
@@ -0,0 +1,78 @@
+/**
+ * Attachment model schema for MongoDB using Mongoose.
+ *
+ * @module models/attachment.model
+ *
+ * @typedef {Object} Attachment
+ * @property {ObjectId} post - The post the file is attached to. Indexed with createdAt.
+ * @property {ObjectId} uploader - The user who uploaded the file.
+ * @property {string} storageKey - Key of the file in storage (storage/storage.js). Unique.
+ * @property {string} filename - Name given by the client, without directories. Maximum 255 characters.
+ * @property {string} mimeType - One of ATTACHMENT_TYPES, detected from the file content.
+ * @property {number} size - Size in bytes.
+ * @property {number|null} width - Width in pixels, for images.
+ * @property {number|null} height - Height in pixels, for images.
+ * @property {Date} createdAt - When the file was uploaded.
+ *
+ * @description
+ * The file itself lives in storage; this document holds what is needed to
+ * list and serve it. Attachments are never modified, only uploaded and
+ * deleted. They are deleted, files included, with their post when it is
+ * purged (utils/attachment.utils.js).
+ */
+import mongoose from "mongoose";
+import { ATTACHMENT_LIMITS, ATTACHMENT_TYPES } from "../config/constants.js";
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+      maxlength: ATTACHMENT_LIMITS.FILENAME_MAX_LENGTH,
+    },
+    mimeType: {
+      type: String,
+      enum: ATTACHMENT_TYPES,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Lists the attachments of a post in upload order
+attachmentSchema.index({ post: 1, createdAt: 1 });
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+export default Attachment;
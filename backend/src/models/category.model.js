@@ -0,0 +1,59 @@
+/**
+ * Category model schema for MongoDB using Mongoose.
+ *
+ * @module models/category.model
+ *
+ * @typedef {Object} Category
+ * @property {string} name - Display name. Required, trimmed, maximum 50 characters.
+ * @property {string} slug - URL-friendly name derived from the name (utils/tag.utils.js). Unique.
+ * @property {string} description - Optional description.
+ * @property {ObjectId|null} parent - Parent category, null for top-level categories.
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ *
+ * @description
+ * Categories form a tree (the taxonomy): each post belongs to at most one
+ * category, and filtering posts by a category includes its subcategories.
+ * The tree is at most TAXONOMY_LIMITS.CATEGORY_MAX_DEPTH levels deep; the
+ * controller keeps it free of cycles.
+ */
+import mongoose from "mongoose";
+import { TAXONOMY_LIMITS } from "../config/constants.js";
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [
+        TAXONOMY_LIMITS.CATEGORY_NAME_MAX_LENGTH,
+        `Name cannot exceed ${TAXONOMY_LIMITS.CATEGORY_NAME_MAX_LENGTH} characters`,
+      ],
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
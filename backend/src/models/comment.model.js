@@ -0,0 +1,91 @@
+/**
+ * Comment model schema for MongoDB using Mongoose.
+ *
+ * @module models/comment.model
+ *
+ * @typedef {Object} Comment
+ * @property {ObjectId} post - The commented post. Indexed with parent and createdAt.
+ * @property {ObjectId|null} parent - The comment replied to, null for top-level comments.
+ * @property {number} depth - 0 for top-level comments, parent depth + 1 for replies (max COMMENT_LIMITS.MAX_DEPTH).
+ * @property {ObjectId} author - The user who wrote the comment.
+ * @property {string} body - Comment text. Trimmed, maximum 2000 characters. Emptied on deletion.
+ * @property {number} replyCount - Number of direct replies.
+ * @property {Date|null} editedAt - Last time the body was edited.
+ * @property {Date|null} deletedAt - Set when a comment with replies is deleted (see below).
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ *
+ * @description
+ * Replies reference their parent, so a thread is read one level at a time
+ * (top-level comments, then the replies of a comment). Deleting a comment
+ * without replies removes it; a comment with replies is kept as a placeholder
+ * (empty body, deletedAt set) so the thread below it stays reachable.
+ * Each post keeps the number of its visible comments in Post.commentCount.
+ * Comments are deleted with their post when it is purged.
+ */
+import mongoose from "mongoose";
+import { COMMENT_LIMITS } from "../config/constants.js";
+
+const commentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: COMMENT_LIMITS.MAX_DEPTH,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      required: [
+        function () {
+          return !this.deletedAt;
+        },
+        "Comment body is required",
+      ],
+      maxlength: [
+        COMMENT_LIMITS.BODY_MAX_LENGTH,
+        `Comment cannot exceed ${COMMENT_LIMITS.BODY_MAX_LENGTH} characters`,
+      ],
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Lists one level of a thread in order: the top-level comments of a post, or the replies to a comment
+commentSchema.index({ post: 1, parent: 1, createdAt: 1, _id: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+export default Comment;
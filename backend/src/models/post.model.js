@@ -7,27 +7,82 @@
  * @typedef {Object} PostDocument
  * @property {string} _id - MongoDB ObjectId (string representation).
  * @property {string} name - Name for the post. Required. Trimmed. Maximum length 100 characters.
- * @property {string} description - Description for the post. Required. Trimmed.
+ * @property {string} slug - URL-friendly identifier derived from name (utils/slug.utils.js). Unique.
+ * @property {string[]} previousSlugs - Slugs the post had before its name changed. Indexed.
+ * @property {string} description - Description for the post, in Markdown. Required. Trimmed.
+ * @property {string} descriptionHtml - description rendered to sanitized HTML (utils/markdown.utils.js).
  * @property {number} age - Age associated with the post. Required. Must be between 0 and 150.
+ * @property {string} author - ObjectId of the User who created the post. Required. Indexed.
+ * @property {string[]} tags - Normalized tags (utils/tag.utils.js), at most 10. Indexed.
+ * @property {string|null} category - ObjectId of the post's Category, null when uncategorized. Indexed.
+ * @property {string} status - "draft", "scheduled", "published" or "archived". Indexed with publishAt.
+ * @property {Date|null} publishAt - For scheduled posts, when they will be published.
+ * @property {Date|null} publishedAt - When the post was (last) published.
+ * @property {string} visibility - "public", "unlisted" or "private".
+ * @property {number} commentCount - Number of visible comments, maintained by the comment controller.
+ * @property {Object<string, number>} reactionCounts - Number of reactions per type (REACTION_TYPES).
+ * @property {Date|null} activityAt - Last change of commentCount or reactionCounts.
+ * @property {number} version - Incremented by every write, exposed as the ETag of the post.
+ * @property {Date|null} deletedAt - When the post was moved to the trash, null while it is live. Indexed.
+ * @property {string|null} deletedBy - ObjectId of the User who moved the post to the trash.
  * @property {Date} createdAt - Creation timestamp (added automatically by schema timestamps).
  * @property {Date} updatedAt - Last update timestamp (added automatically by schema timestamps).
  *
  * @description
  * The Post schema enforces validation rules:
  * - name: required, trimmed, maxlength 100.
- * - description: required, trimmed.
+ * - description: required, trimmed. Markdown source; the controllers store its sanitized HTML
+ *   rendering in descriptionHtml whenever they write it. Posts written before descriptions
+ *   were rendered have no descriptionHtml and are rendered when read.
  * - age: required, numeric, minimum 0, maximum 150.
+ * - author: required reference to a User.
+ * - slug / previousSlugs: set by the controllers on create and when the name changes; a
+ *   suffix ("-2", "-3", ...) keeps slugs unique. Old slugs are kept so links to them can be
+ *   redirected, and are never given to another post. Posts created before slugs existed
+ *   have none until they are renamed.
+ * - tags: each tag must already be normalized (lowercase, dash-separated), no duplicates.
+ *   The controllers normalize client input before writing.
+ * - version: optimistic concurrency counter. The controllers write with a filter on the
+ *   version they read and set it to version + 1, so concurrent writes cannot overwrite
+ *   each other (utils/etag.utils.js). Posts written before it existed count as version 1.
+ * - status / publishAt / publishedAt: publication lifecycle (utils/postStatus.utils.js). Only
+ *   published posts are visible to other users. Posts written before statuses existed have no
+ *   status and count as published.
+ * - visibility: who may see the post once published (utils/postStatus.utils.js). Public posts
+ *   are listed to everyone, anonymous visitors included; unlisted posts are only reachable by
+ *   id or slug; private posts only by their author. Posts written before visibilities existed
+ *   have none and count as public.
+ * - commentCount: incremented / decremented with $inc when comments are added or deleted.
+ *   Those writes leave version and updatedAt alone: comments are not edits of the post.
+ * - reactionCounts: maintained the same way by reaction toggles (models/reaction.model.js).
+ *   Posts created before reactions existed may lack it; readers treat missing counts as 0.
+ * - activityAt: set by the comment and reaction counter writes, which leave updatedAt alone.
+ *   Reads take the later of updatedAt and activityAt as Last-Modified (utils/httpCache.utils.js).
+ *   Null until the first comment or reaction.
+ * - deletedAt / deletedBy: soft delete markers. Deleted posts are hidden by the
+ *   controllers and purged after the retention period (jobs/trashPurge.job.js).
+ *
+ * Indexes:
+ * - post_text_search: text index on name (weight 3) and description (weight 1),
+ *   used by the "text" search mode of GET /getPosts to rank results by relevance.
+ * - slug: unique, sparse (posts without slug are not indexed).
+ * - previousSlugs (multikey): resolves old slugs to the renamed post.
+ * - status + publishAt: finds the scheduled posts that are due (jobs/publishScheduler.job.js).
+ * - tags (multikey) and category: used by the tags / category filters of GET /getPosts,
+ *   the tag listing and tag rename / merge.
+ * - updatedAt and activityAt: find the latest change to any post, the Last-Modified of post lists.
  *
  * Schema options:
  * - timestamps: true (automatically adds createdAt and updatedAt).
- * - versionKey: false (disables the __v version field).
+ * - versionKey: false (disables the __v version field, which only tracks array changes; see version).
  *
  * @example
  * // Creating a new Post document
  * const post = new Post({
  *   name: 'John Doe',
  *   description: 'Sample description',
- *   age: 42
+ *   age: 42,
+ *   author: user._id
  * });
  * await post.save();
  *
@@ -35,6 +90,19 @@
  * Mongoose model created via mongoose.model('Post', postSchema)
  */
 import mongoose, { Schema } from "mongoose";
+import {
+  POST_LIMITS,
+  POST_STATUSES,
+  POST_VISIBILITIES,
+  REACTION_TYPES,
+  TAXONOMY_LIMITS,
+} from "../config/constants.js";
+import { isNormalizedTag } from "../utils/tag.utils.js";
+
+const reactionCountsSchema = new Schema(
+  Object.fromEntries(REACTION_TYPES.map((type) => [type, { type: Number, default: 0, min: 0 }])),
+  { _id: false }
+);
 
 const postSchema = new Schema(
   {
@@ -42,18 +110,105 @@ const postSchema = new Schema(
       type: String,
       required: [true, "Name is required"],
       trim: true,
-      maxlength: [100, "Name cannot exceed 100 characters"],
+      maxlength: [POST_LIMITS.NAME_MAX_LENGTH, `Name cannot exceed ${POST_LIMITS.NAME_MAX_LENGTH} characters`],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    previousSlugs: {
+      type: [String],
+      default: [],
+      index: true,
     },
     description: {
       type: String,
       required: [true, "Description is required"],
       trim: true,
     },
+    descriptionHtml: {
+      type: String,
+    },
     age: {
       type: Number,
       required: [true, "Age is required"],
-      min: [0, "Age cannot be negative"],
-      max: [150, "Age seems unrealistic"],
+      min: [POST_LIMITS.AGE_MIN, "Age cannot be negative"],
+      max: [POST_LIMITS.AGE_MAX, "Age seems unrealistic"],
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Author is required"],
+      index: true,
+    },
+    tags: {
+      type: [String],
+      default: [],
+      index: true,
+      validate: [
+        {
+          validator: (tags) => tags.length <= TAXONOMY_LIMITS.TAGS_PER_POST,
+          message: `A post cannot have more than ${TAXONOMY_LIMITS.TAGS_PER_POST} tags`,
+        },
+        {
+          validator: (tags) => tags.every(isNormalizedTag) && new Set(tags).size === tags.length,
+          message: "Tags must be normalized and unique",
+        },
+      ],
+    },
+    category: {
+      type: Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: POST_STATUSES,
+      default: "published",
+    },
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    visibility: {
+      type: String,
+      enum: POST_VISIBILITIES,
+      default: "public",
+    },
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reactionCounts: {
+      type: reactionCountsSchema,
+      default: () => ({}),
+    },
+    activityAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
     },
   },
   {
@@ -62,4 +217,12 @@ const postSchema = new Schema(
   }
 );
 
+postSchema.index(
+  { name: "text", description: "text" },
+  { name: "post_text_search", weights: { name: 3, description: 1 } }
+);
+
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ updatedAt: -1 });
+
 export const Post = mongoose.model("Post", postSchema);
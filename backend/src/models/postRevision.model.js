@@ -0,0 +1,81 @@
+/**
+ * Post revision model schema for MongoDB using Mongoose.
+ *
+ * @module models/postRevision.model
+ *
+ * @typedef {Object} PostRevision
+ * @property {ObjectId} post - The revised post.
+ * @property {number} number - Revision number, starting at 1 and increasing by one per post.
+ * @property {string} action - What produced the revision: "create", "update", "rollback", or a tag
+ *   rename or merge ("tag-rename", "tag-merge").
+ * @property {ObjectId} editor - The user who made the change.
+ * @property {string[]} changedFields - Fields whose value changed in this revision.
+ * @property {Object} previous - Values of the changed fields before the change.
+ * @property {Object} snapshot - Values of every tracked field after the change
+ *   (REVISION_FIELDS in utils/revision.utils.js: name, description, age, tags, category, visibility).
+ * @property {number} rolledBackTo - For rollbacks, the revision that was restored.
+ * @property {Date} createdAt - When the revision was made.
+ *
+ * @description
+ * Every change to a post's content, taxonomy or visibility is appended here, so the full history can
+ * be listed, two revisions compared field by field (their snapshots), and the
+ * post rolled back to any earlier snapshot. Revisions are never modified; a
+ * rollback is recorded as a new revision. They are deleted with their post
+ * when it is purged.
+ */
+import mongoose from "mongoose";
+
+export const REVISION_ACTIONS = Object.freeze(["create", "update", "rollback", "tag-rename", "tag-merge"]);
+
+const postRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    action: {
+      type: String,
+      enum: REVISION_ACTIONS,
+      required: true,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    previous: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    rolledBackTo: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    minimize: false,
+  }
+);
+
+// One document per revision number; concurrent writers of the same number get a duplicate key error
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+const PostRevision = mongoose.model("PostRevision", postRevisionSchema);
+
+export default PostRevision;
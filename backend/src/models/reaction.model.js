@@ -0,0 +1,52 @@
+/**
+ * Reaction model schema for MongoDB using Mongoose.
+ *
+ * @module models/reaction.model
+ *
+ * @typedef {Object} Reaction
+ * @property {ObjectId} post - The post reacted to.
+ * @property {ObjectId} user - The user who reacted.
+ * @property {string} type - One of REACTION_TYPES (config/constants.js).
+ * @property {Date} createdAt - When the reaction was added.
+ *
+ * @description
+ * One document per user, post and reaction type; a user may leave several
+ * types on the same post. The unique index makes adding a reaction atomic:
+ * of two concurrent inserts only one succeeds, and Post.reactionCounts is
+ * only incremented (decremented) after a successful insert (delete), so the
+ * counters follow the documents here. Reactions are deleted with their post
+ * when it is purged.
+ */
+import mongoose from "mongoose";
+import { REACTION_TYPES } from "../config/constants.js";
+
+const reactionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+// Also serves the reactedByMe lookup ({ post: { $in: [...] }, user })
+reactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+
+const Reaction = mongoose.model("Reaction", reactionSchema);
+
+export default Reaction;
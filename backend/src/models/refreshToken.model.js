@@ -0,0 +1,72 @@
+/**
+ * Refresh token model schema for MongoDB using Mongoose.
+ *
+ * @module models/refreshToken.model
+ *
+ * @typedef {Object} RefreshToken
+ * @property {ObjectId} user - The user the token was issued to.
+ * @property {string} tokenHash - SHA-256 hash of the opaque token handed to the client. The raw token is never stored.
+ * @property {string} family - Identifier shared by every token produced by rotating the same login.
+ * @property {Date} expiresAt - Expiry date. A TTL index removes the document once it has passed.
+ * @property {Date} usedAt - Set when the token has been exchanged for a new pair. A used token must never be accepted again.
+ * @property {string} replacedBy - Hash of the token issued when this one was rotated.
+ * @property {Date} revokedAt - Set when the token (or its whole family) has been revoked.
+ * @property {string} revokedReason - Why the token was revoked (e.g. "reuse").
+ *
+ * @description
+ * Refresh tokens rotate on every use: exchanging one marks it as used and issues a new token
+ * in the same family. Presenting a token that was already used is treated as theft and revokes
+ * the whole family, logging out both the attacker and the legitimate client.
+ */
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
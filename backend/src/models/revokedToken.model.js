@@ -0,0 +1,50 @@
+/**
+ * Revoked access token model schema for MongoDB using Mongoose.
+ *
+ * @module models/revokedToken.model
+ *
+ * @typedef {Object} RevokedToken
+ * @property {string} jti - The `jti` claim of the revoked access token.
+ * @property {ObjectId} user - The user the token was issued to.
+ * @property {Date} expiresAt - When the token would have expired anyway. A TTL index removes the entry after that,
+ *                              so the list only ever contains tokens that could still be presented.
+ * @property {string} reason - Why the token was revoked (e.g. "logout").
+ *
+ * @description
+ * Access tokens are stateless JWTs, so logging out has to remember the token id until it expires.
+ * verifyToken rejects any token whose jti is present in this collection.
+ */
+import mongoose from "mongoose";
+
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: "logout",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
+
+export default RevokedToken;
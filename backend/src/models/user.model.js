@@ -7,6 +7,8 @@
  * @property {string} username - The unique username of the user. Required, must be lowercase and trimmed.
  * @property {string} email - The unique email address of the user. Required, must match a valid email format.
  * @property {string} password - The user's password. Required, must be at least 6 characters long and is not returned in queries by default.
+ * @property {string} role - Authorization role: "user" (default), "moderator" or "admin". See config/roles.js.
+ * @property {Date} tokensValidAfter - Access tokens issued before this instant are rejected ("log out everywhere").
  * @property {Date} createdAt - Timestamp of when the user was created. Automatically generated.
  * @property {Date} updatedAt - Timestamp of when the user was last updated. Automatically generated.
  * 
@@ -19,6 +21,8 @@
  */
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ROLES } from "../config/roles.js";
+import { USER_LIMITS } from "../config/constants.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -28,8 +32,8 @@ const userSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
       trim: true,
-      minlength: [3, "Username must be at least 3 characters"],
-      maxlength: [30, "Username cannot exceed 30 characters"],
+      minlength: [USER_LIMITS.USERNAME_MIN_LENGTH, `Username must be at least ${USER_LIMITS.USERNAME_MIN_LENGTH} characters`],
+      maxlength: [USER_LIMITS.USERNAME_MAX_LENGTH, `Username cannot exceed ${USER_LIMITS.USERNAME_MAX_LENGTH} characters`],
     },
     email: {
       type: String,
@@ -37,14 +41,26 @@ const userSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
       trim: true,
-      match: [/^[\w-.]+@([\w-]+\.)+[\w-]{2,4}$/, "Please enter a valid email address"],
+      match: [USER_LIMITS.EMAIL_PATTERN, "Please enter a valid email address"],
     },
     password: {
       type: String,
       required: [true, "Password is required"],
-      minlength: [6, "Password must be at least 6 characters"],
+      minlength: [USER_LIMITS.PASSWORD_MIN_LENGTH, `Password must be at least ${USER_LIMITS.PASSWORD_MIN_LENGTH} characters`],
       select: false,
     },
+    role: {
+      type: String,
+      enum: {
+        values: Object.values(ROLES),
+        message: "Role {VALUE} is not supported",
+      },
+      default: ROLES.USER,
+    },
+    tokensValidAfter: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
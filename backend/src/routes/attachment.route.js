@@ -0,0 +1,100 @@
+/**
+ * Router: /:id/attachments of the post router (exported as default)
+ *
+ * Created with mergeParams so req.params.id is the post id. Every route is
+ * protected by verifyToken and requirePermission (config/roles.js), except the
+ * listing and downloads, which use optionalAuth and are open to anonymous
+ * visitors; all
+ * validates its params with the schemas in validations/attachment.validation.js;
+ * upload bodies are checked while they are received (utils/upload.utils.js).
+ *
+ * Routes:
+ *
+ * GET /
+ *   - Description: List the attachments of a post.
+ *   - Middleware: optionalAuth, requirePermission(post:read)
+ *   - Controller: getAttachments
+ *   - Typical Responses:
+ *       200 - OK: returns { data, meta }
+ *       404 - Not Found: post not found
+ *
+ * POST /
+ *   - Description: Upload files to a post (multipart/form-data).
+ *   - Middleware: verifyToken, requirePermission(post:update)
+ *   - Controller: uploadAttachments
+ *   - Typical Responses:
+ *       201 - Created: returns { attachments }
+ *       413 - Payload Too Large: file too large or too many files
+ *       415 - Unsupported Media Type: not multipart, or a file of another type
+ *
+ * GET /:attachmentId
+ *   - Description: Download an attachment, optionally a byte range of it.
+ *   - Middleware: optionalAuth, requirePermission(post:read)
+ *   - Controller: downloadAttachment
+ *   - Typical Responses:
+ *       200 - OK: the file
+ *       206 - Partial Content: the requested range
+ *       416 - Range Not Satisfiable
+ *
+ * DELETE /:attachmentId
+ *   - Description: Delete an attachment and its file.
+ *   - Middleware: verifyToken, requirePermission(post:update)
+ *   - Controller: deleteAttachment
+ *   - Typical Responses:
+ *       200 - OK: returns the deleted attachment
+ *       403 - Forbidden: not the author
+ *       404 - Not Found: post or attachment not found
+ *
+ * Ownership (author, or post:update:any) is checked by the controller.
+ * Downloads are revalidated before every reuse (304 against the attachment's ETag), so a
+ * deleted attachment, or one of a post that became private, is not served from a cache.
+ */
+import { Router } from "express";
+import {
+  deleteAttachment,
+  downloadAttachment,
+  getAttachments,
+  uploadAttachments,
+} from "../controllers/attachment.controller.js";
+import { optionalAuth, verifyToken } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { cacheControl } from '../middlewares/cache.middleware.js';
+import { postIdParamsSchema } from '../validations/post.validation.js';
+import { attachmentIdParamsSchema } from '../validations/attachment.validation.js';
+
+const router = Router({ mergeParams: true });
+
+router.get(
+  '/',
+  optionalAuth,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ params: postIdParamsSchema }),
+  cacheControl({ noCache: true }),
+  getAttachments
+);
+router.post(
+  '/',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_UPDATE),
+  validate({ params: postIdParamsSchema }),
+  uploadAttachments
+);
+router.get(
+  '/:attachmentId',
+  optionalAuth,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ params: attachmentIdParamsSchema }),
+  cacheControl({ noCache: true }),
+  downloadAttachment
+);
+router.delete(
+  '/:attachmentId',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_UPDATE),
+  validate({ params: attachmentIdParamsSchema }),
+  deleteAttachment
+);
+
+export default router;
@@ -0,0 +1,98 @@
+/**
+ * Router: /api/v1/categories (exported as default)
+ *
+ * Every route requires authentication (verifyToken) and a permission from
+ * config/roles.js (requirePermission), and validates its input with the
+ * schemas in validations/category.validation.js.
+ *
+ * Routes:
+ *
+ * GET /getCategories
+ *   - Description: List every category with its depth and number of live posts.
+ *   - Middleware: verifyToken, requirePermission(post:read)
+ *   - Controller: getCategories
+ *   - Typical Responses:
+ *       200 - OK: returns { data: [...], meta: { count } }
+ *       401 - Unauthorized
+ *
+ * POST /create
+ *   - Description: Create a category, optionally under a parent category.
+ *   - Middleware: verifyToken, requirePermission(taxonomy:manage)
+ *   - Request Body: { name: string, description?: string, parent?: string|null }
+ *   - Controller: createCategory
+ *   - Typical Responses:
+ *       201 - Created: returns the category
+ *       400 - Bad Request: invalid data or parent
+ *       409 - Conflict: a category with the same slug exists
+ *
+ * PATCH /update/:id
+ *   - Description: Rename, describe or move a category.
+ *   - Middleware: verifyToken, requirePermission(taxonomy:manage)
+ *   - Request Body: { name?, description?, parent? }
+ *   - Controller: updateCategory
+ *   - Typical Responses:
+ *       200 - OK: returns the updated category
+ *       400 - Bad Request: invalid data or parent (e.g. a cycle)
+ *       404 - Not Found: category not found
+ *
+ * DELETE /delete/:id
+ *   - Description: Delete a category without subcategories or posts.
+ *   - Middleware: verifyToken, requirePermission(taxonomy:manage)
+ *   - Controller: deleteCategory
+ *   - Typical Responses:
+ *       200 - OK: deletion successful
+ *       404 - Not Found: category not found
+ *       409 - Conflict: the category still has subcategories or posts
+ *
+ * All routes may additionally respond 403 - Forbidden when the user's role lacks the permission.
+ */
+import { Router } from "express";
+import {
+  createCategory,
+  deleteCategory,
+  getCategories,
+  updateCategory,
+} from "../controllers/category.controller.js";
+import { verifyToken } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { cacheControl } from '../middlewares/cache.middleware.js';
+import {
+  categoryIdParamsSchema,
+  createCategorySchema,
+  updateCategorySchema,
+} from '../validations/category.validation.js';
+
+const router = Router();
+
+router.get(
+  '/getCategories',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_READ),
+  cacheControl({ noCache: true }),
+  getCategories
+);
+router.post(
+  '/create',
+  verifyToken,
+  requirePermission(PERMISSIONS.TAXONOMY_MANAGE),
+  validate({ body: createCategorySchema }),
+  createCategory
+);
+router.patch(
+  '/update/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.TAXONOMY_MANAGE),
+  validate({ params: categoryIdParamsSchema, body: updateCategorySchema }),
+  updateCategory
+);
+router.delete(
+  '/delete/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.TAXONOMY_MANAGE),
+  validate({ params: categoryIdParamsSchema }),
+  deleteCategory
+);
+
+export default router;
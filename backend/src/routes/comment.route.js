@@ -0,0 +1,101 @@
+/**
+ * Router: /:id/comments of the post router (exported as default)
+ *
+ * Created with mergeParams so req.params.id is the post id. Every route is
+ * protected by verifyToken and requirePermission (config/roles.js), except the
+ * listing, which uses optionalAuth and is open to anonymous visitors; all
+ * validates its input with the schemas in validations/comment.validation.js.
+ *
+ * Routes:
+ *
+ * GET /
+ *   - Description: List the top-level comments of a post, or the replies to a comment (?parent=).
+ *   - Middleware: optionalAuth, requirePermission(post:read)
+ *   - Query Parameters: parent, page, limit, order ("oldest" | "newest")
+ *   - Controller: getComments
+ *   - Typical Responses:
+ *       200 - OK: returns { data, meta }
+ *       404 - Not Found: post or parent comment not found
+ *
+ * POST /
+ *   - Description: Comment on the post, or reply to a comment.
+ *   - Middleware: verifyToken, requirePermission(comment:create)
+ *   - Request Body: { body: string, parent?: string }
+ *   - Controller: createComment
+ *   - Typical Responses:
+ *       201 - Created: returns the comment
+ *       400 - Bad Request: invalid body or replies nested too deep
+ *       404 - Not Found: post or parent comment not found
+ *
+ * PATCH /:commentId
+ *   - Description: Edit a comment.
+ *   - Middleware: verifyToken, requirePermission(comment:update)
+ *   - Request Body: { body: string }
+ *   - Controller: updateComment
+ *   - Typical Responses:
+ *       200 - OK: returns the updated comment
+ *       403 - Forbidden: not the author
+ *       404 - Not Found: post or comment not found
+ *
+ * DELETE /:commentId
+ *   - Description: Delete a comment (kept as a placeholder while it has replies).
+ *   - Middleware: verifyToken, requirePermission(comment:delete)
+ *   - Controller: deleteComment
+ *   - Typical Responses:
+ *       200 - OK: deletion successful
+ *       403 - Forbidden: not the author
+ *       404 - Not Found: post or comment not found
+ */
+import { Router } from "express";
+import {
+  createComment,
+  deleteComment,
+  getComments,
+  updateComment,
+} from "../controllers/comment.controller.js";
+import { optionalAuth, verifyToken } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { cacheControl } from '../middlewares/cache.middleware.js';
+import { postIdParamsSchema } from '../validations/post.validation.js';
+import {
+  commentIdParamsSchema,
+  createCommentSchema,
+  listCommentsQuerySchema,
+  updateCommentSchema,
+} from '../validations/comment.validation.js';
+
+const router = Router({ mergeParams: true });
+
+router.get(
+  '/',
+  optionalAuth,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ params: postIdParamsSchema, query: listCommentsQuerySchema }),
+  cacheControl({ noCache: true }),
+  getComments
+);
+router.post(
+  '/',
+  verifyToken,
+  requirePermission(PERMISSIONS.COMMENT_CREATE),
+  validate({ params: postIdParamsSchema, body: createCommentSchema }),
+  createComment
+);
+router.patch(
+  '/:commentId',
+  verifyToken,
+  requirePermission(PERMISSIONS.COMMENT_UPDATE),
+  validate({ params: commentIdParamsSchema, body: updateCommentSchema }),
+  updateComment
+);
+router.delete(
+  '/:commentId',
+  verifyToken,
+  requirePermission(PERMISSIONS.COMMENT_DELETE),
+  validate({ params: commentIdParamsSchema }),
+  deleteComment
+);
+
+export default router;
@@ -3,13 +3,21 @@
  *
  * This router defines endpoints for managing "posts". Each route is protected
  * by the verifyToken middleware which should validate the user and attach
- * authentication info to the request (e.g., req.user).
+ * authentication info to the request (e.g., req.user), followed by
+ * requirePermission which checks the user's role against the permission
+ * matrix in config/roles.js (403 when the role lacks the permission), and by
+ * validate() with the schemas in validations/post.validation.js (400 listing
+ * every invalid field of params, query or body).
+ *
+ * The read routes (GET /getPosts, /getPost/:id, /getPostBySlug/:slug) use
+ * optionalAuth instead of verifyToken: anonymous visitors may call them and
+ * only get what is visible to everyone (see utils/postStatus.utils.js).
  *
  * Routes:
  *
  * POST /create
  *   - Description: Create a new post.
- *   - Middleware: verifyToken (requires authenticated user)
+ *   - Middleware: verifyToken, requirePermission(post:create)
  *   - Request Body: { title: string, content: string, ... } (controller should validate)
  *   - Controller: createPost
  *   - Typical Responses:
@@ -17,30 +25,71 @@
  *       400 - Bad Request: validation or missing fields
  *       401 - Unauthorized: token missing/invalid
  *
+ * POST /import
+ *   - Description: Create posts in bulk from a JSON array or a CSV file, with a report per post.
+ *   - Middleware: verifyToken, requirePermission(post:create), importBodyParsers
+ *   - Query Parameters: dryRun (boolean) - validate without writing
+ *   - Request Body: application/json array of create bodies, or text/csv with a header row
+ *       (parsed here, after authentication, with IMPORT_LIMITS.MAX_BODY_SIZE)
+ *   - Controller: importPosts
+ *   - Typical Responses:
+ *       201 - Created: report, some posts were created
+ *       200 - OK: report of a dry run, or of an import where every post failed
+ *       400 - Bad Request: not an array, empty import or malformed CSV
+ *       401 - Unauthorized
+ *       413 - Payload Too Large: too many posts or body too large
+ *       415 - Unsupported Media Type: neither JSON nor CSV
+ *
  * GET /getPosts
- *   - Description: Retrieve a list of posts (may be scoped to the authenticated user
- *                  depending on controller implementation).
- *   - Middleware: verifyToken
- *   - Query Parameters: optional pagination/filter params (e.g., page, limit)
+ *   - Description: Retrieve a list of posts: published public posts, plus the
+ *                  authenticated user's own posts.
+ *   - Middleware: optionalAuth, requirePermission(post:read)
+ *   - Query Parameters: optional pagination/filter params (e.g., page, limit, status,
+ *       visibility), format (markdown|html|text) for the descriptions
  *   - Controller: getAllPosts
  *   - Typical Responses:
  *       200 - OK: returns an array of post objects
  *       401 - Unauthorized
  *
+ * GET /export/:format
+ *   - Description: Stream every post matching the listing parameters as CSV or NDJSON.
+ *   - Middleware: verifyToken, requirePermission(post:read)
+ *   - URL Params:
+ *       format (string) - "csv" or "ndjson"
+ *   - Query Parameters: the getPosts filters, sort and fields (CSV columns), without pagination
+ *   - Controller: exportPosts
+ *   - Typical Responses:
+ *       200 - OK: the export, as an attachment
+ *       400 - Bad Request: invalid parameters
+ *       401 - Unauthorized
+ *
  * GET /getPost/:id
  *   - Description: Retrieve a single post by ID.
- *   - Middleware: verifyToken
+ *   - Middleware: optionalAuth, requirePermission(post:read)
  *   - URL Params:
  *       id (string) - ID of the post to retrieve
+ *   - Query Parameters: format (markdown|html|text) - representation of the description
  *   - Controller: getPostById
  *   - Typical Responses:
  *       200 - OK: returns the requested post object
  *       404 - Not Found: post with given id does not exist
  *       401 - Unauthorized
  *
+ * GET /getPostBySlug/:slug
+ *   - Description: Retrieve a single post by slug.
+ *   - Middleware: optionalAuth, requirePermission(post:read)
+ *   - URL Params:
+ *       slug (string) - current or previous slug of the post
+ *   - Query Parameters: format (markdown|html|text), kept by the redirect of old slugs
+ *   - Controller: getPostBySlug
+ *   - Typical Responses:
+ *       200 - OK: returns the requested post object
+ *       301 - Moved Permanently: old slug, Location points to the current one
+ *       404 - Not Found: no post has or had this slug
+ *
  * PATCH /update/:id
  *   - Description: Update an existing post (partial updates supported).
- *   - Middleware: verifyToken
+ *   - Middleware: verifyToken, requirePermission(post:update)
  *   - URL Params:
  *       id (string) - ID of the post to update
  *   - Request Body: partial post object with fields to update (e.g., { title, content })
@@ -52,16 +101,112 @@
  *       401 - Unauthorized
  *
  * DELETE /delete/:id
- *   - Description: Delete a post by ID.
- *   - Middleware: verifyToken
+ *   - Description: Move a post to the trash (soft delete).
+ *   - Middleware: verifyToken, requirePermission(post:delete)
  *   - URL Params:
  *       id (string) - ID of the post to delete
  *   - Controller: deletePost
  *   - Typical Responses:
- *       204 - No Content: deletion successful
+ *       200 - OK: returns the trashed post with its purgeAt date
  *       404 - Not Found: post not found
  *       401 - Unauthorized
  *
+ * GET /trash
+ *   - Description: List the authenticated user's trashed posts.
+ *   - Middleware: verifyToken, requirePermission(post:delete)
+ *   - Query Parameters: page, limit
+ *   - Controller: getTrash
+ *   - Typical Responses:
+ *       200 - OK: returns { data, meta } with the retention period
+ *       401 - Unauthorized
+ *
+ * PATCH /restore/:id
+ *   - Description: Restore a trashed post.
+ *   - Middleware: verifyToken, requirePermission(post:delete)
+ *   - Controller: restorePost
+ *   - Typical Responses:
+ *       200 - OK: returns the restored post
+ *       404 - Not Found: post not in the trash
+ *       401 - Unauthorized
+ *
+ * DELETE /purge/:id
+ *   - Description: Permanently delete a trashed post.
+ *   - Middleware: verifyToken, requirePermission(post:delete)
+ *   - Controller: purgePost
+ *   - Typical Responses:
+ *       200 - OK: deletion successful
+ *       404 - Not Found: post not in the trash
+ *       401 - Unauthorized
+ *
+ * GET /revisions/:id
+ *   - Description: List the revisions of a post (who, when, changed fields, previous values).
+ *   - Middleware: verifyToken, requirePermission(post:read)
+ *   - Query Parameters: page, limit
+ *   - Controller: getPostRevisions
+ *
+ * GET /revisions/:id/diff
+ *   - Description: Field-level diff between two revisions.
+ *   - Middleware: verifyToken, requirePermission(post:read)
+ *   - Query Parameters: from (required), to (default: latest)
+ *   - Controller: getRevisionDiff
+ *   - Typical Responses:
+ *       200 - OK: returns { from, to, changes: [{ field, from, to }] }
+ *       404 - Not Found: post or revision not found
+ *
+ * POST /rollback/:id
+ *   - Description: Roll a post back to a revision, recorded as a new revision.
+ *   - Middleware: verifyToken, requirePermission(post:update)
+ *   - Request Body: { revision: number }
+ *   - Controller: rollbackPost
+ *   - Typical Responses:
+ *       200 - OK: returns the updated post and the new revision
+ *       404 - Not Found: post or revision not found
+ *
+ * PATCH /publish/:id
+ *   - Description: Publish a draft, archived or scheduled post now, or schedule it with publishAt.
+ *   - Middleware: verifyToken, requirePermission(post:update)
+ *   - Request Body: { publishAt?: date|null }
+ *   - Controller: publishPost
+ *   - Typical Responses:
+ *       200 - OK: returns the published or scheduled post
+ *       404 - Not Found: post not found
+ *       409 - Conflict: post already published (INVALID_STATUS)
+ *
+ * PATCH /unpublish/:id
+ *   - Description: Move a post back to the drafts, or archive it.
+ *   - Middleware: verifyToken, requirePermission(post:update)
+ *   - Request Body: { status?: "draft" | "archived" }
+ *   - Controller: unpublishPost
+ *   - Typical Responses:
+ *       200 - OK: returns the updated post
+ *       404 - Not Found: post not found
+ *       409 - Conflict: post already has that status (INVALID_STATUS)
+ *
+ * POST /:id/reactions
+ *   - Description: Toggle the user's reaction of a type (like, love, ...) on a post.
+ *   - Middleware: verifyToken, requirePermission(post:react)
+ *   - Request Body: { type: string }
+ *   - Controller: togglePostReaction
+ *   - Typical Responses:
+ *       200 - OK: returns { reacted, reactionCounts, reactedByMe }
+ *       404 - Not Found: post not found
+ *
+ * /:id/comments
+ *   - Description: Comments of a post, see routes/comment.route.js.
+ *
+ * /:id/attachments
+ *   - Description: Files attached to a post, see routes/attachment.route.js.
+ *
+ * Trashed posts are purged automatically after TRASH_RETENTION_DAYS (jobs/trashPurge.job.js).
+ * Drafts, scheduled and archived posts are only visible to their author; scheduled posts are
+ * published by jobs/publishScheduler.job.js.
+ *
+ * Read routes set Cache-Control with cacheControl(): responses are private and must be
+ * revalidated (no-cache), which clients do cheaply with If-None-Match / If-Modified-Since
+ * and a 304 Not Modified answer. The trash is never stored (no-store).
+ *
+ * All routes may additionally respond 403 - Forbidden when the user's role lacks the permission.
+ *
  * Usage:
  *   - Import and mount in your Express app, for example:
  *       app.use('/posts', postRouter);
@@ -69,18 +214,194 @@
  * Implementation notes:
  *   - Controllers referenced here (createPost, getAllPosts, getPostById, updatePost, deletePost)
  *     are responsible for input validation, business logic, and sending appropriate responses.
- *   - verifyToken middleware is expected to handle authentication errors and populate req.user.
+ *   - verifyToken middleware is expected to handle authentication errors and populate req.user;
+ *     after optionalAuth, req.user is undefined for anonymous visitors.
  */
-import { Router } from "express";
-import { createPost, deletePost, getAllPosts, getPostById, updatePost } from "../controllers/post.controller.js";
-import { verifyToken } from '../middlewares/auth.middleware.js';
+import express, { Router } from "express";
+import {
+  createPost,
+  deletePost,
+  exportPosts,
+  getAllPosts,
+  getPostById,
+  getPostBySlug,
+  getPostRevisions,
+  getRevisionDiff,
+  getTrash,
+  importPosts,
+  publishPost,
+  purgePost,
+  restorePost,
+  rollbackPost,
+  unpublishPost,
+  updatePost,
+} from "../controllers/post.controller.js";
+import { togglePostReaction } from "../controllers/reaction.controller.js";
+import { optionalAuth, verifyToken } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { IMPORT_LIMITS } from '../config/constants.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { cacheControl } from '../middlewares/cache.middleware.js';
+import commentRouter from './comment.route.js';
+import attachmentRouter from './attachment.route.js';
+import {
+  createPostSchema,
+  exportPostsParamsSchema,
+  exportPostsQuerySchema,
+  getPostQuerySchema,
+  importPostsQuerySchema,
+  listPostsQuerySchema,
+  listRevisionsQuerySchema,
+  listTrashQuerySchema,
+  postIdParamsSchema,
+  postSlugParamsSchema,
+  publishPostSchema,
+  revisionDiffQuerySchema,
+  rollbackPostSchema,
+  toggleReactionSchema,
+  unpublishPostSchema,
+  updatePostSchema,
+} from '../validations/post.validation.js';
 
 const router = Router();
 
-router.post('/create', verifyToken, createPost);
-router.get('/getPosts', verifyToken, getAllPosts);
-router.get('/getPost/:id', verifyToken, getPostById);
-router.patch('/update/:id', verifyToken, updatePost);
-router.delete('/delete/:id', verifyToken, deletePost);
+// Imports carry whole spreadsheets: app.js skips them, and their bodies are only read
+// here, with a larger limit, once the caller is known to be allowed to create posts
+const importBodyParsers = [
+  express.json({ limit: IMPORT_LIMITS.MAX_BODY_SIZE }),
+  express.text({ type: 'text/csv', limit: IMPORT_LIMITS.MAX_BODY_SIZE }),
+];
+
+router.post(
+  '/create',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_CREATE),
+  validate({ body: createPostSchema }),
+  createPost
+);
+router.post(
+  '/import',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_CREATE),
+  ...importBodyParsers,
+  validate({ query: importPostsQuerySchema }),
+  importPosts
+);
+router.get(
+  '/getPosts',
+  optionalAuth,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ query: listPostsQuerySchema }),
+  cacheControl({ noCache: true }),
+  getAllPosts
+);
+router.get(
+  '/export/:format',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ params: exportPostsParamsSchema, query: exportPostsQuerySchema }),
+  cacheControl({ noStore: true }),
+  exportPosts
+);
+router.get(
+  '/getPost/:id',
+  optionalAuth,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ params: postIdParamsSchema, query: getPostQuerySchema }),
+  cacheControl({ noCache: true }),
+  getPostById
+);
+router.get(
+  '/getPostBySlug/:slug',
+  optionalAuth,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ params: postSlugParamsSchema, query: getPostQuerySchema }),
+  cacheControl({ noCache: true }),
+  getPostBySlug
+);
+router.patch(
+  '/update/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_UPDATE),
+  validate({ params: postIdParamsSchema, body: updatePostSchema }),
+  updatePost
+);
+router.delete(
+  '/delete/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_DELETE),
+  validate({ params: postIdParamsSchema }),
+  deletePost
+);
+router.get(
+  '/trash',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_DELETE),
+  validate({ query: listTrashQuerySchema }),
+  cacheControl({ noStore: true }),
+  getTrash
+);
+router.patch(
+  '/restore/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_DELETE),
+  validate({ params: postIdParamsSchema }),
+  restorePost
+);
+router.delete(
+  '/purge/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_DELETE),
+  validate({ params: postIdParamsSchema }),
+  purgePost
+);
+router.get(
+  '/revisions/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ params: postIdParamsSchema, query: listRevisionsQuerySchema }),
+  cacheControl({ noCache: true }),
+  getPostRevisions
+);
+router.get(
+  '/revisions/:id/diff',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ params: postIdParamsSchema, query: revisionDiffQuerySchema }),
+  cacheControl({ noCache: true }),
+  getRevisionDiff
+);
+router.post(
+  '/rollback/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_UPDATE),
+  validate({ params: postIdParamsSchema, body: rollbackPostSchema }),
+  rollbackPost
+);
+router.patch(
+  '/publish/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_UPDATE),
+  validate({ params: postIdParamsSchema, body: publishPostSchema }),
+  publishPost
+);
+router.patch(
+  '/unpublish/:id',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_UPDATE),
+  validate({ params: postIdParamsSchema, body: unpublishPostSchema }),
+  unpublishPost
+);
+router.post(
+  '/:id/reactions',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_REACT),
+  validate({ params: postIdParamsSchema, body: toggleReactionSchema }),
+  togglePostReaction
+);
+
+router.use('/:id/comments', commentRouter);
+router.use('/:id/attachments', attachmentRouter);
 
 export default router;
\ No newline at end of file
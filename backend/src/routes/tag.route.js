@@ -0,0 +1,79 @@
+/**
+ * Router: /api/v1/tags (exported as default)
+ *
+ * Every route requires authentication (verifyToken) and a permission from
+ * config/roles.js (requirePermission), and validates its input with the
+ * schemas in validations/tag.validation.js.
+ *
+ * Routes:
+ *
+ * GET /getTags
+ *   - Description: List tags used by live posts with their usage counts.
+ *   - Middleware: verifyToken, requirePermission(post:read)
+ *   - Query Parameters: q (prefix), sort ("count" | "name"), limit
+ *   - Controller: getTags
+ *   - Typical Responses:
+ *       200 - OK: returns { data: [{ name, count }], meta }
+ *       401 - Unauthorized
+ *
+ * PATCH /rename/:tag
+ *   - Description: Rename a tag on every post carrying it.
+ *   - Middleware: verifyToken, requirePermission(taxonomy:manage)
+ *   - Request Body: { name: string }
+ *   - Controller: renameTag
+ *   - Typical Responses:
+ *       200 - OK: returns { from, to, modifiedCount }
+ *       404 - Not Found: no post has the tag
+ *       409 - Conflict: the new name is already a tag (use /merge)
+ *
+ * POST /merge
+ *   - Description: Replace several tags by one on every post carrying them.
+ *   - Middleware: verifyToken, requirePermission(taxonomy:manage)
+ *   - Request Body: { sources: string[], target: string }
+ *   - Controller: mergeTags
+ *   - Typical Responses:
+ *       200 - OK: returns { sources, target, modifiedCount }
+ *       404 - Not Found: no post has any of the source tags
+ *
+ * All routes may additionally respond 403 - Forbidden when the user's role lacks the permission.
+ */
+import { Router } from "express";
+import { getTags, mergeTags, renameTag } from "../controllers/tag.controller.js";
+import { verifyToken } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { cacheControl } from '../middlewares/cache.middleware.js';
+import {
+  listTagsQuerySchema,
+  mergeTagsSchema,
+  renameTagSchema,
+  tagParamsSchema,
+} from '../validations/tag.validation.js';
+
+const router = Router();
+
+router.get(
+  '/getTags',
+  verifyToken,
+  requirePermission(PERMISSIONS.POST_READ),
+  validate({ query: listTagsQuerySchema }),
+  cacheControl({ noCache: true }),
+  getTags
+);
+router.patch(
+  '/rename/:tag',
+  verifyToken,
+  requirePermission(PERMISSIONS.TAXONOMY_MANAGE),
+  validate({ params: tagParamsSchema, body: renameTagSchema }),
+  renameTag
+);
+router.post(
+  '/merge',
+  verifyToken,
+  requirePermission(PERMISSIONS.TAXONOMY_MANAGE),
+  validate({ body: mergeTagsSchema }),
+  mergeTags
+);
+
+export default router;
@@ -6,6 +6,10 @@
  * @requires express.Router
  * @requires ../controllers/user.controller.js
  * @requires ../middlewares/auth.middleware.js
+ * @requires ../middlewares/validate.middleware.js
+ *
+ * Request bodies are validated with the schemas in validations/user.validation.js;
+ * invalid input is answered with 400 VALIDATION_ERROR listing every invalid field.
  *
  * Public routes:
  * - POST /register
@@ -20,13 +24,22 @@
  *   - Expected input: JSON body (e.g., { email, password }).
  *   - Response: Authentication token (e.g., JWT in cookie or body) or error.
  *
+ * - POST /refresh
+ *   - Controller: refreshAccessToken
+ *   - Purpose: Exchange a refresh token for a new access/refresh token pair (rotation).
+ *   - Expected input: JSON body { refreshToken }.
+ *   - Response: New token and refreshToken, or 401 if the refresh token is invalid, expired,
+ *               revoked or has already been used (which revokes the whole token family).
+ *
+ * Protected routes:
  * - POST /logout
+ *   - Middleware: verifyToken
  *   - Controller: logoutUser
- *   - Purpose: Invalidate user session / clear authentication token.
- *   - Expected input: (may use cookies or auth header depending on implementation).
+ *   - Purpose: Revoke the access token sent in the Authorization header.
+ *   - Expected input: optional JSON body { refreshToken, all }. `refreshToken` also revokes that
+ *                     session's refresh tokens; `all: true` logs the user out everywhere.
  *   - Response: Success confirmation or error.
  *
- * Protected route:
  * - GET /profile
  *   - Middleware: verifyToken
  *   - Controller: getProfile
@@ -38,17 +51,20 @@
  * @returns {import('express').Router} Configured Express router with the above routes.
  */
 import { Router } from 'express';
-import { loginUser, registerUser, getProfile, logoutUser } from '../controllers/user.controller.js';
+import { loginUser, registerUser, refreshAccessToken, getProfile, logoutUser } from '../controllers/user.controller.js';
 import { verifyToken } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { loginSchema, logoutSchema, refreshSchema, registerSchema } from '../validations/user.validation.js';
 
 const router = Router();
 
 // Public routes
-router.post('/register', registerUser);
-router.post('/login', loginUser);
-router.post('/logout', logoutUser);
+router.post('/register', validate({ body: registerSchema }), registerUser);
+router.post('/login', validate({ body: loginSchema }), loginUser);
+router.post('/refresh', validate({ body: refreshSchema }), refreshAccessToken);
 
-// Protected route
+// Protected routes
+router.post('/logout', verifyToken, validate({ body: logoutSchema }), logoutUser);
 router.get('/profile', verifyToken, getProfile);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Storage driver keeping files on the local disk.
+ *
+ * @module storage/localDisk.storage
+ *
+ * @description
+ * Every key maps to a file under the root directory ("<post id>/<uuid>" is
+ * stored as <root>/<post id>/<uuid>). Files are written to a temporary name
+ * first and renamed once complete, so a failed or aborted upload never leaves
+ * a partial file under its key. Keys are restricted to word characters,
+ * dashes and "/" separators, so they cannot point outside the root.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { pipeline } from 'node:stream/promises';
+
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*$/;
+
+export class LocalDiskStorage {
+  /**
+   * @param {string} root - Directory holding the files, created on first write
+   */
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Absolute path of a key.
+   * @param {string} key
+   * @returns {string}
+   * @throws {Error} for keys that are not valid storage keys
+   */
+  pathOf(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(this.root, key);
+  }
+
+  /**
+   * Stores a stream under a key, replacing any previous content.
+   * @param {string} key
+   * @param {import('node:stream').Readable} body
+   * @returns {Promise<{ size: number }>}
+   */
+  async put(key, body) {
+    const target = this.pathOf(key);
+    const temporary = `${target}.${randomUUID()}.tmp`;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    try {
+      await pipeline(body, fs.createWriteStream(temporary, { flags: 'wx' }));
+      await fs.promises.rename(temporary, target);
+    } catch (error) {
+      await fs.promises.rm(temporary, { force: true });
+      throw error;
+    }
+    const { size } = await fs.promises.stat(target);
+    return { size };
+  }
+
+  /**
+   * Opens a stored file for reading, optionally a byte range of it.
+   * @param {string} key
+   * @param {{ start: number, end: number }} [range] - Inclusive byte offsets
+   * @returns {Promise<import('node:stream').Readable>}
+   * @throws {Error} with code ENOENT when nothing is stored under the key
+   */
+  async get(key, range) {
+    const handle = await fs.promises.open(this.pathOf(key), 'r');
+    return handle.createReadStream(range ? { start: range.start, end: range.end } : {});
+  }
+
+  /**
+   * Deletes a stored file. Deleting a missing key is not an error.
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this.pathOf(key), { force: true });
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * File storage used for post attachments.
+ *
+ * @module storage/storage
+ *
+ * @description
+ * Controllers never touch files directly: they go through a storage driver
+ * chosen with STORAGE_DRIVER. Every driver implements the Storage interface
+ * below, so another backend (e.g. an object store) only needs a new driver
+ * registered in DRIVERS. The default "local" driver keeps files under
+ * UPLOADS_DIR (default ./uploads) and works without any external service.
+ *
+ * @typedef {Object} Storage
+ * @property {(key: string, body: import('node:stream').Readable) => Promise<{ size: number }>} put
+ *   Stores a stream under a key.
+ * @property {(key: string, range?: { start: number, end: number }) => Promise<import('node:stream').Readable>} get
+ *   Reads a stored file, or an inclusive byte range of it. Rejects with code ENOENT when missing.
+ * @property {(key: string) => Promise<void>} delete
+ *   Deletes a stored file; deleting a missing key succeeds.
+ */
+import { LocalDiskStorage } from './localDisk.storage.js';
+
+const DEFAULT_UPLOADS_DIR = 'uploads';
+
+/** Storage drivers by STORAGE_DRIVER value. */
+const DRIVERS = {
+  local: () => new LocalDiskStorage(process.env.UPLOADS_DIR || DEFAULT_UPLOADS_DIR),
+};
+
+let storage = null;
+
+/**
+ * The configured storage driver, created on first use.
+ * @returns {Storage}
+ * @throws {Error} when STORAGE_DRIVER names an unknown driver
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = DRIVERS[driver]();
+  }
+  return storage;
+};
@@ -0,0 +1,20 @@
+/**
+ * Wraps an async route handler so rejected promises reach the error middleware.
+ *
+ * @module utils/asyncHandler
+ *
+ * @example
+ * const getPostById = asyncHandler(async (req, res) => {
+ *   const post = await Post.findById(req.params.id);
+ *   if (!post) throw new NotFoundError('Post not found');
+ *   res.status(200).json({ post });
+ * });
+ *
+ * @param {Function} handler - async (req, res, next) => void
+ * @returns {import('express').RequestHandler}
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+export default asyncHandler;
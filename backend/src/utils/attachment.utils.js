@@ -0,0 +1,59 @@
+/**
+ * Removal of post attachments.
+ *
+ * @module utils/attachment.utils
+ * @requires ../models/attachment.model
+ * @requires ../models/post.model
+ *
+ * @description
+ * Files are deleted from storage before their Attachment document, so a file
+ * that could not be deleted keeps its document and is retried: the trash
+ * purge job calls removeOrphanedAttachments on every run, which also catches
+ * files uploaded to a post while it was being purged.
+ */
+import Attachment from '../models/attachment.model.js';
+import { Post } from '../models/post.model.js';
+import { getStorage } from '../storage/storage.js';
+
+/**
+ * Deletes the attachments of posts, files included.
+ *
+ * @async
+ * @param {Array<*>} postIds
+ * @returns {Promise<number>} Number of removed attachments
+ */
+export const removeAttachments = async (postIds) => {
+  const attachments = await Attachment.find({ post: { $in: postIds } }).select('storageKey').lean();
+  if (!attachments.length) return 0;
+
+  const storage = getStorage();
+  const results = await Promise.allSettled(attachments.map(({ storageKey }) => storage.delete(storageKey)));
+  const removed = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      removed.push(attachments[index]._id);
+    } else {
+      console.error(`Could not delete attachment file ${attachments[index].storageKey}:`, result.reason);
+    }
+  });
+
+  if (removed.length) {
+    await Attachment.deleteMany({ _id: { $in: removed } });
+  }
+  return removed.length;
+};
+
+/**
+ * Deletes the attachments whose post no longer exists.
+ *
+ * @async
+ * @returns {Promise<number>} Number of removed attachments
+ */
+export const removeOrphanedAttachments = async () => {
+  const postIds = await Attachment.distinct('post');
+  if (!postIds.length) return 0;
+
+  const existing = new Set((await Post.distinct('_id', { _id: { $in: postIds } })).map(String));
+  const orphaned = postIds.filter((id) => !existing.has(String(id)));
+  return orphaned.length ? removeAttachments(orphaned) : 0;
+};
@@ -0,0 +1,75 @@
+/**
+ * Category tree helpers.
+ *
+ * @module utils/category.utils
+ * @requires ../models/category.model
+ *
+ * @description
+ * Categories reference their parent, so walking the tree needs every category.
+ * The taxonomy is small (a few dozen categories), so the tree functions work
+ * on the full list loaded once per request rather than on recursive queries.
+ */
+import Category from '../models/category.model.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+/**
+ * Ids of a category and of every category below it.
+ *
+ * @param {Object[]} categories - Every category ({ _id, parent })
+ * @param {*} rootId
+ * @returns {string[]}
+ */
+export const descendantIds = (categories, rootId) => {
+  const children = new Map();
+  for (const category of categories) {
+    const parent = String(category.parent);
+    children.set(parent, [...(children.get(parent) || []), String(category._id)]);
+  }
+
+  const ids = [String(rootId)];
+  for (let index = 0; index < ids.length; index += 1) {
+    for (const child of children.get(ids[index]) || []) {
+      if (!ids.includes(child)) ids.push(child);
+    }
+  }
+  return ids;
+};
+
+/**
+ * Ids of the ancestors of a category, from its parent up to the root.
+ *
+ * @param {Object[]} categories - Every category ({ _id, parent })
+ * @param {*} id
+ * @returns {string[]}
+ */
+export const ancestorIds = (categories, id) => {
+  const parents = new Map(categories.map((category) => [String(category._id), category.parent]));
+  const ids = [];
+  let parent = parents.get(String(id));
+  while (parent && !ids.includes(String(parent))) {
+    ids.push(String(parent));
+    parent = parents.get(String(parent));
+  }
+  return ids;
+};
+
+/**
+ * Number of levels of the subtree rooted at a category (1 for a leaf).
+ *
+ * @param {Object[]} categories - Every category ({ _id, parent })
+ * @param {*} id
+ * @returns {number}
+ */
+export const subtreeHeight = (categories, id) =>
+  Math.max(...descendantIds(categories, id).map(
+    (descendant) => ancestorIds(categories, descendant).length - ancestorIds(categories, id).length + 1
+  ));
+
+/**
+ * Finds a category by id or by slug.
+ * @param {string} ref - Category id or slug
+ * @returns {Promise<Object|null>} Lean category
+ */
+export const findCategoryByRef = (ref) =>
+  Category.findOne(OBJECT_ID_PATTERN.test(ref) ? { _id: ref } : { slug: ref.toLowerCase() }).lean();
@@ -0,0 +1,60 @@
+/**
+ * Helpers for serving stored files.
+ *
+ * @module utils/download.utils
+ *
+ * @description
+ * Downloads support single byte ranges (RFC 9110 section 14), so clients can
+ * resume interrupted downloads and media players can seek. Range headers that
+ * cannot be parsed, or ask for several ranges, are ignored and the whole file
+ * is sent, as the RFC allows.
+ */
+import { RangeNotSatisfiableError } from './errors.js';
+
+const RANGE_PATTERN = /^bytes=(\d*)-(\d*)$/;
+
+/**
+ * Parses a Range header against a file size.
+ *
+ * @param {string|undefined} header - Value of the Range header
+ * @param {number} size - File size in bytes
+ * @returns {{ start: number, end: number }|null} Inclusive byte offsets, null to send the whole file
+ * @throws {RangeNotSatisfiableError} 416 when the range starts beyond the end of the file
+ */
+export const parseRange = (header, size) => {
+  const match = RANGE_PATTERN.exec(header?.trim() ?? '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last n bytes
+    const length = Number(match[2]);
+    if (length === 0 || size === 0) throw new RangeNotSatisfiableError();
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (match[2] !== '' && Number(match[2]) < start) return null;
+    if (start >= size) throw new RangeNotSatisfiableError();
+  }
+  return { start, end };
+};
+
+/**
+ * Builds a Content-Disposition header keeping non-ASCII file names (RFC 6266),
+ * with an ASCII fallback for old clients.
+ *
+ * @param {'inline'|'attachment'} type
+ * @param {string} filename
+ * @returns {string}
+ */
+export const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
@@ -0,0 +1,108 @@
+/**
+ * Application error hierarchy.
+ *
+ * @module utils/errors
+ *
+ * @description
+ * Controllers throw these errors instead of writing error responses themselves.
+ * The error middleware (middlewares/error.middleware.js) turns them into JSON
+ * bodies of the shape { message, code, errors? }, where:
+ * - statusCode is the HTTP status to send
+ * - code is a stable, machine readable identifier (e.g. "NOT_FOUND")
+ * - errors is an optional array of { field, message } details
+ *
+ * @example
+ * import { NotFoundError } from '../utils/errors.js';
+ * if (!post) throw new NotFoundError('Post not found');
+ */
+
+/**
+ * Base class for expected (operational) errors.
+ * Anything that is not an AppError is treated as a bug and answered with 500.
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message sent to the client
+   * @param {number} [statusCode=500] - HTTP status code
+   * @param {string} [code='INTERNAL_ERROR'] - Stable error code
+   * @param {Array<{ field: string, message: string }>} [errors] - Optional field level details
+   */
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', errors = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.errors = errors;
+    this.isOperational = true;
+  }
+}
+
+/** 400 - The request is malformed or fails validation. */
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', errors = undefined, code = 'BAD_REQUEST') {
+    super(message, 400, code, errors);
+  }
+}
+
+/** 401 - Authentication is missing or invalid. */
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Unauthorized', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+/** 403 - Authenticated, but not allowed to perform the action. */
+export class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', code = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
+/** 404 - The requested resource does not exist. */
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', code = 'NOT_FOUND') {
+    super(message, 404, code);
+  }
+}
+
+/** 409 - The request conflicts with the current state (e.g. duplicate value). */
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', errors = undefined, code = 'CONFLICT') {
+    super(message, 409, code, errors);
+  }
+}
+
+/** 412 - A conditional request header (e.g. If-Match) does not match the current state. */
+export class PreconditionFailedError extends AppError {
+  constructor(message = 'Precondition failed', code = 'PRECONDITION_FAILED') {
+    super(message, 412, code);
+  }
+}
+
+/** 413 - The request body, or a file in it, is larger than allowed. */
+export class PayloadTooLargeError extends AppError {
+  constructor(message = 'Payload too large', code = 'PAYLOAD_TOO_LARGE') {
+    super(message, 413, code);
+  }
+}
+
+/** 415 - The content type of the request or of an uploaded file is not accepted. */
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type', code = 'UNSUPPORTED_MEDIA_TYPE') {
+    super(message, 415, code);
+  }
+}
+
+/** 416 - The requested byte range lies outside the resource. */
+export class RangeNotSatisfiableError extends AppError {
+  constructor(message = 'Range not satisfiable', code = 'RANGE_NOT_SATISFIABLE') {
+    super(message, 416, code);
+  }
+}
+
+/** 428 - The request must be conditional (e.g. carry If-Match). */
+export class PreconditionRequiredError extends AppError {
+  constructor(message = 'Precondition required', code = 'PRECONDITION_REQUIRED') {
+    super(message, 428, code);
+  }
+}
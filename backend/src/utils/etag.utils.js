@@ -0,0 +1,84 @@
+/**
+ * Entity tags for optimistic concurrency control.
+ *
+ * @module utils/etag.utils
+ * @requires ../utils/errors
+ *
+ * @description
+ * Documents carry a `version` number incremented by every write. It is sent
+ * to clients as a strong ETag (`"3"`) and compared with the If-Match header
+ * of writes: a client that read version 3 sends `If-Match: "3"`, and the write
+ * is refused with 412 PRECONDITION_FAILED if someone else has changed the
+ * document in the meantime. Single-post reads send the version followed by a
+ * hash of the body (`"3-Yk3c..."`, utils/httpCache.utils.js); If-Match only
+ * compares the version part, so those tags are accepted too.
+ *
+ * If-Match is optional unless REQUIRE_IF_MATCH=true, in which case writes
+ * without it are refused with 428 PRECONDITION_REQUIRED.
+ */
+import { PreconditionFailedError, PreconditionRequiredError } from './errors.js';
+
+/**
+ * Formats a document version as a strong ETag.
+ * @param {number} version
+ * @returns {string} e.g. "\"3\""
+ */
+export const formatETag = (version) => `"${version ?? 1}"`;
+
+/**
+ * Version an entity tag stands for: "3" and "3-<hash>" both stand for version 3.
+ * @param {string} tag - Strong tag including its quotes
+ * @returns {string|undefined} The version, undefined for tags of another form
+ */
+const tagVersion = (tag) => tag.match(/^"(\d+)(?:-[^"]*)?"$/)?.[1];
+
+/**
+ * Parses an If-Match header into the list of entity tags it contains.
+ * Weak tags (W/"...") are dropped: If-Match requires a strong comparison.
+ *
+ * @param {string} header
+ * @returns {string[]|'*'} Tags including their quotes, or '*' for "any"
+ */
+export const parseIfMatch = (header) => {
+  if (header.trim() === '*') return '*';
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter((tag) => /^"[^"]*"$/.test(tag));
+};
+
+/**
+ * Checks the If-Match header of a write against the current document version.
+ *
+ * @param {import('express').Request} req
+ * @param {number} version - Current version of the document
+ * @returns {boolean} Whether the request was conditional (If-Match present)
+ * @throws {PreconditionRequiredError} 428 when If-Match is missing and REQUIRE_IF_MATCH=true
+ * @throws {PreconditionFailedError} 412 when no tag matches the current version
+ */
+export const assertIfMatch = (req, version) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    if (process.env.REQUIRE_IF_MATCH === 'true') {
+      throw new PreconditionRequiredError('If-Match header is required for this request');
+    }
+    return false;
+  }
+
+  const tags = parseIfMatch(header);
+  if (tags !== '*' && !tags.some((tag) => tagVersion(tag) === String(version ?? 1))) {
+    throw new PreconditionFailedError(
+      `The resource has been modified (current ETag ${formatETag(version)})`
+    );
+  }
+  return true;
+};
+
+/**
+ * Filter matching a document still at the given version. Documents written before
+ * versions were tracked have no version field and count as version 1.
+ *
+ * @param {number} version
+ * @returns {Object} Mongo filter
+ */
+export const versionFilter = (version) => (version === 1 ? { version: { $in: [1, null] } } : { version });
@@ -0,0 +1,95 @@
+/**
+ * Serialization of exported documents (GET /posts/export/:format).
+ *
+ * @module utils/export.utils
+ *
+ * @description
+ * Exports are written document by document from a Mongo cursor, so they go
+ * through object-mode Transform streams: the cursor is only read as fast as the
+ * client consumes the response (backpressure), and nothing is buffered beyond
+ * the streams' high water marks.
+ *
+ * CSV follows RFC 4180 (comma separated, CRLF line endings, fields quoted when
+ * they contain a comma, quote or line break). Cells starting with =, +, -, @,
+ * tab or carriage return get a leading apostrophe so spreadsheets do not run
+ * them as formulas. Arrays are joined with ";" and other objects written as JSON.
+ */
+import { Transform } from 'node:stream';
+
+/** Export formats and their content types. */
+export const EXPORT_CONTENT_TYPES = Object.freeze({
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+});
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NEEDS_QUOTES = /[",\r\n]/;
+
+/**
+ * A value as a CSV cell.
+ * @param {*} value
+ * @returns {string}
+ */
+export const csvCell = (value) => {
+  let text;
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.map(String).join(';');
+  } else if (typeof value === 'object' && value.constructor === Object) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * A CSV line, CRLF terminated.
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+export const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Transform turning documents into CSV rows, after a header row of the columns.
+ * Nested paths (e.g. "reactionCounts.like") are not supported, columns are top-level fields.
+ *
+ * @param {string[]} columns - Fields written, in order
+ * @param {(doc: Object) => Object} [map] - Applied to every document first
+ * @returns {Transform}
+ */
+export const createCsvTransform = (columns, map = (doc) => doc) => {
+  let headerSent = false;
+  return new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      const record = map(doc);
+      const row = csvRow(columns.map((column) => record[column]));
+      if (headerSent) return callback(null, row);
+      headerSent = true;
+      callback(null, csvRow(columns) + row);
+    },
+    flush(callback) {
+      // An empty export still names its columns
+      callback(null, headerSent ? undefined : csvRow(columns));
+    },
+  });
+};
+
+/**
+ * Transform turning documents into newline-delimited JSON.
+ * @param {(doc: Object) => Object} [map] - Applied to every document first
+ * @returns {Transform}
+ */
+export const createNdjsonTransform = (map = (doc) => doc) =>
+  new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      callback(null, `${JSON.stringify(map(doc))}\n`);
+    },
+  });
@@ -0,0 +1,171 @@
+/**
+ * Filter query language for list endpoints.
+ *
+ * @module utils/filter.utils
+ *
+ * @description
+ * Parses query string filters of the form `field[operator]=value` into a
+ * Mongo filter:
+ *
+ *   ?age[gte]=18&age[lt]=65&createdAt[after]=2026-01-01&name[in]=a,b
+ *   // => { age: { $gte: 18, $lt: 65 }, createdAt: { $gt: Date }, name: { $in: ['a', 'b'] } }
+ *
+ * Express keeps `age[gte]` as a literal key (the default "simple" query
+ * parser does not build nested objects), so the key is split here.
+ *
+ * Only fields listed by the caller can be filtered, values are coerced to the
+ * field's schema type, and operators come from a fixed allowlist mapped to
+ * Mongo operators. Client input therefore never chooses a Mongo operator:
+ * keys starting with "$" (e.g. `$where`) and unknown operators
+ * (e.g. `name[$regex]`) are rejected.
+ */
+
+/** Maximum number of values accepted by the in / nin operators. */
+export const MAX_FILTER_VALUES = 50;
+
+const FILTER_KEY_PATTERN = /^([^[\]]+)\[([^[\]]*)\]$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+/** Query operators and the Mongo operator each one maps to. */
+const OPERATORS = Object.freeze({
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin',
+  after: '$gt',
+  before: '$lt',
+});
+
+const LIST_OPERATORS = ['in', 'nin'];
+const EQUALITY_OPERATORS = ['eq', 'ne', 'in', 'nin'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/** Operators allowed for each field type. */
+export const FILTER_OPERATORS = Object.freeze({
+  string: EQUALITY_OPERATORS,
+  objectId: EQUALITY_OPERATORS,
+  boolean: ['eq', 'ne'],
+  number: [...EQUALITY_OPERATORS, ...RANGE_OPERATORS],
+  date: [...EQUALITY_OPERATORS, ...RANGE_OPERATORS, 'after', 'before'],
+});
+
+const SCHEMA_TYPES = {
+  String: 'string',
+  Number: 'number',
+  Date: 'date',
+  ObjectId: 'objectId',
+  Boolean: 'boolean',
+};
+
+/**
+ * Maps schema paths to filter types. Paths of other types (arrays, mixed...) are left out.
+ *
+ * @param {import('mongoose').Schema} schema
+ * @param {string[]} fields - Paths that may be filtered on
+ * @returns {Object<string, string>} { [field]: 'string' | 'number' | 'date' | 'objectId' | 'boolean' }
+ */
+export const schemaFieldTypes = (schema, fields) => {
+  const types = {};
+  for (const field of fields) {
+    const type = SCHEMA_TYPES[schema.path(field)?.instance];
+    if (type) types[field] = type;
+  }
+  return types;
+};
+
+/**
+ * Coerces a raw query string value to a filter type.
+ * @param {string} raw
+ * @param {string} type
+ * @returns {{ value?: *, error?: string }}
+ */
+const coerceFilterValue = (raw, type) => {
+  const value = raw.trim();
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      return value !== '' && Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+    }
+    case 'date': {
+      const date = new Date(value);
+      return value !== '' && !Number.isNaN(date.getTime()) ? { value: date } : { error: 'must be a valid date' };
+    }
+    case 'objectId':
+      return OBJECT_ID_PATTERN.test(value) ? { value } : { error: 'must be a valid id' };
+    case 'boolean':
+      if (value === 'true') return { value: true };
+      if (value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    default:
+      return { value };
+  }
+};
+
+/**
+ * Parses the `field[operator]` keys of a query object into a Mongo filter.
+ * Keys without brackets are ignored (they are regular list parameters), except
+ * keys starting with "$", which are rejected.
+ *
+ * @param {Object} query - Request query
+ * @param {Object<string, string>} fieldTypes - Filterable fields, from schemaFieldTypes
+ * @returns {{ filter: Object, errors: Array<{ field: string, message: string }> }}
+ */
+export const parseFilters = (query, fieldTypes) => {
+  const filter = {};
+  const errors = [];
+  const fields = Object.keys(fieldTypes);
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (key.startsWith('$')) {
+      errors.push({ field: key, message: `Operators are not allowed as parameters: "${key}"` });
+      continue;
+    }
+
+    const match = FILTER_KEY_PATTERN.exec(key);
+    if (!match) continue;
+
+    const [, field, operator] = match;
+    const type = fieldTypes[field];
+    if (!type) {
+      errors.push({ field: key, message: `Cannot filter by "${field}". Allowed: ${fields.join(', ')}` });
+      continue;
+    }
+    if (!FILTER_OPERATORS[type].includes(operator)) {
+      errors.push({
+        field: key,
+        message: `Unsupported operator "${operator}" for ${field}. Allowed: ${FILTER_OPERATORS[type].join(', ')}`,
+      });
+      continue;
+    }
+    if (typeof raw !== 'string') {
+      errors.push({ field: key, message: `${key} must be given once` });
+      continue;
+    }
+
+    const isList = LIST_OPERATORS.includes(operator);
+    const rawValues = isList ? raw.split(',').filter((item) => item.trim() !== '') : [raw];
+    if (isList && (rawValues.length === 0 || rawValues.length > MAX_FILTER_VALUES)) {
+      errors.push({ field: key, message: `${key} must list between 1 and ${MAX_FILTER_VALUES} values` });
+      continue;
+    }
+
+    const values = [];
+    for (const rawValue of rawValues) {
+      const result = coerceFilterValue(rawValue, type);
+      if (result.error) {
+        errors.push({ field: key, message: `${key} ${result.error}` });
+        break;
+      }
+      values.push(result.value);
+    }
+    if (values.length !== rawValues.length) continue;
+
+    filter[field] = { ...filter[field], [OPERATORS[operator]]: isList ? values : values[0] };
+  }
+
+  return { filter, errors };
+};
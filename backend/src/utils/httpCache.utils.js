@@ -0,0 +1,109 @@
+/**
+ * Conditional GET helpers.
+ *
+ * @module utils/httpCache.utils
+ *
+ * @description
+ * Read endpoints describe the state of what they return with validators:
+ * - a strong ETag when the representation has a version: the version followed
+ *   by a hash of the body (a single post: `"3-Yk3c..."`), since the body also
+ *   holds counters and per-user fields that change without a new version
+ * - a weak ETag hashed from the body otherwise (lists: `W/"..."`)
+ * - Last-Modified from a date that moves with everything in the body: for a
+ *   post the later of its last edit and its last comment or reaction change,
+ *   for post lists the latest change to any post (a list also changes when a
+ *   post leaves it), for attachment downloads the upload date
+ *
+ * A client sending the validators back in If-None-Match / If-Modified-Since
+ * gets `304 Not Modified` without a body when nothing changed. Evaluation
+ * follows RFC 9110 section 13.2.2: If-None-Match (weak comparison) takes
+ * precedence, If-Modified-Since is only used when If-None-Match is absent.
+ *
+ * Cache-Control is set per route by middlewares/cache.middleware.js.
+ */
+import crypto from 'node:crypto';
+
+/**
+ * Hash of the JSON serialization of a value.
+ * @param {*} value
+ * @returns {string}
+ */
+const hashValue = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url');
+
+/**
+ * Builds a weak ETag from the JSON serialization of a value.
+ * @param {*} value
+ * @returns {string} e.g. W/"Yk3cC9..."
+ */
+export const weakETag = (value) => `W/"${hashValue(value)}"`;
+
+/**
+ * Builds the strong ETag of a versioned document's representation: the version, so that
+ * If-Match can be checked against it (utils/etag.utils.js), and a hash of the body.
+ * @param {number} version
+ * @param {*} value - Response body
+ * @returns {string} e.g. "3-Yk3cC9..."
+ */
+export const versionedETag = (version, value) => `"${version ?? 1}-${hashValue(value)}"`;
+
+/**
+ * Latest of several dates, for a Last-Modified covering every part of a response.
+ * @param {...(Date|null|undefined)} dates - Missing dates are skipped
+ * @returns {Date|undefined} undefined when no date is set
+ */
+export const latestDate = (...dates) => {
+  const times = dates.filter(Boolean).map((date) => date.getTime());
+  return times.length ? new Date(Math.max(...times)) : undefined;
+};
+
+/**
+ * Strips the weak indicator so tags can be compared with the weak comparison function.
+ * @param {string} tag
+ * @returns {string}
+ */
+const opaqueTag = (tag) => tag.trim().replace(/^W\//, '');
+
+/**
+ * Whether the client's cached copy is still current.
+ *
+ * @param {import('express').Request} req
+ * @param {{ etag?: string, lastModified?: Date }} validators - Validators of the current representation
+ * @returns {boolean}
+ */
+export const isNotModified = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    if (!etag) return false;
+    return ifNoneMatch.split(',').some((tag) => opaqueTag(tag) === opaqueTag(etag));
+  }
+
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    if (Number.isNaN(since)) return false;
+    // HTTP dates have a one second resolution
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+};
+
+/**
+ * Sends a 200 JSON response with validators, or an empty 304 when the client's copy is current.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Object} body - Response body
+ * @param {{ etag?: string, lastModified?: Date }} validators - Defaults to a weak ETag of the body
+ */
+export const sendConditional = (req, res, body, { etag = weakETag(body), lastModified } = {}) => {
+  res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+
+  if ((req.method === 'GET' || req.method === 'HEAD') && isNotModified(req, { etag, lastModified })) {
+    res.status(304).end();
+    return;
+  }
+  res.status(200).json(body);
+};
@@ -0,0 +1,137 @@
+/**
+ * Parsing of bulk imports (POST /posts/import).
+ *
+ * @module utils/import.utils
+ *
+ * @description
+ * An import is the request body: a JSON array of posts (application/json) or a
+ * CSV file (text/csv) whose header row names the fields. Both are turned into
+ * one plain object per post, which the controller validates like a POST /create
+ * body.
+ *
+ * CSV follows RFC 4180 like exports (utils/export.utils.js), and an export can
+ * be imported back: columns that are not post fields (_id, slug, createdAt...)
+ * are ignored, empty cells are left out, tags are separated with ";", and the
+ * apostrophe exports put before formula-like cells is removed again.
+ */
+import { IMPORT_LIMITS } from '../config/constants.js';
+import { BadRequestError, PayloadTooLargeError, UnsupportedMediaTypeError } from './errors.js';
+
+const ESCAPED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+/** Conversion of the CSV cells that are not strings. */
+const CSV_FIELD_PARSERS = Object.freeze({
+  // Anything that is not a number is left to the validation to report
+  age: (value) => (Number.isNaN(Number(value)) ? value : Number(value)),
+  tags: (value) => value.split(';').map((tag) => tag.trim()).filter(Boolean),
+});
+
+/**
+ * Splits CSV text into rows of cells. Quoted cells may contain commas, quotes
+ * ("" for one) and line breaks; lines may end with CRLF or LF.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {BadRequestError} 400 INVALID_CSV when a quoted cell is never closed
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 0;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char !== '"') {
+        if (char === '\n') line += 1;
+        cell += char;
+      } else if (source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      line += 1;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new BadRequestError(`Unterminated quoted cell starting on line ${quoteLine}`, undefined, 'INVALID_CSV');
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Posts of a CSV import, one object per line after the header. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {Object[]} Posts with the cells of their line, keyed by column
+ * @throws {BadRequestError} 400 INVALID_CSV
+ */
+export const csvToPosts = (text) => {
+  const [header = [], ...lines] = parseCsv(text).filter((cells) => cells.some((cell) => cell.trim() !== ''));
+  const columns = header.map((column) => column.trim());
+
+  return lines.map((cells) => {
+    const post = {};
+    columns.forEach((column, index) => {
+      const value = cells[index]?.trim().replace(ESCAPED_FORMULA, '');
+      if (!column || !value) return;
+      post[column] = CSV_FIELD_PARSERS[column] ? CSV_FIELD_PARSERS[column](value) : value;
+    });
+    return post;
+  });
+};
+
+/**
+ * Posts sent to the import endpoint.
+ *
+ * @param {import('express').Request} req - Request whose body was parsed by express.json / express.text
+ * @returns {Array<*>} One entry per post, not validated yet
+ * @throws {UnsupportedMediaTypeError} 415 when the body is neither JSON nor CSV
+ * @throws {BadRequestError} 400 INVALID_IMPORT / INVALID_CSV
+ * @throws {PayloadTooLargeError} 413 TOO_MANY_ROWS
+ */
+export const readImportedPosts = (req) => {
+  let posts;
+  if (req.is('text/csv')) {
+    posts = csvToPosts(typeof req.body === 'string' ? req.body : '');
+  } else if (req.is('application/json')) {
+    if (!Array.isArray(req.body)) {
+      throw new BadRequestError('Expected a JSON array of posts', undefined, 'INVALID_IMPORT');
+    }
+    posts = req.body;
+  } else {
+    throw new UnsupportedMediaTypeError('Expected a text/csv or application/json body');
+  }
+
+  if (!posts.length) {
+    throw new BadRequestError('The import contains no posts', undefined, 'INVALID_IMPORT');
+  }
+  if (posts.length > IMPORT_LIMITS.MAX_ROWS) {
+    throw new PayloadTooLargeError(`An import cannot contain more than ${IMPORT_LIMITS.MAX_ROWS} posts`, 'TOO_MANY_ROWS');
+  }
+  return posts;
+};
@@ -0,0 +1,98 @@
+/**
+ * Markdown rendering of post descriptions.
+ *
+ * @module utils/markdown.utils
+ * @requires markdown-it
+ * @requires sanitize-html
+ *
+ * @description
+ * Descriptions are written in Markdown (GitHub flavored). The controllers store
+ * the rendered HTML next to the source (Post.descriptionHtml) whenever the
+ * description is written, and the read endpoints return the representation asked
+ * for with `format` (DESCRIPTION_FORMATS in config/constants.js).
+ *
+ * Markdown lets authors write raw HTML, so the rendered HTML is sanitized with an
+ * allowlist: unknown tags are dropped (script and style with their content), no
+ * attribute outside the list survives (event handlers; styles other than table
+ * column alignment), and links and
+ * images only keep http(s) / mailto URLs (no javascript: or data:).
+ */
+import MarkdownIt from 'markdown-it';
+import sanitizeHtml from 'sanitize-html';
+
+const markdown = new MarkdownIt({ html: true });
+
+/** What rendered descriptions may contain. */
+const SANITIZE_OPTIONS = Object.freeze({
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'em', 'strong', 'del', 's', 'ul', 'ol', 'li', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style'],
+    code: ['class'],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  // Table column alignment
+  allowedStyles: {
+    '*': { 'text-align': [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  // Links point outside the site: no ranking credit, no access to the opener
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc noopener' }),
+  },
+});
+
+const TEXT_OPTIONS = Object.freeze({ allowedTags: [], allowedAttributes: {} });
+
+const ENTITIES = Object.freeze({ '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" });
+
+/**
+ * Renders Markdown to sanitized HTML.
+ * @param {string} source - Markdown
+ * @returns {string} HTML safe to insert in a page
+ */
+export const renderMarkdown = (source) => sanitizeHtml(markdown.render(source ?? ''), SANITIZE_OPTIONS);
+
+/**
+ * Plain text of a Markdown document: the rendered text without markup, one blank
+ * line between blocks at most.
+ * @param {string} source - Markdown
+ * @returns {string}
+ */
+export const markdownToText = (source) =>
+  sanitizeHtml(renderMarkdown(source), TEXT_OPTIONS)
+    .replace(/&(?:amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Puts the requested representation of a post's description in `description`
+ * and drops descriptionHtml. Posts written before descriptions were rendered
+ * have no descriptionHtml and are rendered on the fly.
+ *
+ * @param {Object} post - Lean post, modified in place (description may be projected out)
+ * @param {string} [format='markdown'] - One of DESCRIPTION_FORMATS
+ * @returns {Object} The same post
+ */
+export const formatDescription = (post, format = 'markdown') => {
+  if (typeof post.description === 'string') {
+    if (format === 'html') {
+      post.description = post.descriptionHtml ?? renderMarkdown(post.description);
+    } else if (format === 'text') {
+      post.description = markdownToText(post.description);
+    }
+  }
+  delete post.descriptionHtml;
+  return post;
+};
@@ -0,0 +1,106 @@
+/**
+ * File type detection and image dimensions.
+ *
+ * @module utils/media.utils
+ *
+ * @description
+ * The type of an uploaded file is read from its first bytes ("magic numbers"),
+ * not from its name or the Content-Type sent by the client, which are both
+ * chosen by the client. Only the formats in ATTACHMENT_TYPES are recognized.
+ * Image dimensions are read from the image headers, so no image library is
+ * needed; they are null when the header is not within the bytes given.
+ */
+
+/** Signatures of the recognized formats: bytes expected at an offset. */
+const SIGNATURES = [
+  { mimeType: 'image/png', bytes: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+  { mimeType: 'image/jpeg', bytes: [[0, [0xff, 0xd8, 0xff]]] },
+  { mimeType: 'image/gif', bytes: [[0, [...Buffer.from('GIF87a')]]] },
+  { mimeType: 'image/gif', bytes: [[0, [...Buffer.from('GIF89a')]]] },
+  { mimeType: 'image/webp', bytes: [[0, [...Buffer.from('RIFF')]], [8, [...Buffer.from('WEBP')]]] },
+  { mimeType: 'application/pdf', bytes: [[0, [...Buffer.from('%PDF-')]]] },
+];
+
+/** JPEG start-of-frame markers, which carry the image size (not DHT 0xc4, JPG 0xc8, DAC 0xcc). */
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+/** JPEG markers without a length field. */
+const JPEG_STANDALONE_MARKERS = new Set([0x01, 0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8]);
+
+/**
+ * Identifies a file from its first bytes.
+ * @param {Buffer} head - Start of the file (16 bytes are enough)
+ * @returns {string|null} MIME type, null when the format is not recognized
+ */
+export const sniffMimeType = (head) => {
+  const match = SIGNATURES.find(({ bytes }) =>
+    bytes.every(([offset, expected]) => expected.every((byte, index) => head[offset + index] === byte))
+  );
+  return match ? match.mimeType : null;
+};
+
+/**
+ * Reads the size of a JPEG from its first start-of-frame segment.
+ * @param {Buffer} head
+ * @returns {{ width: number, height: number }|null}
+ */
+const jpegDimensions = (head) => {
+  let offset = 2;
+  while (offset + 9 < head.length) {
+    if (head[offset] !== 0xff) return null;
+    const marker = head[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      offset += 1;
+    } else if (JPEG_STANDALONE_MARKERS.has(marker)) {
+      offset += 2;
+    } else if (JPEG_SOF_MARKERS.has(marker)) {
+      return { height: head.readUInt16BE(offset + 5), width: head.readUInt16BE(offset + 7) };
+    } else {
+      offset += 2 + head.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads the size of a WebP image from its first chunk (lossy, lossless or extended).
+ * @param {Buffer} head
+ * @returns {{ width: number, height: number }|null}
+ */
+const webpDimensions = (head) => {
+  if (head.length < 30) return null;
+  switch (head.toString('latin1', 12, 16)) {
+    case 'VP8 ':
+      return { width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = head.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Reads the pixel size of an image.
+ * @param {Buffer} head - Start of the file. JPEG headers can be large: pass up to the first 256 KiB.
+ * @param {string} mimeType - Type returned by sniffMimeType
+ * @returns {{ width: number, height: number }|null} null for other types or when the size was not found
+ */
+export const imageDimensions = (head, mimeType) => {
+  switch (mimeType) {
+    case 'image/png':
+      return head.length >= 24 ? { width: head.readUInt32BE(16), height: head.readUInt32BE(20) } : null;
+    case 'image/gif':
+      return head.length >= 10 ? { width: head.readUInt16LE(6), height: head.readUInt16LE(8) } : null;
+    case 'image/jpeg':
+      return jpegDimensions(head);
+    case 'image/webp':
+      return webpDimensions(head);
+    default:
+      return null;
+  }
+};
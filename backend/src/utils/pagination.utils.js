@@ -0,0 +1,135 @@
+/**
+ * Cursor (keyset) pagination for list endpoints.
+ *
+ * @module utils/pagination.utils
+ * @requires mongoose
+ * @requires ../utils/errors
+ *
+ * @description
+ * Instead of skipping N documents, a cursor remembers the sort key values of
+ * the last (or first) document of a page and the next query asks for the
+ * documents strictly after (or before) it. This stays fast on large
+ * collections and does not produce duplicates or gaps when documents are
+ * inserted between page loads.
+ *
+ * _id is always appended to the sort as a tie-breaker so the order is total.
+ * Sort keys may be null or missing (e.g. publishedAt of drafts): MongoDB sorts
+ * those before every value, and the cursor filter follows that order.
+ * Cursors are opaque to clients: base64url encoded Extended JSON (so dates
+ * and ObjectIds survive the round trip) holding the sort they were created
+ * for and the key values. A cursor used with a different sort is rejected
+ * with 400 INVALID_CURSOR.
+ */
+import mongoose from 'mongoose';
+import { BadRequestError } from './errors.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Appends _id to a sort spec (with the direction of the last key) unless it is already present.
+ * @param {Object} sort - Mongoose sort object, e.g. { createdAt: -1 }
+ * @returns {Object}
+ */
+export const withTieBreaker = (sort) => {
+  if ('_id' in sort) return sort;
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length ? directions[directions.length - 1] : 1 };
+};
+
+/**
+ * Describes a sort spec as a string, used to check that a cursor belongs to the current sort.
+ * @param {Object} sort
+ * @returns {string}
+ */
+const sortSignature = (sort) => Object.entries(sort).map(([key, direction]) => `${key}:${direction}`).join(',');
+
+/**
+ * Encodes the position of a document in a sorted list.
+ *
+ * @param {Object} doc - Document containing every sort key
+ * @param {Object} sort - Sort spec including the _id tie-breaker
+ * @returns {string} Opaque cursor
+ */
+export const encodeCursor = (doc, sort) => {
+  const payload = { s: sortSignature(sort), v: Object.keys(sort).map((key) => doc[key] ?? null) };
+  return Buffer.from(EJSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor for the same sort.
+ *
+ * @param {string} cursor
+ * @param {Object} sort - Sort spec including the _id tie-breaker
+ * @returns {Array<*>} Sort key values, in sort order
+ * @throws {BadRequestError} 400 INVALID_CURSOR when the cursor is malformed or was created for another sort
+ */
+export const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new BadRequestError('Invalid cursor', undefined, 'INVALID_CURSOR');
+  }
+
+  const keyCount = Object.keys(sort).length;
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== keyCount) {
+    throw new BadRequestError('Invalid cursor', undefined, 'INVALID_CURSOR');
+  }
+  if (payload.s !== sortSignature(sort)) {
+    throw new BadRequestError('Cursor does not match the requested sort', undefined, 'INVALID_CURSOR');
+  }
+  return payload.v;
+};
+
+/**
+ * Condition on a sort key selecting the values strictly above ($gt) or below ($lt) a
+ * value, in MongoDB's sort order where null and missing values come first.
+ * @param {string} key
+ * @param {*} value - null for a null or missing value
+ * @param {'$gt'|'$lt'} operator
+ * @returns {Object|null} Filter, null when no value qualifies (below null)
+ */
+const beyondCondition = (key, value, operator) => {
+  if (value === null) return operator === '$gt' ? { [key]: { $ne: null } } : null;
+  if (operator === '$gt') return { [key]: { $gt: value } };
+  // _id is never null
+  if (key === '_id') return { _id: { $lt: value } };
+  return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+/**
+ * Builds the filter selecting documents strictly after (or before) a position.
+ *
+ * For sort { a: 1, _id: 1 } and position (x, y), "after" is:
+ *   { $or: [{ a: { $gt: x } }, { a: x, _id: { $gt: y } }] }
+ * with nulls placed first: "before" x also matches a: null, and "after" null is a: { $ne: null }.
+ *
+ * @param {Object} sort - Sort spec including the _id tie-breaker
+ * @param {Array<*>} values - Decoded cursor values
+ * @param {'after'|'before'} direction
+ * @returns {Object} Mongo filter
+ */
+export const buildCursorFilter = (sort, values, direction) => {
+  const keys = Object.keys(sort);
+
+  const clauses = keys.flatMap((key, index) => {
+    const forward = sort[key] === 1 ? direction === 'after' : direction === 'before';
+    const beyond = beyondCondition(key, values[index] ?? null, forward ? '$gt' : '$lt');
+    if (!beyond) return [];
+    const clause = {};
+    for (let previous = 0; previous < index; previous += 1) {
+      clause[keys[previous]] = values[previous];
+    }
+    return [{ ...clause, ...beyond }];
+  });
+
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+/**
+ * Reverses every direction of a sort spec (used to read the page before a cursor).
+ * @param {Object} sort
+ * @returns {Object}
+ */
+export const reverseSort = (sort) =>
+  Object.fromEntries(Object.entries(sort).map(([key, direction]) => [key, -direction]));
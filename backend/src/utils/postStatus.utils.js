@@ -0,0 +1,97 @@
+/**
+ * Post lifecycle and visibility helpers.
+ *
+ * @module utils/postStatus.utils
+ *
+ * @description
+ * A post is a draft, scheduled, published or archived (POST_STATUSES in
+ * config/constants.js). Only published posts are visible to everyone; the
+ * others are only visible to their author. Posts written before statuses
+ * existed have no status and count as published.
+ *
+ * Published posts are then public, unlisted or private (POST_VISIBILITIES):
+ * public posts are listed to everyone, anonymous visitors included; unlisted
+ * ones are not listed but can be read by anyone reaching them by id or slug;
+ * private ones are only visible to their author. Posts written before
+ * visibilities existed have none and count as public. Moderators and admins,
+ * who may modify any post, reach the unpublished and private posts of others
+ * when managing them (manageableBy), but do not see them in listings.
+ *
+ * Transitions:
+ *   draft / archived  --publish-->            published (or scheduled with publishAt)
+ *   scheduled         --publish-->            published now, or rescheduled
+ *   scheduled         --publishAt reached-->  published (jobs/publishScheduler.job.js)
+ *   any but draft     --unpublish-->          draft
+ *   any but archived  --archive-->            archived
+ */
+import { hasPermission, PERMISSIONS } from '../config/roles.js';
+
+/**
+ * Effective status of a post.
+ * @param {Object} post
+ * @returns {string}
+ */
+export const postStatus = (post) => post.status ?? 'published';
+
+/**
+ * Filter matching the posts with a status.
+ * @param {string} status - One of POST_STATUSES
+ * @returns {Object} Mongo filter
+ */
+export const statusFilter = (status) =>
+  status === 'published' ? { status: { $in: ['published', null] } } : { status };
+
+/**
+ * Filter matching the posts with a visibility.
+ * @param {string} visibility - One of POST_VISIBILITIES
+ * @returns {Object} Mongo filter
+ */
+export const visibilityFilter = (visibility) =>
+  visibility === 'public' ? { visibility: { $in: ['public', null] } } : { visibility };
+
+/**
+ * Filter matching the posts listed to everyone: published and public.
+ * @returns {Object} Mongo filter
+ */
+export const listedFilter = () => ({ ...statusFilter('published'), ...visibilityFilter('public') });
+
+/**
+ * Filter matching the posts a user may see: their own, and the published posts of
+ * others that are public, or unlisted when reached directly (by id or slug).
+ *
+ * @param {Object|undefined} user - Authenticated user (req.user), undefined for anonymous visitors
+ * @param {Object} [options]
+ * @param {boolean} [options.listing=false] - Whether the posts are listed (unlisted posts left out)
+ * @returns {Object} Mongo filter
+ */
+export const visibleTo = (user, { listing = false } = {}) => {
+  const open = listing
+    ? listedFilter()
+    : { ...statusFilter('published'), visibility: { $in: ['public', 'unlisted', null] } };
+  return user ? { $or: [open, { author: user._id }] } : open;
+};
+
+/**
+ * Filter matching the posts a user may manage (update, delete, publish, roll back...):
+ * every post for roles allowed to modify any post, the posts visible to them otherwise.
+ * Whether the user may then modify the post is checked separately.
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} Mongo filter
+ */
+export const manageableBy = (user) =>
+  hasPermission(user.role, PERMISSIONS.POST_UPDATE_ANY) || hasPermission(user.role, PERMISSIONS.POST_DELETE_ANY)
+    ? {}
+    : visibleTo(user);
+
+/**
+ * Fields to write when a post is published, now or at a later date.
+ *
+ * @param {Date|null} publishAt - Requested publication date, null for now
+ * @param {Date} [now=new Date()]
+ * @returns {Object} { status, publishAt, publishedAt }
+ */
+export const publishUpdate = (publishAt, now = new Date()) =>
+  publishAt && publishAt > now
+    ? { status: 'scheduled', publishAt, publishedAt: null }
+    : { status: 'published', publishAt: null, publishedAt: now };
@@ -0,0 +1,160 @@
+/**
+ * Safe query building for list endpoints.
+ *
+ * @module utils/query.utils
+ * @requires ../utils/errors
+ * @requires ../utils/search.utils
+ * @requires ../utils/filter.utils
+ *
+ * @description
+ * Turns user supplied list parameters (q, searchMode, sort, fields and
+ * field[operator] filters) into
+ * Mongoose filter / sort / projection objects without ever passing raw input
+ * to Mongo:
+ * - the search term is parsed into words, "phrases" and -excluded words
+ *   (see utils/search.utils.js). In regex mode each one is regex-escaped, so
+ *   input like "(a+)+$" is matched literally instead of being compiled; in
+ *   text mode it is handed to $text, which does not interpret regexes
+ * - sort keys, projected and filtered fields must belong to an allowlist
+ *   derived from the model schema (see schemaFields); anything else is
+ *   rejected with 400 INVALID_QUERY and an explanation listing the allowed values
+ * - filters only accept allowlisted operators and schema-typed values
+ *   (see utils/filter.utils.js)
+ */
+import { BadRequestError } from './errors.js';
+import { buildRegexSearchFilter, hasSearchTerms, parseSearch } from './search.utils.js';
+import { parseFilters } from './filter.utils.js';
+
+const FIELD_LIST_SEPARATOR = /[\s,]+/;
+
+/**
+ * Lists the top-level paths of a Mongoose schema that clients may sort on or project.
+ * Internal paths (starting with "__") and paths declared with `select: false` are excluded.
+ *
+ * @param {import('mongoose').Schema} schema
+ * @param {{ exclude?: string[] }} [options] - Additional paths to leave out
+ * @returns {string[]}
+ */
+export const schemaFields = (schema, { exclude = [] } = {}) => {
+  return Object.entries(schema.paths)
+    .filter(([path, schemaType]) =>
+      !path.startsWith('__') &&
+      !path.includes('.') &&
+      schemaType.options.select !== false &&
+      !exclude.includes(path))
+    .map(([path]) => path);
+};
+
+/**
+ * Splits a comma/space separated list of field names.
+ * @param {string} value
+ * @returns {string[]}
+ */
+const splitList = (value) => String(value).split(FIELD_LIST_SEPARATOR).filter(Boolean);
+
+/**
+ * Parses a sort expression such as "-createdAt,name" into a Mongoose sort object.
+ *
+ * @param {string} sort - Comma or space separated field names, "-" prefix for descending
+ * @param {string[]} allowed - Sortable fields
+ * @returns {{ sort: Object, errors: Array<{ field: string, message: string }> }}
+ */
+export const parseSort = (sort, allowed) => {
+  const result = {};
+  const errors = [];
+
+  for (const token of splitList(sort)) {
+    const descending = token.startsWith('-');
+    const field = token.replace(/^[-+]/, '');
+    if (!allowed.includes(field)) {
+      errors.push({ field: 'sort', message: `Cannot sort by "${field}". Allowed: ${allowed.join(', ')}` });
+      continue;
+    }
+    result[field] = descending ? -1 : 1;
+  }
+
+  return { sort: result, errors };
+};
+
+/**
+ * Parses a list of fields to return into a Mongoose inclusion projection.
+ *
+ * @param {string} fields - Comma or space separated field names
+ * @param {string[]} allowed - Projectable fields
+ * @returns {{ projection: Object|null, errors: Array<{ field: string, message: string }> }}
+ */
+export const parseProjection = (fields, allowed) => {
+  const projection = {};
+  const errors = [];
+
+  for (const field of splitList(fields)) {
+    if (!allowed.includes(field)) {
+      errors.push({ field: 'fields', message: `Unknown field "${field}". Allowed: ${allowed.join(', ')}` });
+      continue;
+    }
+    projection[field] = 1;
+  }
+
+  return { projection: Object.keys(projection).length ? projection : null, errors };
+};
+
+/**
+ * Builds filter, sort and projection for a list endpoint.
+ *
+ * In text mode results are ranked by relevance (`score`, exposed in the projection)
+ * unless an explicit `sort` is given; the default sort breaks ties.
+ *
+ * @param {Object} query - Validated request query ({ q, searchMode, sort, fields, 'field[op]'... })
+ * @param {Object} options
+ * @param {string[]} options.allowedFields - Fields that may be projected
+ * @param {string[]} [options.sortFields=allowedFields] - Fields that may be sorted on
+ * @param {string[]} options.searchFields - Fields searched by `q` in regex mode
+ * @param {Object<string, string>} [options.filterFields={}] - Filterable fields and their types (schemaFieldTypes)
+ * @param {string} options.defaultSort - Sort used when `sort` is absent
+ * @param {string} [options.defaultSearchMode='regex'] - One of SEARCH_MODES (config/constants.js), used when `searchMode` is absent
+ * @returns {{ filter: Object, sort: Object, projection: Object|null, search: Object|null, searchMode: string|null }}
+ *   `search` is the parsed search (for highlighting) and `searchMode` the mode used, both null without `q`
+ * @throws {BadRequestError} 400 INVALID_QUERY listing every disallowed sort key, field or filter
+ */
+export const buildListQuery = (query, {
+  allowedFields,
+  sortFields = allowedFields,
+  searchFields,
+  filterFields = {},
+  defaultSort,
+  defaultSearchMode = 'regex',
+}) => {
+  const { q, sort, fields } = query;
+
+  const sortResult = parseSort(sort || defaultSort, sortFields);
+  const projectionResult = fields ? parseProjection(fields, allowedFields) : { projection: null, errors: [] };
+  const filterResult = parseFilters(query, filterFields);
+  const errors = [...sortResult.errors, ...projectionResult.errors, ...filterResult.errors];
+
+  if (errors.length) {
+    throw new BadRequestError('Invalid query parameters', errors, 'INVALID_QUERY');
+  }
+
+  const { filter } = filterResult;
+  let sortSpec = sortResult.sort;
+  let { projection } = projectionResult;
+  const search = q ? parseSearch(q) : null;
+  const searchMode = search && hasSearchTerms(search) ? query.searchMode || defaultSearchMode : null;
+
+  if (searchMode === 'text') {
+    filter.$text = { $search: q };
+    const score = { $meta: 'textScore' };
+    projection = { ...projection, score };
+    if (!sort) sortSpec = { score, ...sortSpec };
+  } else if (searchMode === 'regex') {
+    Object.assign(filter, buildRegexSearchFilter(search, searchFields));
+  }
+
+  return {
+    filter,
+    sort: sortSpec,
+    projection,
+    search: searchMode ? search : null,
+    searchMode,
+  };
+};
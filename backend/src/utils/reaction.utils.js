@@ -0,0 +1,97 @@
+/**
+ * Post reaction helpers.
+ *
+ * @module utils/reaction.utils
+ * @requires ../models/reaction.model
+ * @requires ../models/post.model
+ *
+ * @description
+ * A reaction is a Reaction document (unique per post, user and type) plus one
+ * unit in Post.reactionCounts. Toggling changes the counter only after the
+ * insert or delete of the document succeeded, so concurrent toggles cannot
+ * count a reaction twice or drive a counter below the number of documents.
+ */
+import Reaction from '../models/reaction.model.js';
+import { Post } from '../models/post.model.js';
+import { REACTION_TYPES } from '../config/constants.js';
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Complete reaction counters: every type is present, missing ones count 0
+ * (posts created before reactions existed have no counters).
+ * @param {Object} [counts]
+ * @returns {Object<string, number>}
+ */
+export const fillReactionCounts = (counts = {}) =>
+  Object.fromEntries(REACTION_TYPES.map((type) => [type, counts?.[type] ?? 0]));
+
+/**
+ * Adds reactionCounts and reactedByMe (the types the user reacted with) to lean posts.
+ *
+ * @async
+ * @param {Object[]} posts - Lean posts, modified in place
+ * @param {*} [userId] - Authenticated user, undefined for anonymous visitors (reactedByMe is empty)
+ * @param {Object} [options]
+ * @param {boolean} [options.counts=true] - Whether to complete reactionCounts (false when the
+ *   client projected it out)
+ * @returns {Promise<Object[]>} The same posts
+ */
+export const attachReactions = async (posts, userId, { counts = true } = {}) => {
+  if (!posts.length) return posts;
+
+  const reactions = userId
+    ? await Reaction.find({ post: { $in: posts.map((post) => post._id) }, user: userId })
+      .select('post type')
+      .lean()
+    : [];
+  const byPost = new Map();
+  for (const { post, type } of reactions) {
+    byPost.set(String(post), [...(byPost.get(String(post)) || []), type]);
+  }
+
+  for (const post of posts) {
+    if (counts) post.reactionCounts = fillReactionCounts(post.reactionCounts);
+    post.reactedByMe = REACTION_TYPES.filter((type) => byPost.get(String(post._id))?.includes(type));
+  }
+  return posts;
+};
+
+/**
+ * Post update adjusting a reaction counter. Like comments, reactions leave the post's
+ * version and updatedAt alone; activityAt records the change for the Last-Modified of reads.
+ * @param {string} counter - e.g. "reactionCounts.like"
+ * @param {number} delta - 1 or -1
+ * @returns {Object}
+ */
+const countReaction = (counter, delta) => ({ $inc: { [counter]: delta }, $set: { activityAt: new Date() } });
+
+/**
+ * Adds the user's reaction of a type to a post, or removes it if present.
+ *
+ * @async
+ * @param {*} postId
+ * @param {*} userId
+ * @param {string} type - One of REACTION_TYPES
+ * @returns {Promise<boolean>} Whether the user has the reaction after the toggle
+ */
+export const toggleReaction = async (postId, userId, type) => {
+  const reaction = { post: postId, user: userId, type };
+  const counter = `reactionCounts.${type}`;
+
+  const { deletedCount } = await Reaction.deleteOne(reaction);
+  if (deletedCount) {
+    await Post.updateOne({ _id: postId }, countReaction(counter, -1), { timestamps: false });
+    return false;
+  }
+
+  try {
+    await Reaction.create(reaction);
+  } catch (error) {
+    // A concurrent toggle added it first and counted it
+    if (error.code === DUPLICATE_KEY) return true;
+    throw error;
+  }
+  await Post.updateOne({ _id: postId }, countReaction(counter, 1), { timestamps: false });
+  return true;
+};
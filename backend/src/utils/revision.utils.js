@@ -0,0 +1,132 @@
+/**
+ * Post revision helpers.
+ *
+ * @module utils/revision.utils
+ * @requires ../models/postRevision.model
+ *
+ * @description
+ * Revisions store a snapshot of the tracked fields after each change plus the
+ * previous values of the fields that changed (see models/postRevision.model.js).
+ * Comparing two revisions is a field-level diff of their snapshots, and
+ * rolling back means writing a snapshot back to the post.
+ *
+ * Tracked fields are the content (name, description, age), the taxonomy
+ * (tags, category) and the visibility. Revisions recorded before a field was
+ * tracked have no value for it: diffs leave such fields out, and rolling back
+ * to them leaves the field as it is.
+ */
+import { isDeepStrictEqual } from 'node:util';
+import PostRevision from '../models/postRevision.model.js';
+
+const DUPLICATE_KEY = 11000;
+const MAX_ATTEMPTS = 5;
+
+/** Post fields whose changes are tracked. */
+export const REVISION_FIELDS = Object.freeze(['name', 'description', 'age', 'tags', 'category', 'visibility']);
+
+/**
+ * Extracts the tracked fields of a post, arrays copied out of the document.
+ * @param {Object} post - Post document or plain object
+ * @returns {Object} { name, description, age, tags, category, visibility }
+ */
+export const pickRevisionFields = (post) =>
+  Object.fromEntries(
+    REVISION_FIELDS.map((field) => [field, Array.isArray(post[field]) ? [...post[field]] : post[field] ?? null])
+  );
+
+/**
+ * Field-level diff of two snapshots. Fields only one of them has (not tracked yet when
+ * the other was recorded) are not compared.
+ *
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Array<{ field: string, from: *, to: * }>} One entry per field whose value differs
+ */
+export const diffSnapshots = (from, to) => {
+  const fields = Object.keys(to).filter((field) => field in from);
+  return fields
+    .filter((field) => !isDeepStrictEqual(from[field] ?? null, to[field] ?? null))
+    .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+};
+
+/**
+ * Whether an error is a duplicate key error on a revision number.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isNumberConflict = (error) => error?.code === DUPLICATE_KEY && Boolean(error.keyPattern?.number);
+
+/**
+ * Appends a revision for a change to a post. Nothing is recorded when no tracked
+ * field changed.
+ *
+ * Posts created before revisions were tracked have no history; their state
+ * before the first change is stored as revision 1 so it can be rolled back to.
+ *
+ * The number is the next one after the latest revision. The post write has already
+ * committed, so when a concurrent change to the same post takes that number first the
+ * revision is numbered again rather than failing the request.
+ *
+ * @async
+ * @param {Object} params
+ * @param {Object|null} params.before - Post before the change, null on creation
+ * @param {Object} params.after - Post after the change
+ * @param {string} params.editor - Id of the user who made the change
+ * @param {'create'|'update'|'rollback'|'tag-rename'|'tag-merge'} params.action
+ * @param {number} [params.rolledBackTo] - Restored revision number, for rollbacks
+ * @returns {Promise<Object|null>} The created revision, or null when nothing changed
+ */
+export const recordRevision = async ({ before, after, editor, action, rolledBackTo = null }) => {
+  const snapshot = pickRevisionFields(after);
+  const changes = before ? diffSnapshots(pickRevisionFields(before), snapshot) : [];
+  if (before && !changes.length) return null;
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      let last = await PostRevision.findOne({ post: after._id }).sort({ number: -1 }).lean();
+      if (!last && before) {
+        last = await PostRevision.create({
+          post: after._id,
+          number: 1,
+          action: 'create',
+          editor: before.author ?? null,
+          snapshot: pickRevisionFields(before),
+        });
+      }
+
+      return await PostRevision.create({
+        post: after._id,
+        number: last ? last.number + 1 : 1,
+        action,
+        editor,
+        changedFields: changes.map((change) => change.field),
+        previous: Object.fromEntries(changes.map((change) => [change.field, change.from])),
+        snapshot,
+        rolledBackTo,
+      });
+    } catch (error) {
+      if (!isNumberConflict(error) || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Records revision 1 of several posts created at once (bulk import).
+ *
+ * @async
+ * @param {Object[]} posts - The created posts
+ * @param {string} editor - Id of the user who created them
+ * @returns {Promise<Object[]>} The created revisions
+ */
+export const recordCreations = async (posts, editor) => {
+  if (!posts.length) return [];
+  return PostRevision.insertMany(
+    posts.map((post) => ({
+      post: post._id,
+      number: 1,
+      action: 'create',
+      editor,
+      snapshot: pickRevisionFields(post),
+    }))
+  );
+};
@@ -0,0 +1,180 @@
+/**
+ * Search term parsing and result highlighting.
+ *
+ * @module utils/search.utils
+ *
+ * @description
+ * Search input follows the MongoDB $text syntax, which is also what users
+ * expect from most search boxes:
+ * - words are combined with AND (regex mode) / ranked by relevance (text mode)
+ * - "quoted phrases" must appear as-is
+ * - -word excludes documents containing the word
+ *
+ * parseSearch splits the input once so both search modes and the highlighter
+ * agree on what was searched for. Highlighting wraps matches in <mark> tags;
+ * the surrounding text is HTML-escaped so snippets can be rendered directly.
+ */
+/** Maximum number of words and phrases taken into account by a search. */
+export const MAX_SEARCH_TERMS = 10;
+
+/** Length of the snippet generated for long fields, in characters. */
+export const SNIPPET_LENGTH = 160;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const TOKEN_PATTERN = /(-?)"([^"]*)"|(\S+)/g;
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+/**
+ * Escapes every RegExp metacharacter so the string is matched literally.
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Splits a search string into words, phrases and excluded words.
+ *
+ * @example
+ * parseSearch('node "express router" -deprecated')
+ * // => { terms: ['node'], phrases: ['express router'], excluded: ['deprecated'] }
+ *
+ * @param {string} q - Raw search input
+ * @returns {{ terms: string[], phrases: string[], excluded: string[] }}
+ */
+export const parseSearch = (q) => {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  for (const match of String(q).matchAll(TOKEN_PATTERN)) {
+    const [, negatedPhrase, phrase, word] = match;
+    if (phrase !== undefined) {
+      const normalized = phrase.trim().replace(/\s+/g, ' ');
+      if (!normalized) continue;
+      (negatedPhrase ? excluded : phrases).push(normalized);
+    } else if (word.startsWith('-')) {
+      if (word.length > 1) excluded.push(word.slice(1));
+    } else {
+      terms.push(word);
+    }
+  }
+
+  return {
+    terms: terms.slice(0, MAX_SEARCH_TERMS),
+    phrases: phrases.slice(0, MAX_SEARCH_TERMS),
+    excluded: excluded.slice(0, MAX_SEARCH_TERMS),
+  };
+};
+
+/**
+ * Whether a parsed search contains anything to look for.
+ * @param {{ terms: string[], phrases: string[] }} search
+ * @returns {boolean}
+ */
+export const hasSearchTerms = (search) => search.terms.length > 0 || search.phrases.length > 0;
+
+/**
+ * Builds a case-insensitive regex filter for a parsed search: every word and
+ * phrase must appear in at least one field, excluded words in none.
+ *
+ * @param {{ terms: string[], phrases: string[], excluded: string[] }} search
+ * @param {string[]} fields - Fields to search in
+ * @returns {Object|null} Mongo filter, or null when there is nothing to search for
+ */
+export const buildRegexSearchFilter = (search, fields) => {
+  if (!hasSearchTerms(search)) return null;
+
+  const anyField = (value) => {
+    const regex = new RegExp(escapeRegex(value), 'i');
+    return fields.map((field) => ({ [field]: regex }));
+  };
+
+  const conditions = [...search.terms, ...search.phrases].map((value) => ({ $or: anyField(value) }));
+  if (search.excluded.length) {
+    conditions.push({ $nor: search.excluded.flatMap(anyField) });
+  }
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Builds the regex used to find matches for highlighting. Words match at the start of a
+ * word and extend to its end, so "run" highlights "running" like the stemmed $text search.
+ *
+ * @param {{ terms: string[], phrases: string[] }} search
+ * @returns {RegExp|null}
+ */
+const highlightPattern = (search) => {
+  const phrases = search.phrases.map((phrase) => phrase.split(' ').map(escapeRegex).join('\\s+'));
+  const words = search.terms.map(escapeRegex);
+  const alternatives = [
+    ...phrases.map((phrase) => `(?<!${WORD_CHAR})${phrase}(?!${WORD_CHAR})`),
+    ...words.map((word) => `(?<!${WORD_CHAR})${word}${WORD_CHAR}*`),
+  ];
+  if (!alternatives.length) return null;
+  // Longest alternatives first so phrases win over the words they contain
+  alternatives.sort((a, b) => b.length - a.length);
+  return new RegExp(alternatives.join('|'), 'giu');
+};
+
+/**
+ * Highlights matches in a text, returning an HTML-escaped snippet around the first match.
+ *
+ * @param {string} text - Field value
+ * @param {RegExp} pattern - Pattern from highlightPattern
+ * @param {number} [maxLength=SNIPPET_LENGTH] - Snippet length for long texts
+ * @returns {string|null} Snippet with <mark> tags, or null when nothing matches
+ */
+export const highlightText = (text, pattern, maxLength = SNIPPET_LENGTH) => {
+  if (typeof text !== 'string' || !pattern) return null;
+
+  const matches = [...text.matchAll(pattern)];
+  if (!matches.length) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    start = Math.max(0, matches[0].index - Math.floor(maxLength / 4));
+    end = Math.min(text.length, start + maxLength);
+    start = Math.max(0, end - maxLength);
+  }
+
+  let snippet = start > 0 ? '…' : '';
+  let cursor = start;
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < cursor) continue;
+    if (matchEnd > end) break;
+    snippet += escapeHtml(text.slice(cursor, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = matchEnd;
+  }
+  snippet += escapeHtml(text.slice(cursor, end));
+  if (end < text.length) snippet += '…';
+
+  return snippet;
+};
+
+/**
+ * Computes highlighted snippets for the searched fields of a document.
+ *
+ * @param {Object} doc - Plain document (lean)
+ * @param {{ terms: string[], phrases: string[] }} search - Parsed search
+ * @param {string[]} fields - Fields to highlight
+ * @returns {Object} { [field]: snippet } for every field with at least one match
+ */
+export const highlightDocument = (doc, search, fields) => {
+  const pattern = highlightPattern(search);
+  const highlights = {};
+  for (const field of fields) {
+    const snippet = highlightText(doc[field], pattern);
+    if (snippet) highlights[field] = snippet;
+  }
+  return highlights;
+};
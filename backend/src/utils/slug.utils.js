@@ -0,0 +1,151 @@
+/**
+ * Post slug generation.
+ *
+ * @module utils/slug.utils
+ * @requires ../models/post.model
+ *
+ * @description
+ * A post's slug is its name turned into a slug (toSlug, the rules of tags and
+ * category slugs), cut to POST_LIMITS.SLUG_MAX_LENGTH. When another post
+ * already uses it, now or as a previous slug, the first free suffix is
+ * appended: "hello-world", "hello-world-2", "hello-world-3", ...
+ * The unique index on Post.slug settles concurrent writes picking the same
+ * slug: the loser gets a duplicate key error and picks again.
+ */
+import { Post } from '../models/post.model.js';
+import { POST_LIMITS } from '../config/constants.js';
+import { escapeRegex } from './search.utils.js';
+import { toSlug } from './tag.utils.js';
+
+const DUPLICATE_KEY = 11000;
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Slug of a name, before collision suffixes.
+ * @param {string} name
+ * @returns {string} "post" when the name has no letters or digits
+ */
+export const slugBase = (name) => toSlug(name, POST_LIMITS.SLUG_MAX_LENGTH) || 'post';
+
+/**
+ * Slugs and previous slugs of other posts built on any of the bases.
+ * @param {string[]} bases
+ * @param {*} [postId=null] - Post whose own slugs are left out
+ * @returns {Promise<Set<string>>}
+ */
+const findTakenSlugs = async (bases, postId = null) => {
+  const pattern = new RegExp(`^(?:${bases.map(escapeRegex).join('|')})(-\\d+)?$`);
+  const posts = await Post.find({ $or: [{ slug: pattern }, { previousSlugs: pattern }] })
+    .select('slug previousSlugs')
+    .lean();
+
+  return new Set(
+    posts
+      .filter((post) => !postId || String(post._id) !== String(postId))
+      .flatMap((post) => [post.slug, ...(post.previousSlugs || [])])
+  );
+};
+
+/**
+ * First slug built on a base that is not taken.
+ * @param {string} base
+ * @param {Set<string>} taken
+ * @returns {string}
+ */
+const firstFreeSlug = (base, taken) => {
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix += 1;
+  return `${base}-${suffix}`;
+};
+
+/**
+ * First slug for a name that no other post uses, as slug or previous slug.
+ *
+ * @async
+ * @param {string} name
+ * @param {*} [postId=null] - Post being renamed; its own slugs are free for it
+ * @returns {Promise<string>}
+ */
+export const findFreeSlug = async (name, postId = null) => {
+  const base = slugBase(name);
+  return firstFreeSlug(base, await findTakenSlugs([base], postId));
+};
+
+/**
+ * Free slugs for several new posts at once (one query), distinct from each other.
+ *
+ * @async
+ * @param {string[]} names
+ * @param {Set<string>} [reserved] - Slugs to avoid as well; the picked slugs are added to it
+ * @returns {Promise<string[]>} One slug per name, in order
+ */
+export const findFreeSlugs = async (names, reserved = new Set()) => {
+  if (!names.length) return [];
+  const bases = names.map(slugBase);
+  const taken = await findTakenSlugs([...new Set(bases)]);
+  for (const slug of reserved) taken.add(slug);
+  return bases.map((base) => {
+    const slug = firstFreeSlug(base, taken);
+    reserved.add(slug);
+    taken.add(slug);
+    return slug;
+  });
+};
+
+/**
+ * Whether an error is a duplicate key error on Post.slug.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isSlugConflict = (error) => error?.code === DUPLICATE_KEY && Boolean(error.keyPattern?.slug);
+
+/**
+ * Writes a post with a free slug, picking another one when a concurrent write took it first.
+ *
+ * @async
+ * @param {string} name - Name the slug is derived from
+ * @param {(slug: string) => Promise<*>} write - Performs the write with the slug
+ * @param {*} [postId=null] - Post being renamed
+ * @returns {Promise<*>} The result of write
+ */
+export const writeWithSlug = async (name, write, postId = null) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const slug = await findFreeSlug(name, postId);
+    try {
+      return await write(slug);
+    } catch (error) {
+      if (!isSlugConflict(error) || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Writes new posts in bulk with free slugs. Posts whose slug a concurrent write took
+ * first get another one and are written again, like writeWithSlug.
+ *
+ * @async
+ * @param {Object[]} posts - Post documents; their slug is set before each write
+ * @param {(posts: Object[]) => Promise<Array<Error|null>>} write - Writes the posts, resolving
+ *   with the error of each one (null when it was written)
+ * @param {Set<string>} [reserved] - See findFreeSlugs
+ * @returns {Promise<Array<Error|null>>} Error of each post, null when it was written
+ */
+export const writeAllWithSlugs = async (posts, write, reserved = new Set()) => {
+  const errors = posts.map(() => null);
+  let pending = posts.map((post, index) => index);
+  for (let attempt = 1; pending.length; attempt += 1) {
+    const slugs = await findFreeSlugs(pending.map((index) => posts[index].name), reserved);
+    pending.forEach((index, position) => {
+      posts[index].slug = slugs[position];
+    });
+
+    const results = await write(pending.map((index) => posts[index]));
+    pending = pending.filter((index, position) => {
+      errors[index] = results[position];
+      return isSlugConflict(results[position]) && attempt < MAX_ATTEMPTS;
+    });
+  }
+  return errors;
+};
@@ -0,0 +1,53 @@
+/**
+ * Tag normalization.
+ *
+ * @module utils/tag.utils
+ *
+ * @description
+ * Tags are stored in a canonical form so that "Node JS", "node_js" and
+ * " NODE-js " are the same tag: Unicode-normalized (NFKC), lowercased, runs
+ * of whitespace / underscores / dashes turned into a single "-", other
+ * punctuation removed, and no leading or trailing "-". Category slugs are
+ * built with the same rules (toSlug).
+ */
+import { TAXONOMY_LIMITS } from '../config/constants.js';
+
+/**
+ * Turns free text into a lowercase, dash-separated slug.
+ * @param {string} value
+ * @param {number} maxLength - The slug is cut to this length (without a trailing "-")
+ * @returns {string} '' when nothing usable is left
+ */
+export const toSlug = (value, maxLength) =>
+  String(value)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, '-')
+    .replace(/[^\p{L}\p{N}-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, maxLength)
+    .replace(/-$/, '');
+
+/**
+ * Normalizes one tag.
+ * @param {string} value
+ * @returns {string} Normalized tag, '' when nothing usable is left
+ */
+export const normalizeTag = (value) => toSlug(value, TAXONOMY_LIMITS.TAG_MAX_LENGTH);
+
+/**
+ * Whether a value is already a normalized tag.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isNormalizedTag = (value) => value !== '' && normalizeTag(value) === value;
+
+/**
+ * Normalizes a list of tags, dropping empty results and duplicates (first occurrence wins).
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+export const normalizeTags = (values = []) => [
+  ...new Set(values.map(normalizeTag).filter(Boolean)),
+];
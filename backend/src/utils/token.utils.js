@@ -0,0 +1,154 @@
+/**
+ * Helpers for issuing access and refresh tokens.
+ *
+ * @module utils/token.utils
+ * @requires crypto
+ * @requires jsonwebtoken
+ * @requires ../models/refreshToken.model
+ * @requires ../models/revokedToken.model
+ *
+ * @description
+ * - Access tokens are short-lived JWTs (JWT_EXPIRES_IN, default 15m) verified by verifyToken. Each one
+ *   carries a unique `jti` so it can be revoked individually on logout.
+ * - Refresh tokens are opaque random strings (REFRESH_TOKEN_EXPIRES_DAYS, default 7). Only their
+ *   SHA-256 hash is persisted, so a database leak does not expose usable tokens.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/refreshToken.model.js';
+import RevokedToken from '../models/revokedToken.model.js';
+
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = '15m';
+const DEFAULT_REFRESH_TOKEN_EXPIRES_DAYS = 7;
+
+/**
+ * Generates a signed JWT access token for the given user.
+ * The token carries the user's id and role claims, plus `iatMs`: the issue time in milliseconds,
+ * since the standard `iat` claim only has second precision.
+ * @param {{ _id: string, role?: string }} user - The user document
+ * @returns {string} Signed JWT token
+ */
+export const generateAccessToken = (user) => {
+  return jwt.sign(
+    { id: user._id, role: user.role, iatMs: Date.now() },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN,
+      jwtid: crypto.randomUUID(),
+    }
+  );
+};
+
+/**
+ * Hashes a raw refresh token for storage and lookup.
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Computes the expiry date of a refresh token issued now.
+ * @returns {Date}
+ */
+const refreshTokenExpiry = () => {
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || DEFAULT_REFRESH_TOKEN_EXPIRES_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Creates and persists a new refresh token.
+ *
+ * @async
+ * @param {string} userId - The user's MongoDB _id
+ * @param {string} [family] - Token family to join. A new family is started when omitted (i.e. on login).
+ * @returns {Promise<{ token: string, document: Object }>} The raw token for the client and the stored document.
+ */
+export const issueRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const document = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: refreshTokenExpiry(),
+  });
+  return { token, document };
+};
+
+/**
+ * Issues an access token together with a refresh token starting a new family.
+ *
+ * @async
+ * @param {{ _id: string, role?: string }} user - The user document
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+export const issueTokenPair = async (user) => {
+  const { token: refreshToken } = await issueRefreshToken(user._id);
+  return { token: generateAccessToken(user), refreshToken };
+};
+
+/**
+ * Revokes every still-active token of a family.
+ *
+ * @async
+ * @param {string} family - Token family identifier
+ * @param {string} reason - Stored as revokedReason
+ * @returns {Promise<void>}
+ */
+export const revokeTokenFamily = async (family, reason) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Revokes every still-active refresh token of a user.
+ *
+ * @async
+ * @param {string} userId - The user's MongoDB _id
+ * @param {string} reason - Stored as revokedReason
+ * @returns {Promise<void>}
+ */
+export const revokeUserRefreshTokens = async (userId, reason) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Adds a decoded access token to the revocation list until it expires.
+ * Revoking the same token twice is a no-op.
+ *
+ * @async
+ * @param {Object} payload - Decoded access token (must contain jti, id and exp)
+ * @param {string} reason - Stored as reason
+ * @returns {Promise<void>}
+ */
+export const revokeAccessToken = async (payload, reason) => {
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    {
+      $setOnInsert: {
+        jti: payload.jti,
+        user: payload.id,
+        expiresAt: new Date(payload.exp * 1000),
+        reason,
+      },
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Checks whether an access token id has been revoked.
+ *
+ * @async
+ * @param {string} jti - The token's jti claim
+ * @returns {Promise<boolean>}
+ */
+export const isAccessTokenRevoked = async (jti) => {
+  return Boolean(await RevokedToken.exists({ jti }));
+};
@@ -0,0 +1,152 @@
+/**
+ * Multipart upload handling.
+ *
+ * @module utils/upload.utils
+ *
+ * @description
+ * Files of a multipart/form-data request are streamed straight to storage as
+ * they arrive (busboy), so large files are never held in memory: only their
+ * first HEAD_BYTES are kept, to identify the type and read image dimensions
+ * (utils/media.utils.js). Uploads are all or nothing: when any file fails
+ * (too large, too many files, broken request), the files already stored by
+ * the request are deleted again.
+ */
+import busboy from 'busboy';
+import { randomUUID } from 'node:crypto';
+import { Transform } from 'node:stream';
+import { ATTACHMENT_LIMITS } from '../config/constants.js';
+import { BadRequestError, PayloadTooLargeError, UnsupportedMediaTypeError } from './errors.js';
+
+/** Bytes kept from the start of every file, enough for JPEG headers with large metadata. */
+export const HEAD_BYTES = 256 * 1024;
+
+/**
+ * @typedef {Object} ReceivedFile
+ * @property {string} key - Storage key the file was stored under
+ * @property {string} filename - Cleaned name sent by the client
+ * @property {number} size - Size in bytes
+ * @property {Buffer} head - The first HEAD_BYTES bytes of the file
+ */
+
+/**
+ * Turns a client file name into a safe display name: no directories, no control
+ * characters, at most FILENAME_MAX_LENGTH characters.
+ * @param {string} [filename]
+ * @returns {string} "file" when nothing is left
+ */
+export const cleanFilename = (filename = '') =>
+  String(filename)
+    .split(/[/\\]/)
+    .pop()
+    .replace(/[\p{Cc}\p{Cf}]/gu, '')
+    .trim()
+    .slice(0, ATTACHMENT_LIMITS.FILENAME_MAX_LENGTH) || 'file';
+
+/**
+ * Stores the files of a multipart/form-data request. Other form fields are ignored.
+ *
+ * @param {import('express').Request} req
+ * @param {Object} options
+ * @param {import('../storage/storage.js').Storage} options.storage
+ * @param {string} options.keyPrefix - Storage keys are "<keyPrefix>/<uuid>"
+ * @param {number} options.maxFileSize - Bytes
+ * @param {number} options.maxFiles
+ * @returns {Promise<ReceivedFile[]>} The files in request order
+ * @throws {UnsupportedMediaTypeError} 415 when the request is not multipart/form-data
+ * @throws {BadRequestError} 400 INVALID_UPLOAD when the body is malformed or the request is aborted
+ * @throws {PayloadTooLargeError} 413 FILE_TOO_LARGE / TOO_MANY_FILES
+ */
+export const receiveFiles = (req, { storage, keyPrefix, maxFileSize, maxFiles }) =>
+  new Promise((resolve, reject) => {
+    if (!req.is('multipart/form-data')) {
+      reject(new UnsupportedMediaTypeError('Expected a multipart/form-data body'));
+      return;
+    }
+
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        defParamCharset: 'utf8',
+        limits: { fileSize: maxFileSize, files: maxFiles },
+      });
+    } catch (error) {
+      reject(new BadRequestError(`Malformed multipart body: ${error.message}`, undefined, 'INVALID_UPLOAD'));
+      return;
+    }
+
+    const writes = [];
+    const active = new Set();
+    let failure = null;
+    let finished = false;
+
+    const finish = async (error) => {
+      if (finished) return;
+      finished = true;
+      failure ??= error;
+      req.unpipe(parser);
+      if (error) {
+        // The parser stopped: the files being received will never end
+        for (const stream of active) stream.destroy(error);
+      }
+
+      const results = await Promise.allSettled(writes);
+      const files = results.filter(({ status }) => status === 'fulfilled').map(({ value }) => value);
+      failure ??= results.find(({ status }) => status === 'rejected')?.reason;
+      if (failure) {
+        await Promise.allSettled(files.map(({ key }) => storage.delete(key)));
+        reject(failure);
+        return;
+      }
+      resolve(files);
+    };
+
+    parser.on('file', (field, file, { filename }) => {
+      if (failure) {
+        file.resume();
+        return;
+      }
+      const key = `${keyPrefix}/${randomUUID()}`;
+      const chunks = [];
+      let headLength = 0;
+      const body = new Transform({
+        transform(chunk, encoding, callback) {
+          if (headLength < HEAD_BYTES) {
+            const part = chunk.subarray(0, HEAD_BYTES - headLength);
+            chunks.push(part);
+            headLength += part.length;
+          }
+          callback(null, chunk);
+        },
+      });
+      // Errors reach storage.put through the stream, which it may only start reading later
+      body.on('error', () => {});
+      active.add(body);
+      file.on('limit', () => {
+        failure ??= new PayloadTooLargeError(
+          `"${cleanFilename(filename)}" is larger than ${maxFileSize} bytes`,
+          'FILE_TOO_LARGE'
+        );
+      });
+      file.on('error', (error) => body.destroy(error));
+
+      writes.push(
+        storage
+          .put(key, file.pipe(body))
+          .then(({ size }) => ({ key, filename: cleanFilename(filename), size, head: Buffer.concat(chunks) }))
+          .finally(() => active.delete(body))
+      );
+    });
+    parser.on('filesLimit', () => {
+      failure ??= new PayloadTooLargeError(`At most ${maxFiles} files can be uploaded at once`, 'TOO_MANY_FILES');
+    });
+    parser.on('error', (error) =>
+      finish(new BadRequestError(`Malformed multipart body: ${error.message}`, undefined, 'INVALID_UPLOAD'))
+    );
+    parser.on('close', () => finish());
+    req.on('close', () => {
+      if (!req.complete) finish(new BadRequestError('Upload aborted', undefined, 'INVALID_UPLOAD'));
+    });
+
+    req.pipe(parser);
+  });
@@ -0,0 +1,17 @@
+/**
+ * Request validation schemas for the Attachment routes.
+ *
+ * @module validations/attachment.validation
+ * @see module:middlewares/validate.middleware for the schema format
+ *
+ * Upload bodies are multipart/form-data and are checked while they are received
+ * (utils/upload.utils.js), not by these schemas.
+ */
+
+/** Route params of /:id/attachments/:attachmentId routes. */
+export const attachmentIdParamsSchema = {
+  fields: {
+    id: { type: 'objectId', required: true },
+    attachmentId: { type: 'objectId', required: true },
+  },
+};
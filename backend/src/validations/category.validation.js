@@ -0,0 +1,45 @@
+/**
+ * Request validation schemas for the Category routes.
+ *
+ * @module validations/category.validation
+ * @see module:middlewares/validate.middleware for the schema format
+ *
+ * Limits come from config/constants.js and are the same ones enforced by the
+ * Category Mongoose schema.
+ */
+import { TAXONOMY_LIMITS } from '../config/constants.js';
+
+const nameRule = {
+  type: 'string',
+  maxLength: TAXONOMY_LIMITS.CATEGORY_NAME_MAX_LENGTH,
+  pattern: /[\p{L}\p{N}]/u,
+  patternMessage: 'name must contain a letter or a digit',
+};
+const descriptionRule = { type: 'string', maxLength: 500 };
+const parentRule = { type: 'objectId', nullable: true };
+
+/** Body of POST /create. */
+export const createCategorySchema = {
+  fields: {
+    name: { ...nameRule, required: true },
+    description: descriptionRule,
+    parent: parentRule,
+  },
+};
+
+/** Body of PATCH /update/:id - any subset of the fields, but at least one. */
+export const updateCategorySchema = {
+  fields: {
+    name: { ...nameRule, minLength: 1 },
+    description: descriptionRule,
+    parent: parentRule,
+  },
+  minFields: 1,
+};
+
+/** Route params of every /:id route. */
+export const categoryIdParamsSchema = {
+  fields: {
+    id: { type: 'objectId', required: true },
+  },
+};
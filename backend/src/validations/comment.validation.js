@@ -0,0 +1,45 @@
+/**
+ * Request validation schemas for the Comment routes.
+ *
+ * @module validations/comment.validation
+ * @see module:middlewares/validate.middleware for the schema format
+ *
+ * Limits come from config/constants.js and are the same ones enforced by the
+ * Comment Mongoose schema.
+ */
+import { COMMENT_LIMITS, PAGINATION } from '../config/constants.js';
+
+const bodyRule = { type: 'string', minLength: 1, maxLength: COMMENT_LIMITS.BODY_MAX_LENGTH };
+
+/** Route params of /:id/comments/:commentId routes. */
+export const commentIdParamsSchema = {
+  fields: {
+    id: { type: 'objectId', required: true },
+    commentId: { type: 'objectId', required: true },
+  },
+};
+
+/** Query string of GET /:id/comments - without parent, the top-level comments are listed. */
+export const listCommentsQuerySchema = {
+  fields: {
+    parent: { type: 'objectId' },
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: PAGINATION.MAX_LIMIT },
+    order: { type: 'string', enum: ['oldest', 'newest'] },
+  },
+};
+
+/** Body of POST /:id/comments. */
+export const createCommentSchema = {
+  fields: {
+    body: { ...bodyRule, required: true },
+    parent: { type: 'objectId' },
+  },
+};
+
+/** Body of PATCH /:id/comments/:commentId. */
+export const updateCommentSchema = {
+  fields: {
+    body: { ...bodyRule, required: true },
+  },
+};
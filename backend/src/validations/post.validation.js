@@ -0,0 +1,206 @@
+/**
+ * Request validation schemas for the Post routes.
+ *
+ * @module validations/post.validation
+ * @see module:middlewares/validate.middleware for the schema format
+ *
+ * Limits come from config/constants.js and are the same ones enforced by the
+ * Post Mongoose schema.
+ */
+import {
+  DESCRIPTION_FORMATS,
+  PAGINATION,
+  POST_LIMITS,
+  POST_STATUSES,
+  POST_VISIBILITIES,
+  REACTION_TYPES,
+  SEARCH_MODES,
+  TAXONOMY_LIMITS,
+} from '../config/constants.js';
+
+const nameRule = { type: 'string', maxLength: POST_LIMITS.NAME_MAX_LENGTH };
+const descriptionRule = { type: 'string' };
+const ageRule = { type: 'number', min: POST_LIMITS.AGE_MIN, max: POST_LIMITS.AGE_MAX };
+
+/** A raw tag; the controller normalizes it (utils/tag.utils.js), so it needs a letter or digit to keep. */
+export const tagRule = {
+  type: 'string',
+  minLength: 1,
+  maxLength: TAXONOMY_LIMITS.TAG_MAX_LENGTH,
+  pattern: /[\p{L}\p{N}]/u,
+  patternMessage: 'Tags must contain a letter or a digit',
+};
+const tagsRule = { type: 'array', maxLength: TAXONOMY_LIMITS.TAGS_PER_POST, items: tagRule };
+const categoryRule = { type: 'objectId', nullable: true };
+const formatRule = { type: 'string', enum: DESCRIPTION_FORMATS };
+const visibilityRule = { type: 'string', enum: POST_VISIBILITIES };
+
+/**
+ * Body of POST /create. Posts are published immediately unless status is "draft"
+ * or publishAt is a future date (scheduled), and public unless visibility says otherwise.
+ */
+export const createPostSchema = {
+  fields: {
+    name: { ...nameRule, required: true },
+    description: { ...descriptionRule, required: true },
+    age: { ...ageRule, required: true },
+    tags: tagsRule,
+    category: categoryRule,
+    status: { type: 'string', enum: ['draft', 'published'] },
+    publishAt: { type: 'date' },
+    visibility: visibilityRule,
+  },
+};
+
+/**
+ * One post of POST /import: a create body that may also have the statuses exports
+ * hold, "scheduled" and "archived" (see importedStatus in the post controller).
+ */
+export const importedPostSchema = {
+  fields: {
+    ...createPostSchema.fields,
+    status: { type: 'string', enum: POST_STATUSES },
+  },
+};
+
+/** Query string of POST /import. The body is checked post by post with importedPostSchema. */
+export const importPostsQuerySchema = {
+  fields: {
+    dryRun: { type: 'boolean' },
+  },
+};
+
+/** Body of PATCH /update/:id - any subset of the post fields, but at least one. */
+export const updatePostSchema = {
+  fields: {
+    name: { ...nameRule, minLength: 1 },
+    description: { ...descriptionRule, minLength: 1 },
+    age: ageRule,
+    tags: tagsRule,
+    category: categoryRule,
+    visibility: visibilityRule,
+  },
+  minFields: 1,
+};
+
+/** Route params of every /:id route. */
+export const postIdParamsSchema = {
+  fields: {
+    id: { type: 'objectId', required: true },
+  },
+  allowUnknown: true,
+};
+
+/** Route params of GET /getPostBySlug/:slug. Slugs may exceed SLUG_MAX_LENGTH by their collision suffix. */
+export const postSlugParamsSchema = {
+  fields: {
+    slug: { type: 'string', required: true, maxLength: POST_LIMITS.SLUG_MAX_LENGTH + 20 },
+  },
+};
+
+/** Query string of GET /getPost/:id and GET /getPostBySlug/:slug. */
+export const getPostQuerySchema = {
+  fields: {
+    format: formatRule,
+  },
+};
+
+/** Query string of GET /getPosts. */
+export const listPostsQuerySchema = {
+  fields: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: PAGINATION.MAX_LIMIT },
+    after: { type: 'string', maxLength: PAGINATION.CURSOR_MAX_LENGTH },
+    before: { type: 'string', maxLength: PAGINATION.CURSOR_MAX_LENGTH },
+    pagination: { type: 'string', enum: ['page', 'cursor'] },
+    includeTotal: { type: 'boolean' },
+    sort: { type: 'string', maxLength: 200 },
+    fields: { type: 'string', maxLength: 200 },
+    q: { type: 'string', maxLength: 200 },
+    searchMode: { type: 'string', enum: SEARCH_MODES },
+    author: {
+      type: 'string',
+      pattern: /^(me|[a-f\d]{24})$/i,
+      patternMessage: 'author must be "me" or a user id',
+    },
+    tags: { type: 'array', minLength: 1, maxLength: TAXONOMY_LIMITS.TAGS_PER_POST, items: tagRule },
+    category: { type: 'string', maxLength: 100 },
+    status: { type: 'string', enum: POST_STATUSES },
+    visibility: visibilityRule,
+    format: formatRule,
+  },
+  allowUnknown: true,
+};
+
+/** Route params of GET /export/:format. */
+export const exportPostsParamsSchema = {
+  fields: {
+    format: { type: 'string', enum: ['csv', 'ndjson'], required: true },
+  },
+};
+
+const PAGINATION_PARAMS = ['page', 'limit', 'after', 'before', 'pagination', 'includeTotal'];
+
+/** Query string of GET /export/:format - the listing parameters, without pagination. */
+export const exportPostsQuerySchema = {
+  fields: Object.fromEntries(
+    Object.entries(listPostsQuerySchema.fields).filter(([field]) => !PAGINATION_PARAMS.includes(field))
+  ),
+  allowUnknown: true,
+};
+
+const pageRule = { type: 'integer', min: 1 };
+const limitRule = { type: 'integer', min: 1, max: PAGINATION.MAX_LIMIT };
+const revisionRule = { type: 'integer', min: 1 };
+
+/** Query string of GET /trash. */
+export const listTrashQuerySchema = {
+  fields: {
+    page: pageRule,
+    limit: limitRule,
+  },
+};
+
+/** Query string of GET /revisions/:id. */
+export const listRevisionsQuerySchema = {
+  fields: {
+    page: pageRule,
+    limit: limitRule,
+  },
+};
+
+/** Query string of GET /revisions/:id/diff - `to` defaults to the latest revision. */
+export const revisionDiffQuerySchema = {
+  fields: {
+    from: { ...revisionRule, required: true },
+    to: revisionRule,
+  },
+};
+
+/** Body of POST /rollback/:id. */
+export const rollbackPostSchema = {
+  fields: {
+    revision: { ...revisionRule, required: true },
+  },
+};
+
+/** Body of POST /:id/reactions. */
+export const toggleReactionSchema = {
+  fields: {
+    type: { type: 'string', enum: REACTION_TYPES, required: true },
+  },
+};
+
+/** Body of PATCH /publish/:id - without publishAt (or with a past date) the post is published now. */
+export const publishPostSchema = {
+  fields: {
+    publishAt: { type: 'date', nullable: true },
+  },
+};
+
+/** Body of PATCH /unpublish/:id. */
+export const unpublishPostSchema = {
+  fields: {
+    status: { type: 'string', enum: ['draft', 'archived'] },
+  },
+};
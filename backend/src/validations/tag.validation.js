@@ -0,0 +1,39 @@
+/**
+ * Request validation schemas for the Tag routes.
+ *
+ * @module validations/tag.validation
+ * @see module:middlewares/validate.middleware for the schema format
+ */
+import { TAXONOMY_LIMITS } from '../config/constants.js';
+import { tagRule } from './post.validation.js';
+
+/** Query string of GET /getTags. */
+export const listTagsQuerySchema = {
+  fields: {
+    q: { type: 'string', maxLength: TAXONOMY_LIMITS.TAG_MAX_LENGTH },
+    sort: { type: 'string', enum: ['count', 'name'] },
+    limit: { type: 'integer', min: 1, max: 500 },
+  },
+};
+
+/** Route params of PATCH /rename/:tag. */
+export const tagParamsSchema = {
+  fields: {
+    tag: { ...tagRule, required: true },
+  },
+};
+
+/** Body of PATCH /rename/:tag. */
+export const renameTagSchema = {
+  fields: {
+    name: { ...tagRule, required: true },
+  },
+};
+
+/** Body of POST /merge - every source tag is replaced by the target tag. */
+export const mergeTagsSchema = {
+  fields: {
+    sources: { type: 'array', minLength: 1, maxLength: 50, items: tagRule, required: true },
+    target: { ...tagRule, required: true },
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * Request validation schemas for the User routes.
+ *
+ * @module validations/user.validation
+ * @see module:middlewares/validate.middleware for the schema format
+ *
+ * Limits come from config/constants.js and are the same ones enforced by the
+ * User Mongoose schema.
+ */
+import { USER_LIMITS } from '../config/constants.js';
+
+/** Body of POST /register. */
+export const registerSchema = {
+  fields: {
+    username: {
+      type: 'string',
+      required: true,
+      lowercase: true,
+      minLength: USER_LIMITS.USERNAME_MIN_LENGTH,
+      maxLength: USER_LIMITS.USERNAME_MAX_LENGTH,
+    },
+    email: {
+      type: 'string',
+      required: true,
+      lowercase: true,
+      pattern: USER_LIMITS.EMAIL_PATTERN,
+      patternMessage: 'email must be a valid email address',
+    },
+    password: {
+      type: 'string',
+      required: true,
+      trim: false,
+      minLength: USER_LIMITS.PASSWORD_MIN_LENGTH,
+    },
+  },
+};
+
+/** Body of POST /login. */
+export const loginSchema = {
+  fields: {
+    email: { type: 'string', required: true, lowercase: true },
+    password: { type: 'string', required: true, trim: false },
+  },
+};
+
+/** Body of POST /refresh. */
+export const refreshSchema = {
+  fields: {
+    refreshToken: { type: 'string', required: true },
+  },
+};
+
+/** Body of POST /logout. */
+export const logoutSchema = {
+  fields: {
+    refreshToken: { type: 'string' },
+    all: { type: 'boolean' },
+  },
+};